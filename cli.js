@@ -0,0 +1,342 @@
+#!/usr/bin/env node
+/**
+ * GHM - GITHUB MODELS COMMAND-LINE INTERFACE
+ *
+ * One entry point for every sample in this repository. Instead of a separate npm script
+ * per demo, each sample's main() is exposed as a subcommand:
+ *
+ *   ghm chat [prompt]      Ask one question, or chat interactively when no prompt is given
+ *   ghm sessions <action>  List, rename, delete or export saved chat sessions
+ *   ghm stream [prompt]    Stream a reply token by token
+ *   ghm image [file]       Describe an image
+ *   ghm tools [question]   Answer a question with function calling
+ *   ghm reason [scenario]  Solve a reasoning scenario with a reasoning model
+ *   ghm story              Interactive creative writing
+ *   ghm review [paths]     Automated code review of files, directories or globs
+ *   ghm assess             Run your assessment chatbot (assessment.js)
+ *
+ * Global flags (--model, --endpoint, --temperature, --max-tokens) override the shared
+ * configuration from lib/client.js; --system and --json are passed to the sample.
+ * Run `ghm <command> --help` for the flags a command supports.
+ */
+
+import { parseArgs } from "node:util";
+import { writeFileSync } from "node:fs";
+import { setConfigOverrides, dataDirectory, ConfigError } from "./lib/client.js";
+import { describeError } from "./lib/errors.js";
+import { isMainModule } from "./lib/main.js";
+
+// Flags every command accepts
+const globalOptions = {
+  model: { type: "string", value: "<name>", description: "Model to use, e.g. openai/gpt-4o-mini" },
+  endpoint: { type: "string", value: "<url>", description: "Inference endpoint URL" },
+  temperature: { type: "string", value: "<n>", description: "Sampling temperature" },
+  "max-tokens": { type: "string", value: "<n>", description: "Maximum tokens in each response" },
+  system: { type: "string", value: "<prompt>", description: "System prompt (commands that use one)" },
+  json: { type: "boolean", description: "Print machine-readable JSON output" },
+  help: { type: "boolean", short: "h", description: "Show help" }
+};
+
+// Subcommands; each run() receives the parsed positionals and flag values and may return an exit code
+const commands = {
+  chat: {
+    usage: "ghm chat [prompt]",
+    summary: "Ask one question, or start an interactive multi-turn chat when no prompt is given",
+    options: {
+      memory: { type: "string", value: "<strategy>", description: "How older turns are remembered: summary, window or full" },
+      resume: { type: "string", value: "<id>", description: "Continue a saved session (see 'ghm sessions list')" },
+      title: { type: "string", value: "<title>", description: "Title for the new session" },
+      "no-save": { type: "boolean", description: "Do not save the session" }
+    },
+    async run({ positionals, values }) {
+      if (positionals.length > 0) {
+        const { main } = await import("./sample-basic.js");
+        return main({ prompt: positionals.join(" "), system: values.system, json: values.json });
+      }
+      const { main } = await import("./sample-multiturn.js");
+      return main({
+        system: values.system,
+        json: values.json,
+        memory: values.memory,
+        resume: values.resume,
+        title: values.title,
+        save: !values["no-save"]
+      });
+    }
+  },
+  sessions: {
+    usage: "ghm sessions list | resume <id> | rename <id> <title> | delete <id> | export <id>",
+    summary: "Manage saved chat sessions",
+    options: {
+      format: { type: "string", value: "<format>", description: "Export format: markdown (default), json or jsonl" },
+      out: { type: "string", value: "<file>", description: "Write the export to a file instead of stdout" }
+    },
+    async run({ positionals: [action = "list", id, ...rest], values }) {
+      const { createSessionStore } = await import("./lib/sessions.js");
+      const store = createSessionStore(dataDirectory());
+      if (action !== "list" && !id) {
+        console.error(`Usage: ${commands.sessions.usage}`);
+        return 1;
+      }
+
+      switch (action) {
+        case "list": {
+          const sessions = store.list();
+          if (values.json) {
+            console.log(JSON.stringify(sessions, null, 2));
+          } else if (sessions.length === 0) {
+            console.log(`No saved sessions in ${store.directory}.`);
+          } else {
+            for (const session of sessions) {
+              console.log(session.error
+                ? `${session.id}  ⚠️  ${session.error}`
+                : `${session.id}  ${session.updatedAt.slice(0, 16).replace("T", " ")}  ` +
+                  `${String(session.messageCount).padStart(3)} msgs  ${session.title}`);
+            }
+          }
+          return 0;
+        }
+        case "resume":
+          return commands.chat.run({ positionals: [], values: { ...values, resume: id } });
+        case "rename": {
+          if (rest.length === 0) {
+            console.error("Give the new title after the session ID.");
+            return 1;
+          }
+          const session = store.rename(id, rest.join(" "));
+          console.log(`Renamed ${session.id} to "${session.title}".`);
+          return 0;
+        }
+        case "delete":
+          console.log(`Deleted session ${store.remove(id)}.`);
+          return 0;
+        case "export": {
+          const text = store.export(id, values.format);
+          if (values.out) {
+            writeFileSync(values.out, text);
+            console.log(`Exported session to ${values.out}.`);
+          } else {
+            process.stdout.write(text);
+          }
+          return 0;
+        }
+        default:
+          console.error(`Unknown sessions action '${action}'. Usage: ${commands.sessions.usage}`);
+          return 1;
+      }
+    }
+  },
+  stream: {
+    usage: "ghm stream [prompt]",
+    summary: "Stream a reply token by token and report token usage",
+    async run({ positionals, values }) {
+      const { main } = await import("./sample-stream.js");
+      return main({ prompt: positionals.join(" ") || undefined, system: values.system, json: values.json });
+    }
+  },
+  image: {
+    usage: "ghm image [file]",
+    summary: "Describe an image (defaults to Images/sample.jpg)",
+    options: {
+      prompt: { type: "string", value: "<text>", description: "Question to ask about the image" }
+    },
+    async run({ positionals, values }) {
+      const { main } = await import("./sample-image.js");
+      return main({ image: positionals[0], prompt: values.prompt, system: values.system, json: values.json });
+    }
+  },
+  tools: {
+    usage: "ghm tools [question]",
+    summary: "Answer a flight question using function calling",
+    options: {
+      allow: { type: "string", value: "<tools>", description: "Built-in tools to add: files, calculator, time, json or all" },
+      root: { type: "string", value: "<dir>", description: "Directory the file tools may read (default: current)" },
+      mcp: { type: "string", value: "<file>", description: "MCP server config whose tools to add, e.g. fixtures/mcp.json" },
+      "max-iterations": { type: "string", value: "<n>", description: "Most model requests before giving up (default 10)" }
+    },
+    async run({ positionals, values }) {
+      const maxIterations = wholeNumber(values["max-iterations"], "--max-iterations");
+      const { BUILTIN_TOOLS } = await import("./lib/tools.js");
+      const allow = values.allow === "all" ? BUILTIN_TOOLS : values.allow?.split(",").map((name) => name.trim()).filter(Boolean);
+      const { main } = await import("./sample-tools.js");
+      return main({
+        prompt: positionals.join(" ") || undefined,
+        system: values.system,
+        allow,
+        root: values.root,
+        mcp: values.mcp,
+        maxIterations,
+        json: values.json
+      });
+    }
+  },
+  reason: {
+    usage: "ghm reason [scenario]",
+    summary: "Solve a reasoning scenario (1-4); shows a menu when no scenario is given",
+    async run({ positionals, values }) {
+      const { main } = await import("./sample-reasoning.js");
+      return main({ scenario: positionals[0], json: values.json });
+    }
+  },
+  story: {
+    usage: "ghm story",
+    summary: "Write an interactive story together with the model",
+    options: {
+      memory: { type: "string", value: "<strategy>", description: "How earlier chapters are remembered: summary, window or full" }
+    },
+    async run({ values }) {
+      const { main } = await import("./sample-creative-writing.js");
+      return main({ json: values.json, memory: values.memory });
+    }
+  },
+  review: {
+    usage: "ghm review [file | directory | glob ...] | --diff <range> | --diff-file <file>",
+    summary: "Review source files, a directory or a glob (or a pasted snippet when nothing is given)",
+    options: {
+      diff: { type: "string", value: "<range>", description: "Review the changes in a git revision range, e.g. main..HEAD" },
+      "diff-file": { type: "string", value: "<file>", description: "Review the changes in a unified diff file" },
+      context: { type: "string", value: "<n>", description: "Unchanged lines sent around each change (default 5)" },
+      format: { type: "string", value: "<format>", description: "Write a report without asking anything: json, sarif, markdown or comments" },
+      out: { type: "string", value: "<file>", description: "Write the report to a file instead of stdout" },
+      concurrency: { type: "string", value: "<n>", description: "Files reviewed at the same time (default 3)" },
+      "chunk-tokens": { type: "string", value: "<n>", description: "Largest part of a file sent in one request" },
+      verify: { type: "string", value: "<command>", description: "Run after applying a refactoring; roll back if it fails" },
+      ruleset: { type: "string", value: "<file>", description: "Review rules, weights and gate (default: nearest .reviewrc)" }
+    },
+    async run({ positionals, values }) {
+      const { main } = await import("./sample-code-review.js");
+      return main({
+        targets: positionals,
+        diff: values.diff,
+        diffFile: values["diff-file"],
+        context: wholeNumber(values.context, "--context", 0),
+        json: values.json,
+        format: values.format,
+        out: values.out,
+        concurrency: wholeNumber(values.concurrency, "--concurrency"),
+        chunkTokens: wholeNumber(values["chunk-tokens"], "--chunk-tokens"),
+        verify: values.verify,
+        ruleset: values.ruleset
+      });
+    }
+  },
+  assess: {
+    usage: "ghm assess",
+    summary: "Run the assessment chatbot you implement in assessment.js",
+    async run({ values }) {
+      const assessment = await import("./assessment.js");
+      if (typeof assessment.main !== "function") {
+        console.error(
+          "assessment.js does not export a main() function yet. " +
+          "Implement the assessment (see 'Assessment Task' in the README) and export main()."
+        );
+        return 1;
+      }
+      return assessment.main({ system: values.system, json: values.json });
+    }
+  }
+};
+
+// Value of a flag that must be a whole number (greater than 0 unless minimum is 0); undefined when it is not given
+function wholeNumber(value, flag, minimum = 1) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < minimum) {
+    throw new ConfigError(`${flag} must be a whole number${minimum > 0 ? " greater than 0" : ""}.`);
+  }
+  return number;
+}
+
+// Format a table of flags for help output
+function formatOptions(options) {
+  return Object.entries(options).map(([name, option]) => {
+    const short = option.short ? `-${option.short}, ` : "    ";
+    const flag = `${short}--${name}${option.value ? ` ${option.value}` : ""}`;
+    return `  ${flag.padEnd(28)} ${option.description}`;
+  }).join("\n");
+}
+
+// Help for the whole CLI
+function printUsage() {
+  console.log("Usage: ghm <command> [options]\n");
+  console.log("Commands:");
+  for (const [name, command] of Object.entries(commands)) {
+    console.log(`  ${name.padEnd(10)} ${command.summary}`);
+  }
+  console.log(`\nGlobal options:\n${formatOptions(globalOptions)}`);
+  console.log("\nRun 'ghm <command> --help' for details about a command.");
+}
+
+// Help for one command
+function printCommandHelp(command) {
+  console.log(`Usage: ${command.usage} [options]\n`);
+  console.log(command.summary);
+  if (command.options) {
+    console.log(`\nOptions:\n${formatOptions(command.options)}`);
+  }
+  console.log(`\nGlobal options:\n${formatOptions(globalOptions)}`);
+}
+
+/**
+ * Parse the command line and run the selected command
+ *
+ * @param {string[]} argv - Arguments after the executable and script name
+ * @returns {Promise<number>} Exit code
+ */
+export async function run(argv) {
+  const [name, ...rest] = argv;
+
+  if (!name || name === "--help" || name === "-h" || name === "help") {
+    printUsage();
+    return 0;
+  }
+
+  const command = commands[name];
+  if (!command) {
+    console.error(`Unknown command '${name}'.\n`);
+    printUsage();
+    return 1;
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: rest,
+      options: { ...globalOptions, ...command.options },
+      allowPositionals: true,
+      strict: true
+    });
+  } catch (error) {
+    console.error(`${error.message}\n`);
+    printCommandHelp(command);
+    return 1;
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) {
+    printCommandHelp(command);
+    return 0;
+  }
+
+  // Flags win over .env and the config file for every request this process makes
+  setConfigOverrides({
+    model: values.model,
+    endpoint: values.endpoint,
+    temperature: values.temperature,
+    max_tokens: values["max-tokens"]
+  });
+
+  return (await command.run({ positionals, values })) ?? 0;
+}
+
+// Run the CLI when this file is executed directly, also through the ghm bin link
+if (isMainModule(import.meta.url)) {
+  run(process.argv.slice(2))
+    .then((code) => {
+      process.exitCode = code;
+    })
+    .catch((err) => {
+      console.error(describeError(err));
+      process.exit(1);
+    });
+}
@@ -0,0 +1,125 @@
+/**
+ * LOCAL MCP TEST SERVER
+ *
+ * A tiny Model Context Protocol server that speaks JSON-RPC over stdio, for trying the
+ * MCP client in lib/mcp.js without installing anything. It offers two travel-themed
+ * tools with canned data:
+ *
+ * - getForecast      weather for one of a few cities (an unknown city is an isError result)
+ * - convertCurrency  converts between USD, EUR, GBP and JPY at fixed rates; it has no
+ *                    readOnlyHint, so clients should ask before running it
+ *
+ * fixtures/mcp.json starts it:
+ *
+ *   node cli.js tools --mcp fixtures/mcp.json "What's the weather in Miami?"
+ *
+ * tools/list returns one tool per page so clients have to follow nextCursor. Setting
+ * MCP_TEST_PAGE_SIZE changes that.
+ */
+
+import { createInterface } from "node:readline";
+
+// Canned forecasts by lower-case city name
+const FORECASTS = {
+  miami: { city: "Miami", conditions: "Hot and humid, afternoon thunderstorms", highC: 33, lowC: 26 },
+  seattle: { city: "Seattle", conditions: "Partly cloudy", highC: 24, lowC: 14 },
+  boston: { city: "Boston", conditions: "Sunny", highC: 29, lowC: 19 },
+  denver: { city: "Denver", conditions: "Clear, isolated evening storms", highC: 31, lowC: 16 }
+};
+
+// US dollars per unit of each currency
+const USD_RATES = { USD: 1, EUR: 1.09, GBP: 1.27, JPY: 0.0064 };
+
+// Tools as listed to clients, with the function that answers each call
+const tools = [
+  {
+    name: "getForecast",
+    description: "Returns the weather forecast for a city: conditions and the high and low temperature.",
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      $schema: "http://json-schema.org/draft-07/schema#",
+      type: "object",
+      properties: {
+        city: { type: "string", description: "City name, e.g. Miami" },
+        unit: { type: "string", enum: ["celsius", "fahrenheit"], description: "Temperature unit (default celsius)" }
+      },
+      required: ["city"]
+    },
+    run({ city, unit = "celsius" }) {
+      const forecast = FORECASTS[String(city).toLowerCase()];
+      if (!forecast) {
+        return { isError: true, content: [{ type: "text", text: `No forecast for '${city}'. Known cities: ${Object.values(FORECASTS).map((known) => known.city).join(", ")}.` }] };
+      }
+      const convert = (celsius) => (unit === "fahrenheit" ? Math.round(celsius * 9 / 5 + 32) : celsius);
+      const result = { city: forecast.city, conditions: forecast.conditions, high: convert(forecast.highC), low: convert(forecast.lowC), unit };
+      return { content: [{ type: "text", text: JSON.stringify(result) }], structuredContent: result };
+    }
+  },
+  {
+    name: "convertCurrency",
+    description: "Converts an amount of money between USD, EUR, GBP and JPY.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        amount: { type: "number" },
+        from: { type: "string", enum: Object.keys(USD_RATES) },
+        to: { type: "string", enum: Object.keys(USD_RATES) }
+      },
+      required: ["amount", "from", "to"]
+    },
+    run({ amount, from, to }) {
+      const converted = Math.round(amount * USD_RATES[from] / USD_RATES[to] * 100) / 100;
+      return { content: [{ type: "text", text: `${amount} ${from} = ${converted} ${to}` }] };
+    }
+  }
+];
+
+const pageSize = Number(process.env["MCP_TEST_PAGE_SIZE"] || 1);
+
+const send = (message) => process.stdout.write(`${JSON.stringify({ jsonrpc: "2.0", ...message })}\n`);
+
+// Answer one request; returns the result or throws { code, message }
+function handle({ method, params = {} }) {
+  switch (method) {
+    case "initialize":
+      return {
+        protocolVersion: params.protocolVersion,
+        capabilities: { tools: {} },
+        serverInfo: { name: "mcp-test-server", version: "1.0.0" }
+      };
+    case "ping":
+      return {};
+    case "tools/list": {
+      const start = Number(params.cursor ?? 0);
+      const page = tools.slice(start, start + pageSize).map(({ run, ...tool }) => tool);
+      return { tools: page, ...(start + pageSize < tools.length ? { nextCursor: String(start + pageSize) } : {}) };
+    }
+    case "tools/call": {
+      const tool = tools.find((candidate) => candidate.name === params.name);
+      if (!tool) throw { code: -32602, message: `Unknown tool: ${params.name}` };
+      return tool.run(params.arguments ?? {});
+    }
+    default:
+      throw { code: -32601, message: `Method not found: ${method}` };
+  }
+}
+
+createInterface({ input: process.stdin }).on("line", (line) => {
+  if (!line.trim()) return;
+  let message;
+  try {
+    message = JSON.parse(line);
+  } catch {
+    return send({ id: null, error: { code: -32700, message: "Parse error" } });
+  }
+  // Notifications such as notifications/initialized need no answer
+  if (message.id === undefined) return;
+  try {
+    send({ id: message.id, result: handle(message) });
+  } catch (error) {
+    send({ id: message.id, error: { code: error.code ?? -32603, message: error.message ?? String(error) } });
+  }
+});
+
+// Diagnostics go to stderr; stdout carries only protocol messages
+console.error("mcp-test-server ready");
@@ -0,0 +1,35 @@
+// Sample code with deliberate problems, used to try the code review sample offline:
+//   GITHUB_MODELS_ENDPOINT=http://localhost:4010 node cli.js review --format markdown fixtures/review/orders.js
+const db = require("./db");
+
+const API_KEY = "sk-live-51HxExampleKeyDoNotUse";
+
+async function findOrders(customerId, status) {
+  const query = "SELECT * FROM orders WHERE customer_id = '" + customerId + "' AND status = '" + status + "'";
+  return db.query(query);
+}
+
+function applyDiscount(order, rule) {
+  // Rules come from the admin UI, e.g. "order.total * 0.9"
+  return eval(rule);
+}
+
+async function totalsByCustomer(customers) {
+  const totals = {};
+  for (const customer of customers) {
+    const orders = await findOrders(customer.id, "paid");
+    let total = 0;
+    for (let i = 0; i < orders.length; i++) {
+      total = total + orders[i].total;
+    }
+    totals[customer.id] = total;
+  }
+  return totals;
+}
+
+function formatOrder(order) {
+  var unused = order.id;
+  return order.id + ": " + order.total.toFixed(2) + " (" + order.status + ")";
+}
+
+module.exports = { findOrders, applyDiscount, totalsByCustomer, formatOrder, API_KEY };
@@ -0,0 +1,15 @@
+import { formatOrder } from "./orders";
+
+interface Order {
+  id: string;
+  total: number;
+  status: string;
+}
+
+export function printReceipt(orders: Order[]): string {
+  let text = "";
+  for (const order of orders) {
+    text += formatOrder(order) + "\n";
+  }
+  return text;
+}
@@ -0,0 +1,89 @@
+/**
+ * AGENT LOOP
+ *
+ * A model that can call tools often needs several round trips: look something up, use
+ * the result to decide on the next call, and only then answer. runAgent() repeats
+ *
+ *   1. send the conversation and the tool definitions
+ *   2. run every tool call in the reply, in parallel, and append the results
+ *
+ * until the model answers without calling a tool. A cap on the number of requests stops
+ * a model that keeps calling tools forever.
+ */
+
+import { LocalError } from "./errors.js";
+import { addUsage } from "./provider.js";
+
+// Requests one runAgent() call may make before giving up
+export const DEFAULT_MAX_ITERATIONS = 10;
+
+/**
+ * Error thrown when the model is still calling tools after the maximum number of requests
+ */
+export class AgentError extends LocalError {
+  constructor(message, { messages } = {}) {
+    super(message);
+    this.name = "AgentError";
+    // The conversation so far, for inspection
+    this.messages = messages;
+  }
+}
+
+/**
+ * Let the model use tools until it gives a final answer
+ *
+ * @param {Object} provider - A provider from createProvider()
+ * @param {Object} options
+ * @param {Array<Object>} options.messages - The conversation; tool calls and results are appended in place
+ * @param {Object} options.tools - A registry from createToolRegistry()
+ * @param {number} [options.maxIterations] - Most requests to send before giving up
+ * @param {Object} [options.params] - Extra request parameters, e.g. { model, temperature }
+ * @param {Function} [options.onToolCall] - Called with each tool call before it runs
+ * @param {Function} [options.onToolResult] - Called with each tool call and its tool message
+ * @param {Function} [options.confirm] - Asked before tools marked requiresConfirmation run (see lib/tools.js)
+ * @param {Function} [options.onDecision] - Called with the approval decision for each call, e.g. for an audit log
+ * @param {AbortSignal} [options.signal] - Cancels the requests
+ * @returns {Promise<{content: string, messages: Array<Object>, iterations: number, usage: Object|null}>} The final
+ *   answer, the conversation, the number of requests sent and their combined token usage
+ * @throws {AgentError} When the model still calls tools after maxIterations requests
+ */
+export async function runAgent(provider, {
+  messages,
+  tools,
+  maxIterations = DEFAULT_MAX_ITERATIONS,
+  params = {},
+  onToolCall = () => {},
+  onToolResult = () => {},
+  confirm,
+  onDecision,
+  signal
+}) {
+  let usage = null;
+
+  for (let iteration = 1; iteration <= maxIterations; iteration++) {
+    const response = await provider.chat({ ...params, messages, tools: tools.definitions() }, { signal });
+    const { message } = response.choices[0];
+    usage = addUsage(usage, response.usage);
+    messages.push(message);
+
+    // No tool calls means the model has answered (finish_reason "stop", or "length" when cut off)
+    if (!message.tool_calls?.length) {
+      return { content: message.content, messages, iterations: iteration, usage };
+    }
+
+    // Independent calls from the same reply run side by side; results keep the calls' order
+    const results = await Promise.all(message.tool_calls.map(async (toolCall) => {
+      onToolCall(toolCall);
+      const result = await tools.call(toolCall, { confirm, onDecision });
+      onToolResult(toolCall, result);
+      return result;
+    }));
+    messages.push(...results);
+  }
+
+  throw new AgentError(
+    `The model was still calling tools after ${maxIterations} request${maxIterations === 1 ? "" : "s"}. ` +
+      "Raise maxIterations or simplify the task.",
+    { messages }
+  );
+}
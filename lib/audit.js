@@ -0,0 +1,52 @@
+/**
+ * TOOL CALL AUDIT LOG
+ *
+ * Every decision about a tool call (ran without asking, approved, edited or denied) is
+ * appended as one JSON line to <data dir>/audit.jsonl (see dataDirectory() in
+ * lib/client.js, .ghm by default):
+ *
+ *   {"time":"2026-10-19T09:12:03.512Z","tool":"holdBooking","toolCallId":"call_1","decision":"denied",
+ *    "arguments":{"flightIds":["DL123-2025-07-16"],"passengerName":"Jane Doe"},"reason":"Wrong date"}
+ *
+ * Lines are only ever appended, so the file keeps the history of every run.
+ */
+
+import { appendFileSync, existsSync, mkdirSync, readFileSync } from "node:fs";
+import { dirname, join } from "node:path";
+
+/**
+ * Create an audit log in a data directory
+ *
+ * @param {string} dataDir - Data directory, e.g. config.dataDir from loadConfig()
+ * @returns {{file: string, record: Function, read: Function}} The log
+ */
+export function createAuditLog(dataDir) {
+  const file = join(dataDir, "audit.jsonl");
+
+  return {
+    file,
+
+    /**
+     * Append a decision; use it as the onDecision callback of runAgent() or registry.call()
+     *
+     * @param {Object} entry - { name, toolCallId, decision, arguments, editedArguments, reason }
+     * @returns {Object} The line written
+     */
+    record({ name, ...entry }) {
+      const line = { time: new Date().toISOString(), tool: name, ...entry };
+      mkdirSync(dirname(file), { recursive: true });
+      appendFileSync(file, `${JSON.stringify(line)}\n`);
+      return line;
+    },
+
+    /**
+     * Read the log back
+     *
+     * @returns {Array<Object>} Entries, oldest first
+     */
+    read() {
+      if (!existsSync(file)) return [];
+      return readFileSync(file, "utf-8").split("\n").filter(Boolean).map((line) => JSON.parse(line));
+    }
+  };
+}
@@ -0,0 +1,79 @@
+/**
+ * AZURE REST BACKEND
+ *
+ * Sends chat completions through `@azure-rest/ai-inference`, the client the GPT-5
+ * samples were originally written with. The Azure packages are only loaded the first
+ * time a request is made, so the other backends do not pay for them.
+ */
+
+import { errorFromResponse } from "../errors.js";
+import { parseSSE } from "../sse.js";
+
+/**
+ * Create the Azure REST backend
+ *
+ * @param {Object} config - A configuration from loadConfig()
+ * @returns {Object} Backend with chat() and stream() methods returning raw OpenAI-shaped data
+ */
+export function createAzureBackend(config) {
+  let clientPromise = null;
+
+  // Lazily import the Azure SDK and build the client once
+  function getClient() {
+    if (!clientPromise) {
+      clientPromise = Promise.all([
+        import("@azure-rest/ai-inference"),
+        import("@azure/core-auth")
+      ]).then(([inference, auth]) => ({
+        client: inference.default(config.endpoint, new auth.AzureKeyCredential(config.token), {
+          // Allow plain http:// endpoints such as a local OpenAI-compatible server
+          allowInsecureConnection: config.endpoint.startsWith("http:"),
+          // Retries are handled by lib/retry.js so that every backend behaves the same way
+          retryOptions: { maxRetries: 0 }
+        }),
+        isUnexpected: inference.isUnexpected
+      }));
+    }
+    return clientPromise;
+  }
+
+  return {
+    name: "azure",
+
+    // Non-streaming request; unexpected responses are turned into errors
+    async chat(body, { signal } = {}) {
+      const { client, isUnexpected } = await getClient();
+      const response = await client.path("/chat/completions").post({ body, abortSignal: signal });
+
+      if (isUnexpected(response)) {
+        throw errorFromResponse(response.status, response.body, response.headers, "azure");
+      }
+      return response.body;
+    },
+
+    // Streaming request; the raw event stream is parsed into chunks
+    async stream(body, { signal } = {}) {
+      const { client } = await getClient();
+      const response = await client
+        .path("/chat/completions")
+        .post({ body: { ...body, stream: true }, abortSignal: signal })
+        .asNodeStream();
+
+      if (response.status !== "200") {
+        // Read the error body so the message says what went wrong
+        let text = "";
+        for await (const chunk of response.body) {
+          text += chunk;
+        }
+        let errorBody = text;
+        try {
+          errorBody = JSON.parse(text);
+        } catch {
+          // Not JSON; keep the raw text
+        }
+        throw errorFromResponse(response.status, errorBody, response.headers, "azure");
+      }
+      return parseSSE(response.body);
+    }
+  };
+}
@@ -0,0 +1,60 @@
+/**
+ * PLAIN FETCH BACKEND
+ *
+ * Talks to any OpenAI-compatible endpoint with nothing but the built-in fetch().
+ * Useful for local or self-hosted servers and for seeing exactly what goes over the wire.
+ */
+
+import { errorFromResponse } from "../errors.js";
+import { parseSSE } from "../sse.js";
+
+/**
+ * Create the plain-fetch backend
+ *
+ * @param {Object} config - A configuration from loadConfig()
+ * @returns {Object} Backend with chat() and stream() methods returning raw OpenAI-shaped data
+ */
+export function createFetchBackend(config) {
+  const url = `${config.endpoint.replace(/\/+$/, "")}/chat/completions`;
+
+  // POST the request body and throw a normalized error for non-2xx responses
+  async function post(body, signal) {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "Authorization": `Bearer ${config.token}`
+      },
+      body: JSON.stringify(body),
+      signal
+    });
+
+    if (!response.ok) {
+      const text = await response.text();
+      let errorBody = text;
+      try {
+        errorBody = JSON.parse(text);
+      } catch {
+        // Not JSON; keep the raw text
+      }
+      throw errorFromResponse(response.status, errorBody, response.headers, "fetch");
+    }
+    return response;
+  }
+
+  return {
+    name: "fetch",
+
+    // Non-streaming request; resolves with the parsed JSON body
+    async chat(body, { signal } = {}) {
+      const response = await post(body, signal);
+      return response.json();
+    },
+
+    // Streaming request; the event stream is parsed into chunks
+    async stream(body, { signal } = {}) {
+      const response = await post({ ...body, stream: true }, signal);
+      return parseSSE(response.body);
+    }
+  };
+}
@@ -0,0 +1,32 @@
+/**
+ * OPENAI SDK BACKEND
+ *
+ * Sends chat completions through the official `openai` package, which is what the
+ * GPT-4o samples used originally. This is the default backend.
+ */
+
+import { createClient } from "../client.js";
+
+/**
+ * Create the OpenAI SDK backend
+ *
+ * @param {Object} config - A configuration from loadConfig()
+ * @returns {Object} Backend with chat() and stream() methods returning raw OpenAI-shaped data
+ */
+export function createOpenAIBackend(config) {
+  const client = createClient(config);
+
+  return {
+    name: "openai",
+
+    // Non-streaming request; resolves with the chat completion object
+    async chat(body, { signal } = {}) {
+      return client.chat.completions.create(body, { signal });
+    },
+
+    // Streaming request; resolves with an async iterable of chunks once the response starts
+    async stream(body, { signal } = {}) {
+      return client.chat.completions.create({ ...body, stream: true }, { signal });
+    }
+  };
+}
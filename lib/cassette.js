@@ -0,0 +1,178 @@
+/**
+ * RECORD / REPLAY CASSETTES
+ *
+ * A cassette is a JSON file holding every request a session sent to the model and
+ * the response that came back. Someone with a token records a session once; everyone
+ * else replays it offline and gets exactly the same output every time.
+ *
+ *   GITHUB_MODELS_CASSETTE=cassettes/code-review.json GITHUB_MODELS_CASSETTE_MODE=record node sample-code-review.js
+ *   GITHUB_MODELS_CASSETTE=cassettes/code-review.json GITHUB_MODELS_CASSETTE_MODE=replay node sample-code-review.js
+ *
+ * - record: requests go to the real backend; each request and its response (or, for
+ *   streams, every chunk) is appended to the cassette as soon as it completes
+ * - replay: no network access; each request must match a recorded one exactly, in any
+ *   order but each recording used once, otherwise a CassetteError is thrown
+ *
+ * The GITHUB_TOKEN value is redacted from everything written to the cassette. Failed
+ * requests are not recorded, so retries during a recording do not end up in the file.
+ */
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from "node:fs";
+import { dirname } from "node:path";
+import { LocalError } from "./errors.js";
+
+// Cassette format version, bumped if the file layout changes
+const CASSETTE_VERSION = 1;
+
+// Placeholder written instead of the token
+const REDACTED = "<GITHUB_TOKEN>";
+
+// Shortest value treated as a secret; shorter ones would match ordinary words in prompts and replies
+const MIN_SECRET_LENGTH = 16;
+
+/**
+ * Error thrown when a cassette cannot be used, e.g. a replayed request was never recorded
+ */
+export class CassetteError extends LocalError {
+  constructor(message) {
+    super(message);
+    this.name = "CassetteError";
+  }
+}
+
+/**
+ * Serialize a value with object keys sorted, so equal requests compare equal
+ *
+ * @param {*} value - Any JSON value
+ * @returns {string} Canonical JSON text
+ */
+export function canonicalJson(value) {
+  return JSON.stringify(value, (key, item) => {
+    if (item && typeof item === "object" && !Array.isArray(item)) {
+      return Object.fromEntries(Object.keys(item).sort().map((name) => [name, item[name]]));
+    }
+    return item;
+  });
+}
+
+/**
+ * Replace every occurrence of the token in a JSON-compatible value
+ *
+ * Tokens shorter than MIN_SECRET_LENGTH are left alone: GitHub tokens are far longer,
+ * and replacing a short string would corrupt the recorded text.
+ *
+ * @param {*} value - Value to redact
+ * @param {string} token - The secret to remove
+ * @returns {*} A redacted deep copy
+ */
+function redact(value, token) {
+  const text = JSON.stringify(value);
+  if (!token || token.length < MIN_SECRET_LENGTH || text === undefined) return value;
+  return JSON.parse(text.split(token).join(REDACTED));
+}
+
+// Short description of a request for error messages
+function describeRequest(body) {
+  const lastMessage = body.messages?.at(-1);
+  const content = typeof lastMessage?.content === "string"
+    ? lastMessage.content
+    : JSON.stringify(lastMessage?.content ?? "");
+  const preview = content.length > 80 ? `${content.slice(0, 80)}...` : content;
+  return `model ${body.model}, ${body.messages?.length ?? 0} messages, last ${lastMessage?.role}: "${preview}"`;
+}
+
+/**
+ * Wrap a backend so its traffic is recorded to, or replayed from, a cassette
+ *
+ * @param {Object} backend - Backend with chat() and stream() (see lib/backends)
+ * @param {Object} options
+ * @param {string} options.path - Cassette file
+ * @param {string} options.mode - "record" or "replay"
+ * @param {string} [options.token] - Secret to redact from recordings
+ * @returns {Object} Backend with the same interface
+ * @throws {CassetteError} For an unknown mode or a missing cassette in replay mode
+ */
+export function withCassette(backend, { path, mode, token }) {
+  if (mode === "record") return recordingBackend(backend, path, token);
+  if (mode === "replay") return replayingBackend(backend.name, path);
+  throw new CassetteError(`Unknown cassette mode '${mode}'. Use 'record' or 'replay'.`);
+}
+
+// Backend that forwards requests and appends each completed interaction to the cassette
+function recordingBackend(backend, path, token) {
+  const cassette = { version: CASSETTE_VERSION, recordedAt: new Date().toISOString(), interactions: [] };
+
+  // Rewrite the whole file after each interaction so an interrupted session keeps what it has
+  function save(interaction) {
+    cassette.interactions.push(redact(interaction, token));
+    mkdirSync(dirname(path), { recursive: true });
+    writeFileSync(path, JSON.stringify(cassette, null, 2) + "\n");
+  }
+
+  return {
+    name: backend.name,
+
+    async chat(body, options) {
+      const response = await backend.chat(body, options);
+      save({ request: body, response });
+      return response;
+    },
+
+    async stream(body, options) {
+      const chunks = await backend.stream(body, options);
+      // Pass chunks through as they arrive and save them once the stream has finished
+      return (async function* () {
+        const recorded = [];
+        for await (const chunk of chunks) {
+          recorded.push(chunk);
+          yield chunk;
+        }
+        save({ request: { ...body, stream: true }, chunks: recorded });
+      })();
+    }
+  };
+}
+
+// Backend that answers from the cassette and never touches the network
+function replayingBackend(name, path) {
+  if (!existsSync(path)) {
+    throw new CassetteError(`Cassette '${path}' does not exist. Record it first with GITHUB_MODELS_CASSETTE_MODE=record.`);
+  }
+  const { interactions = [] } = JSON.parse(readFileSync(path, "utf-8"));
+  const used = new Set();
+
+  // Find the first unused recording of exactly this request
+  function take(body) {
+    const key = canonicalJson(body);
+    const index = interactions.findIndex((interaction, position) =>
+      !used.has(position) && canonicalJson(interaction.request) === key
+    );
+    if (index === -1) {
+      throw new CassetteError(
+        `No recorded interaction in '${path}' matches this request (${describeRequest(body)}). ` +
+        "Re-record the cassette if the prompts changed."
+      );
+    }
+    used.add(index);
+    return interactions[index];
+  }
+
+  return {
+    name,
+
+    async chat(body) {
+      const interaction = take(body);
+      if (!interaction.response) {
+        throw new CassetteError(`The recording for this request in '${path}' is a stream, not a single response.`);
+      }
+      return interaction.response;
+    },
+
+    async stream(body) {
+      const interaction = take({ ...body, stream: true });
+      return (async function* () {
+        yield* interaction.chunks || [];
+      })();
+    }
+  };
+}
@@ -0,0 +1,252 @@
+/**
+ * SHARED MODEL CLIENT
+ *
+ * This module is the single place where the samples learn which endpoint, model and
+ * credentials to use. Instead of every sample repeating its own token/endpoint/model
+ * constants, each one asks this module for a configuration and a ready-made client.
+ *
+ * Configuration is resolved in this order (first match wins):
+ * 0. Command-line flags of the ghm CLI (see setConfigOverrides() and cli.js)
+ * 1. Environment variables (usually from the .env file)
+ *    - GITHUB_TOKEN               - GitHub token used as the API key (required, except for
+ *                                   local endpoints such as the mock server in lib/mock-server.js)
+ *    - GITHUB_MODELS_ENDPOINT     - Inference endpoint URL
+ *    - GITHUB_MODELS_MODEL        - Model name, overrides every sample's default model
+ *    - GITHUB_MODELS_TEMPERATURE  - Default sampling temperature
+ *    - GITHUB_MODELS_TOP_P        - Default nucleus sampling value
+ *    - GITHUB_MODELS_MAX_TOKENS   - Default maximum tokens in a response
+ *    - GITHUB_MODELS_BACKEND      - Backend used by lib/provider.js: openai (default), azure or fetch
+ *    - GITHUB_MODELS_MAX_ATTEMPTS - Attempts per request before giving up on rate limits/errors (default 3)
+ *    - GITHUB_MODELS_MAX_RETRY_WAIT - Longest wait in seconds worth retrying for (default 60)
+ *    - GITHUB_MODELS_CONTEXT_WINDOW - Context window in tokens, overrides the built-in size for the model
+ *                                   (see lib/tokens.js)
+ *    - GITHUB_MODELS_CASSETTE     - Cassette file for recording/replaying sessions (see lib/cassette.js)
+ *    - GITHUB_MODELS_CASSETTE_MODE - record or replay (default replay); replaying needs no token
+ *    - GITHUB_MODELS_DATA_DIR     - Directory for saved chat sessions and other local data (defaults to .ghm)
+ *    - GITHUB_MODELS_CONFIG       - Path of a JSON config file (defaults to models.config.json)
+ * 2. The JSON config file, using the keys endpoint, model, backend, temperature, top_p, max_tokens,
+ *    maxAttempts, maxRetryWait, contextWindow, dataDir, cassette and cassetteMode
+ * 3. The defaults passed in by the sample (e.g. the reasoning sample asks for o1-preview)
+ * 4. GitHub's inference endpoint and the GPT-4o model
+ *
+ * This lets you point all samples at a different endpoint or model without editing them.
+ */
+
+import OpenAI from "openai";
+import dotenv from "dotenv";
+import { existsSync, readFileSync } from "node:fs";
+import { resolve } from "node:path";
+import { LocalError } from "./errors.js";
+import { DEFAULT_MAX_ATTEMPTS, DEFAULT_MAX_WAIT_SECONDS } from "./retry.js";
+
+// Load environment variables from a .env file into process.env
+dotenv.config();
+
+// GitHub's AI inference endpoint and the model used when nothing else is configured
+export const DEFAULT_ENDPOINT = "https://models.github.ai/inference";
+export const DEFAULT_MODEL = "openai/gpt-4o";
+export const DEFAULT_BACKEND = "openai";
+
+// Token used for local endpoints and cassette replays when GITHUB_TOKEN is not set; not a secret
+export const LOCAL_TOKEN = "local";
+
+// Config file looked up in the current directory when GITHUB_MODELS_CONFIG is not set
+const DEFAULT_CONFIG_FILE = "models.config.json";
+
+// Local data (saved sessions...) lives here unless GITHUB_MODELS_DATA_DIR says otherwise
+const DEFAULT_DATA_DIR = ".ghm";
+
+// Sampling parameters that can be given a project-wide default
+const SAMPLING_KEYS = ["temperature", "top_p", "max_tokens"];
+
+// Settings given explicitly for this process (e.g. --model on the command line)
+let overrides = {};
+
+/**
+ * Error thrown when the configuration is missing or invalid.
+ * Samples print its message as-is, so it should tell the user how to fix the problem.
+ */
+export class ConfigError extends LocalError {
+  constructor(message) {
+    super(message);
+    this.name = "ConfigError";
+  }
+}
+
+/**
+ * Read the optional JSON config file
+ *
+ * @returns {Object} The parsed config, or an empty object when there is no file
+ */
+function readConfigFile() {
+  const explicitPath = process.env["GITHUB_MODELS_CONFIG"];
+  const configPath = resolve(explicitPath || DEFAULT_CONFIG_FILE);
+
+  if (!existsSync(configPath)) {
+    // Only complain when the user explicitly asked for a file
+    if (explicitPath) {
+      throw new ConfigError(`Config file '${configPath}' does not exist.`);
+    }
+    return {};
+  }
+
+  try {
+    return JSON.parse(readFileSync(configPath, "utf-8"));
+  } catch (error) {
+    throw new ConfigError(`Could not parse config file '${configPath}': ${error.message}`);
+  }
+}
+
+/**
+ * Check whether an endpoint points at this machine (e.g. the offline mock server)
+ *
+ * @param {string} endpoint - Endpoint URL
+ * @returns {boolean} True for localhost and loopback addresses
+ */
+function isLocalEndpoint(endpoint) {
+  try {
+    const { hostname } = new URL(endpoint);
+    return ["localhost", "127.0.0.1", "[::1]"].includes(hostname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Convert a numeric setting to a number, rejecting values that are not numbers
+ *
+ * @param {string} name - Name of the setting, used in the error message
+ * @param {string|number|undefined} value - Raw value from the environment or config file
+ * @returns {number|undefined} The parsed number, or undefined when not set
+ */
+function toNumber(name, value) {
+  if (value === undefined || value === null || value === "") return undefined;
+  const number = Number(value);
+  if (Number.isNaN(number)) {
+    throw new ConfigError(`${name} must be a number, got '${value}'.`);
+  }
+  return number;
+}
+
+/**
+ * Set configuration values that win over every other source.
+ * The CLI uses this for its --model, --endpoint, --temperature and --max-tokens flags.
+ * Sampling values set here also win over the values a sample passes for a single request.
+ *
+ * @param {Object} values - Any of endpoint, model, backend, temperature, top_p, max_tokens
+ */
+export function setConfigOverrides(values) {
+  overrides = Object.fromEntries(
+    Object.entries(values).filter(([, value]) => value !== undefined)
+  );
+}
+
+/**
+ * Resolve the directory for local data such as saved sessions.
+ * Unlike loadConfig() this needs no token, so sessions can be managed offline.
+ *
+ * @returns {string} Absolute path of the data directory
+ */
+export function dataDirectory() {
+  return resolve(process.env["GITHUB_MODELS_DATA_DIR"] || readConfigFile().dataDir || DEFAULT_DATA_DIR);
+}
+
+/**
+ * Resolve the endpoint, model, token and default sampling parameters
+ *
+ * @param {Object} [defaults] - Sample-specific defaults, e.g. { model: "openai/gpt-5" }
+ * @returns {{endpoint: string, model: string, backend: string, token: string, sampling: Object, forced: Object, retry: Object, contextWindow: number|undefined, dataDir: string, cassette: Object|null}} The resolved configuration
+ * @throws {ConfigError} When GITHUB_TOKEN is missing or a setting is invalid
+ */
+export function loadConfig(defaults = {}) {
+  const env = process.env;
+  const file = readConfigFile();
+
+  const endpoint = overrides.endpoint || env["GITHUB_MODELS_ENDPOINT"] || file.endpoint || defaults.endpoint || DEFAULT_ENDPOINT;
+
+  const cassettePath = env["GITHUB_MODELS_CASSETTE"] || file.cassette;
+  const cassette = cassettePath
+    ? { path: resolve(cassettePath), mode: env["GITHUB_MODELS_CASSETTE_MODE"] || file.cassetteMode || "replay" }
+    : null;
+
+  // Local servers and cassette replays never check the token, so a placeholder keeps offline runs token-free
+  const offline = isLocalEndpoint(endpoint) || cassette?.mode === "replay";
+  const token = env["GITHUB_TOKEN"] || (offline ? LOCAL_TOKEN : undefined);
+  if (!token) {
+    throw new ConfigError(
+      "GITHUB_TOKEN is not set. Copy .env.sample to .env and add your GitHub token " +
+      "(see 'How to Get a GitHub Token' in the README)."
+    );
+  }
+
+  // Only include sampling parameters that were actually configured somewhere
+  const sampling = {};
+  const forced = {};
+  for (const key of SAMPLING_KEYS) {
+    const value = toNumber(
+      key,
+      env[`GITHUB_MODELS_${key.toUpperCase()}`] ?? file[key] ?? defaults[key]
+    );
+    if (value !== undefined) {
+      sampling[key] = value;
+    }
+    if (overrides[key] !== undefined) {
+      forced[key] = toNumber(key, overrides[key]);
+    }
+  }
+
+  return {
+    endpoint,
+    model: overrides.model || env["GITHUB_MODELS_MODEL"] || file.model || defaults.model || DEFAULT_MODEL,
+    backend: overrides.backend || env["GITHUB_MODELS_BACKEND"] || file.backend || defaults.backend || DEFAULT_BACKEND,
+    token,
+    sampling,
+    forced,
+    retry: {
+      maxAttempts: toNumber(
+        "GITHUB_MODELS_MAX_ATTEMPTS",
+        env["GITHUB_MODELS_MAX_ATTEMPTS"] ?? file.maxAttempts
+      ) ?? DEFAULT_MAX_ATTEMPTS,
+      maxWaitSeconds: toNumber(
+        "GITHUB_MODELS_MAX_RETRY_WAIT",
+        env["GITHUB_MODELS_MAX_RETRY_WAIT"] ?? file.maxRetryWait
+      ) ?? DEFAULT_MAX_WAIT_SECONDS
+    },
+    contextWindow: toNumber(
+      "GITHUB_MODELS_CONTEXT_WINDOW",
+      env["GITHUB_MODELS_CONTEXT_WINDOW"] ?? file.contextWindow
+    ),
+    dataDir: dataDirectory(),
+    cassette
+  };
+}
+
+/**
+ * Create an OpenAI SDK client for the configured endpoint
+ *
+ * @param {Object} [config] - A configuration from loadConfig(); loaded with defaults when omitted
+ * @returns {OpenAI} The client
+ */
+export function createClient(config = loadConfig()) {
+  // Retries are handled by lib/retry.js so that every backend behaves the same way
+  return new OpenAI({ baseURL: config.endpoint, apiKey: config.token, maxRetries: 0 });
+}
+
+/**
+ * Build the parameters for a chat completion request.
+ * The configured model and default sampling parameters are applied first, so anything
+ * the sample passes explicitly (messages, tools, a specific temperature...) takes precedence.
+ * Values forced through setConfigOverrides() are applied last.
+ *
+ * @param {Object} config - A configuration from loadConfig()
+ * @param {Object} params - Request-specific parameters
+ * @returns {Object} The complete request parameters
+ */
+export function completionParams(config, params) {
+  return {
+    model: config.model,
+    ...config.sampling,
+    ...params,
+    ...config.forced
+  };
+}
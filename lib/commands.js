@@ -0,0 +1,135 @@
+/**
+ * SLASH COMMANDS
+ *
+ * Interactive samples treat input starting with "/" as a command instead of a message
+ * for the model. Commands live in a registry, so each sample starts from the commands
+ * it shares with others and adds its own:
+ *
+ *   const commands = createChatCommands();          // see lib/samples/multiturn.js
+ *   commands.register("recap", {
+ *     description: "Summarize the story so far",
+ *     run: async (args, context) => { ... }
+ *   });
+ *
+ * A command's run(args, context) receives everything after the command name as one
+ * string, plus whatever context object the sample passes to execute(). Returning
+ * EXIT_COMMAND asks the sample to end the session.
+ */
+
+import { LocalError } from "./errors.js";
+
+// Returned by a command to end the session
+export const EXIT_COMMAND = Symbol("exit");
+
+/**
+ * Error thrown for a command that does not exist or was used incorrectly
+ */
+export class CommandError extends LocalError {
+  constructor(message) {
+    super(message);
+    this.name = "CommandError";
+  }
+}
+
+/**
+ * Check whether a line of input is a command
+ *
+ * @param {string} input - A line typed by the user
+ * @returns {boolean} True when it starts with "/" followed by a name
+ */
+export function isCommand(input) {
+  return /^\/[a-z]/i.test(input.trim());
+}
+
+/**
+ * Split a command line into its name and argument text
+ *
+ * @param {string} input - e.g. "/system You are a pirate"
+ * @returns {{name: string, args: string}} e.g. { name: "system", args: "You are a pirate" }
+ */
+export function parseCommand(input) {
+  const [, name, args = ""] = /^\/(\S+)\s*([\s\S]*)$/.exec(input.trim()) || [];
+  return { name: (name || "").toLowerCase(), args: args.trim() };
+}
+
+/**
+ * Create an empty command registry
+ *
+ * @returns {{register: Function, get: Function, list: Function, execute: Function, help: Function}} The registry
+ */
+export function createCommandRegistry() {
+  // Command definitions by name and by alias; registering a name again replaces it
+  const commands = new Map();
+
+  return {
+    /**
+     * Add a command, replacing any existing command with the same name
+     *
+     * @param {string} name - Name typed after the slash, e.g. "retry"
+     * @param {Object} command
+     * @param {string} command.description - One line shown by /help
+     * @param {string} [command.usage] - Arguments shown by /help, e.g. "<prompt>"
+     * @param {Array<string>} [command.aliases] - Other names for the command
+     * @param {Function} command.run - Async (args, context) => result
+     * @returns {Object} The registry, for chaining
+     */
+    register(name, { description, usage = "", aliases = [], run }) {
+      const command = { name, description, usage, aliases, run };
+      for (const key of [name, ...aliases]) {
+        commands.set(key.toLowerCase(), command);
+      }
+      return this;
+    },
+
+    /**
+     * Look up a command by name or alias
+     *
+     * @param {string} name - Command name without the slash
+     * @returns {Object|undefined} The command
+     */
+    get(name) {
+      return commands.get(name.toLowerCase());
+    },
+
+    /**
+     * List the registered commands, each once, in registration order
+     *
+     * @returns {Array<Object>} Commands with name, description, usage and aliases
+     */
+    list() {
+      return [...new Set(commands.values())];
+    },
+
+    /**
+     * Run the command a line of input names
+     *
+     * @param {string} input - The line typed by the user
+     * @param {Object} context - Passed to the command's run()
+     * @returns {Promise<*>} Whatever the command returns
+     * @throws {CommandError} When no command has that name
+     */
+    async execute(input, context) {
+      const { name, args } = parseCommand(input);
+      const command = commands.get(name);
+      if (!command) {
+        throw new CommandError(`Unknown command '/${name}'. Type /help to see the available commands.`);
+      }
+      return command.run(args, context);
+    },
+
+    /**
+     * Describe every command, one per line
+     *
+     * @returns {string} Help text
+     */
+    help() {
+      const entries = this.list().map((command) => {
+        const signature = `/${command.name}${command.usage ? ` ${command.usage}` : ""}`;
+        const aliases = command.aliases.length > 0 ? ` (also ${command.aliases.map((alias) => `/${alias}`).join(", ")})` : "";
+        return { signature, text: `${command.description}${aliases}` };
+      });
+      const width = Math.max(...entries.map((entry) => entry.signature.length));
+      return entries.map((entry) => `  ${entry.signature.padEnd(width)}  ${entry.text}`).join("\n");
+    }
+  };
+}
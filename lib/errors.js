@@ -0,0 +1,208 @@
+/**
+ * NORMALIZED MODEL ERRORS
+ *
+ * Each backend reports failures differently: the OpenAI SDK throws APIError instances,
+ * the Azure REST client returns unexpected responses that have to be checked with
+ * isUnexpected(), and fetch() hands back a Response with a JSON error body.
+ * This module turns all of them into a single ModelError so the samples (and the
+ * layers built on top of the provider) only ever have to handle one error shape.
+ */
+
+/**
+ * Error raised by any backend when a model request fails
+ */
+export class ModelError extends Error {
+  /**
+   * @param {string} message - Human-readable description of the failure
+   * @param {Object} [details]
+   * @param {number} [details.status] - HTTP status code, undefined for connection failures
+   * @param {string} [details.code] - Error code reported by the service (e.g. "RateLimitReached")
+   * @param {Object} [details.headers] - Response headers with lower-cased names
+   * @param {string} [details.backend] - Name of the backend that produced the error
+   * @param {Error} [details.cause] - The original error
+   */
+  constructor(message, { status, code, headers = {}, backend, cause } = {}) {
+    super(message, { cause });
+    this.name = "ModelError";
+    this.status = status;
+    this.code = code;
+    this.headers = headers;
+    this.backend = backend;
+  }
+}
+
+/**
+ * Base class for errors raised on this machine (bad configuration, an unusable cassette or
+ * review request, a runaway agent loop, ...). Retrying cannot fix them, so they are passed
+ * through unchanged and their message is shown as-is.
+ */
+export class LocalError extends Error {}
+
+/**
+ * Convert a Headers instance, a Map-like object or a plain object to a plain object
+ * with lower-cased header names
+ *
+ * @param {Headers|Object|undefined} headers - Headers in any of the supported shapes
+ * @returns {Object} Plain object of header values
+ */
+export function headersToObject(headers) {
+  const result = {};
+  if (!headers) return result;
+
+  const entries = typeof headers.entries === "function" && typeof headers.get === "function"
+    ? headers.entries()
+    : Object.entries(headers);
+  for (const [name, value] of entries) {
+    result[name.toLowerCase()] = value;
+  }
+  return result;
+}
+
+/**
+ * Build a ModelError from an HTTP status and a (possibly JSON) error body
+ *
+ * @param {number|string} status - HTTP status code
+ * @param {Object|string} body - Parsed error body or raw text
+ * @param {Object} headers - Response headers
+ * @param {string} backend - Name of the backend
+ * @returns {ModelError} The normalized error
+ */
+export function errorFromResponse(status, body, headers, backend) {
+  const error = body && typeof body === "object" ? body.error ?? body : undefined;
+  const detail = error?.message || (typeof body === "string" && body) || "no error details";
+  return new ModelError(`${status} ${detail}`, {
+    status: Number(status),
+    code: error?.code,
+    headers: headersToObject(headers),
+    backend
+  });
+}
+
+/**
+ * Check whether an error comes from a request cancelled through an AbortSignal
+ *
+ * @param {unknown} error - The thrown value
+ * @returns {boolean} True for cancellations
+ */
+export function isAbortError(error) {
+  return error?.name === "AbortError" || error?.name === "APIUserAbortError";
+}
+
+/**
+ * Normalize anything a backend throws into a ModelError
+ *
+ * @param {unknown} error - The thrown value
+ * @param {string} backend - Name of the backend
+ * @returns {ModelError|Error} The normalized error; ModelErrors, local errors and cancellations are returned unchanged
+ */
+export function toModelError(error, backend) {
+  // Cancellations stay as they are so callers can tell them apart from failures
+  if (error instanceof ModelError || isAbortError(error) || error instanceof LocalError) return error;
+
+  return new ModelError(error?.message || String(error), {
+    status: error?.status,
+    code: error?.code ?? error?.error?.code,
+    headers: headersToObject(error?.headers),
+    backend,
+    cause: error
+  });
+}
+
+/**
+ * Parse a duration header value into milliseconds.
+ * Accepts plain seconds ("20"), Go-style durations ("1m30s", "250ms") and HTTP dates.
+ *
+ * @param {string|undefined} value - Header value
+ * @returns {number|undefined} Milliseconds to wait, or undefined when it cannot be parsed
+ */
+export function parseDuration(value) {
+  if (value === undefined || value === null || value === "") return undefined;
+  const text = String(value).trim();
+
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Math.round(Number(text) * 1000);
+  }
+
+  const units = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+  const parts = [...text.matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)];
+  if (parts.length > 0 && parts.map((part) => part[0]).join("") === text) {
+    return Math.round(parts.reduce((total, [, amount, unit]) => total + Number(amount) * units[unit], 0));
+  }
+
+  const date = Date.parse(text);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+  return undefined;
+}
+
+/**
+ * Read how long the server asked us to wait before retrying
+ *
+ * @param {Object} headers - Response headers with lower-cased names
+ * @returns {number|undefined} Milliseconds to wait, or undefined when the server did not say
+ */
+export function serverRetryDelay(headers = {}) {
+  if (headers["retry-after-ms"] !== undefined) {
+    const milliseconds = Number(headers["retry-after-ms"]);
+    if (!Number.isNaN(milliseconds)) return milliseconds;
+  }
+
+  const retryAfter = parseDuration(headers["retry-after"]);
+  if (retryAfter !== undefined) return retryAfter;
+
+  // OpenAI-style reset headers; wait for whichever limit resets last
+  const resets = ["x-ratelimit-reset-requests", "x-ratelimit-reset-tokens"]
+    .map((name) => parseDuration(headers[name]))
+    .filter((delay) => delay !== undefined);
+  return resets.length > 0 ? Math.max(...resets) : undefined;
+}
+
+/**
+ * Format a number of milliseconds as a short human-readable duration
+ *
+ * @param {number} milliseconds - Duration to format
+ * @returns {string} e.g. "45s", "3m 20s" or "5h 12m"
+ */
+export function formatDuration(milliseconds) {
+  const seconds = Math.ceil(milliseconds / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+/**
+ * Turn an error into a message that tells the user what happened and what to do,
+ * instead of a raw stack trace. Unexpected errors keep their stack for debugging.
+ *
+ * @param {unknown} error - Any error thrown by a sample
+ * @returns {string} Readable description
+ */
+export function describeError(error) {
+  if (error instanceof LocalError) return error.message;
+  if (!(error instanceof ModelError)) return error?.stack || String(error);
+
+  const attempts = error.attempts > 1 ? ` after ${error.attempts} attempts` : "";
+
+  if (error.status === 429) {
+    const wait = serverRetryDelay(error.headers);
+    const daily = /day|86400/i.test(error.message) || wait > 3600000;
+    return [
+      `Rate limit reached${attempts}: ${error.message}`,
+      daily
+        ? "The daily quota for this model is used up."
+        : "The per-minute quota for this model is used up.",
+      wait !== undefined ? `Try again in about ${formatDuration(wait)}.` : "Try again in a little while.",
+      "You can switch to a model with separate quota by setting GITHUB_MODELS_MODEL."
+    ].join("\n");
+  }
+  if (error.status === 401 || error.status === 403) {
+    return `Authentication failed (${error.status}): ${error.message}\n` +
+      "Check that GITHUB_TOKEN is valid and has the models:read permission.";
+  }
+  if (error.status === undefined) {
+    return `Could not reach the model endpoint${attempts}: ${error.message}`;
+  }
+  return `The model request failed${attempts}: ${error.message}`;
+}
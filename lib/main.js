@@ -0,0 +1,27 @@
+/**
+ * DIRECT RUNS
+ *
+ * Every sample can be imported (by cli.js, or by your own code) or run on its own with
+ * `node sample-*.js`. It only starts when it is the file Node was asked to run. Comparing
+ * import.meta.url with a file:// URL built from process.argv[1] is not enough for that:
+ * the URL is percent-encoded (spaces, "%", non-ASCII characters in the path) and the
+ * path may reach the file through a symlink, such as the ghm bin link.
+ */
+
+import { realpathSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+
+/**
+ * Check whether a module is the script Node was started with
+ *
+ * @param {string} moduleUrl - The module's import.meta.url
+ * @returns {boolean} True when the module was run directly
+ */
+export function isMainModule(moduleUrl) {
+  if (!process.argv[1]) return false;
+  try {
+    return realpathSync(process.argv[1]) === realpathSync(fileURLToPath(moduleUrl));
+  } catch {
+    return false;
+  }
+}
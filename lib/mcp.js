@@ -0,0 +1,346 @@
+/**
+ * MCP CLIENT
+ *
+ * Model Context Protocol servers publish tools that any MCP client can call. This client
+ * starts servers as child processes and talks JSON-RPC 2.0 to them over stdio (one JSON
+ * message per line), so their tools can sit in a tool registry next to local ones:
+ *
+ *   const servers = await connectMcpServers(loadMcpConfig("fixtures/mcp.json"));
+ *   try {
+ *     const tools = await registerMcpTools(createToolRegistry(), servers.clients);
+ *     await runAgent(provider, { messages, tools });
+ *   } finally {
+ *     await servers.close();
+ *   }
+ *
+ * registerMcpTools() lists each server's tools, turns their input schemas into the
+ * parameters of the chat completions `tools` format, and registers handlers that send
+ * tools/call to the server the tool came from. Text in the result becomes the tool
+ * message; results the server flags with isError are reported to the model as failures.
+ * Tools are only treated as read-only when the server says so (annotations.readOnlyHint);
+ * all others require confirmation before they run.
+ *
+ * The config file uses the layout most MCP hosts share:
+ *
+ *   { "mcpServers": { "weather": { "command": "node", "args": ["server.js"], "env": {}, "prefix": "weather_" } } }
+ */
+
+import { spawn } from "node:child_process";
+import { readFileSync } from "node:fs";
+import { dirname, resolve } from "node:path";
+import { createInterface } from "node:readline";
+import { ConfigError } from "./client.js";
+import { LocalError } from "./errors.js";
+
+// Protocol revision this client speaks
+export const MCP_PROTOCOL_VERSION = "2025-06-18";
+
+// Milliseconds to wait for a server's answer to one request
+export const DEFAULT_REQUEST_TIMEOUT = 30000;
+
+// Lines of a server's stderr kept to explain a failure
+const STDERR_LINES = 20;
+
+// Tool names the chat completions API accepts
+const TOOL_NAME = /^[a-zA-Z0-9_-]{1,64}$/;
+
+/**
+ * Error thrown when an MCP server cannot be started, misbehaves or answers with an error
+ */
+export class McpError extends LocalError {
+  /**
+   * @param {string} message - Human-readable description of the failure
+   * @param {Object} [details]
+   * @param {string} [details.server] - Name of the server
+   * @param {number} [details.code] - JSON-RPC error code, when the server sent one
+   */
+  constructor(message, { server, code } = {}) {
+    super(message);
+    this.name = "McpError";
+    this.server = server;
+    this.code = code;
+  }
+}
+
+/**
+ * Read an MCP server config file
+ *
+ * Servers run in the file's directory unless their `cwd` says otherwise; relative `cwd`
+ * values are resolved against it too.
+ *
+ * @param {string} file - JSON file with an "mcpServers" object
+ * @returns {Object} Server settings by name: { command, args, env, cwd, prefix, timeout }
+ * @throws {ConfigError} When the file is missing, not JSON or has no usable servers
+ */
+export function loadMcpConfig(file) {
+  let config;
+  try {
+    config = JSON.parse(readFileSync(file, "utf-8"));
+  } catch (error) {
+    throw new ConfigError(`Cannot read the MCP config '${file}': ${error.message}`);
+  }
+  const servers = config?.mcpServers;
+  if (!servers || typeof servers !== "object" || Object.keys(servers).length === 0) {
+    throw new ConfigError(`The MCP config '${file}' has no "mcpServers" entries.`);
+  }
+  for (const [name, server] of Object.entries(servers)) {
+    if (typeof server?.command !== "string" || !server.command) {
+      throw new ConfigError(`MCP server '${name}' in '${file}' needs a "command".`);
+    }
+    if (server.args !== undefined && !Array.isArray(server.args)) {
+      throw new ConfigError(`The "args" of MCP server '${name}' in '${file}' must be a list.`);
+    }
+    server.cwd = resolve(dirname(file), server.cwd ?? ".");
+  }
+  return servers;
+}
+
+/**
+ * Start an MCP server and complete the initialize handshake
+ *
+ * @param {string} name - Name used in messages and errors
+ * @param {Object} options
+ * @param {string} options.command - Program to run
+ * @param {Array<string>} [options.args] - Its arguments
+ * @param {Object} [options.env] - Extra environment variables
+ * @param {string} [options.cwd] - Working directory
+ * @param {string} [options.prefix] - Added to the server's tool names when they are registered
+ * @param {number} [options.timeout] - Milliseconds to wait for each answer
+ * @returns {Promise<Object>} The client: { name, prefix, serverInfo, listTools, callTool, close }
+ * @throws {McpError} When the server does not start or rejects the handshake
+ */
+export async function connectMcpServer(name, { command, args = [], env = {}, cwd, prefix = "", timeout = DEFAULT_REQUEST_TIMEOUT }) {
+  const child = spawn(command, args, { cwd, env: { ...process.env, ...env }, stdio: ["pipe", "pipe", "pipe"] });
+  const pending = new Map();
+  const stderr = [];
+  let nextId = 1;
+  let exited = null;
+
+  // Why the server is gone, with the end of what it wrote to stderr
+  const exitError = () => new McpError(
+    `MCP server '${name}' ${exited.message}` + (stderr.length ? `:\n${stderr.join("\n")}` : "."),
+    { server: name }
+  );
+
+  const fail = (message) => {
+    exited ??= { message };
+    for (const request of pending.values()) request.reject(exitError());
+    pending.clear();
+  };
+  child.on("error", (error) => fail(`could not be started (${error.message})`));
+  child.on("exit", (code, signal) => fail(signal ? `was stopped by ${signal}` : `exited with code ${code}`));
+  // A server that exits early closes its stdin; the exit handler reports why
+  child.stdin.on("error", () => {});
+
+  createInterface({ input: child.stderr }).on("line", (line) => {
+    stderr.push(line);
+    if (stderr.length > STDERR_LINES) stderr.shift();
+  });
+
+  const send = (message) => child.stdin.write(`${JSON.stringify({ jsonrpc: "2.0", ...message })}\n`);
+
+  // Answer requests the server sends us; this client offers no capabilities beyond ping
+  const answerServer = (message) => {
+    if (message.method === "ping") return send({ id: message.id, result: {} });
+    send({ id: message.id, error: { code: -32601, message: `Method not found: ${message.method}` } });
+  };
+
+  createInterface({ input: child.stdout }).on("line", (line) => {
+    if (!line.trim()) return;
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      // Servers must only write protocol messages to stdout; keep stray output for error reports
+      stderr.push(`(stdout) ${line}`);
+      return;
+    }
+    if (message.method !== undefined) {
+      // Notifications (no id) such as notifications/tools/list_changed are not acted on
+      if (message.id !== undefined) answerServer(message);
+      return;
+    }
+    const request = pending.get(message.id);
+    if (!request) return;
+    pending.delete(message.id);
+    if (message.error) {
+      request.reject(new McpError(`MCP server '${name}' rejected ${request.method}: ${message.error.message}`,
+        { server: name, code: message.error.code }));
+    } else {
+      request.resolve(message.result);
+    }
+  });
+
+  // Send a request and wait for its answer
+  const request = (method, params) => new Promise((resolvePromise, reject) => {
+    if (exited) return reject(exitError());
+    const id = nextId++;
+    const timer = setTimeout(() => {
+      pending.delete(id);
+      reject(new McpError(`MCP server '${name}' did not answer ${method} within ${timeout} ms.`, { server: name }));
+    }, timeout);
+    const settle = (callback) => (value) => {
+      clearTimeout(timer);
+      callback(value);
+    };
+    pending.set(id, { method, resolve: settle(resolvePromise), reject: settle(reject) });
+    send({ id, method, ...(params ? { params } : {}) });
+  });
+
+  const close = async () => {
+    if (exited) return;
+    // Closing stdin asks the server to shut down; stop it if it does not
+    const done = new Promise((resolveExit) => child.once("exit", resolveExit));
+    child.stdin.end();
+    const timer = setTimeout(() => child.kill(), 2000);
+    await done;
+    clearTimeout(timer);
+  };
+
+  let initialized;
+  try {
+    initialized = await request("initialize", {
+      protocolVersion: MCP_PROTOCOL_VERSION,
+      capabilities: {},
+      clientInfo: { name: "github-models-samples", version: "1.0.0" }
+    });
+  } catch (error) {
+    await close();
+    throw error;
+  }
+  send({ method: "notifications/initialized" });
+
+  return {
+    name,
+    prefix,
+    serverInfo: initialized.serverInfo,
+    protocolVersion: initialized.protocolVersion,
+
+    /**
+     * List every tool the server offers, following pagination cursors
+     *
+     * @returns {Promise<Array<Object>>} Tools: { name, description, inputSchema, annotations }
+     */
+    async listTools() {
+      const tools = [];
+      let cursor;
+      do {
+        const page = await request("tools/list", cursor ? { cursor } : undefined);
+        tools.push(...(page.tools ?? []));
+        cursor = page.nextCursor;
+      } while (cursor);
+      return tools;
+    },
+
+    /**
+     * Call a tool on the server
+     *
+     * @param {string} toolName - The tool's name on the server (without prefix)
+     * @param {Object} args - Its arguments
+     * @returns {Promise<Object>} The result: { content, structuredContent, isError }
+     */
+    callTool(toolName, args) {
+      return request("tools/call", { name: toolName, arguments: args });
+    },
+
+    close
+  };
+}
+
+/**
+ * Start every server in a config
+ *
+ * @param {Object} servers - Server settings by name, e.g. from loadMcpConfig()
+ * @returns {Promise<{clients: Array<Object>, close: Function}>} The connected clients, and a function that stops them all
+ * @throws {McpError} When a server fails to start; the servers already started are stopped
+ */
+export async function connectMcpServers(servers) {
+  const clients = [];
+  const close = () => Promise.all(clients.map((client) => client.close()));
+  try {
+    for (const [name, options] of Object.entries(servers)) {
+      clients.push(await connectMcpServer(name, options));
+    }
+  } catch (error) {
+    await close();
+    throw error;
+  }
+  return { clients, close };
+}
+
+/**
+ * Turn an MCP input schema into function parameters for the chat completions API
+ *
+ * MCP requires an object schema but servers often leave out "properties", and the API
+ * rejects some JSON Schema bookkeeping keywords, so those are normalized.
+ *
+ * @param {Object} [inputSchema] - The tool's inputSchema
+ * @returns {Object} A JSON schema of type object
+ */
+export function toToolParameters(inputSchema = {}) {
+  const { $schema, $id, title, ...schema } = inputSchema;
+  return { ...schema, type: "object", properties: schema.properties ?? {} };
+}
+
+// Turn an MCP tool result into tool message content
+function resultContent(result) {
+  if (result.structuredContent !== undefined && !result.content?.length) return result.structuredContent;
+  const parts = (result.content ?? []).map((part) => {
+    switch (part.type) {
+      case "text":
+        return part.text;
+      case "resource":
+        return part.resource?.text ?? `[resource ${part.resource?.uri}]`;
+      case "resource_link":
+        return `[resource ${part.uri}${part.name ? ` (${part.name})` : ""}]`;
+      default:
+        // Images and audio cannot go into a tool message; say what was left out
+        return `[${part.type}${part.mimeType ? ` ${part.mimeType}` : ""} omitted]`;
+    }
+  });
+  return parts.join("\n");
+}
+
+/**
+ * Add the tools of connected MCP servers to a tool registry
+ *
+ * Each tool is registered under its server's prefix plus its own name; calls are routed
+ * back to the server that listed it.
+ *
+ * @param {Object} registry - A registry from createToolRegistry()
+ * @param {Array<Object>} clients - Clients from connectMcpServer() or connectMcpServers()
+ * @returns {Promise<Object>} The registry
+ * @throws {ConfigError} When a tool name is not usable or is already taken; set a prefix for that server
+ */
+export async function registerMcpTools(registry, clients) {
+  for (const client of clients) {
+    for (const tool of await client.listTools()) {
+      const name = `${client.prefix}${tool.name}`;
+      if (!TOOL_NAME.test(name)) {
+        throw new ConfigError(`MCP server '${client.name}' has a tool named '${name}'; ` +
+          "tool names may only use letters, digits, '_' and '-' (at most 64).");
+      }
+      if (registry.get(name)) {
+        throw new ConfigError(`The tool '${name}' from MCP server '${client.name}' is already registered. ` +
+          `Give the server a "prefix" in the MCP config.`);
+      }
+      registry.register(name, {
+        description: tool.description ?? tool.title ?? `${tool.name} (from MCP server '${client.name}')`,
+        parameters: toToolParameters(tool.inputSchema),
+        readOnly: tool.annotations?.readOnlyHint === true,
+        requiresConfirmation: tool.annotations?.readOnlyHint !== true,
+        handler: async (args) => {
+          const result = await client.callTool(tool.name, args);
+          const content = resultContent(result);
+          if (result.isError) {
+            // An error may come as structured content only; it still has to read as text
+            const detail = typeof content === "string" ? content : JSON.stringify(content);
+            throw new Error(detail || "the server reported an error");
+          }
+          return content;
+        }
+      });
+    }
+  }
+  return registry;
+}
@@ -0,0 +1,174 @@
+/**
+ * CONVERSATION MEMORY
+ *
+ * Decides how much of a long history is sent to the model. Three strategies are built in:
+ * - full:    everything, every time (token budgets in lib/tokens.js still apply)
+ * - window:  only the most recent items; older ones are forgotten
+ * - summary: the most recent items verbatim, plus a running summary of everything older.
+ *            Once more than `threshold` items are waiting, all but the last `window` are
+ *            folded into the summary with one model call, so each item is summarized once.
+ *
+ * A memory works on any list of items: chat messages in the multi-turn sample, chapter
+ * texts in the creative writing sample. The caller keeps the full list; the memory only
+ * chooses what to send, and notices when the list shrinks (e.g. after an undo).
+ */
+
+import { ConfigError } from "./client.js";
+
+// Defaults for chat messages: summarize once 16 messages pile up, keep the last 8 verbatim
+export const DEFAULT_WINDOW = 8;
+export const DEFAULT_THRESHOLD = 16;
+
+// Text in front of the summary when it is sent as a system message
+const SUMMARY_PREFIX = "Summary of the earlier conversation:\n";
+
+// Index to cut a list at so the kept part starts a turn; moves back to keep whole turns
+function turnStart(items, index, startsTurn) {
+  let start = Math.max(0, index);
+  while (start > 0 && !startsTurn(items[start])) start--;
+  return start;
+}
+
+// Registry of strategy factories; each returns a select(items) function
+const strategies = {
+  full: () => async (items) => ({ summary: null, items, dropped: 0 }),
+
+  window: ({ window, startsTurn }) => async (items) => {
+    const start = turnStart(items, items.length - window, startsTurn);
+    return { summary: null, items: items.slice(start), dropped: start };
+  },
+
+  summary: ({ window, threshold, summarize, startsTurn }) => {
+    if (!summarize) {
+      throw new ConfigError("The summary memory strategy needs a summarize function (see createSummarizer()).");
+    }
+    let summary = null;
+    // Number of leading items folded into the summary, and the last of them
+    let folded = 0;
+    let lastFolded;
+
+    return async (items) => {
+      // The history was rewound or replaced: the summary no longer describes it
+      if (folded > items.length || (folded > 0 && items[folded - 1] !== lastFolded)) {
+        summary = null;
+        folded = 0;
+      }
+      if (items.length - folded > threshold) {
+        const cut = turnStart(items, items.length - window, startsTurn);
+        if (cut > folded) {
+          summary = await summarize({ previous: summary, items: items.slice(folded, cut) });
+          folded = cut;
+          lastFolded = items[cut - 1];
+        }
+      }
+      return { summary, items: items.slice(folded), dropped: folded };
+    };
+  }
+};
+
+// Names of the available strategies, e.g. for command-line help
+export const MEMORY_STRATEGIES = Object.keys(strategies);
+
+/**
+ * Create a memory using one of the strategies
+ *
+ * @param {Object} [options]
+ * @param {string} [options.strategy] - "full" (default), "window" or "summary"
+ * @param {number} [options.window] - Items always kept verbatim (window and summary strategies)
+ * @param {number} [options.threshold] - Unsummarized items that trigger a summary (summary strategy)
+ * @param {Function} [options.summarize] - Async ({ previous, items }) => summary text; see createSummarizer()
+ * @param {Function} [options.startsTurn] - Whether an item may start the kept part; keeps turns together
+ * @returns {{strategy: string, select: Function, messages: Function}} The memory
+ * @throws {ConfigError} For an unknown strategy, or a summary strategy without summarize
+ */
+export function createMemory({
+  strategy = "full",
+  window = DEFAULT_WINDOW,
+  threshold = DEFAULT_THRESHOLD,
+  summarize,
+  startsTurn = () => true
+} = {}) {
+  const createStrategy = strategies[strategy];
+  if (!createStrategy) {
+    throw new ConfigError(`Unknown memory strategy '${strategy}'. Use one of: ${MEMORY_STRATEGIES.join(", ")}.`);
+  }
+  const select = createStrategy({ window, threshold: Math.max(threshold, window), summarize, startsTurn });
+
+  return {
+    strategy,
+
+    /**
+     * Choose what to send from a list of items
+     *
+     * @param {Array} items - The full history, oldest first
+     * @returns {Promise<{summary: string|null, items: Array, dropped: number}>} Summary of older items and the items to send
+     */
+    select,
+
+    /**
+     * Build the messages to send for a chat conversation
+     *
+     * @param {Array<Object>} conversation - Full message history, starting with system messages
+     * @returns {Promise<{messages: Array<Object>, summary: string|null, dropped: number}>} System messages, the
+     *   summary (if any) and the recent messages, plus the number of older messages not sent verbatim
+     */
+    async messages(conversation) {
+      const system = conversation.filter((message) => message.role === "system");
+      const { summary, items, dropped } = await select(conversation.filter((message) => message.role !== "system"));
+      return {
+        messages: [
+          ...system,
+          ...(summary ? [{ role: "system", content: `${SUMMARY_PREFIX}${summary}` }] : []),
+          ...items
+        ],
+        summary,
+        dropped
+      };
+    }
+  };
+}
+
+// Render a chat message as a transcript line
+function messageToText(message) {
+  const content = typeof message.content === "string" ? message.content : JSON.stringify(message.content);
+  return `${message.role}: ${content}`;
+}
+
+/**
+ * Create a summarize function that asks the model to extend a running summary
+ *
+ * @param {Object} provider - A provider from createProvider()
+ * @param {Object} [options]
+ * @param {string} [options.subject] - What is being summarized, e.g. "story"
+ * @param {Function} [options.describe] - Turns an item into text; defaults to "role: content" for messages
+ * @param {string} [options.focus] - What the summary must preserve
+ * @param {number} [options.maxTokens] - Longest summary to ask for
+ * @returns {Function} Async ({ previous, items }) => summary text
+ */
+export function createSummarizer(provider, {
+  subject = "conversation",
+  describe = messageToText,
+  focus = "facts, names, decisions, open questions and anything the user asked to remember",
+  maxTokens = 400
+} = {}) {
+  return async ({ previous, items }) => {
+    const prompt = [
+      previous ? `Summary so far:\n${previous}` : `There is no summary yet.`,
+      `New part of the ${subject} to fold into the summary:\n${items.map(describe).join("\n\n")}`,
+      `Write the updated summary of the whole ${subject}. Keep ${focus}. Be concise; write plain prose without headings.`
+    ].join("\n\n");
+
+    const response = await provider.chat({
+      messages: [
+        {
+          role: "system",
+          content: `You maintain a running summary of a ${subject} so it can continue without the full history.`
+        },
+        { role: "user", content: prompt }
+      ],
+      temperature: 0.3,
+      max_tokens: maxTokens
+    });
+    return response.choices[0].message.content;
+  };
+}
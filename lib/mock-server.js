@@ -0,0 +1,299 @@
+/**
+ * OFFLINE MOCK INFERENCE SERVER
+ *
+ * A local, scriptable stand-in for GitHub's inference endpoint. It speaks the
+ * OpenAI-compatible chat completions protocol, so every sample can run without network
+ * access by pointing GITHUB_MODELS_ENDPOINT at it:
+ *
+ *   npm run mock                                           # starts on http://localhost:4010
+ *   GITHUB_MODELS_ENDPOINT=http://localhost:4010 node sample-tools.js
+ *
+ * Responses are replayed from JSON fixture files (fixtures/mock by default). A fixture
+ * describes which requests it answers and what to answer with:
+ *
+ *   {
+ *     "name": "flight-lookup",
+ *     "match": { "lastUserMessage": "Miami", "hasTools": true, "lastRole": "user" },
+ *     "response": {
+ *       "tool_calls": [{ "name": "getFlightInfo", "arguments": { "originCity": "Seattle" } }],
+ *       "usage": { "prompt_tokens": 80, "completion_tokens": 20 }
+ *     }
+ *   }
+ *
+ * Match keys (all optional, all must hold):
+ * - model            exact model name
+ * - system           text contained in the system message (case-insensitive)
+ * - lastUserMessage  text contained in the last user message, or "/regex/flags"
+ * - lastRole         role of the last message, e.g. "tool" for the second round of a tool loop
+ * - lastTool         name of the tool whose result is the last message, to script later rounds
+ * - hasTools         whether the request offers tools
+ * - stream           whether the request asks for streaming
+ * - responseFormat   response_format type of the request: "json_schema", "json_object" or "text" (none)
+ *
+ * The most specific matching fixture (most match keys) wins. A response is either
+ * { content, tool_calls, finish_reason, usage } or { error: { status, code, message, headers } }
+ * to simulate failures such as rate limits. Requests no fixture matches get a 404 error.
+ *
+ * Both streaming (server-sent events) and non-streaming responses are supported,
+ * including usage blocks when stream_options.include_usage is set.
+ */
+
+import http from "node:http";
+import { readdirSync, readFileSync } from "node:fs";
+import { join, resolve } from "node:path";
+import { isMainModule } from "./main.js";
+
+// Defaults, overridable with MOCK_PORT, MOCK_FIXTURES and MOCK_CHUNK_DELAY
+export const DEFAULT_PORT = 4010;
+export const DEFAULT_FIXTURES_DIR = "fixtures/mock";
+
+/**
+ * Load every fixture from a directory of JSON files.
+ * A file may contain a single fixture or an array of fixtures.
+ *
+ * @param {string} directory - Directory containing *.json fixture files
+ * @returns {Array<Object>} Fixtures, ordered from most to least specific
+ */
+export function loadFixtures(directory) {
+  const fixtures = [];
+  for (const file of readdirSync(directory).filter((name) => name.endsWith(".json")).sort()) {
+    const content = JSON.parse(readFileSync(join(directory, file), "utf-8"));
+    for (const fixture of [].concat(content)) {
+      fixtures.push({ name: fixture.name || file, match: {}, ...fixture });
+    }
+  }
+  return sortFixtures(fixtures);
+}
+
+// Most specific fixtures first; the sort is stable, so file order breaks ties
+function sortFixtures(fixtures) {
+  return [...fixtures].sort((a, b) => Object.keys(b.match || {}).length - Object.keys(a.match || {}).length);
+}
+
+/**
+ * Extract the text of a message whose content may be a string or an array of parts
+ *
+ * @param {Object|undefined} message - Chat message
+ * @returns {string} The concatenated text
+ */
+export function messageText(message) {
+  if (!message) return "";
+  if (typeof message.content === "string") return message.content;
+  if (Array.isArray(message.content)) {
+    return message.content
+      .filter((part) => part.type === "text")
+      .map((part) => part.text)
+      .join("\n");
+  }
+  return "";
+}
+
+// Name of the tool whose result is the last message, looked up from the call it answers
+function lastToolName(messages) {
+  const last = messages.at(-1);
+  if (last?.role !== "tool") return undefined;
+  // Search from the end: ids only need to be unique within one response
+  const call = messages.flatMap((message) => message.tool_calls || []).findLast((toolCall) => toolCall.id === last.tool_call_id);
+  return call?.function?.name ?? last.name;
+}
+
+// Check a text against a "contains" string or a "/regex/flags" pattern
+function textMatches(text, expected) {
+  const regex = /^\/(.*)\/([a-z]*)$/s.exec(expected);
+  if (regex) return new RegExp(regex[1], regex[2]).test(text);
+  return text.toLowerCase().includes(expected.toLowerCase());
+}
+
+/**
+ * Check whether a fixture answers a request
+ *
+ * @param {Object} match - The fixture's match rules
+ * @param {Object} body - Parsed chat completion request
+ * @returns {boolean} True when every rule holds
+ */
+export function fixtureMatches(match = {}, body) {
+  const messages = body.messages || [];
+  const system = messages.find((message) => message.role === "system");
+  const lastUser = messages.filter((message) => message.role === "user").at(-1);
+
+  if (match.model !== undefined && match.model !== body.model) return false;
+  if (match.system !== undefined && !textMatches(messageText(system), match.system)) return false;
+  if (match.lastUserMessage !== undefined && !textMatches(messageText(lastUser), match.lastUserMessage)) return false;
+  if (match.lastRole !== undefined && match.lastRole !== messages.at(-1)?.role) return false;
+  if (match.lastTool !== undefined && match.lastTool !== lastToolName(messages)) return false;
+  if (match.hasTools !== undefined && match.hasTools !== Boolean(body.tools?.length)) return false;
+  if (match.stream !== undefined && match.stream !== Boolean(body.stream)) return false;
+  if (match.responseFormat !== undefined && match.responseFormat !== (body.response_format?.type ?? "text")) return false;
+  return true;
+}
+
+// Rough token estimate, good enough for usage blocks that only need to be plausible
+function estimateTokens(text) {
+  return Math.max(1, Math.ceil(text.length / 4));
+}
+
+/**
+ * Build the message, finish reason and usage for a fixture response
+ *
+ * @param {Object} response - The fixture's response
+ * @param {Object} body - Parsed chat completion request
+ * @returns {{message: Object, finishReason: string, usage: Object}} Completion parts
+ */
+function buildCompletion(response, body) {
+  const toolCalls = (response.tool_calls || []).map((toolCall, index) => ({
+    id: toolCall.id || `call_mock_${index + 1}`,
+    type: "function",
+    function: {
+      name: toolCall.name,
+      arguments: typeof toolCall.arguments === "string"
+        ? toolCall.arguments
+        : JSON.stringify(toolCall.arguments || {})
+    }
+  }));
+  const content = response.content ?? (toolCalls.length > 0 ? null : "");
+
+  const promptTokens = estimateTokens((body.messages || []).map(messageText).join("\n"));
+  const completionTokens = estimateTokens(content || JSON.stringify(toolCalls));
+  const usage = {
+    prompt_tokens: response.usage?.prompt_tokens ?? promptTokens,
+    completion_tokens: response.usage?.completion_tokens ?? completionTokens
+  };
+  usage.total_tokens = usage.prompt_tokens + usage.completion_tokens;
+
+  return {
+    message: {
+      role: "assistant",
+      content,
+      ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {})
+    },
+    finishReason: response.finish_reason || (toolCalls.length > 0 ? "tool_calls" : "stop"),
+    usage
+  };
+}
+
+// Split content into word-sized pieces so streaming looks like streaming
+function splitIntoChunks(content) {
+  return content.match(/\S+\s*|\s+/g) || [];
+}
+
+// Write a JSON response
+function sendJson(res, status, payload, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(payload));
+}
+
+/**
+ * Stream a completion as server-sent events
+ *
+ * @param {http.ServerResponse} res - Response to write to
+ * @param {Object} completion - Parts from buildCompletion()
+ * @param {Object} body - Parsed chat completion request
+ * @param {number} chunkDelay - Milliseconds between chunks
+ */
+async function sendStream(res, completion, body, chunkDelay) {
+  const id = `chatcmpl-mock-${Date.now()}`;
+  const base = { id, object: "chat.completion.chunk", created: Math.floor(Date.now() / 1000), model: body.model };
+  const write = (choices, extra = {}) => res.write(`data: ${JSON.stringify({ ...base, choices, ...extra })}\n\n`);
+  const pause = () => chunkDelay > 0 ? new Promise((done) => setTimeout(done, chunkDelay)) : null;
+
+  res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache", "Connection": "keep-alive" });
+
+  write([{ index: 0, delta: { role: "assistant", content: "" }, finish_reason: null }]);
+  for (const piece of splitIntoChunks(completion.message.content || "")) {
+    if (res.destroyed) return;
+    write([{ index: 0, delta: { content: piece }, finish_reason: null }]);
+    await pause();
+  }
+  (completion.message.tool_calls || []).forEach((toolCall, index) => {
+    write([{ index: 0, delta: { tool_calls: [{ index, ...toolCall }] }, finish_reason: null }]);
+  });
+  write([{ index: 0, delta: {}, finish_reason: completion.finishReason }]);
+
+  if (body.stream_options?.include_usage) {
+    write([], { usage: completion.usage });
+  }
+  res.write("data: [DONE]\n\n");
+  res.end();
+}
+
+/**
+ * Create the mock server (not yet listening)
+ *
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.fixtures] - Fixtures to serve; loaded from fixturesDir when omitted
+ * @param {string} [options.fixturesDir] - Directory to load fixtures from
+ * @param {number} [options.chunkDelay] - Milliseconds between streamed chunks
+ * @param {Function} [options.log] - Called with a line describing each request
+ * @returns {http.Server} The server
+ */
+export function createMockServer({
+  fixtures,
+  fixturesDir = DEFAULT_FIXTURES_DIR,
+  chunkDelay = 0,
+  log = () => {}
+} = {}) {
+  const ordered = fixtures ? sortFixtures(fixtures) : loadFixtures(resolve(fixturesDir));
+
+  return http.createServer((req, res) => {
+    const path = new URL(req.url, "http://localhost").pathname;
+
+    // Accept any prefix so both http://host and http://host/inference work as endpoints
+    if (req.method !== "POST" || !path.endsWith("/chat/completions")) {
+      return sendJson(res, 404, { error: { code: "NotFound", message: `No route for ${req.method} ${path}` } });
+    }
+
+    let raw = "";
+    req.on("data", (chunk) => { raw += chunk; });
+    req.on("end", async () => {
+      let body;
+      try {
+        body = JSON.parse(raw);
+      } catch {
+        return sendJson(res, 400, { error: { code: "BadRequest", message: "Request body is not valid JSON" } });
+      }
+
+      const fixture = ordered.find((candidate) => fixtureMatches(candidate.match, body));
+      if (!fixture) {
+        log(`POST ${path} -> no matching fixture`);
+        return sendJson(res, 404, {
+          error: { code: "NoFixture", message: "No mock fixture matches this request" }
+        });
+      }
+      log(`POST ${path} -> ${fixture.name}${body.stream ? " (stream)" : ""}`);
+
+      const response = fixture.response || {};
+      if (response.error) {
+        const { status = 500, headers = {}, ...error } = response.error;
+        return sendJson(res, status, { error }, headers);
+      }
+
+      const completion = buildCompletion(response, body);
+      if (body.stream) {
+        return sendStream(res, completion, body, chunkDelay);
+      }
+      sendJson(res, 200, {
+        id: `chatcmpl-mock-${Date.now()}`,
+        object: "chat.completion",
+        created: Math.floor(Date.now() / 1000),
+        model: body.model,
+        choices: [{ index: 0, message: completion.message, finish_reason: completion.finishReason }],
+        usage: completion.usage
+      });
+    });
+  });
+}
+
+// Start the server when this file is run directly
+if (isMainModule(import.meta.url)) {
+  const port = Number(process.env["MOCK_PORT"] || DEFAULT_PORT);
+  const fixturesDir = process.env["MOCK_FIXTURES"] || DEFAULT_FIXTURES_DIR;
+  const server = createMockServer({
+    fixturesDir,
+    chunkDelay: Number(process.env["MOCK_CHUNK_DELAY"] || 0),
+    log: (line) => console.log(line)
+  });
+  server.listen(port, () => {
+    console.log(`🧪 Mock inference server listening on http://localhost:${port} (fixtures: ${fixturesDir})`);
+    console.log(`Point the samples at it with GITHUB_MODELS_ENDPOINT=http://localhost:${port}`);
+  });
+}
@@ -0,0 +1,65 @@
+/**
+ * LINE PROMPTS
+ *
+ * The interactive samples ask the user questions one line at a time. Instead of each
+ * one creating a readline interface when it is imported, the runners create a prompt
+ * here when they start and close it when they finish. Pass other streams to drive a
+ * session from a script or a test.
+ *
+ * Lines that arrive while no question is waiting (answers piped in ahead of time) are
+ * kept and answer the next questions, in order, even after the input has ended.
+ */
+
+import readline from "node:readline";
+
+/**
+ * Create a prompt that asks questions on the given streams
+ *
+ * @param {Object} [streams]
+ * @param {NodeJS.ReadableStream} [streams.input] - Where answers are read from (defaults to stdin)
+ * @param {NodeJS.WritableStream} [streams.output] - Where questions are written (defaults to stdout)
+ * @returns {{ask: Function, close: Function, finished: boolean, rl: readline.Interface}} The prompt
+ */
+export function createPrompt({ input = process.stdin, output = process.stdout } = {}) {
+  const rl = readline.createInterface({ input, output });
+
+  // readline only hands a line to a waiting question; keep the others for later questions
+  const early = [];
+  rl.on("line", (line) => early.push(line));
+  let ended = false;
+  rl.on("close", () => {
+    ended = true;
+  });
+
+  return {
+    rl,
+
+    // True once the input has ended and every line read before that has been asked for
+    get finished() {
+      return ended && early.length === 0;
+    },
+
+    /**
+     * Ask a question and wait for the answer
+     *
+     * @param {string} question - Text shown before the cursor
+     * @returns {Promise<string>} The answer with surrounding whitespace removed
+     */
+    ask(question) {
+      if (early.length > 0) {
+        output.write(question);
+        return Promise.resolve(early.shift().trim());
+      }
+      return new Promise((resolve) => {
+        rl.question(question, (answer) => {
+          resolve(answer.trim());
+        });
+      });
+    },
+
+    // Stop reading input so the process can exit
+    close() {
+      rl.close();
+    }
+  };
+}
@@ -0,0 +1,252 @@
+/**
+ * MODEL PROVIDER
+ *
+ * A single chat()/stream() API on top of pluggable backends:
+ * - openai: the official OpenAI SDK (default)
+ * - azure:  the @azure-rest/ai-inference REST client
+ * - fetch:  plain fetch() against any OpenAI-compatible endpoint
+ *
+ * The backend is picked with GITHUB_MODELS_BACKEND (or "backend" in the config file),
+ * so any sample can switch backends without code changes. Whatever backend is used:
+ * - responses and stream chunks are returned in the OpenAI chat completion shape
+ * - failures are thrown as ModelError (see lib/errors.js)
+ * - request parameters are adapted for reasoning models (o1, o3, GPT-5), which reject
+ *   temperature/top_p and expect max_completion_tokens instead of max_tokens
+ * - rate limits and transient failures are retried with backoff (see lib/retry.js)
+ * - traffic can be recorded to or replayed from a cassette file (see lib/cassette.js)
+ */
+
+import { completionParams, ConfigError, LOCAL_TOKEN } from "./client.js";
+import { toModelError, formatDuration } from "./errors.js";
+import { withRetry } from "./retry.js";
+import { withCassette } from "./cassette.js";
+import { createOpenAIBackend } from "./backends/openai.js";
+import { createAzureBackend } from "./backends/azure.js";
+import { createFetchBackend } from "./backends/fetch.js";
+
+// Registry of backend factories, keyed by the name used in the configuration
+const backends = {
+  openai: createOpenAIBackend,
+  azure: createAzureBackend,
+  fetch: createFetchBackend
+};
+
+// Reasoning models such as openai/o1-preview or openai/gpt-5 (but not gpt-5-chat)
+const REASONING_MODEL_PATTERN = /(^|\/)(o\d+(-[\w-]+)?|gpt-5(?!-chat)[\w.-]*)$/i;
+
+/**
+ * Check whether a model only accepts the reasoning-model parameter set
+ *
+ * @param {string} model - Model name, e.g. "openai/gpt-5"
+ * @returns {boolean} True for reasoning models
+ */
+export function isReasoningModel(model) {
+  return REASONING_MODEL_PATTERN.test(model || "");
+}
+
+/**
+ * Adapt request parameters to what the target model accepts
+ *
+ * @param {Object} body - Complete request parameters
+ * @returns {Object} Parameters safe to send to the model
+ */
+function adaptForModel(body) {
+  if (!isReasoningModel(body.model)) return body;
+
+  const { temperature, top_p, max_tokens, ...rest } = body;
+  if (max_tokens !== undefined && rest.max_completion_tokens === undefined) {
+    rest.max_completion_tokens = max_tokens;
+  }
+  return rest;
+}
+
+/**
+ * Normalize a tool call list to the OpenAI shape
+ *
+ * @param {Array|undefined} toolCalls - Tool calls from a message or delta
+ * @returns {Array|undefined} Normalized tool calls
+ */
+function normalizeToolCalls(toolCalls) {
+  if (!toolCalls || toolCalls.length === 0) return undefined;
+  return toolCalls.map((toolCall) => ({
+    ...(toolCall.index !== undefined ? { index: toolCall.index } : {}),
+    ...(toolCall.id ? { id: toolCall.id } : {}),
+    type: toolCall.type || "function",
+    function: {
+      name: toolCall.function?.name,
+      arguments: toolCall.function?.arguments
+    }
+  }));
+}
+
+/**
+ * Normalize a non-streaming response to the OpenAI chat completion shape
+ *
+ * @param {Object} raw - Response body from a backend
+ * @returns {Object} Chat completion with id, model, choices and usage
+ */
+export function normalizeCompletion(raw) {
+  return {
+    id: raw.id,
+    model: raw.model,
+    created: raw.created,
+    choices: (raw.choices || []).map((choice, index) => {
+      const message = choice.message || {};
+      const toolCalls = normalizeToolCalls(message.tool_calls);
+      return {
+        index: choice.index ?? index,
+        message: {
+          role: message.role || "assistant",
+          content: message.content ?? null,
+          ...(toolCalls ? { tool_calls: toolCalls } : {})
+        },
+        finish_reason: choice.finish_reason ?? null
+      };
+    }),
+    usage: raw.usage ?? null
+  };
+}
+
+/**
+ * Add one response's token usage to a running total
+ *
+ * @param {Object|null} total - Usage so far, or null before the first response
+ * @param {Object|null} usage - The response's usage block
+ * @returns {Object|null} The new total
+ */
+export function addUsage(total, usage) {
+  if (!usage) return total;
+  return {
+    prompt_tokens: (total?.prompt_tokens ?? 0) + (usage.prompt_tokens ?? 0),
+    completion_tokens: (total?.completion_tokens ?? 0) + (usage.completion_tokens ?? 0),
+    total_tokens: (total?.total_tokens ?? 0) + (usage.total_tokens ?? 0)
+  };
+}
+
+/**
+ * Normalize a streamed chunk to the OpenAI chat completion chunk shape
+ *
+ * @param {Object} raw - Chunk from a backend
+ * @returns {Object} Chunk with id, model, choices (with delta) and usage
+ */
+export function normalizeChunk(raw) {
+  return {
+    id: raw.id,
+    model: raw.model,
+    created: raw.created,
+    choices: (raw.choices || []).map((choice, index) => {
+      const delta = choice.delta || {};
+      const toolCalls = normalizeToolCalls(delta.tool_calls);
+      return {
+        index: choice.index ?? index,
+        delta: {
+          ...(delta.role ? { role: delta.role } : {}),
+          ...(delta.content != null ? { content: delta.content } : {}),
+          ...(toolCalls ? { tool_calls: toolCalls } : {})
+        },
+        finish_reason: choice.finish_reason ?? null
+      };
+    }),
+    usage: raw.usage ?? null
+  };
+}
+
+/**
+ * Wrap a backend stream so chunks are normalized and errors become ModelErrors
+ *
+ * @param {AsyncIterator<Object>} iterator - Raw chunk iterator from a backend
+ * @param {IteratorResult<Object>} first - The first result, already read while retrying
+ * @param {string} backendName - Name of the backend, for error reporting
+ * @returns {AsyncGenerator<Object>} Normalized chunks
+ */
+async function* normalizeStream(iterator, first, backendName) {
+  try {
+    for (let result = first; !result.done; result = await iterator.next()) {
+      yield normalizeChunk(result.value);
+    }
+  } catch (error) {
+    throw toModelError(error, backendName);
+  } finally {
+    // Release the connection when the caller stops iterating early
+    await iterator.return?.();
+  }
+}
+
+// Default retry notice, printed to stderr so it does not mix with the model output
+function logRetry({ error, attempt, maxAttempts, delay }) {
+  console.error(
+    `⏳ ${error.message} - retrying in ${formatDuration(delay)} (attempt ${attempt + 1}/${maxAttempts})`
+  );
+}
+
+/**
+ * Create a provider for the configured backend
+ *
+ * @param {Object} config - A configuration from loadConfig()
+ * @param {Object} [options]
+ * @param {Function} [options.onRetry] - Called before each retry; defaults to a notice on stderr
+ * @returns {{backend: string, config: Object, chat: Function, stream: Function}} The provider
+ * @throws {ConfigError} When the configured backend does not exist
+ */
+export function createProvider(config, { onRetry = logRetry } = {}) {
+  const createBackend = backends[config.backend];
+  if (!createBackend) {
+    throw new ConfigError(
+      `Unknown backend '${config.backend}'. Use one of: ${Object.keys(backends).join(", ")}.`
+    );
+  }
+  // Only a real GITHUB_TOKEN is redacted from recordings; the offline placeholder is not a secret
+  const backend = config.cassette
+    ? withCassette(createBackend(config), { ...config.cassette, token: config.token === LOCAL_TOKEN ? undefined : config.token })
+    : createBackend(config);
+
+  // Retry settings for one request; the signal also cancels the wait between attempts
+  const retryOptions = (signal) => ({ ...config.retry, signal, onRetry });
+
+  return {
+    backend: backend.name,
+    config,
+
+    /**
+     * Send a chat completion request and wait for the full response
+     *
+     * @param {Object} params - Request parameters (messages, tools, temperature...); model defaults to the configured one
+     * @param {Object} [options] - { signal } to cancel the request
+     * @returns {Promise<Object>} Normalized chat completion
+     */
+    async chat(params, options = {}) {
+      const body = adaptForModel(completionParams(config, params));
+      const raw = await withRetry(async () => {
+        try {
+          return await backend.chat(body, options);
+        } catch (error) {
+          throw toModelError(error, backend.name);
+        }
+      }, retryOptions(options.signal));
+      return normalizeCompletion(raw);
+    },
+
+    /**
+     * Send a streaming chat completion request
+     *
+     * @param {Object} params - Request parameters, as for chat()
+     * @param {Object} [options] - { signal } to cancel the request
+     * @returns {Promise<AsyncGenerator<Object>>} Normalized chunks, available once the response starts
+     */
+    async stream(params, options = {}) {
+      const body = adaptForModel(completionParams(config, params));
+      // Opening the stream and reading its first chunk are retried together: a rate limit
+      // can surface at either point, and nothing has been shown to the user yet
+      const { iterator, first } = await withRetry(async () => {
+        try {
+          const chunks = await backend.stream(body, options);
+          const iterator = chunks[Symbol.asyncIterator]();
+          return { iterator, first: await iterator.next() };
+        } catch (error) {
+          throw toModelError(error, backend.name);
+        }
+      }, retryOptions(options.signal));
+      return normalizeStream(iterator, first, backend.name);
+    }
+  };
+}
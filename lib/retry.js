@@ -0,0 +1,106 @@
+/**
+ * RETRY, BACKOFF AND RATE-LIMIT HANDLING
+ *
+ * GitHub Models enforces tight per-minute and per-day quotas, so 429 responses are
+ * a normal part of using it. This module retries failed requests when retrying can help:
+ * - 429 (rate limited), 408, 5xx responses and connection failures are retried
+ * - Retry-After, retry-after-ms and x-ratelimit-reset-* headers decide the wait when present
+ * - otherwise the wait grows exponentially, with full jitter so parallel clients spread out
+ * - a wait longer than the configured maximum (e.g. a daily quota) fails immediately
+ *   instead of hanging the sample for hours
+ *
+ * The provider wraps every chat() call and the start of every stream() in withRetry().
+ */
+
+import { isAbortError, ModelError, serverRetryDelay } from "./errors.js";
+
+// Default settings, overridable through loadConfig() (GITHUB_MODELS_MAX_ATTEMPTS, GITHUB_MODELS_MAX_RETRY_WAIT)
+export const DEFAULT_MAX_ATTEMPTS = 3;
+export const DEFAULT_MAX_WAIT_SECONDS = 60;
+
+// First backoff step; later attempts double it
+const BASE_DELAY_MS = 1000;
+
+// Status codes worth retrying
+const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+
+/**
+ * Decide whether an error is worth retrying
+ *
+ * @param {Error} error - Normalized error from the provider
+ * @returns {boolean} True when a new attempt may succeed
+ */
+export function isRetryable(error) {
+  if (isAbortError(error)) return false;
+  // No status means the request never got a response (network failure, timeout...)
+  if (error instanceof ModelError && error.status === undefined) return true;
+  return RETRYABLE_STATUS.has(error?.status);
+}
+
+/**
+ * Compute the delay before the next attempt
+ *
+ * @param {Error} error - The error that ended the previous attempt
+ * @param {number} attempt - Number of the attempt that just failed (1-based)
+ * @returns {number} Milliseconds to wait
+ */
+export function retryDelay(error, attempt) {
+  const serverDelay = serverRetryDelay(error?.headers);
+  if (serverDelay !== undefined) {
+    // Add a little jitter so clients released at the same time do not collide again
+    return serverDelay + Math.round(Math.random() * 250);
+  }
+  // Exponential backoff with full jitter
+  return Math.round(Math.random() * BASE_DELAY_MS * 2 ** (attempt - 1));
+}
+
+// Wait for the given time, giving up early if the request is cancelled
+function sleep(milliseconds, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, milliseconds);
+    function onAbort() {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Run an operation, retrying it on rate limits and transient failures
+ *
+ * @param {Function} operation - Async function receiving the attempt number (1-based)
+ * @param {Object} [options]
+ * @param {number} [options.maxAttempts] - Total number of attempts, including the first
+ * @param {number} [options.maxWaitSeconds] - Longest wait worth retrying for; longer waits fail at once
+ * @param {AbortSignal} [options.signal] - Cancels the waiting between attempts
+ * @param {Function} [options.onRetry] - Called with { error, attempt, maxAttempts, delay } before waiting
+ * @returns {Promise<*>} Whatever the operation resolves with
+ */
+export async function withRetry(operation, {
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  maxWaitSeconds = DEFAULT_MAX_WAIT_SECONDS,
+  signal,
+  onRetry
+} = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      // Remember how many attempts were made so the final error message can say so
+      if (error && typeof error === "object") error.attempts = attempt;
+      if (attempt >= maxAttempts || !isRetryable(error)) throw error;
+
+      const delay = retryDelay(error, attempt);
+      // Waiting this long (e.g. for a daily quota to reset) is not worth blocking on
+      if (delay > maxWaitSeconds * 1000) throw error;
+
+      onRetry?.({ error, attempt, maxAttempts, delay });
+      await sleep(delay, signal);
+    }
+  }
+}
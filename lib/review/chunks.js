@@ -0,0 +1,69 @@
+/**
+ * CHUNKING LARGE FILES
+ *
+ * A file too large for one review request is reviewed in chunks of whole lines. Chunks
+ * end at a blank line or just before a top-level declaration when one is close enough,
+ * so functions are rarely split in the middle. Each chunk keeps its first and last line
+ * number, which reviewCode() uses to number the lines it shows the model, so findings
+ * always point at lines of the whole file.
+ */
+
+import { countTokens } from "../tokens.js";
+
+// Largest chunk sent in one review request, in tokens, unless the caller sets another size
+export const DEFAULT_CHUNK_TOKENS = 6000;
+
+// A line where a new top-level piece of code starts: a declaration with no indentation
+const DECLARATION = /^(export\s|async\s|function\s|class\s|def\s|const\s|let\s|var\s|interface\s|type\s|enum\s|struct\s|impl\s|fn\s|func\s|pub\s|public\s|private\s|protected\s|static\s|module\.exports|@)/;
+
+/**
+ * Split code into chunks of whole lines that each fit in a number of tokens
+ *
+ * A single line longer than the limit becomes a chunk of its own.
+ *
+ * @param {string} code - Source code
+ * @param {number} [maxTokens] - Largest chunk, in tokens
+ * @returns {Array<{startLine: number, endLine: number, code: string}>} The chunks, in order; one chunk when the code fits
+ */
+export function chunkCode(code, maxTokens = DEFAULT_CHUNK_TOKENS) {
+  const lines = code.split("\n");
+  if (countTokens(code) <= maxTokens) {
+    return [{ startLine: 1, endLine: lines.length, code }];
+  }
+
+  const chunks = [];
+  let start = 0;
+  let tokens = 0;
+  // Index of the latest line a chunk could end before, and the chunk's size up to it
+  let boundary = -1;
+  let boundaryTokens = 0;
+
+  const cut = (end) => {
+    chunks.push({ startLine: start + 1, endLine: end, code: lines.slice(start, end).join("\n") });
+    start = end;
+  };
+
+  for (let index = 0; index < lines.length; index++) {
+    // Each line costs its tokens plus about one for the line break
+    const cost = countTokens(lines[index]) + 1;
+    if (tokens + cost > maxTokens && index > start) {
+      // Cut at the last boundary when it keeps at least half a chunk, otherwise right here
+      if (boundary > start && boundaryTokens >= maxTokens / 2) {
+        cut(boundary);
+        tokens -= boundaryTokens;
+      } else {
+        cut(index);
+        tokens = 0;
+      }
+      boundary = -1;
+      boundaryTokens = 0;
+    }
+    if (index > start && (lines[index].trim() === "" || DECLARATION.test(lines[index]))) {
+      boundary = index;
+      boundaryTokens = tokens;
+    }
+    tokens += cost;
+  }
+  if (start < lines.length) cut(lines.length);
+  return chunks;
+}
@@ -0,0 +1,207 @@
+/**
+ * REVIEWING CHANGES
+ *
+ * Most reviews are of a change, not of whole files. This module reads a change as a
+ * unified diff, either from git or from a file, and parses it into hunks:
+ *
+ *   const files = parseUnifiedDiff(readGitDiff("main..feature", { context: 5 }));
+ *   // [{ path: "src/orders.js", status: "modified", hunks: [{ newStart: 12, lines: [...] }] }]
+ *
+ * Every line of a hunk keeps its line number in the old and the new file, so a finding
+ * on a changed region can be placed on the exact new-file line, the line a pull request
+ * shows it on. reviewChanges() in lib/samples/code-review.js reviews the hunks of one
+ * file; reviewDiff() in lib/review/project.js reviews a whole diff.
+ *
+ * Paths are taken from the "+++" line (the "---" line for deleted files) with git's "a/"
+ * and "b/" prefixes removed. Binary files and files without added lines have nothing to
+ * review.
+ */
+
+import { execFileSync } from "node:child_process";
+import { ReviewError } from "./errors.js";
+
+// Lines of unchanged code git includes around each change, unless the caller asks for another amount
+export const DEFAULT_DIFF_CONTEXT = 5;
+
+// "@@ -12,7 +12,9 @@ optional section heading"
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@ ?(.*)$/;
+
+// Bytes of the C escapes git uses in quoted paths
+const ESCAPES = { a: 7, b: 8, t: 9, n: 10, v: 11, f: 12, r: 13, "\"": 34, "\\": 92 };
+
+// A path as git writes it, quoted when it has special characters: C escapes, and octal escapes for the
+// UTF-8 bytes of non-ASCII characters (e.g. "caf\303\251.js")
+function unquote(path) {
+  if (!(path.length > 1 && path.startsWith("\"") && path.endsWith("\""))) return path;
+  // split() with a capture group puts the escapes at the odd indexes
+  const parts = path.slice(1, -1).split(/(\\[0-7]{3}|\\.)/);
+  return Buffer.concat(parts.map((part, index) => (index % 2 === 0
+    ? Buffer.from(part)
+    : Buffer.from([part.length === 4 ? parseInt(part.slice(1), 8) : ESCAPES[part[1]] ?? part.charCodeAt(1)]))))
+    .toString("utf-8");
+}
+
+// A path from a "---" or "+++" line: without the a/ or b/ prefix and the tab git adds before timestamps
+function diffPath(text) {
+  const path = unquote(text.replace(/\t.*$/, "").trim());
+  if (path === "/dev/null") return null;
+  return path.replace(/^[ab]\//, "");
+}
+
+/**
+ * Parse a unified diff, as written by git diff or diff -u
+ *
+ * @param {string} text - The diff
+ * @returns {Array<Object>} One entry per file: { path, oldPath, status, binary, hunks }, where status is
+ *   "added", "deleted", "modified" or "renamed" and each hunk is { oldStart, oldLines, newStart, newLines,
+ *   heading, lines }; a line is { type: "+", "-" or " ", text, oldLine, newLine }, and noNewline: true
+ *   when it is the last line of its file and has no newline
+ * @throws {ReviewError} When a hunk is cut short
+ */
+export function parseUnifiedDiff(text) {
+  const files = [];
+  let file = null;
+  let hunk = null;
+  let oldLine = 0;
+  let newLine = 0;
+
+  const startFile = () => {
+    file = { path: null, oldPath: null, status: "modified", binary: false, hunks: [] };
+    files.push(file);
+    hunk = null;
+  };
+
+  for (const line of text.split(/\r?\n/)) {
+    // "\ No newline at end of file" belongs to the line before it, which may end the hunk
+    if (hunk && line.startsWith("\\")) {
+      if (hunk.lines.length > 0) hunk.lines.at(-1).noNewline = true;
+      continue;
+    }
+    // Inside a hunk, lines are counted off against its header
+    if (hunk && (oldLine < hunk.oldStart + hunk.oldLines || newLine < hunk.newStart + hunk.newLines)) {
+      const type = line[0] ?? " ";
+      if (type !== "+" && type !== "-" && type !== " ") {
+        throw new ReviewError(`The diff of '${file.path ?? file.oldPath}' ends in the middle of a hunk (${hunk.heading || `line ${newLine}`}).`);
+      }
+      hunk.lines.push({
+        type,
+        text: line.slice(1),
+        oldLine: type === "+" ? null : oldLine++,
+        newLine: type === "-" ? null : newLine++
+      });
+      continue;
+    }
+
+    if (line.startsWith("diff --git ")) {
+      startFile();
+      // Paths from the header, used when the diff has no ---/+++ lines (binary files, pure renames)
+      const match = /^diff --git ("(?:[^"\\]|\\.)*"|a\/.+?) ("(?:[^"\\]|\\.)*"|b\/.+)$/.exec(line);
+      if (match) [file.oldPath, file.path] = [diffPath(match[1]), diffPath(match[2])];
+    } else if (line.startsWith("--- ")) {
+      // Without "diff --git" headers (diff -u), each file starts at its "---" line
+      if (!file || file.hunks.length > 0) startFile();
+      file.oldPath = diffPath(line.slice(4));
+      if (file.oldPath === null) file.status = "added";
+    } else if (line.startsWith("+++ ")) {
+      file.path = diffPath(line.slice(4));
+      if (file.path === null) file.status = "deleted";
+    } else if (file && line.startsWith("new file mode")) {
+      file.status = "added";
+    } else if (file && line.startsWith("deleted file mode")) {
+      file.status = "deleted";
+    } else if (file && line.startsWith("rename from ")) {
+      file.oldPath = unquote(line.slice("rename from ".length));
+      file.status = "renamed";
+    } else if (file && line.startsWith("rename to ")) {
+      file.path = unquote(line.slice("rename to ".length));
+    } else if (file && (line.startsWith("Binary files ") || line === "GIT binary patch")) {
+      file.binary = true;
+    } else if (file && HUNK_HEADER.test(line)) {
+      const [, oldStart, oldLines = "1", newStart, newLines = "1", heading] = HUNK_HEADER.exec(line);
+      hunk = {
+        oldStart: Number(oldStart),
+        oldLines: Number(oldLines),
+        newStart: Number(newStart),
+        newLines: Number(newLines),
+        heading,
+        lines: []
+      };
+      // An empty side starts at line 0 in the header; its lines are numbered from 1
+      oldLine = hunk.oldLines === 0 ? hunk.oldStart + 1 : hunk.oldStart;
+      newLine = hunk.newLines === 0 ? hunk.newStart + 1 : hunk.newStart;
+      if (hunk.oldLines === 0) hunk.oldStart++;
+      if (hunk.newLines === 0) hunk.newStart++;
+      file.hunks.push(hunk);
+    }
+  }
+
+  if (hunk && (oldLine < hunk.oldStart + hunk.oldLines || newLine < hunk.newStart + hunk.newLines)) {
+    throw new ReviewError(`The diff of '${file.path ?? file.oldPath}' ends in the middle of a hunk.`);
+  }
+  for (const entry of files) {
+    if (entry.status === "deleted") entry.path = entry.oldPath;
+    entry.path ??= entry.oldPath;
+  }
+  return files.filter((entry) => entry.path);
+}
+
+/**
+ * Run git diff for a revision range
+ *
+ * @param {string} range - Anything git diff accepts as revisions, e.g. "main..feature", "HEAD~3" or "main...HEAD"
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Directory inside the repository (default: the current one)
+ * @param {number} [options.context] - Lines of unchanged code around each change
+ * @returns {string} The diff, with rename detection on and paths relative to the repository root
+ * @throws {ReviewError} When git fails, e.g. outside a repository or for an unknown revision
+ */
+export function readGitDiff(range, { cwd = process.cwd(), context = DEFAULT_DIFF_CONTEXT } = {}) {
+  const revisions = range.split(/\s+/).filter(Boolean);
+  // Revisions only: anything starting with "-" would be read as a git diff option
+  if (revisions.length === 0 || revisions.some((revision) => revision.startsWith("-"))) {
+    throw new ReviewError(`'${range}' is not a revision range, e.g. main..feature or HEAD~3.`);
+  }
+  try {
+    return execFileSync("git", [
+      "diff", "--no-color", "--no-ext-diff", "--find-renames", `--unified=${context}`, ...revisions, "--"
+    ], { cwd, encoding: "utf-8", maxBuffer: 64 * 1024 * 1024, stdio: ["ignore", "pipe", "pipe"] });
+  } catch (error) {
+    // git follows its error with the whole usage text when run outside a repository; the first line says why
+    const reason = error.stderr?.toString().trim().split("\n")[0] || error.message;
+    throw new ReviewError(`git diff ${range} failed: ${reason}`);
+  }
+}
+
+/**
+ * New-file line numbers of the lines a file's hunks add
+ *
+ * @param {Object} file - A file from parseUnifiedDiff()
+ * @returns {Set<number>} Added lines
+ */
+export function addedLines(file) {
+  return new Set(file.hunks.flatMap((hunk) => hunk.lines.filter((line) => line.type === "+").map((line) => line.newLine)));
+}
+
+/**
+ * Move a line range onto the lines a diff shows of the new file, so it can be commented on
+ *
+ * The range is cut to the hunk it overlaps most; a range outside every hunk has no place.
+ *
+ * @param {Object} file - A file from parseUnifiedDiff()
+ * @param {number} startLine - First new-file line
+ * @param {number} endLine - Last new-file line
+ * @returns {{startLine: number, endLine: number}|null} The range within one hunk, or null
+ */
+export function placeInHunks(file, startLine, endLine) {
+  let best = null;
+  for (const hunk of file.hunks) {
+    const shown = hunk.lines.filter((line) => line.newLine !== null).map((line) => line.newLine);
+    if (shown.length === 0) continue;
+    const first = Math.max(startLine, shown[0]);
+    const last = Math.min(endLine, shown.at(-1));
+    if (last >= first && (!best || last - first > best.endLine - best.startLine)) {
+      best = { startLine: first, endLine: last };
+    }
+  }
+  return best;
+}
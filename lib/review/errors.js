@@ -0,0 +1,22 @@
+/**
+ * REVIEW ERRORS
+ *
+ * The error the review modules in this directory throw for requests they cannot carry
+ * out: an unknown report format, a path that does not exist, a diff that cannot be read,
+ * a patch that does not apply.
+ */
+
+import { LocalError } from "../errors.js";
+
+/**
+ * Error thrown for a review or report that cannot be produced
+ */
+export class ReviewError extends LocalError {
+  /**
+   * @param {string} message - What went wrong
+   */
+  constructor(message) {
+    super(message);
+    this.name = "ReviewError";
+  }
+}
@@ -0,0 +1,204 @@
+/**
+ * FILES TO REVIEW
+ *
+ * Expands what the user typed after `review` into the list of files to review:
+ *
+ * - a file is reviewed as given, whatever its extension
+ * - a directory is walked, keeping files whose extension is in supportedExtensions
+ * - a glob such as "src/**\/*.ts" or "lib/*.{js,ts}" is matched against the files under
+ *   its directory part, with the same extension filter
+ *
+ * Walking respects .gitignore files the way git does for the common cases: the files of
+ * the enclosing repository from its root down, negation with "!", patterns anchored with
+ * "/" and directory-only patterns ending in "/". Files inside an ignored directory stay
+ * ignored, as in git. .git and node_modules are always skipped.
+ */
+
+import { existsSync, readdirSync, readFileSync, statSync } from "node:fs";
+import { dirname, join, relative, resolve, sep } from "node:path";
+import { supportedExtensions } from "../samples/code-review.js";
+import { ReviewError } from "./errors.js";
+
+// Directories never walked into
+export const SKIPPED_DIRECTORIES = new Set([".git", "node_modules"]);
+
+// Characters that make a target a glob rather than a path
+const GLOB_CHARACTERS = /[*?[{]/;
+
+// Path with forward slashes, as globs and .gitignore patterns use
+const toPosix = (path) => path.split(sep).join("/");
+
+/**
+ * Turn a glob into a regular expression for whole paths
+ *
+ * Supports "*" (within one directory), "**" (any number of directories), "?",
+ * character classes such as "[a-z]" and alternatives such as "{js,ts}".
+ *
+ * @param {string} glob - The glob, with forward slashes
+ * @returns {RegExp} An expression matching the paths the glob covers
+ */
+export function globToRegExp(glob) {
+  let source = "";
+  let braces = 0;
+  for (let index = 0; index < glob.length; index++) {
+    const char = glob[index];
+    if (char === "*" && glob[index + 1] === "*") {
+      // "**/" matches zero or more directories; a trailing "**" matches everything below
+      const slash = glob[index + 2] === "/";
+      source += slash ? "(?:.*/)?" : ".*";
+      index += slash ? 2 : 1;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "[") {
+      const end = glob.indexOf("]", index + 1);
+      if (end === -1) {
+        source += "\\[";
+      } else {
+        source += `[${glob.slice(index + 1, end).replace(/^!/, "^").replace(/\\/g, "\\\\")}]`;
+        index = end;
+      }
+    } else if (char === "{") {
+      braces++;
+      source += "(?:";
+    } else if (char === "}" && braces > 0) {
+      braces--;
+      source += ")";
+    } else if (char === "," && braces > 0) {
+      source += "|";
+    } else {
+      source += char.replace(/[.+^$()|\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+// Parse one .gitignore file into rules relative to its directory
+function parseGitignore(text) {
+  const rules = [];
+  for (const rawLine of text.split(/\r?\n/)) {
+    let line = rawLine.replace(/(?<!\\)\s+$/, "");
+    if (!line || line.startsWith("#")) continue;
+    const negate = line.startsWith("!");
+    if (negate) line = line.slice(1);
+    line = line.replace(/^\\/, "");
+    const directoryOnly = line.endsWith("/");
+    if (directoryOnly) line = line.slice(0, -1);
+    // A slash anywhere but the end ties the pattern to the .gitignore's directory
+    const anchored = line.includes("/");
+    line = line.replace(/^\//, "");
+    rules.push({ negate, directoryOnly, pattern: globToRegExp(anchored ? line : `**/${line}`) });
+  }
+  return rules;
+}
+
+// Nearest directory at or above a path that holds a .git entry, or undefined
+function findRepositoryRoot(directory) {
+  for (let current = directory; ; current = dirname(current)) {
+    if (existsSync(join(current, ".git"))) return current;
+    if (dirname(current) === current) return undefined;
+  }
+}
+
+/**
+ * Create a filter that tells whether a path is ignored by .gitignore files
+ *
+ * .gitignore files are read from the repository root (the nearest directory with a .git
+ * entry, or `root` outside a repository) down to the path's directory; later and deeper
+ * rules win.
+ *
+ * @param {string} [root] - Directory to use when the path is not in a git repository
+ * @returns {Function} (absolutePath, isDirectory) => true when the path is ignored
+ */
+export function createIgnoreFilter(root = process.cwd()) {
+  const rulesByDirectory = new Map();
+
+  // Rules of one directory's own .gitignore, with the directory they are relative to
+  const ownRules = (directory) => {
+    if (!rulesByDirectory.has(directory)) {
+      const file = join(directory, ".gitignore");
+      const rules = existsSync(file) ? parseGitignore(readFileSync(file, "utf-8")) : [];
+      rulesByDirectory.set(directory, rules.map((rule) => ({ ...rule, base: directory })));
+    }
+    return rulesByDirectory.get(directory);
+  };
+
+  return (path, isDirectory) => {
+    const top = findRepositoryRoot(dirname(path)) ?? resolve(root);
+    const directories = [];
+    for (let current = dirname(path); ; current = dirname(current)) {
+      directories.unshift(current);
+      if (current === top || dirname(current) === current) break;
+    }
+
+    let ignored = false;
+    for (const rule of directories.flatMap(ownRules)) {
+      if (rule.directoryOnly && !isDirectory) continue;
+      if (rule.pattern.test(toPosix(relative(rule.base, path)))) ignored = !rule.negate;
+    }
+    return ignored;
+  };
+}
+
+// Walk a directory, yielding absolute paths of files that are not ignored
+function* walk(directory, isIgnored) {
+  const entries = readdirSync(directory, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name));
+  for (const entry of entries) {
+    const path = join(directory, entry.name);
+    if (entry.isDirectory()) {
+      if (SKIPPED_DIRECTORIES.has(entry.name) || isIgnored(path, true)) continue;
+      yield* walk(path, isIgnored);
+    } else if (entry.isFile() && !isIgnored(path, false)) {
+      yield path;
+    }
+  }
+}
+
+/**
+ * Expand files, directories and globs into the files to review
+ *
+ * @param {Array<string>} targets - Paths and globs, relative to cwd
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Directory targets are relative to (default: the current one)
+ * @param {Object} [options.extensions] - Extensions to keep from directories and globs (default: supportedExtensions)
+ * @returns {Array<string>} Paths relative to cwd, with forward slashes, without duplicates
+ * @throws {ReviewError} When a target that is not a glob does not exist
+ */
+export function collectFiles(targets, { cwd = process.cwd(), extensions = supportedExtensions } = {}) {
+  const isIgnored = createIgnoreFilter(cwd);
+  const reviewable = (path) => Object.hasOwn(extensions, path.slice(path.lastIndexOf(".")).toLowerCase());
+  const files = new Set();
+
+  for (const target of targets) {
+    if (GLOB_CHARACTERS.test(target)) {
+      // Walk from the part of the glob before its first wildcard
+      const pattern = toPosix(target).replace(/^\.\//, "");
+      const segments = pattern.split("/");
+      const fixed = segments.slice(0, segments.findIndex((segment) => GLOB_CHARACTERS.test(segment)));
+      const base = resolve(cwd, fixed.join("/") || ".");
+      if (!existsSync(base) || !statSync(base).isDirectory()) continue;
+      const matcher = globToRegExp(pattern);
+      for (const path of walk(base, isIgnored)) {
+        const relativePath = toPosix(relative(cwd, path));
+        if (matcher.test(relativePath) && reviewable(path)) files.add(relativePath);
+      }
+      continue;
+    }
+
+    const path = resolve(cwd, target);
+    if (!existsSync(path)) {
+      throw new ReviewError(`Cannot review '${target}': no such file or directory.`);
+    }
+    if (statSync(path).isDirectory()) {
+      for (const file of walk(path, isIgnored)) {
+        if (reviewable(file)) files.add(toPosix(relative(cwd, file)));
+      }
+    } else {
+      files.add(toPosix(relative(cwd, path)));
+    }
+  }
+
+  return [...files];
+}
@@ -0,0 +1,181 @@
+/**
+ * IMPORT GRAPH
+ *
+ * A file is easier to review when the reviewer knows what the modules it uses and the
+ * modules that use it look like. This module finds the local imports of the files under
+ * review, links them into a graph and turns a file's neighbours into a short context:
+ * an outline of each related file (its imports, exports and declarations), never its
+ * full text.
+ *
+ * Imports are found with regular expressions, which is enough for the common forms:
+ * - JavaScript and TypeScript: import ... from "./x", import "./x", export ... from "./x",
+ *   require("./x") and import("./x")
+ * - Python: from .x import y, from pkg.x import y, import pkg.x
+ * - C, C++: #include "x.h"
+ * Only imports that resolve to another file under review are linked.
+ */
+
+import { dirname, join, normalize } from "node:path/posix";
+import { countTokens } from "../tokens.js";
+
+// Tokens of related-file context added to each review request, unless the caller sets another size
+export const DEFAULT_CONTEXT_TOKENS = 1500;
+
+// Import specifiers by language family
+const IMPORT_PATTERNS = {
+  javascript: [
+    /\bimport\s+(?:[\w*{}\s,$]+?\s+from\s+)?["']([^"']+)["']/g,
+    /\bexport\s+(?:\*|\{[^}]*\}|\*\s+as\s+\w+)\s+from\s+["']([^"']+)["']/g,
+    /\b(?:require|import)\s*\(\s*["']([^"']+)["']\s*\)/g
+  ],
+  python: [
+    /^\s*from\s+(\.*[\w.]*)\s+import\b/gm,
+    /^\s*import\s+([\w.]+)/gm
+  ],
+  c: [
+    /^\s*#\s*include\s+"([^"]+)"/gm
+  ]
+};
+
+// Language family of each language name in supportedExtensions
+const FAMILIES = {
+  JavaScript: "javascript",
+  TypeScript: "javascript",
+  Python: "python",
+  C: "c",
+  "C++": "c"
+};
+
+// Extensions tried, in order, for an import written without one
+const JAVASCRIPT_EXTENSIONS = [".js", ".ts", ".mjs", ".cjs", ".jsx", ".tsx"];
+
+// Lines kept in an outline: imports, exports and declarations
+const OUTLINE_LINE = /^\s*(import\s|export\s|from\s|#\s*include|module\.exports|exports\.|(async\s+)?function\s|(abstract\s+)?class\s|def\s|async\s+def\s|interface\s|type\s+\w+\s*=|enum\s|(public|private|protected|static)\s.*\(|(const|let|var)\s+\w+\s*=\s*(async\s*)?(\([^)]*\)|\w+)\s*=>)/;
+
+/**
+ * Find the import specifiers in a file
+ *
+ * @param {string} code - Source code
+ * @param {string} language - Language name, e.g. "TypeScript"
+ * @returns {Array<string>} Specifiers as written, e.g. "./db" or ".models"; empty for unsupported languages
+ */
+export function findImports(code, language) {
+  const patterns = IMPORT_PATTERNS[FAMILIES[language]] ?? [];
+  const specifiers = new Set();
+  for (const pattern of patterns) {
+    for (const match of code.matchAll(pattern)) specifiers.add(match[1]);
+  }
+  return [...specifiers];
+}
+
+// Candidate paths an import specifier may refer to, most likely first
+function candidatePaths(specifier, fromFile, language) {
+  const directory = dirname(fromFile);
+  switch (FAMILIES[language]) {
+    case "javascript": {
+      if (!specifier.startsWith(".")) return [];
+      const path = normalize(join(directory, specifier));
+      // TypeScript imports name the compiled .js file
+      const withoutExtension = path.replace(/\.(m|c)?js$/, "");
+      return [
+        path,
+        ...JAVASCRIPT_EXTENSIONS.map((extension) => withoutExtension + extension),
+        ...JAVASCRIPT_EXTENSIONS.map((extension) => join(path, `index${extension}`))
+      ];
+    }
+    case "python": {
+      const dots = /^\.*/.exec(specifier)[0].length;
+      const modulePath = specifier.slice(dots).split(".").filter(Boolean).join("/");
+      // ".x" is next to the file, "..x" one directory up; absolute names may be relative to any parent
+      const bases = dots > 0
+        ? [normalize(join(directory, ...Array(dots - 1).fill("..")))]
+        : directory.split("/").map((_, index, parts) => parts.slice(0, parts.length - index).join("/")).concat("");
+      return bases.flatMap((base) => {
+        const path = base && base !== "." ? join(base, modulePath) : modulePath;
+        return [`${path}.py`, join(path, "__init__.py")];
+      });
+    }
+    case "c":
+      return [normalize(join(directory, specifier))];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Link files under review by their local imports
+ *
+ * @param {Array<{file: string, language: string, code: string}>} sources - Files with forward-slash paths
+ * @returns {Map<string, {imports: Array<string>, importedBy: Array<string>}>} Neighbours of every file
+ */
+export function buildImportGraph(sources) {
+  const known = new Set(sources.map((source) => source.file));
+  const graph = new Map(sources.map((source) => [source.file, { imports: [], importedBy: [] }]));
+
+  for (const { file, language, code } of sources) {
+    for (const specifier of findImports(code, language)) {
+      const target = candidatePaths(specifier, file, language).find((path) => path !== file && known.has(path));
+      if (target && !graph.get(file).imports.includes(target)) {
+        graph.get(file).imports.push(target);
+        graph.get(target).importedBy.push(file);
+      }
+    }
+  }
+  return graph;
+}
+
+/**
+ * Outline a file: the lines that show what it imports, exports and declares
+ *
+ * @param {string} code - Source code
+ * @returns {string} Matching lines, each with its line number
+ */
+export function outlineCode(code) {
+  return code.split("\n")
+    .map((line, index) => ({ line: line.trimEnd(), number: index + 1 }))
+    .filter(({ line }) => OUTLINE_LINE.test(line))
+    .map(({ line, number }) => `${number}: ${line.length > 160 ? `${line.slice(0, 160)}…` : line}`)
+    .join("\n");
+}
+
+/**
+ * Describe a file's neighbours in the import graph for its review prompt
+ *
+ * Files it imports come first, then files that import it, each as an outline; the
+ * context stops growing once it reaches maxTokens.
+ *
+ * @param {string} file - The file under review
+ * @param {Map} graph - From buildImportGraph()
+ * @param {Map<string, string>} codeByFile - Source code of every file in the graph
+ * @param {Object} [options]
+ * @param {number} [options.maxTokens] - Largest context, in tokens
+ * @returns {string} The context, or "" when the file has no neighbours
+ */
+export function relatedContext(file, graph, codeByFile, { maxTokens = DEFAULT_CONTEXT_TOKENS } = {}) {
+  const { imports = [], importedBy = [] } = graph.get(file) ?? {};
+  const sections = [
+    ...imports.map((related) => ({ related, relation: "imported by this file" })),
+    ...importedBy.map((related) => ({ related, relation: "imports this file" }))
+  ];
+
+  let context = "";
+  for (const { related, relation } of sections) {
+    const section = `--- ${related} (${relation}) ---\n${outlineCode(codeByFile.get(related) ?? "") || "(no declarations found)"}\n`;
+    const remaining = maxTokens - countTokens(context);
+    if (remaining <= 0) break;
+    // Keep the start of a section that does not fit whole: it names the file and its first declarations
+    context += countTokens(section) <= remaining ? section : truncateStart(section, remaining);
+  }
+  return context.trimEnd();
+}
+
+// Keep the start of a text, cut down to a number of tokens
+function truncateStart(text, maxTokens) {
+  const lines = text.split("\n");
+  const kept = [];
+  for (const line of lines) {
+    if (countTokens([...kept, line, "…"].join("\n")) > maxTokens) break;
+    kept.push(line);
+  }
+  return kept.length > 0 ? `${kept.join("\n")}\n…\n` : "";
+}
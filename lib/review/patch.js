@@ -0,0 +1,294 @@
+/**
+ * PATCHES
+ *
+ * A refactoring is only useful once it is in the file. This module turns a revised
+ * version of a file into a patch against the original, applies any subset of its hunks
+ * and writes the result, optionally checking it with the project's own tests:
+ *
+ *   const patch = createPatch(original, revised, { file: "src/orders.js" });
+ *   const patched = applyPatch(original, patch, patch.hunks.filter(isWanted));
+ *   const { rolledBack } = writePatchedFile("src/orders.js", { original, patched, verify: "npm test" });
+ *
+ * A patch has the shape parseUnifiedDiff() (lib/review/diff.js) returns for one file, so
+ * formatPatch() writes a unified diff that git apply and patch accept, and a diff read
+ * back with parseUnifiedDiff() can be applied here too. Lines are compared whole; the
+ * diff is Myers' algorithm, the one git uses by default. As in git, a last line without
+ * a newline differs from the same line with one: adding or removing the final newline
+ * changes that line, and such a line is marked noNewline (written as
+ * "\ No newline at end of file").
+ */
+
+import { readFileSync, writeFileSync } from "node:fs";
+import { spawnSync } from "node:child_process";
+import { ReviewError } from "./errors.js";
+
+// Lines of unchanged code around each change, as in git diff
+export const DEFAULT_PATCH_CONTEXT = 3;
+
+// Longest a verification command may run, in milliseconds
+export const DEFAULT_VERIFY_TIMEOUT = 5 * 60 * 1000;
+
+// Verification output kept for the caller to show, in characters from the end
+const VERIFY_OUTPUT_LIMIT = 4000;
+
+// ANSI colors for each kind of diff line
+const COLORS = { header: "\x1b[1m", hunk: "\x1b[36m", "+": "\x1b[32m", "-": "\x1b[31m", reset: "\x1b[0m" };
+
+// Follows a line that is the last of its file and has no newline
+const NO_NEWLINE = "\\ No newline at end of file";
+
+// Lines of a text with their newlines; the last one has none when the text does not end with a newline
+const splitLines = (text) => text.match(/[^\n]*\n|[^\n]+$/g) ?? [];
+
+// Text of a line without its newline, as a patch line records it
+const patchLine = ({ type, text, oldLine, newLine }) => (text.endsWith("\n")
+  ? { type, text: text.slice(0, -1), oldLine, newLine }
+  : { type, text, oldLine, newLine, noNewline: true });
+
+/**
+ * Compare two lists of lines
+ *
+ * @param {Array<string>} oldLines - Lines of the original
+ * @param {Array<string>} newLines - Lines of the revision
+ * @returns {Array<Object>} Every line of both, in order: { type: "+", "-" or " ", text, oldLine, newLine },
+ *   with 1-based line numbers (null on the side a line is not in)
+ */
+export function diffLines(oldLines, newLines) {
+  // The common start and end need no search, which keeps the trace small for typical edits
+  let prefix = 0;
+  while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) prefix++;
+  let suffix = 0;
+  while (
+    suffix < oldLines.length - prefix && suffix < newLines.length - prefix &&
+    oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]
+  ) suffix++;
+  const a = oldLines.slice(prefix, oldLines.length - suffix);
+  const b = newLines.slice(prefix, newLines.length - suffix);
+
+  const edits = [];
+  for (const text of oldLines.slice(0, prefix)) edits.push({ type: " ", text });
+  edits.push(...shortestEdit(a, b));
+  for (const text of oldLines.slice(oldLines.length - suffix)) edits.push({ type: " ", text });
+
+  let oldLine = 1;
+  let newLine = 1;
+  return edits.map(({ type, text }) => ({
+    type,
+    text,
+    oldLine: type === "+" ? null : oldLine++,
+    newLine: type === "-" ? null : newLine++
+  }));
+}
+
+// Myers' O(ND) shortest edit script from a to b, as { type, text } in order
+function shortestEdit(a, b) {
+  const max = a.length + b.length;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  search: for (let d = 0; d <= max; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < a.length && y < b.length && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= a.length && y >= b.length) break search;
+    }
+  }
+
+  // Walk the trace back from the end, one edit per step
+  const edits = [];
+  let x = a.length;
+  let y = b.length;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const previous = trace[d];
+    const k = x - y;
+    const previousK = k === -d || (k !== d && previous[offset + k - 1] < previous[offset + k + 1]) ? k + 1 : k - 1;
+    const previousX = previous[offset + previousK];
+    const previousY = previousX - previousK;
+    while (x > previousX && y > previousY) {
+      edits.push({ type: " ", text: a[--x] });
+      y--;
+    }
+    if (d > 0) {
+      edits.push(x === previousX ? { type: "+", text: b[--y] } : { type: "-", text: a[--x] });
+    }
+  }
+  return edits.reverse();
+}
+
+/**
+ * Create a patch that turns one version of a file into another
+ *
+ * @param {string} original - The file as it is
+ * @param {string} revised - The file as it should be
+ * @param {Object} [options]
+ * @param {string} [options.file] - Path recorded in the patch
+ * @param {number} [options.context] - Unchanged lines kept around each change
+ * @returns {Object} { path, oldPath, status, binary, hunks }, shaped like a file from parseUnifiedDiff();
+ *   no hunks when the versions are the same, including whether they end with a newline
+ */
+export function createPatch(original, revised, { file = "file", context = DEFAULT_PATCH_CONTEXT } = {}) {
+  const lines = diffLines(splitLines(original), splitLines(revised)).map(patchLine);
+  const hunks = [];
+
+  for (let index = 0; index < lines.length; index++) {
+    if (lines[index].type === " ") continue;
+    // Changes closer than twice the context share a hunk
+    let last = index;
+    for (let scan = index + 1; scan < lines.length && scan - last <= 2 * context; scan++) {
+      if (lines[scan].type !== " ") last = scan;
+    }
+    const start = Math.max(0, index - context);
+    const end = Math.min(lines.length, last + context + 1);
+    const hunkLines = lines.slice(start, end);
+    const before = lines.slice(0, start);
+    hunks.push({
+      // As in parseUnifiedDiff(), an empty side starts at the line after the change
+      oldStart: before.filter((line) => line.type !== "+").length + 1,
+      oldLines: hunkLines.filter((line) => line.type !== "+").length,
+      newStart: before.filter((line) => line.type !== "-").length + 1,
+      newLines: hunkLines.filter((line) => line.type !== "-").length,
+      heading: "",
+      lines: hunkLines
+    });
+    index = end - 1;
+  }
+
+  return { path: file, oldPath: file, status: "modified", binary: false, hunks };
+}
+
+/**
+ * Write one hunk of a unified diff
+ *
+ * @param {Object} hunk - A hunk from createPatch() or parseUnifiedDiff()
+ * @returns {string} The "@@" header and the hunk's lines
+ */
+export function formatHunk(hunk) {
+  // The header gives an empty side as the line before it
+  const oldStart = hunk.oldLines === 0 ? hunk.oldStart - 1 : hunk.oldStart;
+  const newStart = hunk.newLines === 0 ? hunk.newStart - 1 : hunk.newStart;
+  return [
+    `@@ -${oldStart},${hunk.oldLines} +${newStart},${hunk.newLines} @@${hunk.heading ? ` ${hunk.heading}` : ""}`,
+    ...hunk.lines.flatMap((line) => [`${line.type}${line.text}`, ...(line.noNewline ? [NO_NEWLINE] : [])])
+  ].join("\n");
+}
+
+/**
+ * Write a patch as a unified diff, with git's a/ and b/ prefixes
+ *
+ * @param {Object} patch - A patch from createPatch()
+ * @param {Array<Object>} [hunks] - The hunks to include (default: all)
+ * @returns {string} The diff, ending with a newline; "" when there are no hunks
+ */
+export function formatPatch(patch, hunks = patch.hunks) {
+  if (hunks.length === 0) return "";
+  return [`--- a/${patch.oldPath ?? patch.path}`, `+++ b/${patch.path}`, ...hunks.map(formatHunk)].join("\n") + "\n";
+}
+
+/**
+ * Color a unified diff for a terminal: added lines green, removed lines red
+ *
+ * @param {string} text - A diff from formatPatch() or formatHunk()
+ * @returns {string} The diff with ANSI color codes
+ */
+export function colorizeDiff(text) {
+  return text.split("\n").map((line) => {
+    const color = line.startsWith("+++ ") || line.startsWith("--- ") ? COLORS.header
+      : line.startsWith("@@") ? COLORS.hunk
+      : COLORS[line[0]];
+    return color && line ? `${color}${line}${COLORS.reset}` : line;
+  }).join("\n");
+}
+
+/**
+ * Apply some or all of a patch's hunks
+ *
+ * Each hunk's unchanged and removed lines must match the original where the hunk says
+ * they are, including whether the last line has a newline. Hunks left out keep the
+ * original lines.
+ *
+ * @param {string} original - The file the patch was made against
+ * @param {Object} patch - A patch from createPatch() or a file from parseUnifiedDiff()
+ * @param {Array<Object>} [hunks] - The hunks to apply (default: all)
+ * @returns {string} The patched text
+ * @throws {ReviewError} When a hunk does not match the original, or two hunks overlap
+ */
+export function applyPatch(original, patch, hunks = patch.hunks) {
+  const lines = splitLines(original);
+  const result = [];
+  let next = 1;
+
+  for (const hunk of [...hunks].sort((a, b) => a.oldStart - b.oldStart)) {
+    if (hunk.oldStart < next) {
+      throw new ReviewError(`The changes to ${patch.path} overlap at line ${hunk.oldStart}.`);
+    }
+    result.push(...lines.slice(next - 1, hunk.oldStart - 1));
+    let line = hunk.oldStart;
+    for (const { type, text, noNewline } of hunk.lines) {
+      const whole = noNewline ? text : `${text}\n`;
+      if (type !== "+") {
+        if (lines[line - 1] !== whole) {
+          throw new ReviewError(`The change at line ${hunk.oldStart} does not apply to ${patch.path}: line ${line} differs.`);
+        }
+        line++;
+      }
+      if (type !== "-") result.push(whole);
+    }
+    next = hunk.oldStart + hunk.oldLines;
+  }
+  result.push(...lines.slice(next - 1));
+
+  return result.join("");
+}
+
+/**
+ * Write a patched file, run a verification command and roll back if it fails
+ *
+ * The command runs in a shell, so it can be anything the user would type: "npm test",
+ * "npx eslint src/orders.js", "make check". It passes when it exits with code 0 within
+ * the timeout; otherwise the original text is written back.
+ *
+ * @param {string} path - The file to write
+ * @param {Object} options
+ * @param {string} options.original - The text the patch was made against; the file must still hold it
+ * @param {string} options.patched - The text to write, e.g. from applyPatch()
+ * @param {string} [options.verify] - Command that checks the change
+ * @param {string} [options.cwd] - Directory the command runs in (default: the current one)
+ * @param {number} [options.timeout] - Longest the command may run, in milliseconds
+ * @returns {{rolledBack: boolean, verification: Object|null}} Whether the original was restored, and
+ *   { command, passed, exitCode, timedOut, output } for the command (output is its last few thousand characters)
+ * @throws {ReviewError} When the file changed since the patch was made
+ */
+export function writePatchedFile(path, { original, patched, verify, cwd = process.cwd(), timeout = DEFAULT_VERIFY_TIMEOUT }) {
+  if (readFileSync(path, "utf-8") !== original) {
+    throw new ReviewError(`${path} changed since it was reviewed; the patch was not written.`);
+  }
+  writeFileSync(path, patched);
+  if (!verify) return { rolledBack: false, verification: null };
+
+  let result;
+  try {
+    result = spawnSync(verify, { shell: true, cwd, encoding: "utf-8", timeout, maxBuffer: 16 * 1024 * 1024 });
+  } finally {
+    // A command that could not even start counts as a failure
+    if (result?.status !== 0) writeFileSync(path, original);
+  }
+  const output = `${result.stdout ?? ""}${result.stderr ?? ""}${result.error && result.error.code !== "ETIMEDOUT" ? result.error.message : ""}`;
+  const passed = result.status === 0;
+  return {
+    rolledBack: !passed,
+    verification: {
+      command: verify,
+      passed,
+      exitCode: result.status,
+      timedOut: result.error?.code === "ETIMEDOUT",
+      output: output.length > VERIFY_OUTPUT_LIMIT ? `…${output.slice(-VERIFY_OUTPUT_LIMIT)}` : output
+    }
+  };
+}
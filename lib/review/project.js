@@ -0,0 +1,208 @@
+/**
+ * REVIEWING MANY FILES
+ *
+ * reviewFiles() reviews a list of files (see collectFiles() in lib/review/files.js) and
+ * returns one review per file, ready for createReport():
+ *
+ *   const files = collectFiles(["src", "lib/**\/*.ts"]);
+ *   const { reviews, failures } = await reviewFiles(provider, files, { concurrency: 3 });
+ *   const report = createReport(reviews, { model, summary: await summarizeReviews(provider, reviews), failures });
+ *
+ * For each file:
+ * - its neighbours in the import graph of the files under review are outlined and sent
+ *   along as context (lib/review/imports.js)
+ * - a file too large for one request is split into chunks (lib/review/chunks.js); the
+ *   chunk reviews are merged, with scores weighted by the lines each chunk covers
+ * - JavaScript and TypeScript files are parsed once (lib/review/static.js), and each
+ *   chunk is sent with the facts about its lines
+ *
+ * reviewDiff() does the same for the files of a diff (lib/review/diff.js), sending only
+ * their hunks.
+ *
+ * Files are reviewed side by side, at most `concurrency` at a time. A file that cannot be
+ * read or reviewed is reported in `failures` instead of stopping the others.
+ */
+
+import { readFileSync } from "node:fs";
+import { resolve } from "node:path";
+import { detectLanguage, reviewCode, reviewChanges, severities, REVIEW_MAX_TOKENS } from "../samples/code-review.js";
+import { createTokenBudget } from "../tokens.js";
+import { describeError } from "../errors.js";
+import { chunkCode, DEFAULT_CHUNK_TOKENS } from "./chunks.js";
+import { buildImportGraph, relatedContext, DEFAULT_CONTEXT_TOKENS } from "./imports.js";
+import { addedLines } from "./diff.js";
+import { analyzeSource } from "./static.js";
+import { DEFAULT_RULESET, overallScore } from "./ruleset.js";
+
+// Files reviewed at the same time, unless the caller sets another limit
+export const DEFAULT_CONCURRENCY = 3;
+
+// Tokens the review instructions and schema take besides the code and context
+const PROMPT_OVERHEAD_TOKENS = 1200;
+
+// Run fn over items with at most `limit` calls in flight; results keep the items' order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Merge the reviews of a file's chunks into one review of the file
+ *
+ * @param {Array<Object>} reviews - Chunk reviews from reviewCode(), in file order
+ * @param {Array<Object>} chunks - The chunks they reviewed, from chunkCode()
+ * @param {Object} [options]
+ * @param {Object} [options.ruleset] - Ruleset the chunks were reviewed under (default: DEFAULT_RULESET)
+ * @returns {Object} One review: scores weighted by each chunk's lines, all findings
+ */
+export function mergeChunkReviews(reviews, chunks, { ruleset = DEFAULT_RULESET } = {}) {
+  if (reviews.length === 1) return reviews[0];
+  const lines = chunks.map((chunk) => chunk.endLine - chunk.startLine + 1);
+  const totalLines = lines.reduce((sum, count) => sum + count, 0);
+  const scores = Object.fromEntries(ruleset.scored.map((category) => [
+    category,
+    Math.round(reviews.reduce((sum, review, index) => sum + review.scores[category] * lines[index], 0) / totalLines)
+  ]));
+
+  return {
+    file: reviews[0].file,
+    language: reviews[0].language,
+    summary: reviews
+      .map((review, index) => `Lines ${chunks[index].startLine}-${chunks[index].endLine}: ${review.summary}`)
+      .join(" "),
+    scores,
+    overall: overallScore(scores, ruleset),
+    maxScore: ruleset.maxScore,
+    findings: reviews
+      .flatMap((review) => review.findings)
+      .sort((a, b) => severities.indexOf(a.severity) - severities.indexOf(b.severity) || a.startLine - b.startLine),
+    discarded: reviews.reduce((sum, review) => sum + review.discarded, 0)
+  };
+}
+
+/**
+ * Review several files, each with the outlines of the files it is connected to
+ *
+ * @param {Object} provider - A provider from createProvider()
+ * @param {Array<string>} files - Paths relative to cwd, with forward slashes
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Directory the paths are relative to (default: the current one)
+ * @param {number} [options.concurrency] - Files reviewed at the same time
+ * @param {number} [options.chunkTokens] - Largest chunk of code per request; by default whatever
+ *   fits the model's context window, up to DEFAULT_CHUNK_TOKENS
+ * @param {number} [options.contextTokens] - Largest related-file context per request
+ * @param {Object} [options.ruleset] - Ruleset from loadRuleset() (default: DEFAULT_RULESET)
+ * @param {Function} [options.onFile] - Called as each file starts and finishes: ({ file, status, chunks, review, error })
+ *   with status "started", "reviewed" or "failed"
+ * @returns {Promise<{reviews: Array<Object>, failures: Array<{file: string, error: string}>}>} Reviews in
+ *   file order, and the files that could not be reviewed
+ */
+export async function reviewFiles(provider, files, {
+  cwd = process.cwd(),
+  concurrency = DEFAULT_CONCURRENCY,
+  chunkTokens,
+  contextTokens = DEFAULT_CONTEXT_TOKENS,
+  ruleset = DEFAULT_RULESET,
+  onFile
+} = {}) {
+  const failures = [];
+  const sources = [];
+  for (const file of files) {
+    try {
+      const code = readFileSync(resolve(cwd, file), "utf-8");
+      sources.push({ file, code, language: detectLanguage(file) ?? "Generic" });
+    } catch (error) {
+      failures.push({ file, error: `Cannot read the file: ${error.message}` });
+    }
+  }
+
+  const graph = buildImportGraph(sources);
+  const codeByFile = new Map(sources.map((source) => [source.file, source.code]));
+  // Chunks must leave room for the instructions, the context and the reply
+  const budget = createTokenBudget(provider.config, { reserve: REVIEW_MAX_TOKENS });
+  const maxChunkTokens = chunkTokens
+    ?? Math.max(500, Math.min(DEFAULT_CHUNK_TOKENS, budget.limit - PROMPT_OVERHEAD_TOKENS - contextTokens));
+
+  const reviewed = await mapWithConcurrency(sources, Math.max(1, concurrency), async ({ file, code, language }) => {
+    const chunks = chunkCode(code, maxChunkTokens);
+    onFile?.({ file, status: "started", chunks: chunks.length });
+    try {
+      const context = relatedContext(file, graph, codeByFile, { maxTokens: contextTokens });
+      // Parsed once for the whole file: each chunk gets the facts about its own lines
+      const facts = analyzeSource(code, language);
+      const reviews = [];
+      for (const chunk of chunks) {
+        reviews.push(await reviewCode(provider, chunk.code, language, file, { firstLine: chunk.startLine, context, ruleset, facts }));
+      }
+      const review = mergeChunkReviews(reviews, chunks, { ruleset });
+      onFile?.({ file, status: "reviewed", chunks: chunks.length, review });
+      return review;
+    } catch (error) {
+      failures.push({ file, error: describeError(error) });
+      onFile?.({ file, status: "failed", chunks: chunks.length, error });
+      return null;
+    }
+  });
+
+  failures.sort((a, b) => files.indexOf(a.file) - files.indexOf(b.file));
+  return { reviews: reviewed.filter(Boolean), failures };
+}
+
+/**
+ * Review the changes of a diff, file by file
+ *
+ * Files the diff deletes, binary files, files without added lines and files whose
+ * extension is not in supportedExtensions are skipped.
+ *
+ * @param {Object} provider - A provider from createProvider()
+ * @param {Array<Object>} diffFiles - Files from parseUnifiedDiff()
+ * @param {Object} [options]
+ * @param {number} [options.concurrency] - Files reviewed at the same time
+ * @param {Object} [options.ruleset] - Ruleset from loadRuleset() (default: DEFAULT_RULESET)
+ * @param {Function} [options.onFile] - Called as each file starts and finishes, as for reviewFiles()
+ * @returns {Promise<{reviews: Array<Object>, failures: Array<{file: string, error: string}>, skipped: Array<{file: string, reason: string}>}>}
+ *   Reviews in diff order, the files that could not be reviewed and the files skipped
+ */
+export async function reviewDiff(provider, diffFiles, { concurrency = DEFAULT_CONCURRENCY, ruleset = DEFAULT_RULESET, onFile } = {}) {
+  const failures = [];
+  const skipped = [];
+  const reviewable = [];
+  for (const file of diffFiles) {
+    const language = detectLanguage(file.path);
+    const reason = file.status === "deleted" ? "deleted"
+      : file.binary ? "binary"
+      : !language ? "unsupported file type"
+      : addedLines(file).size === 0 ? "no added lines"
+      : null;
+    if (reason) {
+      skipped.push({ file: file.path, reason });
+    } else {
+      reviewable.push({ file, language });
+    }
+  }
+
+  const reviewed = await mapWithConcurrency(reviewable, Math.max(1, concurrency), async ({ file, language }) => {
+    onFile?.({ file: file.path, status: "started", chunks: 1 });
+    try {
+      const review = await reviewChanges(provider, file, language, { ruleset });
+      onFile?.({ file: file.path, status: "reviewed", chunks: 1, review });
+      return review;
+    } catch (error) {
+      failures.push({ file: file.path, error: describeError(error) });
+      onFile?.({ file: file.path, status: "failed", chunks: 1, error });
+      return null;
+    }
+  });
+
+  const order = diffFiles.map((file) => file.path);
+  failures.sort((a, b) => order.indexOf(a.file) - order.indexOf(b.file));
+  return { reviews: reviewed.filter(Boolean), failures, skipped };
+}
@@ -0,0 +1,329 @@
+/**
+ * REVIEW REPORTS
+ *
+ * Turns reviews from reviewCode() (lib/samples/code-review.js) into one report and
+ * writes it in the format a reader needs:
+ *
+ * - json      the report itself, for scripts
+ * - sarif     SARIF 2.1.0, which code-scanning UIs (GitHub code scanning, VS Code's
+ *             SARIF viewer) show as annotations on the reviewed lines
+ * - markdown  scores table and findings grouped by severity, for pull requests and docs
+ * - comments  a pull request review for GitHub's "create a review" API: one inline
+ *             comment per finding, on the new-file lines of a diff review
+ *
+ *   const report = createReport([await reviewCode(provider, code, "JavaScript", "orders.js")], { model });
+ *   writeFileSync("report.sarif", formatReport(report, "sarif"));
+ *
+ * A report holds every finding (each with its file) plus the scores per file. Its scores
+ * are the per-category averages over the files, rounded to one decimal, and its overall
+ * score is their weighted sum under the ruleset the files were reviewed with (by default
+ * the plain sum, out of 40; see lib/review/ruleset.js). Reviews of several files (see
+ * lib/review/project.js) may add a repository-level summary and the files that could not
+ * be reviewed. When the ruleset has a gate, the report records whether it passed.
+ */
+
+import { DEFAULT_RULESET, atLeastSeverity, overallScore, severities } from "./ruleset.js";
+import { ReviewError } from "./errors.js";
+
+// Report formats and the file extension that goes with each
+export const REPORT_FORMATS = { json: "json", sarif: "sarif", markdown: "md", comments: "json" };
+
+// Version of the report layout, bumped when fields change meaning
+export const REPORT_VERSION = 2;
+
+// Highest overall score under the default ruleset
+export const MAX_SCORE = DEFAULT_RULESET.maxScore;
+
+// Name the reviewer goes by in SARIF output
+const TOOL_NAME = "ghm-review";
+
+// SARIF levels by finding severity
+const SARIF_LEVELS = { critical: "error", high: "error", medium: "warning", low: "note", info: "note" };
+
+// Marker shown next to each severity in Markdown
+const SEVERITY_ICONS = { critical: "🔴", high: "🟠", medium: "🟡", low: "🔵", info: "⚪" };
+
+// What a finding's check (see checkFinding() in lib/review/static.js) means, shown in Markdown
+const CHECK_NOTES = { confirmed: "✔ confirmed by static analysis", suspect: "⚠️ cites only blank lines; the line numbers may be off" };
+
+// Round to one decimal
+const round = (value) => Math.round(value * 10) / 10;
+
+// Whether a report passes a ruleset's gate, and why not; null without a gate
+function checkGate(report, gate) {
+  if (!gate) return null;
+  const reasons = [];
+  if (gate.minScore !== null && report.overall !== null && report.overall < gate.minScore) {
+    reasons.push(`the score ${report.overall}/${report.maxScore} is below ${gate.minScore}`);
+  }
+  if (gate.failOn) {
+    const failing = report.findings.filter((finding) => atLeastSeverity(finding.severity, gate.failOn)).length;
+    if (failing > 0) {
+      reasons.push(`${failing} finding${failing === 1 ? " is" : "s are"} ${gate.failOn}${gate.failOn === "critical" ? "" : " or worse"}`);
+    }
+  }
+  return { minScore: gate.minScore, failOn: gate.failOn, passed: reasons.length === 0, reasons };
+}
+
+/**
+ * Combine reviews into one report
+ *
+ * @param {Array<Object>} reviews - Reviews from reviewCode()
+ * @param {Object} [options]
+ * @param {string} [options.model] - Model that wrote the reviews
+ * @param {string} [options.summary] - Summary of all the reviews, e.g. from summarizeReviews()
+ * @param {Array<{file: string, error: string}>} [options.failures] - Files that could not be reviewed
+ * @param {string} [options.changes] - For a review of changes, the revision range or diff file reviewed
+ * @param {Object} [options.ruleset] - Ruleset the reviews were made under (default: DEFAULT_RULESET)
+ * @returns {Object} The report: { version, model, generatedAt, changes, ruleset, categories, summary, scores, overall,
+ *   maxScore, gate, files, findings, failures }, where categories maps each category to { label, weight } and gate is
+ *   { minScore, failOn, passed, reasons } or null
+ */
+export function createReport(reviews, { model, summary, failures = [], changes, ruleset = DEFAULT_RULESET } = {}) {
+  const scores = Object.fromEntries(ruleset.scored.map((category) => [
+    category,
+    reviews.length ? round(reviews.reduce((sum, review) => sum + review.scores[category], 0) / reviews.length) : null
+  ]));
+
+  const report = {
+    version: REPORT_VERSION,
+    model: model ?? null,
+    generatedAt: new Date().toISOString(),
+    changes: changes ?? null,
+    ruleset: ruleset.source,
+    categories: Object.fromEntries(Object.entries(ruleset.categories).map(([category, { label, weight }]) => [category, { label, weight }])),
+    summary: summary ?? null,
+    scores,
+    overall: reviews.length ? overallScore(scores, ruleset) : null,
+    maxScore: ruleset.maxScore,
+    gate: null,
+    files: reviews.map(({ file, language, summary, scores: fileScores, overall }) =>
+      ({ file, language, summary, scores: fileScores, overall })),
+    findings: reviews.flatMap((review) => review.findings),
+    failures
+  };
+  report.gate = checkGate(report, ruleset.gate);
+  return report;
+}
+
+/**
+ * Count a report's findings by severity
+ *
+ * @param {Object} report - A report from createReport()
+ * @returns {Object} Counts by severity, e.g. { critical: 1, high: 0, ... }
+ */
+export function countBySeverity(report) {
+  const counts = Object.fromEntries(severities.map((severity) => [severity, 0]));
+  for (const finding of report.findings) counts[finding.severity]++;
+  return counts;
+}
+
+// File path as a SARIF artifact URI: relative, with forward slashes
+function artifactUri(file) {
+  return file.replace(/\\/g, "/").replace(/^\.\//, "").split("/").map(encodeURIComponent).join("/");
+}
+
+/**
+ * Convert a report to a SARIF 2.1.0 log
+ *
+ * Each review category is a rule; findings become results on that rule, with their
+ * severity mapped to a SARIF level; the suggested fix and any static-analysis check are kept
+ * in the result properties.
+ *
+ * @param {Object} report - A report from createReport()
+ * @returns {Object} The SARIF log
+ */
+export function toSarif(report) {
+  const ruleIds = Object.keys(report.categories);
+  return {
+    $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+    version: "2.1.0",
+    runs: [{
+      tool: {
+        driver: {
+          name: TOOL_NAME,
+          informationUri: "https://github.com/marketplace/models",
+          rules: ruleIds.map((id) => ({
+            id,
+            name: id,
+            shortDescription: { text: report.categories[id].label }
+          }))
+        }
+      },
+      // Files that could not be reviewed are reported as notifications of a failed run
+      invocations: [{
+        executionSuccessful: report.failures.length === 0,
+        toolExecutionNotifications: report.failures.map(({ file, error }) => ({
+          level: "error",
+          message: { text: error },
+          locations: [{ physicalLocation: { artifactLocation: { uri: artifactUri(file) } } }]
+        }))
+      }],
+      results: report.findings.map((finding) => ({
+        ruleId: finding.category,
+        ruleIndex: ruleIds.indexOf(finding.category),
+        level: SARIF_LEVELS[finding.severity],
+        message: { text: finding.fix ? `${finding.message}\nSuggested fix: ${finding.fix}` : finding.message },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri: artifactUri(finding.file) },
+            region: { startLine: finding.startLine, endLine: finding.endLine }
+          }
+        }],
+        properties: { severity: finding.severity, fix: finding.fix, ...(finding.check ? { check: finding.check } : {}) }
+      })),
+      properties: {
+        model: report.model,
+        summary: report.summary,
+        scores: report.scores,
+        overall: report.overall,
+        maxScore: report.maxScore,
+        gate: report.gate,
+        files: report.files.map(({ file, scores, overall }) => ({ file, scores, overall }))
+      }
+    }]
+  };
+}
+
+// Table cell text: one line, with pipes escaped
+const cell = (text) => String(text ?? "").replace(/\s*\n\s*/g, " ").replace(/\|/g, "\\|");
+
+// Label of a finding's category
+const categoryLabel = (report, category) => report.categories[category]?.label ?? category;
+
+// Short column heading for a category, e.g. "Best practices" for bestPractices
+const columnLabel = (category) => category[0].toUpperCase() + category.slice(1).replace(/[A-Z]/g, (letter) => ` ${letter.toLowerCase()}`);
+
+// Line range as shown in Markdown, e.g. "12" or "12-15"
+const lineRange = ({ startLine, endLine }) => (endLine > startLine ? `${startLine}-${endLine}` : `${startLine}`);
+
+/**
+ * Convert a report to Markdown
+ *
+ * @param {Object} report - A report from createReport()
+ * @returns {string} The Markdown document
+ */
+export function toMarkdown(report) {
+  const lines = ["# Code Review Report", ""];
+  const files = report.files.length === 1 ? `\`${report.files[0].file}\`` : `${report.files.length} files`;
+  const subject = report.changes ? `the changes in \`${report.changes}\` (${files})` : files;
+  lines.push(`Reviewed ${subject}${report.model ? ` with ${report.model}` : ""} on ${report.generatedAt.slice(0, 10)}.`, "");
+
+  lines.push(`## Scores: ${report.overall ?? "–"}/${report.maxScore}`, "");
+  if (report.gate) {
+    const limits = [
+      report.gate.minScore !== null && `minimum score ${report.gate.minScore}`,
+      report.gate.failOn && `no ${report.gate.failOn} findings${report.gate.failOn === "critical" ? "" : " or worse"}`
+    ].filter(Boolean).join(", ");
+    lines.push(report.gate.passed
+      ? `✅ **Quality gate passed** (${limits}).`
+      : `❌ **Quality gate failed**: ${report.gate.reasons.join("; ")} (${limits}).`, "");
+  }
+  const scored = Object.keys(report.scores);
+  // Weights are only worth a column when they differ
+  const weighted = scored.some((category) => report.categories[category].weight !== 1);
+  if (report.files.length > 1) {
+    lines.push(`| File | ${scored.map(columnLabel).join(" | ")} | Overall |`);
+    lines.push(`|------|${scored.map(() => "---:|").join("")}---:|`);
+    if (weighted) lines.push(`| *Weight* | ${scored.map((category) => `×${report.categories[category].weight}`).join(" | ")} | |`);
+    for (const file of report.files) {
+      lines.push(`| \`${cell(file.file)}\` | ${scored.map((category) => file.scores[category]).join(" | ")} | ${file.overall}/${report.maxScore} |`);
+    }
+    lines.push(`| **Average** | ${scored.map((category) => report.scores[category]).join(" | ")} | **${report.overall}/${report.maxScore}** |`);
+  } else if (weighted) {
+    lines.push("| Category | Score | Weight |", "|----------|------:|-------:|");
+    for (const category of scored) {
+      lines.push(`| ${cell(categoryLabel(report, category))} | ${report.scores[category] ?? "–"}/10 | ×${report.categories[category].weight} |`);
+    }
+  } else {
+    lines.push("| Category | Score |", "|----------|------:|");
+    for (const category of scored) {
+      lines.push(`| ${cell(categoryLabel(report, category))} | ${report.scores[category] ?? "–"}/10 |`);
+    }
+  }
+  lines.push("");
+
+  const summaries = report.files.filter((file) => file.summary);
+  if (report.summary || summaries.length > 0) {
+    lines.push("## Summary", "");
+    if (report.summary) lines.push(report.summary, "");
+    for (const file of summaries) {
+      lines.push(report.files.length > 1 ? `- \`${file.file}\`: ${file.summary}` : file.summary);
+    }
+    lines.push("");
+  }
+
+  lines.push(`## Findings (${report.findings.length})`, "");
+  if (report.findings.length === 0) {
+    lines.push("No issues found.", "");
+  }
+  for (const severity of severities) {
+    const findings = report.findings.filter((finding) => finding.severity === severity);
+    if (findings.length === 0) continue;
+    lines.push(`### ${SEVERITY_ICONS[severity]} ${severity[0].toUpperCase()}${severity.slice(1)} (${findings.length})`, "");
+    for (const finding of findings) {
+      lines.push(`- **\`${finding.file}:${lineRange(finding)}\`** · ${categoryLabel(report, finding.category)}  `);
+      lines.push(`  ${finding.message}${finding.check ? ` *(${CHECK_NOTES[finding.check]})*` : ""}`);
+      if (finding.fix) lines.push(`  *Fix:* ${finding.fix}`);
+    }
+    lines.push("");
+  }
+
+  if (report.failures.length > 0) {
+    lines.push(`## Not Reviewed (${report.failures.length})`, "");
+    for (const { file, error } of report.failures) lines.push(`- \`${file}\`: ${cell(error)}`);
+    lines.push("");
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Convert a report to a pull request review for GitHub's REST API
+ * (POST /repos/{owner}/{repo}/pulls/{pull_number}/reviews)
+ *
+ * Each finding becomes an inline comment on the right-hand (new) side of the diff,
+ * spanning its line range. Post it only for reviews of changes: GitHub rejects comments
+ * on lines the pull request does not show.
+ *
+ * @param {Object} report - A report from createReport()
+ * @returns {{event: string, body: string, comments: Array<Object>}} The review request body
+ */
+export function toReviewComments(report) {
+  const counts = Object.entries(countBySeverity(report))
+    .filter(([, count]) => count > 0)
+    .map(([severity, count]) => `${count} ${severity}`);
+  return {
+    event: "COMMENT",
+    body: [
+      `Code review score: ${report.overall ?? "–"}/${report.maxScore}` +
+        ` (${report.findings.length} finding${report.findings.length === 1 ? "" : "s"}${counts.length ? `: ${counts.join(", ")}` : ""}).` +
+        (report.gate && !report.gate.passed ? ` Quality gate failed: ${report.gate.reasons.join("; ")}.` : ""),
+      report.summary ?? report.files.map((file) => file.summary).filter(Boolean).join("\n\n")
+    ].filter(Boolean).join("\n\n"),
+    comments: report.findings.map((finding) => ({
+      path: finding.file,
+      ...(finding.endLine > finding.startLine ? { start_line: finding.startLine, start_side: "RIGHT" } : {}),
+      line: finding.endLine,
+      side: "RIGHT",
+      body: `${SEVERITY_ICONS[finding.severity]} **${finding.severity}** · ${categoryLabel(report, finding.category)}\n\n` +
+        `${finding.message}${finding.fix ? `\n\n**Suggested fix:** ${finding.fix}` : ""}`
+    }))
+  };
+}
+
+/**
+ * Write a report in one of the REPORT_FORMATS
+ *
+ * @param {Object} report - A report from createReport()
+ * @param {string} [format] - "json" (default), "sarif", "markdown" or "comments"
+ * @returns {string} The report text, ending with a newline
+ * @throws {ReviewError} When the format is unknown
+ */
+export function formatReport(report, format = "json") {
+  if (format === "json") return JSON.stringify(report, null, 2) + "\n";
+  if (format === "sarif") return JSON.stringify(toSarif(report), null, 2) + "\n";
+  if (format === "markdown") return toMarkdown(report);
+  if (format === "comments") return JSON.stringify(toReviewComments(report), null, 2) + "\n";
+  throw new ReviewError(`Unknown report format '${format}'. Use one of: ${Object.keys(REPORT_FORMATS).join(", ")}.`);
+}
@@ -0,0 +1,257 @@
+/**
+ * REVIEW RULESETS
+ *
+ * What a review looks for and how it is scored comes from a ruleset. The default one
+ * scores security, performance, maintainability and best practices out of 10 each, 40
+ * in all. A team can write its own in a .reviewrc file (JSON) at the top of its
+ * repository:
+ *
+ *   {
+ *     "categories": {
+ *       "security": 2,
+ *       "maintainability": 1,
+ *       "dataAccess": { "description": "database access goes through the repository layer", "weight": 1 }
+ *     },
+ *     "rules": [
+ *       "No default exports.",
+ *       { "rule": "All DB access goes through src/repositories.", "category": "dataAccess", "severity": "high" }
+ *     ],
+ *     "minSeverity": "low",
+ *     "languages": { "Python": { "instructions": "Public functions need type hints." } },
+ *     "gate": { "minScore": 24, "failOn": "critical" },
+ *     "verify": "npm test"
+ *   }
+ *
+ * - categories   the complete set, in order. A number is the weight; an object may also
+ *                set the label and, for categories of its own, must describe what they
+ *                cover. Each category with a weight above 0 is scored out of 10, and the
+ *                overall score is the weighted sum, out of 10 × the sum of the weights.
+ *                Weight 0 keeps a category for findings without scoring it.
+ * - rules        the team's own rules in plain language; violations are findings, in
+ *                the given category and severity when set
+ * - minSeverity  findings below this severity are left out
+ * - languages    per language (as detectLanguage() names it): extra "instructions" for
+ *                the review, or a "system" prompt that replaces the default one
+ * - gate         a report fails when its overall score is below minScore, or when it has
+ *                a finding of severity failOn or worse; the review command then exits 1
+ * - verify       the command run after a refactoring patch is applied (see lib/review/patch.js)
+ *
+ * The nearest .reviewrc in the current directory or above it, up to the repository
+ * root, is used unless a file is named.
+ */
+
+import { existsSync, readFileSync } from "node:fs";
+import { dirname, join, relative, resolve } from "node:path";
+import { ConfigError } from "../client.js";
+
+// File name looked up when no ruleset file is named
+export const RULESET_FILE = ".reviewrc";
+
+// Severities a finding can have, most serious first
+export const severities = ["critical", "high", "medium", "low", "info"];
+
+// Categories of the default ruleset; the first four are scored
+const DEFAULT_CATEGORIES = {
+  security: {
+    label: "Security & Vulnerability Assessment",
+    description: "vulnerabilities, input validation, injection, secrets, authentication/authorization",
+    weight: 1
+  },
+  performance: {
+    label: "Performance & Optimization",
+    description: "bottlenecks, inefficient algorithms or data structures, memory use",
+    weight: 1
+  },
+  maintainability: {
+    label: "Code Maintainability & Readability",
+    description: "readability, structure, naming, complexity",
+    weight: 1
+  },
+  bestPractices: {
+    label: "Best Practices & Conventions",
+    description: "language conventions, error handling, documentation",
+    weight: 1
+  },
+  architecture: {
+    label: "Architecture & Design Patterns",
+    description: "module boundaries, coupling, design patterns",
+    weight: 0
+  },
+  testing: {
+    label: "Testing & Error Handling",
+    description: "testability, missing tests, unhandled errors",
+    weight: 0
+  }
+};
+
+// Settings a ruleset file may contain
+const KNOWN_SETTINGS = ["categories", "rules", "minSeverity", "languages", "gate", "verify"];
+
+// Category keys become JSON property names and SARIF rule ids
+const CATEGORY_KEY = /^[A-Za-z][A-Za-z0-9_-]*$/;
+
+// Readable label for a category key, e.g. "Data access" for dataAccess
+const labelFromKey = (key) => key[0].toUpperCase() + key.slice(1).replace(/[A-Z]/g, (letter) => ` ${letter.toLowerCase()}`);
+
+// A plain object, as JSON.parse returns for {...}
+const isObject = (value) => typeof value === "object" && value !== null && !Array.isArray(value);
+
+/**
+ * Check whether a severity is at least as serious as another
+ *
+ * @param {string} severity - One of severities
+ * @param {string} threshold - One of severities
+ * @returns {boolean} True when severity is threshold or more serious
+ */
+export function atLeastSeverity(severity, threshold) {
+  return severities.indexOf(severity) <= severities.indexOf(threshold);
+}
+
+/**
+ * Build a ruleset from the settings of a .reviewrc file
+ *
+ * @param {Object} [config] - The parsed file; {} gives the default ruleset
+ * @param {Object} [options]
+ * @param {string} [options.source] - Path of the file, recorded in the ruleset and used in error messages
+ * @returns {Object} The ruleset: { source, categories, scored, maxScore, rules, minSeverity, languages, gate, verify },
+ *   where categories maps each key to { label, description, weight } and scored lists the keys with a weight
+ * @throws {ConfigError} When a setting is unknown or invalid
+ */
+export function createRuleset(config = {}, { source } = {}) {
+  const fail = (message) => {
+    throw new ConfigError(`${source ?? "The review ruleset"}: ${message}`);
+  };
+  if (!isObject(config)) fail("must be a JSON object.");
+  const unknown = Object.keys(config).find((key) => !KNOWN_SETTINGS.includes(key));
+  if (unknown) fail(`unknown setting '${unknown}'. Use ${KNOWN_SETTINGS.join(", ")}.`);
+
+  if (config.categories !== undefined && (!isObject(config.categories) || Object.keys(config.categories).length === 0)) {
+    fail("\"categories\" must be an object with at least one category.");
+  }
+  const categories = Object.fromEntries(Object.entries(config.categories ?? DEFAULT_CATEGORIES).map(([key, value]) => {
+    if (!CATEGORY_KEY.test(key)) fail(`'${key}' is not a valid category name; use letters, digits, "_" and "-".`);
+    const settings = typeof value === "number" ? { weight: value } : value;
+    if (!isObject(settings)) fail(`category '${key}' must be a weight or an object with a label, description and weight.`);
+    const { label, description, weight = 1 } = { ...DEFAULT_CATEGORIES[key], ...settings };
+    if (typeof weight !== "number" || !(weight >= 0)) fail(`the weight of '${key}' must be a number of 0 or more.`);
+    if (typeof description !== "string" || !description.trim()) fail(`category '${key}' needs a description of what it covers.`);
+    return [key, { label: label ?? labelFromKey(key), description, weight }];
+  }));
+  const scored = Object.keys(categories).filter((key) => categories[key].weight > 0);
+  if (scored.length === 0) fail("at least one category needs a weight above 0.");
+  const maxScore = Math.round(scored.reduce((sum, key) => sum + categories[key].weight * 10, 0) * 10) / 10;
+
+  const checkSeverity = (severity, setting) => {
+    if (severity !== undefined && !severities.includes(severity)) fail(`${setting} must be one of ${severities.join(", ")}.`);
+    return severity;
+  };
+
+  if (config.rules !== undefined && !Array.isArray(config.rules)) fail("\"rules\" must be a list.");
+  const rules = (config.rules ?? []).map((entry, index) => {
+    const rule = typeof entry === "string" ? { rule: entry } : entry;
+    if (!isObject(rule) || typeof rule.rule !== "string" || !rule.rule.trim()) {
+      fail(`rule ${index + 1} must be a sentence or an object with a "rule" sentence.`);
+    }
+    if (rule.category !== undefined && !categories[rule.category]) {
+      fail(`rule ${index + 1} uses the unknown category '${rule.category}'.`);
+    }
+    return { rule: rule.rule.trim(), category: rule.category, severity: checkSeverity(rule.severity, `the severity of rule ${index + 1}`) };
+  });
+
+  if (config.languages !== undefined && !isObject(config.languages)) fail("\"languages\" must be an object keyed by language.");
+  const languages = Object.fromEntries(Object.entries(config.languages ?? {}).map(([language, value]) => {
+    const settings = typeof value === "string" ? { instructions: value } : value;
+    if (!isObject(settings) || Object.keys(settings).some((key) => (key !== "system" && key !== "instructions") || typeof settings[key] !== "string")) {
+      fail(`the settings for ${language} must be instructions text or an object with "system" and/or "instructions" text.`);
+    }
+    return [language.toLowerCase(), settings];
+  }));
+
+  let gate = null;
+  if (config.gate !== undefined) {
+    if (!isObject(config.gate)) fail("\"gate\" must be an object with minScore and/or failOn.");
+    const { minScore, failOn } = config.gate;
+    if (minScore !== undefined && (typeof minScore !== "number" || minScore < 0 || minScore > maxScore)) {
+      fail(`gate.minScore must be a number from 0 to ${maxScore}, the highest score of these categories.`);
+    }
+    gate = { minScore: minScore ?? null, failOn: checkSeverity(failOn, "gate.failOn") ?? null };
+  }
+
+  if (config.verify !== undefined && (typeof config.verify !== "string" || !config.verify.trim())) fail("\"verify\" must be a command.");
+
+  return {
+    source: source ?? null,
+    categories,
+    scored,
+    maxScore,
+    rules,
+    minSeverity: checkSeverity(config.minSeverity, "minSeverity") ?? "info",
+    languages,
+    gate,
+    verify: config.verify ?? null
+  };
+}
+
+// The ruleset used when a project has none
+export const DEFAULT_RULESET = createRuleset();
+
+/**
+ * Find the ruleset file that applies to a directory
+ *
+ * @param {string} [cwd] - Directory to start from (default: the current one)
+ * @returns {string|undefined} Path of the nearest .reviewrc at or above cwd, up to the repository root
+ */
+export function findRulesetFile(cwd = process.cwd()) {
+  for (let directory = resolve(cwd); ; directory = dirname(directory)) {
+    const file = join(directory, RULESET_FILE);
+    if (existsSync(file)) return file;
+    // A project's rules live in the project: do not look above its repository
+    if (existsSync(join(directory, ".git")) || dirname(directory) === directory) return undefined;
+  }
+}
+
+/**
+ * Load the ruleset for a review
+ *
+ * @param {string} [file] - Ruleset file to use; by default the nearest .reviewrc, if any
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Directory to look for .reviewrc from
+ * @returns {Object} The ruleset from createRuleset(); DEFAULT_RULESET when there is no file
+ * @throws {ConfigError} When the named file is missing, or a file is not valid JSON or not a valid ruleset
+ */
+export function loadRuleset(file, { cwd = process.cwd() } = {}) {
+  const path = file ? resolve(cwd, file) : findRulesetFile(cwd);
+  if (!path) return DEFAULT_RULESET;
+  if (!existsSync(path)) throw new ConfigError(`Ruleset file '${file}' does not exist.`);
+  let config;
+  try {
+    config = JSON.parse(readFileSync(path, "utf-8"));
+  } catch (error) {
+    throw new ConfigError(`Could not parse ruleset file '${path}': ${error.message}`);
+  }
+  // Shown relative to cwd when the file is inside it, e.g. ".reviewrc" or "../.reviewrc"
+  const shown = relative(cwd, path);
+  return createRuleset(config, { source: shown.startsWith("../..") || !shown ? path : shown });
+}
+
+/**
+ * Weighted overall score of a set of category scores
+ *
+ * @param {Object} scores - Score out of 10 for each scored category
+ * @param {Object} ruleset - The ruleset the scores were given under
+ * @returns {number} The overall score, out of ruleset.maxScore, rounded to one decimal
+ */
+export function overallScore(scores, ruleset) {
+  return Math.round(ruleset.scored.reduce((sum, key) => sum + scores[key] * ruleset.categories[key].weight, 0) * 10) / 10;
+}
+
+/**
+ * Prompt settings of a ruleset for one language
+ *
+ * @param {Object} ruleset - A ruleset from createRuleset()
+ * @param {string} language - Language name, e.g. "TypeScript"; matched regardless of case
+ * @returns {{system?: string, instructions?: string}} The settings, empty when there are none
+ */
+export function languageSettings(ruleset, language) {
+  return ruleset.languages[language.toLowerCase()] ?? {};
+}
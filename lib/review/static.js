@@ -0,0 +1,358 @@
+/**
+ * STATIC ANALYSIS
+ *
+ * A model reviewing code cites line numbers it has to count itself, and it can overlook
+ * the obvious. For JavaScript and TypeScript, this module parses the code first (with
+ * @babel/parser) and collects facts that need no model:
+ *
+ * - functions, with their lines and cyclomatic complexity
+ * - variables, functions and imports that are declared but never used
+ * - code run from strings: eval(), new Function(), setTimeout("...")
+ * - child_process calls, and shell commands built from variables
+ * - hard-coded secrets: known token formats, and long literals assigned to names such as
+ *   apiKey, secret, token or password
+ *
+ *   const facts = analyzeSource(code, "JavaScript");
+ *   // { functions: [{ name: "findOrders", startLine: 7, endLine: 10, complexity: 1 }],
+ *   //   issues: [{ kind: "eval", category: "security", severity: "critical", startLine: 14, ... }] }
+ *
+ * reviewCode() and analyzeCode() (lib/samples/code-review.js) send the facts along with
+ * the code, with exact line numbers, and checkFinding() holds the model's findings
+ * against the source afterwards.
+ */
+
+import { parse } from "@babel/parser";
+import traverseModule from "@babel/traverse";
+
+// @babel/traverse is CommonJS; its function is the default export's default
+const traverse = traverseModule.default ?? traverseModule;
+
+// Languages the pre-pass can parse
+export const STATIC_LANGUAGES = ["JavaScript", "TypeScript"];
+
+// Cyclomatic complexity above which a function is reported
+export const COMPLEXITY_THRESHOLD = 10;
+
+// Functions listed in a prompt at most; the issues are always listed
+const MAX_LISTED_FUNCTIONS = 40;
+
+// Modules whose functions start processes
+const CHILD_PROCESS_MODULES = new Set(["child_process", "node:child_process"]);
+
+// child_process functions that run their command through a shell
+const SHELL_FUNCTIONS = new Set(["exec", "execSync"]);
+
+// Well-known token formats, found in any string
+const SECRET_PATTERNS = [
+  { name: "AWS access key", pattern: /\bA(?:KIA|SIA)[0-9A-Z]{16}\b/ },
+  { name: "GitHub token", pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{40,})\b/ },
+  { name: "Slack token", pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/ },
+  { name: "Stripe key", pattern: /\b[rs]k_live_[A-Za-z0-9]{16,}/ },
+  { name: "API key", pattern: /\bsk-(?:live-|proj-)?[A-Za-z0-9_-]{20,}/ },
+  { name: "private key", pattern: /-----BEGIN (?:[A-Z]+ )?PRIVATE KEY-----/ },
+  { name: "JSON web token", pattern: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/ }
+];
+
+// Names that say a value is a credential
+const SECRET_NAME = /(?:api[_-]?key|secret|token|passw(?:or)?d|pwd|private[_-]?key|access[_-]?key|credentials?)$/i;
+
+// Nodes that add a path through a function
+const BRANCH_TYPES = new Set([
+  "IfStatement", "ConditionalExpression", "ForStatement", "ForInStatement", "ForOfStatement",
+  "WhileStatement", "DoWhileStatement", "CatchClause"
+]);
+
+// Name of the variable, property or method a function is assigned to
+function functionName(path) {
+  const { node, parent } = path;
+  if (node.id?.name) return node.id.name;
+  if (node.key) return node.key.name ?? node.key.value ?? (node.key.id && `#${node.key.id.name}`) ?? "<computed>";
+  if (parent.type === "VariableDeclarator" && parent.id.type === "Identifier") return parent.id.name;
+  if (parent.type === "AssignmentExpression") {
+    const left = parent.left;
+    if (left.type === "Identifier") return left.name;
+    if (left.type === "MemberExpression" && !left.computed) return left.property.name;
+  }
+  if ((parent.type === "ObjectProperty" || parent.type === "ClassProperty") && !parent.computed) {
+    return parent.key.name ?? parent.key.value;
+  }
+  return "<anonymous>";
+}
+
+// Cyclomatic complexity of one function, not counting the functions nested in it
+function complexityOf(path) {
+  let complexity = 1;
+  path.traverse({
+    Function(inner) {
+      inner.skip();
+    },
+    enter(inner) {
+      const { node } = inner;
+      if (BRANCH_TYPES.has(node.type)) complexity++;
+      else if (node.type === "SwitchCase" && node.test) complexity++;
+      else if (node.type === "LogicalExpression") complexity++;
+    }
+  });
+  return complexity;
+}
+
+// Whether a binding is exported, so not using it locally is fine
+function isExported(binding) {
+  const declaration = binding.path.isVariableDeclarator() ? binding.path.parentPath : binding.path;
+  return Boolean(declaration.parentPath?.isExportNamedDeclaration() || declaration.parentPath?.isExportDefaultDeclaration());
+}
+
+// Names TypeScript code uses only in types, which Babel's scope does not count as references
+function typeReferences(ast) {
+  const names = new Set();
+  const leftmost = (node) => (node.type === "TSQualifiedName" ? leftmost(node.left) : node.type === "MemberExpression" ? leftmost(node.object) : node.name);
+  traverse(ast, {
+    TSTypeReference(path) { names.add(leftmost(path.node.typeName)); },
+    TSTypeQuery(path) { names.add(leftmost(path.node.exprName)); },
+    TSExpressionWithTypeArguments(path) { names.add(leftmost(path.node.expression)); }
+  });
+  return names;
+}
+
+// A secret shown in a message: its start only
+const mask = (value) => `"${value.slice(0, 4)}…"`;
+
+// The name a literal is assigned to, if any: a variable, a property or an assignment target
+function assignedName(path) {
+  const { parent } = path;
+  if (parent.type === "VariableDeclarator" && parent.id.type === "Identifier") return parent.id.name;
+  if ((parent.type === "ObjectProperty" || parent.type === "ClassProperty") && parent.value === path.node) {
+    return parent.key.name ?? parent.key.value;
+  }
+  if (parent.type === "AssignmentExpression") {
+    if (parent.left.type === "Identifier") return parent.left.name;
+    if (parent.left.type === "MemberExpression" && !parent.left.computed) return parent.left.property.name;
+  }
+  return undefined;
+}
+
+/**
+ * Parse JavaScript or TypeScript and collect facts about it
+ *
+ * @param {string} code - Source code of a whole file
+ * @param {string} language - Language name, e.g. "TypeScript"
+ * @returns {Object|null} { functions, issues, parseError }, or null for other languages. Functions are
+ *   { name, startLine, endLine, complexity }; issues are { kind, category, severity, startLine, endLine, message }
+ *   with kind "parse", "complexity", "unused", "eval", "process" or "secret"; parseError is the parser's
+ *   message when it could not read the whole file
+ */
+export function analyzeSource(code, language) {
+  if (!STATIC_LANGUAGES.includes(language)) return null;
+
+  let ast;
+  try {
+    ast = parse(code, {
+      sourceType: "unambiguous",
+      errorRecovery: true,
+      allowReturnOutsideFunction: true,
+      plugins: language === "TypeScript" ? ["typescript"] : ["jsx"]
+    });
+  } catch (error) {
+    const line = error.loc?.line ?? 1;
+    return {
+      functions: [],
+      issues: [{ kind: "parse", category: "bestPractices", severity: "high", startLine: line, endLine: line, message: `The code does not parse: ${error.message}` }],
+      parseError: error.message
+    };
+  }
+
+  const functions = [];
+  const issues = [];
+  const report = (kind, category, severity, node, message) =>
+    issues.push({ kind, category, severity, startLine: node.loc.start.line, endLine: node.loc.end.line, message });
+
+  // Local names bound to child_process: functions by their export name, and the module itself
+  const processFunctions = new Map();
+  const processModules = new Set();
+  const isProcessModule = (node) => node?.type === "CallExpression" && node.callee.type === "Identifier" &&
+    node.callee.name === "require" && CHILD_PROCESS_MODULES.has(node.arguments[0]?.value);
+  // A name still means the imported function where no inner declaration hides it
+  const topLevel = (path, name) => path.scope.getBinding(name)?.scope.path.isProgram() ?? false;
+  const scopes = new Set();
+
+  traverse(ast, {
+    Function(path) {
+      const { node } = path;
+      const complexity = complexityOf(path);
+      const name = functionName(path);
+      functions.push({ name, startLine: node.loc.start.line, endLine: node.loc.end.line, complexity });
+      if (complexity > COMPLEXITY_THRESHOLD) {
+        issues.push({
+          kind: "complexity",
+          category: "maintainability",
+          severity: complexity > 2 * COMPLEXITY_THRESHOLD ? "high" : "medium",
+          startLine: node.loc.start.line,
+          endLine: node.loc.start.line,
+          message: `${name} has a cyclomatic complexity of ${complexity} (more than ${COMPLEXITY_THRESHOLD}).`
+        });
+      }
+    },
+
+    ImportDeclaration(path) {
+      if (!CHILD_PROCESS_MODULES.has(path.node.source.value)) return;
+      for (const specifier of path.node.specifiers) {
+        if (specifier.type === "ImportSpecifier") processFunctions.set(specifier.local.name, specifier.imported.name ?? specifier.imported.value);
+        else processModules.add(specifier.local.name);
+      }
+    },
+
+    VariableDeclarator(path) {
+      const { id, init } = path.node;
+      if (!isProcessModule(init)) return;
+      if (id.type === "Identifier") processModules.add(id.name);
+      if (id.type === "ObjectPattern") {
+        for (const property of id.properties) {
+          if (property.type === "ObjectProperty" && property.value.type === "Identifier") {
+            processFunctions.set(property.value.name, property.key.name ?? property.key.value);
+          }
+        }
+      }
+    },
+
+    CallExpression(path) {
+      const { callee, arguments: args } = path.node;
+      if (callee.type === "Identifier" && callee.name === "eval" && !path.scope.getBinding("eval")) {
+        report("eval", "security", "critical", path.node, "eval() runs a string as code.");
+      } else if (callee.type === "Identifier" && callee.name === "Function" && !path.scope.getBinding("Function")) {
+        report("eval", "security", "critical", path.node, "Function() builds a function from a string, like eval().");
+      } else if (callee.type === "Identifier" && ["setTimeout", "setInterval"].includes(callee.name) &&
+        (args[0]?.type === "StringLiteral" || args[0]?.type === "TemplateLiteral")) {
+        report("eval", "security", "high", path.node, `${callee.name}() with a string runs that string as code.`);
+      }
+
+      // child_process: exec(...), cp.exec(...) or require("child_process").exec(...)
+      let method;
+      if (callee.type === "Identifier" && processFunctions.has(callee.name) && topLevel(path, callee.name)) {
+        method = processFunctions.get(callee.name);
+      } else if (callee.type === "MemberExpression" && !callee.computed &&
+        ((callee.object.type === "Identifier" && processModules.has(callee.object.name) && topLevel(path, callee.object.name)) ||
+          isProcessModule(callee.object))) {
+        method = callee.property.name;
+      }
+      if (method) {
+        const command = args[0];
+        const literal = command?.type === "StringLiteral" || (command?.type === "TemplateLiteral" && command.expressions.length === 0);
+        if (SHELL_FUNCTIONS.has(method) && !literal) {
+          report("process", "security", "high", path.node, `child_process.${method}() runs a command built at run time through a shell; input in it can run other commands.`);
+        } else {
+          report("process", "security", "low", path.node, `child_process.${method}() starts a process.`);
+        }
+      }
+    },
+
+    NewExpression(path) {
+      if (path.node.callee.type === "Identifier" && path.node.callee.name === "Function" && !path.scope.getBinding("Function")) {
+        report("eval", "security", "critical", path.node, "new Function() builds a function from a string, like eval().");
+      }
+    },
+
+    "StringLiteral|TemplateLiteral"(path) {
+      if (path.parentPath.isImportDeclaration() || path.parentPath.isExportDeclaration() || path.parentPath.isTSLiteralType?.()) return;
+      const value = path.node.type === "StringLiteral"
+        ? path.node.value
+        : path.node.expressions.length === 0 ? path.node.quasis[0].value.cooked ?? "" : "";
+      if (value.length < 8) return;
+      const known = SECRET_PATTERNS.find(({ pattern }) => pattern.test(value));
+      const name = assignedName(path);
+      if (known) {
+        report("secret", "security", "high", path.node, `Hard-coded ${known.name} (${mask(value)}) in the code${name ? ` as ${name}` : ""}.`);
+      } else if (name && SECRET_NAME.test(name) && !/\s/.test(value) && !/^[A-Z0-9_]+$/.test(value)) {
+        report("secret", "security", "high", path.node, `${name} holds a hard-coded value (${mask(value)}); credentials belong in the environment or a secret store.`);
+      }
+    },
+
+    Scopable(path) {
+      scopes.add(path.scope);
+    }
+  });
+
+  // Bindings nothing reads, in every scope; parameters are left alone, as are names starting with "_"
+  const usedInTypes = language === "TypeScript" ? typeReferences(ast) : new Set();
+  for (const scope of scopes) {
+    for (const [name, binding] of Object.entries(scope.bindings)) {
+      if (binding.referenced || binding.kind === "param" || name.startsWith("_")) continue;
+      if (isExported(binding) || usedInTypes.has(name)) continue;
+      // The name of a function or class expression only lets it refer to itself; leaving it unused is fine
+      if (binding.path.isFunctionExpression() || binding.path.isClassExpression()) continue;
+      const what = binding.kind === "module" ? "is imported" : binding.kind === "hoisted" ? "is a function" : "is declared";
+      report("unused", "maintainability", "low", binding.identifier, `'${name}' ${what} but never used.`);
+    }
+  }
+
+  for (const error of ast.errors ?? []) {
+    const line = error.loc?.line ?? 1;
+    issues.push({ kind: "parse", category: "bestPractices", severity: "high", startLine: line, endLine: line, message: `Syntax error: ${error.message}` });
+  }
+  issues.sort((a, b) => a.startLine - b.startLine);
+  return { functions, issues, parseError: ast.errors?.length ? ast.errors[0].message : null };
+}
+
+/**
+ * Keep the facts a ruleset can use
+ *
+ * Issues are filed under the default review categories (security, maintainability,
+ * bestPractices). A ruleset from a .reviewrc may not have them; findings cannot be
+ * reported in a category the ruleset lacks, so its issues are left out.
+ *
+ * @param {Object} facts - From analyzeSource()
+ * @param {Object} ruleset - A ruleset from createRuleset() (lib/review/ruleset.js)
+ * @returns {Object} The facts with only the issues whose category the ruleset has
+ */
+export function factsForRuleset(facts, ruleset) {
+  return { ...facts, issues: facts.issues.filter((issue) => Object.hasOwn(ruleset.categories, issue.category)) };
+}
+
+/**
+ * Describe the facts about some lines of a file for a review prompt
+ *
+ * @param {Object} facts - From analyzeSource()
+ * @param {Object} [options]
+ * @param {number} [options.firstLine] - First line under review (default 1)
+ * @param {number} [options.lastLine] - Last line under review (default: the end of the file)
+ * @returns {string} Functions and issues within those lines, one per line; "" when there is nothing to say
+ */
+export function formatFacts(facts, { firstLine = 1, lastLine = Infinity } = {}) {
+  const within = (item) => item.startLine <= lastLine && item.endLine >= firstLine;
+  const range = ({ startLine, endLine }) => (endLine > startLine ? `lines ${startLine}-${endLine}` : `line ${startLine}`);
+  const functions = facts.functions.filter(within);
+  const issues = facts.issues.filter(within);
+  if (functions.length === 0 && issues.length === 0) return "";
+
+  const lines = [];
+  if (functions.length > 0) {
+    lines.push("Functions:");
+    for (const fn of functions.slice(0, MAX_LISTED_FUNCTIONS)) {
+      lines.push(`- ${fn.name} (${range(fn)}), cyclomatic complexity ${fn.complexity}`);
+    }
+    if (functions.length > MAX_LISTED_FUNCTIONS) lines.push(`- … and ${functions.length - MAX_LISTED_FUNCTIONS} more`);
+  }
+  if (issues.length > 0) {
+    lines.push("Detected issues:");
+    for (const issue of issues) lines.push(`- ${range(issue)} [${issue.category}, ${issue.severity}]: ${issue.message}`);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Hold a finding against the source it is about
+ *
+ * @param {Object} finding - A finding with startLine and endLine
+ * @param {Object} source
+ * @param {Array<string>} source.lines - Lines of the code the finding is about
+ * @param {number} [source.firstLine] - Line number of the first of them in the file (default 1)
+ * @param {Object} [source.facts] - From analyzeSource(), when the language has a pre-pass
+ * @returns {string|null} "confirmed" when static analysis found an issue of the same category on those lines,
+ *   "suspect" when every cited line is blank (the line numbers are probably off), otherwise null
+ */
+export function checkFinding(finding, { lines, firstLine = 1, facts }) {
+  const cited = lines.slice(Math.max(0, finding.startLine - firstLine), finding.endLine - firstLine + 1);
+  if (cited.length > 0 && cited.every((line) => line.trim() === "")) return "suspect";
+  const confirmed = facts?.issues.some((issue) =>
+    issue.category === finding.category && issue.startLine <= finding.endLine && issue.endLine >= finding.startLine);
+  return confirmed ? "confirmed" : null;
+}
@@ -0,0 +1,34 @@
+/**
+ * BASIC CHAT COMPLETION
+ *
+ * Library half of sample-basic.js: one question, one answer. The provider is passed in,
+ * so the function can be reused with any backend (or a cassette) and nothing runs when
+ * this module is imported.
+ */
+
+// Sampling values the basic sample uses unless .env or the config file say otherwise
+export const basicDefaults = {
+  model: "openai/gpt-4o",
+  temperature: 1.0, // Controls randomness of output
+  top_p: 1.0,       // Controls diversity via nucleus sampling
+  max_tokens: 1000  // Maximum tokens in the response
+};
+
+/**
+ * Ask the model a single question
+ *
+ * @param {Object} provider - A provider from createProvider()
+ * @param {Object} options
+ * @param {string} options.prompt - The question to ask
+ * @param {string} [options.system] - System prompt defining the assistant's role
+ * @returns {Promise<{content: string, usage: Object|null}>} The reply and token usage
+ */
+export async function askQuestion(provider, { prompt, system = "You are a helpful assistant." }) {
+  const response = await provider.chat({
+    messages: [
+      { role: "system", content: system }, // System prompt
+      { role: "user", content: prompt }     // User question
+    ]
+  });
+  return { content: response.choices[0].message.content, usage: response.usage };
+}
@@ -0,0 +1,534 @@
+/**
+ * CODE REVIEW
+ *
+ * Library half of sample-code-review.js: the supported languages, the review categories
+ * and the model calls (analysis, refactoring, documentation). What the reviews score and
+ * which team rules they check come from a ruleset (lib/review/ruleset.js), passed as the
+ * `ruleset` option; without one the default categories apply. Each call takes the
+ * provider as its first argument and returns the model's markdown, leaving file access
+ * and printing to the caller; generateRefactorPatch() returns a patch against the
+ * original file instead (lib/review/patch.js). reviewCode() is the structured counterpart of
+ * analyzeCode(): it returns scores and findings as data, which lib/review/report.js turns
+ * into JSON, SARIF or Markdown reports; summarizeReviews() sums up the reviews of many
+ * files (see lib/review/project.js). JavaScript and TypeScript are parsed before the model
+ * sees them (lib/review/static.js), and what the parser found goes into the prompt.
+ */
+
+import { extname } from "node:path";
+import { types } from "../schema.js";
+import { generateObject } from "../structured.js";
+import { placeInHunks } from "../review/diff.js";
+import { createPatch } from "../review/patch.js";
+import { analyzeSource, checkFinding, factsForRuleset, formatFacts } from "../review/static.js";
+import { countTokens } from "../tokens.js";
+import { DEFAULT_RULESET, atLeastSeverity, languageSettings, overallScore, severities } from "../review/ruleset.js";
+
+export { severities };
+
+// GPT-5 is this sample's default model; endpoint, token and model come from the shared config
+export const reviewDefaults = { model: "openai/gpt-5" };
+
+// Supported file extensions for code analysis
+export const supportedExtensions = {
+  '.js': 'JavaScript',
+  '.ts': 'TypeScript', 
+  '.py': 'Python',
+  '.java': 'Java',
+  '.cpp': 'C++',
+  '.c': 'C',
+  '.cs': 'C#',
+  '.go': 'Go',
+  '.rs': 'Rust',
+  '.php': 'PHP',
+  '.rb': 'Ruby',
+  '.swift': 'Swift',
+  '.kt': 'Kotlin'
+};
+
+// Code review categories and scoring of the default ruleset (see lib/review/ruleset.js)
+export const reviewCategories = Object.fromEntries(
+  Object.entries(DEFAULT_RULESET.categories).map(([category, { label }]) => [category, label])
+);
+
+/**
+ * Look up the language of a file from its extension
+ *
+ * @param {string} filename - File name or path
+ * @returns {string|undefined} Language name, or undefined for unsupported extensions
+ */
+export function detectLanguage(filename) {
+  return supportedExtensions[extname(filename).toLowerCase()];
+}
+
+// System prompt of a review: the ruleset's own for the language, or the default
+function reviewSystemPrompt(ruleset, language) {
+  return languageSettings(ruleset, language).system ??
+    `You are a senior software engineer and code review expert with expertise in ${language} and software best practices. Provide thorough, constructive, and actionable code reviews. Be specific about issues and provide concrete improvement suggestions.`;
+}
+
+// The facts static analysis found in some lines, as a prompt section; "" when there are none
+function staticFacts(facts, range) {
+  const found = facts ? formatFacts(facts, range) : "";
+  return found ? `STATIC ANALYSIS (facts found by parsing the code; their line numbers are exact, use them when you report these issues):\n${found}` : "";
+}
+
+// The team's rules and the language's extra instructions, as a prompt section; "" when the ruleset has neither
+function projectInstructions(ruleset, language) {
+  const sections = [];
+  if (ruleset.rules.length > 0) {
+    const rules = ruleset.rules.map(({ rule, category, severity }, index) => {
+      const details = [category && `category ${category}`, severity && `severity ${severity}`].filter(Boolean);
+      return `${index + 1}. ${rule}${details.length ? ` (${details.join(", ")})` : ""}`;
+    });
+    sections.push(`PROJECT RULES (the team's own rules; report every violation as an issue):\n${rules.join("\n")}`);
+  }
+  const { instructions } = languageSettings(ruleset, language);
+  if (instructions) sections.push(`${language.toUpperCase()} GUIDELINES:\n${instructions}`);
+  return sections.join("\n\n");
+}
+
+// How the overall score is made up, e.g. "the sum of the scores" or "2 × security + 1 × performance"
+function scoringFormula(ruleset) {
+  const weights = ruleset.scored.map((category) => ruleset.categories[category].weight);
+  return weights.every((weight) => weight === 1)
+    ? "the sum of the scores"
+    : ruleset.scored.map((category, index) => `${weights[index]} × ${category}`).join(" + ");
+}
+
+/**
+ * Comprehensive code analysis
+ *
+ * The scored areas, the team's rules and any instructions for the language come from the
+ * ruleset (see lib/review/ruleset.js). The code is sent with line numbers, together with
+ * what static analysis found in JavaScript and TypeScript; a note is added to the review
+ * when it cites lines the file does not have.
+ *
+ * @param {Object} provider - A provider from createProvider()
+ * @param {string} code - Source code to review
+ * @param {string} language - Language name, e.g. "JavaScript"
+ * @param {string} filename - File name shown to the model
+ * @param {Object} [options]
+ * @param {Object} [options.ruleset] - Ruleset from loadRuleset() (default: DEFAULT_RULESET)
+ * @returns {Promise<string>} The review, as markdown
+ */
+export async function analyzeCode(provider, code, language, filename, { ruleset = DEFAULT_RULESET } = {}) {
+  const lineCount = sourceLines(code).length;
+  const source = analyzeSource(code, language);
+  const facts = staticFacts(source && factsForRuleset(source, ruleset));
+  const areas = ruleset.scored.map((category, index) => {
+    const { label, description, weight } = ruleset.categories[category];
+    return `${index + 1}. **${label.toUpperCase()}** (Score: /10${weight === 1 ? "" : `, weight ${weight}`})
+   - ${description}`;
+  });
+  const project = projectInstructions(ruleset, language);
+  const analysisPrompt = `Perform a comprehensive code review and analysis of this ${language} code. Every line starts with its line number.
+
+FILENAME: ${filename}
+CODE:
+\`\`\`${language.toLowerCase()}
+${numberLines(code)}
+\`\`\`
+${facts ? `\n${facts}\n` : ""}
+Provide a detailed analysis covering:
+
+${areas.join("\n\n")}
+
+${areas.length + 1}. **IMPROVEMENT SUGGESTIONS**
+   - Prioritized list of specific improvements
+   - Code refactoring recommendations
+   - Architecture suggestions if applicable
+
+${areas.length + 2}. **OVERALL SCORE**: X/${ruleset.maxScore} (${scoringFormula(ruleset)}) with summary
+${project ? `\n${project}\n` : ""}
+Format your response clearly with markdown headers and provide specific line numbers when referencing issues; only cite line numbers that appear in the code above.`;
+
+  const response = await provider.chat({
+    messages: [
+      { 
+        role: "system", 
+        content: reviewSystemPrompt(ruleset, language)
+      },
+      { role: "user", content: analysisPrompt }
+    ],
+    temperature: 0.3,
+    max_tokens: 1500
+  });
+
+  const review = response.choices[0].message.content;
+  const missing = citedLines(review).filter((line) => line > lineCount);
+  return missing.length > 0
+    ? `${review}\n\n> ⚠️ This review cites line${missing.length > 1 ? "s" : ""} ${missing.join(", ")}, but ${filename} has ${lineCount} lines; check those references against the code.`
+    : review;
+}
+
+// Line numbers a markdown review cites as "line 12" or "lines 12-15"; other numbers (ports, versions) are not lines
+function citedLines(markdown) {
+  const lines = new Set();
+  for (const [, start, end] of markdown.matchAll(/\blines?\s+(\d+)(?:\s*(?:-|–|to)\s*(\d+))?/gi)) {
+    lines.add(Number(start));
+    if (end) lines.add(Number(end));
+  }
+  return [...lines].sort((a, b) => a - b);
+}
+
+// Shape of the refactoring the model must return
+const refactoringSchema = types.object({
+  code: types.string("The complete refactored file, every line of it, ready to replace the original"),
+  changes: types.array(types.string(), "Key changes made, one short sentence each"),
+  rationale: types.string("Why these changes improve the code")
+});
+
+/**
+ * Refactor code based on an analysis and return the result as a patch against the original
+ *
+ * The model returns the whole refactored file; the patch is computed here, so every hunk
+ * applies to the original (see lib/review/patch.js). The refactored file keeps the
+ * original's line endings.
+ *
+ * @param {Object} provider - A provider from createProvider()
+ * @param {string} originalCode - The reviewed source code
+ * @param {string} language - Language name
+ * @param {string} filename - File the patch is for
+ * @param {string} analysisResults - The review from analyzeCode()
+ * @param {Object} [options]
+ * @param {Object} [options.ruleset] - Ruleset whose rules the refactored code must follow (default: DEFAULT_RULESET)
+ * @returns {Promise<Object>} { patch, code, changes, rationale }: the patch from createPatch() (no hunks when
+ *   nothing changed), the refactored file, and the model's explanation
+ */
+export async function generateRefactorPatch(provider, originalCode, language, filename, analysisResults, { ruleset = DEFAULT_RULESET } = {}) {
+  const project = projectInstructions(ruleset, language);
+  const refactorPrompt = `Based on the following code analysis, refactor the code to address the identified issues:
+
+FILENAME: ${filename}
+ORIGINAL CODE:
+\`\`\`${language.toLowerCase()}
+${originalCode}
+\`\`\`
+
+ANALYSIS RESULTS:
+${analysisResults}
+${project ? `\n${project}\n` : ""}
+Return the complete refactored file, not an excerpt: it replaces the original as it is. Keep everything that does not need to change exactly as it was, including comments and formatting, so the changes are easy to review. List the key changes and explain why they improve the code.
+
+Focus on the most impactful improvements that address security, performance, and maintainability concerns.`;
+
+  const { value } = await generateObject(provider, {
+    name: "refactoring",
+    description: "A refactored file and the reasons for its changes",
+    schema: refactoringSchema,
+    messages: [
+      {
+        role: "system",
+        content: `You are an expert software engineer specializing in code refactoring and optimization. Provide clean, efficient, and well-documented refactored code that follows ${language} best practices.`
+      },
+      { role: "user", content: refactorPrompt }
+    ],
+    // The whole file comes back, so the reply grows with it
+    params: { temperature: 0.2, max_tokens: Math.max(1200, 2 * countTokens(originalCode) + 600) }
+  });
+
+  const lineEnding = originalCode.includes("\r\n") ? "\r\n" : "\n";
+  const code = value.code.replace(/\r?\n/g, lineEnding).replace(/(\r?\n)*$/, "") +
+    (originalCode.endsWith("\n") ? lineEnding : "");
+  return {
+    patch: createPatch(originalCode, code, { file: filename }),
+    code,
+    changes: value.changes,
+    rationale: value.rationale
+  };
+}
+
+/**
+ * Generate comprehensive documentation
+ *
+ * @param {Object} provider - A provider from createProvider()
+ * @param {string} code - Source code to document
+ * @param {string} language - Language name
+ * @param {string} filename - File name shown to the model
+ * @returns {Promise<string>} The documentation, as markdown
+ */
+export async function generateDocumentation(provider, code, language, filename) {
+  const docPrompt = `Generate comprehensive technical documentation for this ${language} code:
+
+FILENAME: ${filename}
+CODE:
+\`\`\`${language.toLowerCase()}
+${code}
+\`\`\`
+
+Provide:
+1. **OVERVIEW** - Purpose and functionality summary
+2. **API DOCUMENTATION** - Functions, classes, and methods with parameters
+3. **USAGE EXAMPLES** - Code examples showing how to use the module
+4. **DEPENDENCIES** - Required libraries and imports
+5. **CONFIGURATION** - Setup and configuration requirements
+6. **TROUBLESHOOTING** - Common issues and solutions
+
+Format as professional technical documentation with clear sections and examples.`;
+
+  const response = await provider.chat({
+    messages: [
+      { 
+        role: "system", 
+        content: `You are a technical writer and software documentation expert. Create clear, comprehensive, and user-friendly documentation that helps developers understand and use the code effectively.`
+      },
+      { role: "user", content: docPrompt }
+    ],
+    temperature: 0.4,
+    max_tokens: 1000
+  });
+
+  return response.choices[0].message.content;
+}
+
+// Categories scored out of 10 each by the default ruleset; together they make the overall score out of 40
+export const scoredCategories = DEFAULT_RULESET.scored;
+
+// Shape of the review the model must return under a ruleset
+function reviewSchema(ruleset) {
+  return types.object({
+    summary: types.string("Two or three sentences on the state of the code"),
+    scores: types.object(Object.fromEntries(ruleset.scored.map((category) =>
+      [category, types.integer(`${ruleset.categories[category].label} score`, { minimum: 0, maximum: 10 })]))),
+    findings: types.array(types.object({
+      category: types.enum(Object.keys(ruleset.categories), "Review category"),
+      severity: types.enum(severities, "How serious the issue is"),
+      startLine: types.integer("First line of the issue (1-based)", { minimum: 1 }),
+      endLine: types.integer("Last line of the issue (1-based; same as startLine for one line)", { minimum: 1 }),
+      message: types.string("What is wrong and why it matters", { minLength: 1 }),
+      fix: types.string("The suggested fix, concrete enough to apply")
+    }), "Issues found, most serious first")
+  });
+}
+
+// Longest structured review requested from the model, in tokens
+export const REVIEW_MAX_TOKENS = 2500;
+
+// Lines of source code; a final newline ends the last line instead of starting another
+const sourceLines = (code) => code.replace(/\r?\n$/, "").split("\n");
+
+// Source code with a line number in front of every line, so the model can cite lines
+function numberLines(code, firstLine = 1) {
+  const lines = sourceLines(code);
+  const width = String(firstLine + lines.length - 1).length;
+  return lines.map((line, index) => `${String(firstLine + index).padStart(width)} | ${line}`).join("\n");
+}
+
+// How to score and what to report, shared by reviewCode() and reviewChanges(); citing says which line numbers to use
+function reviewInstructions(ruleset, language, citing) {
+  const areas = ruleset.scored.map((category) => `- ${category}: ${ruleset.categories[category].description}`);
+  const unscored = Object.keys(ruleset.categories).filter((category) => !ruleset.scored.includes(category));
+  const other = unscored.length
+    ? `\nOther categories for findings, not scored: ${unscored.map((category) => `${category} (${ruleset.categories[category].description})`).join(", ")}.\n`
+    : "";
+  const threshold = ruleset.minSeverity === "info" ? "" : ` Only report issues of severity ${ruleset.minSeverity} or higher.`;
+  const project = projectInstructions(ruleset, language);
+  return `Score each area from 0 to 10:
+${areas.join("\n")}
+${other}
+List each issue as a finding with its category (${Object.keys(ruleset.categories).join(", ")}), severity (${severities.join(", ")}), the exact line range it covers, what is wrong and a concrete fix.${threshold} ${citing}${project ? `\n\n${project}` : ""}`;
+}
+
+// Ask the model for a review matching reviewSchema()
+async function requestReview(provider, language, prompt, ruleset) {
+  const { value } = await generateObject(provider, {
+    name: "code_review",
+    description: "Scores and findings of a code review",
+    schema: reviewSchema(ruleset),
+    messages: [
+      { 
+        role: "system", 
+        content: reviewSystemPrompt(ruleset, language)
+      },
+      { role: "user", content: prompt }
+    ],
+    params: { temperature: 0.3, max_tokens: REVIEW_MAX_TOKENS }
+  });
+  return value;
+}
+
+// Build the returned review; place(startLine, endLine) gives the range to record, or null to leave the finding out,
+// and check(finding) holds a placed finding against the source ("confirmed", "suspect" or null)
+function toReview(value, { file, language, place, check, ruleset }) {
+  const findings = [];
+  let discarded = 0;
+  // Findings below the ruleset's threshold are dropped even when the model reports them
+  for (const finding of value.findings.filter((finding) => atLeastSeverity(finding.severity, ruleset.minSeverity))) {
+    const [first, last] = [finding.startLine, finding.endLine].sort((a, b) => a - b);
+    const range = place(first, last);
+    if (range) {
+      const placed = { file, ...finding, ...range };
+      findings.push({ ...placed, check: check?.(placed) ?? null });
+    } else {
+      discarded++;
+    }
+  }
+  findings.sort((a, b) => severities.indexOf(a.severity) - severities.indexOf(b.severity) || a.startLine - b.startLine);
+
+  return {
+    file,
+    language,
+    summary: value.summary,
+    scores: value.scores,
+    overall: overallScore(value.scores, ruleset),
+    maxScore: ruleset.maxScore,
+    findings,
+    discarded
+  };
+}
+
+/**
+ * Review code and return the findings as data instead of markdown
+ *
+ * Line numbers are checked against the code: findings that cite only lines outside the
+ * code are left out and counted in `discarded`, other ranges are clamped to the lines
+ * shown and put in order. For JavaScript and TypeScript, what static analysis found
+ * (lib/review/static.js) is sent with the code, and each finding's `check` says whether
+ * the analysis confirms it ("confirmed") or the lines it cites are all blank ("suspect").
+ * The categories, their weights and the team's rules come from the ruleset
+ * (see lib/review/ruleset.js); by default the overall score is the sum of four category
+ * scores, out of 40. A part of a larger file (see chunkCode() in lib/review/chunks.js) is reviewed with its
+ * own line numbers by passing firstLine.
+ *
+ * @param {Object} provider - A provider from createProvider()
+ * @param {string} code - Source code to review
+ * @param {string} language - Language name, e.g. "JavaScript"
+ * @param {string} filename - File name shown to the model and recorded on each finding
+ * @param {Object} [options]
+ * @param {number} [options.firstLine] - Line number of the code's first line in its file (default 1)
+ * @param {string} [options.context] - Outlines of related files, shown for reference only (see relatedContext())
+ * @param {Object} [options.ruleset] - Ruleset from loadRuleset() (default: DEFAULT_RULESET)
+ * @param {Object|null} [options.facts] - analyzeSource() of the whole file; by default the code is analyzed
+ *   when it starts at line 1. Pass it for an excerpt, or null to leave static analysis out
+ * @returns {Promise<Object>} The review: { file, language, summary, scores, overall, maxScore, findings, discarded },
+ *   where each finding is { file, category, severity, startLine, endLine, message, fix, check }
+ */
+export async function reviewCode(provider, code, language, filename, {
+  firstLine = 1,
+  context,
+  ruleset = DEFAULT_RULESET,
+  facts: allFacts = firstLine === 1 ? analyzeSource(code, language) : null
+} = {}) {
+  // Only issues in the ruleset's categories can be reported and confirmed
+  const facts = allFacts && factsForRuleset(allFacts, ruleset);
+  const lines = sourceLines(code);
+  const lastLine = firstLine + lines.length - 1;
+  const found = staticFacts(facts, { firstLine, lastLine });
+  const excerpt = firstLine > 1 ? ` This is an excerpt: lines ${firstLine} to ${lastLine} of the file.` : "";
+  const related = context
+    ? `\nRELATED FILES (outlines for reference; do not review them):\n${context}\n`
+    : "";
+  const reviewPrompt = `Perform a code review of this ${language} code. Every line starts with its line number.${excerpt}
+
+FILENAME: ${filename}
+CODE:
+\`\`\`${language.toLowerCase()}
+${numberLines(code, firstLine)}
+\`\`\`
+${related}${found ? `\n${found}\n` : ""}
+${reviewInstructions(ruleset, language, "Only cite line numbers that appear in the code above.")}`;
+
+  const value = await requestReview(provider, language, reviewPrompt, ruleset);
+  const clamp = (line) => Math.min(Math.max(line, firstLine), lastLine);
+  return toReview(value, {
+    file: filename,
+    language,
+    // A range entirely outside the code points at nothing the model was shown
+    place: (startLine, endLine) => (startLine > lastLine || endLine < firstLine
+      ? null
+      : { startLine: clamp(startLine), endLine: clamp(endLine) }),
+    check: (finding) => checkFinding(finding, { lines, firstLine, facts }),
+    ruleset
+  });
+}
+
+// The hunks of a diff with new-file line numbers; removed lines have none and hunks are separated by "⋮"
+function numberHunks(hunks) {
+  const last = Math.max(0, ...hunks.flatMap((hunk) => hunk.lines.map((line) => line.newLine ?? 0)));
+  const width = String(last).length;
+  return hunks
+    .map((hunk) => hunk.lines
+      .map((line) => `${String(line.newLine ?? "").padStart(width)} ${line.type} | ${line.text}`)
+      .join("\n"))
+    .join(`\n${" ".repeat(width)} ⋮\n`);
+}
+
+/**
+ * Review the changes a diff makes to one file
+ *
+ * Only the hunks are sent: the changed lines and the unchanged lines around them. Findings
+ * are placed on new-file lines inside the hunks, so they can be posted as inline comments
+ * on a pull request; findings the model puts outside every hunk are left out and counted
+ * in `discarded`.
+ *
+ * @param {Object} provider - A provider from createProvider()
+ * @param {Object} file - A file from parseUnifiedDiff() in lib/review/diff.js
+ * @param {string} language - Language name, e.g. "JavaScript"
+ * @param {Object} [options]
+ * @param {Object} [options.ruleset] - Ruleset from loadRuleset() (default: DEFAULT_RULESET)
+ * @returns {Promise<Object>} The review, shaped like reviewCode()'s
+ */
+export async function reviewChanges(provider, file, language, { ruleset = DEFAULT_RULESET } = {}) {
+  const reviewPrompt = `Review this change to a ${language} file. Lines marked "+" were added and lines marked "-" were removed; the other lines are unchanged context. Every line of the new file starts with its line number; removed lines have none.
+
+FILENAME: ${file.path}${file.status === "renamed" ? ` (renamed from ${file.oldPath})` : ""}
+CHANGES:
+\`\`\`diff
+${numberHunks(file.hunks)}
+\`\`\`
+
+Review the added lines, using the rest as context; do not report problems that are only in unchanged code. Score the changed code.
+
+${reviewInstructions(ruleset, language, "Cite new-file line numbers only, within the lines shown above.")}`;
+
+  const value = await requestReview(provider, language, reviewPrompt, ruleset);
+  return toReview(value, {
+    file: file.path,
+    language,
+    place: (startLine, endLine) => placeInHunks(file, startLine, endLine),
+    ruleset
+  });
+}
+
+/**
+ * Summarize the reviews of several files into a repository-level assessment
+ *
+ * @param {Object} provider - A provider from createProvider()
+ * @param {Array<Object>} reviews - Reviews from reviewCode(), one per file
+ * @returns {Promise<string>} A short summary: overall health, recurring problems and what to fix first
+ */
+export async function summarizeReviews(provider, reviews) {
+  const files = reviews.map((review) => {
+    const counts = severities
+      .map((severity) => [severity, review.findings.filter((finding) => finding.severity === severity).length])
+      .filter(([, count]) => count > 0)
+      .map(([severity, count]) => `${count} ${severity}`);
+    const top = review.findings.slice(0, 3).map((finding) => `  - ${finding.severity} ${finding.category}: ${finding.message}`);
+    return [
+      `${review.file} (${review.language}): ${review.overall}/${review.maxScore}, ${counts.join(", ") || "no findings"}`,
+      `  ${review.summary}`,
+      ...top
+    ].join("\n");
+  });
+
+  const response = await provider.chat({
+    messages: [
+      {
+        role: "system",
+        content: "You are a principal engineer summarizing code reviews for a repository. Be concise and concrete."
+      },
+      {
+        role: "user",
+        content: `These are the reviews of ${reviews.length} files in one repository:
+
+${files.join("\n\n")}
+
+Write one paragraph of at most 120 words on the repository as a whole: its overall health, the problems that recur across files, and what to fix first.`
+      }
+    ],
+    temperature: 0.3,
+    max_tokens: 400
+  });
+
+  return response.choices[0].message.content.trim();
+}
@@ -0,0 +1,206 @@
+/**
+ * INTERACTIVE STORYTELLING
+ *
+ * Library half of sample-creative-writing.js: the genre list and the three model calls
+ * behind the story loop (opening chapter, reader choices, continuation). The story state
+ * (genre, chapters so far) is passed in by the caller instead of living in module
+ * variables, so several stories can be written side by side.
+ */
+
+import { keepNewestTexts } from "../tokens.js";
+import { createMemory, createSummarizer } from "../memory.js";
+import { types } from "../schema.js";
+import { generateObject } from "../structured.js";
+
+// GPT-5 is this sample's default model; endpoint, token and model come from the shared config
+export const storyDefaults = { model: "openai/gpt-5" };
+
+// Available genres for story generation
+export const genres = {
+  1: "Science Fiction",
+  2: "Fantasy Adventure", 
+  3: "Mystery Thriller",
+  4: "Historical Fiction",
+  5: "Romantic Comedy",
+  6: "Horror",
+  7: "Cyberpunk",
+  8: "Magical Realism"
+};
+
+/**
+ * Generate story beginning based on user preferences
+ *
+ * @param {Object} provider - A provider from createProvider()
+ * @param {Object} story
+ * @param {string} story.genre - Genre name, e.g. "Science Fiction"
+ * @param {string} story.character - Main character's name
+ * @param {string} story.setting - Setting or world description
+ * @param {string} story.theme - Theme the story explores
+ * @returns {Promise<string>} The opening chapter
+ */
+export async function generateStoryBeginning(provider, { genre, character, setting, theme }) {
+  const prompt = `Create the opening chapter of a ${genre} story featuring a character named ${character}. 
+  Setting: ${setting}
+  Theme: ${theme}
+  
+  Requirements:
+  - Write approximately 300 words
+  - Establish compelling characters and atmosphere
+  - End with a dramatic moment or choice point
+  - Use vivid, immersive descriptions
+  - Match the tone and style typical of ${genre}
+  - Leave the story open for continuation based on reader choices`;
+
+  const response = await provider.chat({
+    messages: [
+      { 
+        role: "system", 
+        content: `You are a master storyteller and creative writer specializing in ${genre}. Create engaging, well-paced narratives with rich character development and immersive world-building. Always end story segments with clear choice points for the reader.`
+      },
+      { role: "user", content: prompt }
+    ],
+    temperature: 0.9,
+    max_tokens: 500
+  });
+
+  return response.choices[0].message.content;
+}
+
+/**
+ * Create the memory for a story: once more than three chapters are waiting, all but the
+ * latest two are folded into a plot summary, so long stories keep their continuity
+ * without sending every chapter each time
+ *
+ * @param {Object} provider - A provider from createProvider()
+ * @param {string} [strategy] - "full", "window" or "summary" (see lib/memory.js)
+ * @returns {Object} The memory
+ */
+export function createStoryMemory(provider, strategy = "summary") {
+  return createMemory({
+    strategy,
+    window: 2,
+    threshold: 3,
+    summarize: strategy === "summary"
+      ? createSummarizer(provider, {
+          subject: "story",
+          describe: (chapter) => chapter,
+          focus: "the plot so far, every named character, their goals and relationships, and unresolved threads"
+        })
+      : undefined
+  });
+}
+
+// Longest continuation requested from the model, in tokens
+export const CONTINUATION_MAX_TOKENS = 400;
+
+/**
+ * Continue story based on user choice
+ *
+ * @param {Object} provider - A provider from createProvider()
+ * @param {Object} story
+ * @param {string} story.genre - Genre name
+ * @param {Array<string>} story.storyHistory - Chapters written so far, oldest first
+ * @param {string} userChoice - The reader's choice
+ * @param {Object} [options]
+ * @param {Object} [options.memory] - A memory from createStoryMemory(); older chapters may be sent as a summary
+ * @param {Object} [options.budget] - A budget from createTokenBudget(); only the newest chapters that fit are sent
+ * @param {Function} [options.onBudget] - Called with the budget report before the request is sent
+ * @returns {Promise<string>} The next chapter
+ */
+export async function continueStory(provider, { genre, storyHistory }, userChoice, { memory, budget, onBudget } = {}) {
+  const buildMessages = (storyContext) => [
+    { 
+      role: "system", 
+      content: `You are continuing a ${genre} story. Maintain narrative consistency, character development, and genre conventions. Always provide engaging choices for the reader to influence the story direction.`
+    },
+    { role: "user", content: continuationPrompt(genre, userChoice, storyContext) }
+  ];
+
+  // Older chapters may be replaced by a summary, depending on the memory strategy
+  const { summary, items: chapters, dropped: forgotten } = memory
+    ? await memory.select(storyHistory)
+    : { summary: null, items: storyHistory, dropped: 0 };
+  const summaryText = summary ? `Summary of the earlier chapters:\n${summary}\n\n` : "";
+
+  let messages = buildMessages(summaryText + chapters.join("\n\n"));
+  if (budget) {
+    // Measure the prompt without any chapters, then fill what is left with the newest ones
+    const { remaining } = budget.measure(buildMessages(summaryText));
+    const { texts, dropped, truncated } = keepNewestTexts(chapters, remaining);
+    messages = buildMessages(summaryText + texts.join("\n\n"));
+    onBudget?.({
+      ...budget.measure(messages),
+      dropped: dropped + (summary ? 0 : forgotten),
+      summarized: summary ? forgotten : 0,
+      truncated
+    });
+  }
+
+  const response = await provider.chat({
+    messages,
+    temperature: 0.8,
+    max_tokens: CONTINUATION_MAX_TOKENS
+  });
+
+  return response.choices[0].message.content;
+}
+
+// Prompt asking for the next chapter
+function continuationPrompt(genre, userChoice, storyContext) {
+  return `Continue the ${genre} story based on the reader's choice: "${userChoice}"
+  
+  Previous story context:
+  ${storyContext}
+  
+  Requirements:
+  - Continue naturally from the previous segment
+  - Incorporate the reader's choice meaningfully
+  - Maintain character consistency and story tone
+  - Write approximately 250 words
+  - End with another choice point or dramatic moment
+  - Advance the plot significantly`;
+}
+
+// Shape of the choices the model must return
+const choicesSchema = types.object({
+  choices: types.array(types.string("One choice, as a single sentence", { minLength: 1 }), "The choices", { minItems: 3, maxItems: 3 })
+});
+
+/**
+ * Generate multiple choice options for story continuation
+ *
+ * @param {Object} provider - A provider from createProvider()
+ * @param {string} genre - Genre name
+ * @param {string} currentStorySegment - The chapter the reader just finished
+ * @returns {Promise<Array<string>>} Three choices, as a schema-checked list (see lib/structured.js)
+ */
+export async function generateChoices(provider, genre, currentStorySegment) {
+  const prompt = `Based on this story segment, generate 3 distinct and interesting choice options for the reader:
+
+  Story segment:
+  ${currentStorySegment}
+  
+  Provide exactly 3 choices that:
+  - Lead to different story directions
+  - Are all plausible within the story context
+  - Offer varying levels of risk/adventure
+  - Maintain the ${genre} genre conventions
+  
+  Write each choice as one sentence, without numbering.`;
+
+  const { value } = await generateObject(provider, {
+    name: "story_choices",
+    description: "Three ways the reader could steer the story",
+    schema: choicesSchema,
+    messages: [
+      { 
+        role: "system", 
+        content: "You are a story consultant creating meaningful choice points for interactive narratives. Focus on choices that create compelling branching paths."
+      },
+      { role: "user", content: prompt }
+    ],
+    params: { temperature: 0.7, max_tokens: 200 }
+  });
+
+  return value.choices;
+}
@@ -0,0 +1,380 @@
+/**
+ * FLIGHT DESK
+ *
+ * A small, data-backed travel backend for the function-calling sample. Flights come from
+ * a JSON dataset (fixtures/flights.json: fictional flights between ten US airports over
+ * one week, with fares and seats per cabin); the desk answers questions about them and
+ * keeps booking holds, which take seats out of the copy of the data it works on until they
+ * are released or expire. Nothing is written to disk, so every run starts from the same state.
+ *
+ * registerFlightTools() offers the desk to the model as tools (the two that change holds
+ * require confirmation, the rest are read-only):
+ * - getFlightInfo     the next direct flight between two cities
+ * - searchFlights     direct flights in a date range, optionally for one airline
+ * - findRoutes        itineraries with connections on one day, with layover limits
+ * - findCheapestFare  the cheapest itinerary over a date range
+ * - holdBooking       reserve seats on an itinerary for a passenger
+ * - releaseHold       cancel a hold and give the seats back
+ */
+
+import { readFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { types } from "../schema.js";
+
+// The dataset shipped with the repository
+export const DEFAULT_FLIGHTS_FILE = fileURLToPath(new URL("../../fixtures/flights.json", import.meta.url));
+
+// Most itineraries one search returns
+const MAX_RESULTS = 10;
+
+/**
+ * Read a flight dataset
+ *
+ * @param {string} [file] - JSON file with { today, airports, flights }; defaults to fixtures/flights.json
+ * @returns {Object} The dataset
+ */
+export function loadFlightData(file = DEFAULT_FLIGHTS_FILE) {
+  return JSON.parse(readFileSync(file, "utf-8"));
+}
+
+// Local calendar date of an ISO 8601 time with offset, e.g. "2025-07-16"
+const localDate = (dateTime) => dateTime.slice(0, 10);
+
+// Minutes between two ISO 8601 times
+const minutesBetween = (start, end) => Math.round((Date.parse(end) - Date.parse(start)) / 60000);
+
+/**
+ * Create a desk working on a copy of a dataset
+ *
+ * @param {Object} data - A dataset from loadFlightData()
+ * @param {Object} [options]
+ * @param {string} [options.today] - Date searches start from (default: the dataset's "today")
+ * @param {number} [options.holdMinutes] - How long a hold lasts
+ * @param {Function} [options.now] - Returns the current date, for hold expiry
+ * @returns {Object} The desk
+ */
+export function createFlightDesk(data, { today = data.today, holdMinutes = 30, now = () => new Date() } = {}) {
+  const flights = structuredClone(data.flights);
+  const byId = new Map(flights.map((flight) => [flight.id, flight]));
+  const holds = new Map();
+  let holdCount = 0;
+
+  // Give back the seats of holds that have run out; runs before anything reads seats or holds
+  function expireHolds() {
+    const time = now().getTime();
+    for (const hold of holds.values()) {
+      if (hold.status !== "held" || Date.parse(hold.expiresAt) > time) continue;
+      for (const id of hold.flightIds) byId.get(id).seats[hold.cabin] += hold.passengers;
+      hold.status = "expired";
+    }
+  }
+
+  // Find an airport by city name or code
+  function airportFor(cityOrCode) {
+    const wanted = cityOrCode.trim().toLowerCase();
+    const airport = data.airports.find((candidate) =>
+      candidate.code.toLowerCase() === wanted || candidate.city.toLowerCase() === wanted);
+    if (!airport) {
+      throw new Error(`No airport for '${cityOrCode}'. Cities served: ${data.airports.map((candidate) => candidate.city).join(", ")}.`);
+    }
+    return airport;
+  }
+
+  // What the model sees of a flight
+  function describeFlight(flight, cabin) {
+    return {
+      id: flight.id,
+      airline: flight.airline,
+      flightNumber: flight.flightNumber,
+      from: flight.from,
+      to: flight.to,
+      departure: flight.departure,
+      arrival: flight.arrival,
+      durationMinutes: flight.durationMinutes,
+      ...(cabin ? { fare: flight.fares[cabin], seatsLeft: flight.seats[cabin] } : { fares: flight.fares, seatsLeft: flight.seats })
+    };
+  }
+
+  // What the model sees of a sequence of connecting flights
+  function describeItinerary(legs, cabin) {
+    return {
+      flightIds: legs.map((flight) => flight.id),
+      stops: legs.length - 1,
+      departure: legs[0].departure,
+      arrival: legs.at(-1).arrival,
+      totalMinutes: minutesBetween(legs[0].departure, legs.at(-1).arrival),
+      layovers: legs.slice(1).map((flight, index) => ({
+        airport: flight.from,
+        minutes: minutesBetween(legs[index].arrival, flight.departure)
+      })),
+      fare: legs.reduce((total, flight) => total + flight.fares[cabin], 0),
+      seatsLeft: Math.min(...legs.map((flight) => flight.seats[cabin])),
+      flights: legs.map((flight) => describeFlight(flight, cabin))
+    };
+  }
+
+  // Check a YYYY-MM-DD date range and fill in the defaults
+  function dateRange(from = today, to = from) {
+    if (to < from) throw new Error(`The date range ends (${to}) before it starts (${from}).`);
+    return { from, to };
+  }
+
+  // Every itinerary leaving on a date, with up to maxStops connections
+  function routesOn(origin, destination, date, { maxStops, minLayoverMinutes, maxLayoverMinutes, cabin, passengers }) {
+    const results = [];
+    const extend = (legs) => {
+      const last = legs.at(-1);
+      if (last.to === destination.code) {
+        results.push(legs);
+        return;
+      }
+      if (legs.length > maxStops) return;
+      const visited = new Set(legs.map((flight) => flight.from));
+      for (const next of flights) {
+        if (next.from !== last.to || visited.has(next.to) || next.seats[cabin] < passengers) continue;
+        const layover = minutesBetween(last.arrival, next.departure);
+        if (layover >= minLayoverMinutes && layover <= maxLayoverMinutes) extend([...legs, next]);
+      }
+    };
+    for (const first of flights) {
+      if (first.from === origin.code && localDate(first.departure) === date && first.seats[cabin] >= passengers) {
+        extend([first]);
+      }
+    }
+    return results;
+  }
+
+  return {
+    today,
+
+    /**
+     * Find the next direct flight between two cities
+     *
+     * @param {{originCity: string, destinationCity: string}} query
+     * @returns {Object} The flight, or { error } when there is none
+     */
+    getFlightInfo({ originCity, destinationCity }) {
+      expireHolds();
+      const origin = airportFor(originCity);
+      const destination = airportFor(destinationCity);
+      const next = flights.find((flight) =>
+        flight.from === origin.code && flight.to === destination.code && localDate(flight.departure) >= today);
+      return next ? describeFlight(next) : { error: "No flights found between the cities" };
+    },
+
+    /**
+     * List direct flights in a date range
+     *
+     * @param {Object} query - originCity, destinationCity, departureFrom, departureTo, airline, cabin
+     * @returns {Object} { flights, count }
+     */
+    searchFlights({ originCity, destinationCity, departureFrom, departureTo, airline, cabin = "economy" }) {
+      expireHolds();
+      const origin = airportFor(originCity);
+      const destination = airportFor(destinationCity);
+      const range = dateRange(departureFrom, departureTo);
+      const matches = flights.filter((flight) =>
+        flight.from === origin.code && flight.to === destination.code &&
+        localDate(flight.departure) >= range.from && localDate(flight.departure) <= range.to &&
+        (!airline || flight.airline.toLowerCase().includes(airline.toLowerCase()) ||
+          flight.flightNumber.toLowerCase().startsWith(airline.toLowerCase())));
+      return { count: matches.length, flights: matches.slice(0, MAX_RESULTS).map((flight) => describeFlight(flight, cabin)) };
+    },
+
+    /**
+     * List itineraries leaving on one day, including connections
+     *
+     * @param {Object} query - originCity, destinationCity, date, maxStops, minLayoverMinutes, maxLayoverMinutes, cabin, passengers
+     * @returns {Object} { itineraries, count }, earliest arrival first
+     */
+    findRoutes({ originCity, destinationCity, date = today, maxStops = 1, minLayoverMinutes = 45, maxLayoverMinutes = 360, cabin = "economy", passengers = 1 }) {
+      expireHolds();
+      const itineraries = routesOn(airportFor(originCity), airportFor(destinationCity), date,
+        { maxStops, minLayoverMinutes, maxLayoverMinutes, cabin, passengers })
+        .map((legs) => describeItinerary(legs, cabin))
+        .sort((a, b) => Date.parse(a.arrival) - Date.parse(b.arrival) || a.fare - b.fare);
+      return { count: itineraries.length, itineraries: itineraries.slice(0, MAX_RESULTS) };
+    },
+
+    /**
+     * Find the cheapest itinerary over a date range
+     *
+     * @param {Object} query - originCity, destinationCity, departureFrom, departureTo, maxStops, cabin, passengers
+     * @returns {Object} { cheapest, alternatives } or { error } when nothing has seats
+     */
+    findCheapestFare({ originCity, destinationCity, departureFrom, departureTo, maxStops = 1, cabin = "economy", passengers = 1 }) {
+      expireHolds();
+      const origin = airportFor(originCity);
+      const destination = airportFor(destinationCity);
+      const range = dateRange(departureFrom, departureTo);
+      const dates = [...new Set(flights.map((flight) => localDate(flight.departure)))]
+        .filter((date) => date >= range.from && date <= range.to);
+      const itineraries = dates
+        .flatMap((date) => routesOn(origin, destination, date,
+          { maxStops, minLayoverMinutes: 45, maxLayoverMinutes: 360, cabin, passengers }))
+        .map((legs) => describeItinerary(legs, cabin))
+        .sort((a, b) => a.fare - b.fare || a.totalMinutes - b.totalMinutes);
+      if (itineraries.length === 0) {
+        return { error: `No ${cabin} seats for ${passengers} between ${origin.city} and ${destination.city} from ${range.from} to ${range.to}.` };
+      }
+      return {
+        cabin,
+        passengers,
+        cheapest: { ...itineraries[0], totalFare: itineraries[0].fare * passengers },
+        alternatives: itineraries.slice(1, 4).map(({ flightIds, departure, fare, stops }) => ({ flightIds, departure, fare, stops }))
+      };
+    },
+
+    /**
+     * Hold seats on an itinerary; the seats are taken until the hold is released or expires
+     *
+     * @param {Object} request - flightIds, passengerName, cabin, passengers
+     * @returns {Object} The hold
+     * @throws {Error} When a flight does not exist, lacks seats, or the flights do not connect
+     */
+    holdBooking({ flightIds, passengerName, cabin = "economy", passengers = 1 }) {
+      expireHolds();
+      const legs = flightIds.map((id) => {
+        const flight = byId.get(id);
+        if (!flight) throw new Error(`There is no flight '${id}'. Use the ids returned by the search tools.`);
+        if (flight.seats[cabin] < passengers) {
+          throw new Error(`${flight.flightNumber} on ${localDate(flight.departure)} has ${flight.seats[cabin]} ${cabin} seats left, not ${passengers}.`);
+        }
+        return flight;
+      });
+      legs.slice(1).forEach((flight, index) => {
+        if (flight.from !== legs[index].to || Date.parse(flight.departure) <= Date.parse(legs[index].arrival)) {
+          throw new Error(`${flight.flightNumber} does not connect with ${legs[index].flightNumber}.`);
+        }
+      });
+
+      for (const flight of legs) flight.seats[cabin] -= passengers;
+      holdCount++;
+      const hold = {
+        holdId: `H${String(holdCount).padStart(4, "0")}`,
+        status: "held",
+        passengerName,
+        cabin,
+        passengers,
+        flightIds,
+        totalFare: legs.reduce((total, flight) => total + flight.fares[cabin], 0) * passengers,
+        expiresAt: new Date(now().getTime() + holdMinutes * 60000).toISOString()
+      };
+      holds.set(hold.holdId, hold);
+      return hold;
+    },
+
+    /**
+     * Release a hold and give its seats back
+     *
+     * @param {{holdId: string}} request
+     * @returns {Object} The released hold
+     * @throws {Error} When there is no such active hold, or it has expired
+     */
+    releaseHold({ holdId }) {
+      expireHolds();
+      const hold = holds.get(holdId);
+      if (hold?.status === "expired") throw new Error(`Hold '${holdId}' expired at ${hold.expiresAt}; its seats are already back on sale.`);
+      if (!hold || hold.status !== "held") throw new Error(`There is no active hold '${holdId}'.`);
+      for (const id of hold.flightIds) byId.get(id).seats[hold.cabin] += hold.passengers;
+      hold.status = "released";
+      return hold;
+    },
+
+    /**
+     * List the holds made on this desk
+     *
+     * @returns {Array<Object>} Holds, oldest first; expired ones have status "expired"
+     */
+    holds() {
+      expireHolds();
+      return [...holds.values()];
+    }
+  };
+}
+
+// Argument schemas shared by several tools
+const city = (role) => types.string(`City name or airport code of the ${role}, e.g. "Seattle" or "SEA"`);
+const date = (description) => types.string(description, { format: "date" });
+const cabin = types.optional(types.enum(["economy", "business"], "Cabin class (default economy)"));
+const passengers = types.optional(types.integer("Number of passengers (default 1)", { minimum: 1, maximum: 9 }));
+
+/**
+ * Add the flight tools to a tool registry
+ *
+ * @param {Object} registry - A registry from createToolRegistry()
+ * @param {Object} desk - A desk from createFlightDesk()
+ * @returns {Object} The registry
+ */
+export function registerFlightTools(registry, desk) {
+  return registry
+    .register("getFlightInfo", {
+      // Description helps the AI understand when and how to use this function
+      description: "Returns information about the next direct flight between two cities. " +
+        "This includes the airline, flight number, departure and arrival times and fares.",
+      args: { originCity: city("departure city"), destinationCity: city("destination city") },
+      handler: async (args) => desk.getFlightInfo(args),
+      readOnly: true
+    })
+    .register("searchFlights", {
+      description: "Lists direct flights between two cities departing within a date range, with fares and seats left.",
+      args: {
+        originCity: city("departure city"),
+        destinationCity: city("destination city"),
+        departureFrom: types.optional(date(`First departure date, YYYY-MM-DD (default ${desk.today})`)),
+        departureTo: types.optional(date("Last departure date, YYYY-MM-DD (default: same as departureFrom)")),
+        airline: types.optional(types.string("Only this airline, by name or code, e.g. \"Delta\" or \"DL\"")),
+        cabin
+      },
+      handler: async (args) => desk.searchFlights(args),
+      readOnly: true
+    })
+    .register("findRoutes", {
+      description: "Finds itineraries between two cities leaving on one day, including connecting flights, " +
+        "with the layover at each connection. Earliest arrival first.",
+      args: {
+        originCity: city("departure city"),
+        destinationCity: city("destination city"),
+        date: types.optional(date(`Departure date, YYYY-MM-DD (default ${desk.today})`)),
+        maxStops: types.optional(types.integer("Most connections (default 1)", { minimum: 0, maximum: 2 })),
+        minLayoverMinutes: types.optional(types.integer("Shortest acceptable layover (default 45)", { minimum: 20 })),
+        maxLayoverMinutes: types.optional(types.integer("Longest acceptable layover (default 360)", { minimum: 30 })),
+        cabin,
+        passengers
+      },
+      handler: async (args) => desk.findRoutes(args),
+      readOnly: true
+    })
+    .register("findCheapestFare", {
+      description: "Finds the cheapest itinerary (direct or with connections) between two cities over a range of departure dates.",
+      args: {
+        originCity: city("departure city"),
+        destinationCity: city("destination city"),
+        departureFrom: types.optional(date(`First departure date, YYYY-MM-DD (default ${desk.today})`)),
+        departureTo: types.optional(date("Last departure date, YYYY-MM-DD (default: same as departureFrom)")),
+        maxStops: types.optional(types.integer("Most connections (default 1)", { minimum: 0, maximum: 2 })),
+        cabin,
+        passengers
+      },
+      handler: async (args) => desk.findCheapestFare(args),
+      readOnly: true
+    })
+    .register("holdBooking", {
+      description: "Holds seats on an itinerary for a passenger for 30 minutes, taking them off sale. " +
+        "Pass the flight ids of every leg, in order. Only do this when the user asks to book or hold.",
+      args: {
+        flightIds: types.array(types.string(), "Ids of the flights to hold, in travel order", { minItems: 1 }),
+        passengerName: types.string("Full name of the lead passenger"),
+        cabin,
+        passengers
+      },
+      handler: async (args) => desk.holdBooking(args),
+      requiresConfirmation: true
+    })
+    .register("releaseHold", {
+      description: "Cancels a booking hold and returns its seats.",
+      args: { holdId: types.string("Id of the hold, e.g. \"H0001\"") },
+      handler: async (args) => desk.releaseHold(args),
+      requiresConfirmation: true
+    });
+}
@@ -0,0 +1,71 @@
+/**
+ * IMAGE INPUT
+ *
+ * Library half of sample-image.js. Images are sent to the model inline, as base64 data
+ * URLs inside a multi-part user message next to the text prompt.
+ */
+
+import { existsSync, readFileSync } from "node:fs";
+import { extname, join } from "node:path";
+
+/**
+ * Work out the image format for a data URL from a file name
+ *
+ * @param {string} imageFile - Image file name or path
+ * @returns {string} The extension without the dot, e.g. "png"; "jpg" when there is none
+ */
+export function imageFormatOf(imageFile) {
+  return extname(imageFile).slice(1).toLowerCase() || "jpg";
+}
+
+/**
+ * Utility function to convert an image file to a base64 data URL
+ * This is required for sending image data to the AI model via API
+ *
+ * @param {string} imageFile - The path to the image file, or a file name in the images folder.
+ * @param {string} [imageFormat] - The format of the image file. For example: "jpeg", "png". Defaults to the extension.
+ * @param {string} [imagesDir] - Folder searched when imageFile is not a path that exists.
+ * @returns {string} The data URL of the image.
+ * @throws {Error} When the image cannot be read from either location
+ */
+export function getImageDataUrl(imageFile, imageFormat = imageFormatOf(imageFile), imagesDir = "Images") {
+  // Use the path as given if it exists, otherwise look in the images folder
+  const imagePath = existsSync(imageFile) ? imageFile : join(imagesDir, imageFile);
+  let imageBuffer;
+  try {
+    imageBuffer = readFileSync(imagePath);
+  } catch (error) {
+    throw new Error(`Could not read '${imageFile}' or '${join(imagesDir, imageFile)}'.`, { cause: error });
+  }
+  // Return the complete data URL format required by the API
+  return `data:image/${imageFormat};base64,${imageBuffer.toString("base64")}`;
+}
+
+/**
+ * Ask the model to describe an image
+ *
+ * @param {Object} provider - A provider from createProvider()
+ * @param {Object} options
+ * @param {string} options.imageUrl - The image, as a data URL or a public https URL
+ * @param {string} [options.prompt] - Question to ask about the image
+ * @param {string} [options.system] - System prompt defining the assistant's role
+ * @returns {Promise<{content: string, usage: Object|null}>} The description and token usage
+ */
+export async function describeImage(provider, {
+  imageUrl,
+  prompt = "What's in this image?",
+  system = "You are a helpful assistant that describes images in details."
+}) {
+  const response = await provider.chat({
+    messages: [
+      // System message defines the AI's role for image description
+      { role: "system", content: system },
+      // User message contains both text query and image data
+      { role: "user", content: [
+        { type: "text", text: prompt },
+        { type: "image_url", image_url: { url: imageUrl, details: "low" } }
+      ] }
+    ]
+  });
+  return { content: response.choices[0].message.content, usage: response.usage };
+}
@@ -0,0 +1,308 @@
+/**
+ * MULTI-TURN CONVERSATION
+ *
+ * Library half of sample-multiturn.js. A conversation is a plain array of messages that
+ * starts with the system prompt; each turn appends the user's message and the reply,
+ * so the whole history is sent every time and the model keeps the context. A memory
+ * (see lib/memory.js) can replace older turns with a running summary, and a token budget
+ * (see lib/tokens.js) leaves out the oldest turns that do not fit the context window.
+ * Either way the history itself is kept complete. streamMessage() shows the reply as it
+ * arrives and can be cancelled midway.
+ *
+ * createChatCommands() provides the slash commands of the interactive chat (/retry,
+ * /undo, /model...); other samples can start from it and register their own.
+ */
+
+import { createMemory, createSummarizer } from "../memory.js";
+import { createCommandRegistry, EXIT_COMMAND } from "../commands.js";
+import { formatBudget } from "../tokens.js";
+
+/**
+ * Start a conversation
+ *
+ * @param {string} [system] - System prompt defining the assistant's role
+ * @returns {Array<Object>} Message history holding only the system message
+ */
+export function createConversation(system = "You are a helpful assistant.") {
+  return [{ role: "system", content: system }];
+}
+
+/**
+ * Create the memory for a chat: older turns are summarized by the same provider
+ *
+ * @param {Object} provider - A provider from createProvider()
+ * @param {string} [strategy] - "full", "window" or "summary" (see lib/memory.js)
+ * @returns {Object} The memory
+ */
+export function createChatMemory(provider, strategy = "summary") {
+  return createMemory({
+    strategy,
+    summarize: strategy === "summary" ? createSummarizer(provider) : undefined,
+    // Keep each user message together with the reply that follows it
+    startsTurn: (message) => message.role === "user"
+  });
+}
+
+// Choose what to send for a conversation: the memory's selection, trimmed to the budget
+async function selectPrompt(messages, { memory, budget, onBudget }) {
+  const selection = memory ? await memory.messages(messages) : { messages, summary: null, dropped: 0 };
+  if (!budget) return selection.messages;
+  const report = budget.fit(selection.messages);
+  // Count what the memory left out or summarized as well as what did not fit
+  onBudget?.({
+    ...report,
+    dropped: report.dropped + (selection.summary ? 0 : selection.dropped),
+    summarized: selection.summary ? selection.dropped : 0
+  });
+  return report.messages;
+}
+
+/**
+ * Send one user message and record the reply in the conversation
+ *
+ * If the request fails the user message is removed again, so the history never holds
+ * an unanswered message and the caller can keep the session going.
+ *
+ * @param {Object} provider - A provider from createProvider()
+ * @param {Array<Object>} messages - The conversation; updated in place
+ * @param {string} input - The user's message
+ * @param {Object} [options]
+ * @param {Object} [options.memory] - A memory from createChatMemory(); decides which older turns are sent
+ * @param {Object} [options.budget] - A budget from createTokenBudget(); the history is trimmed to fit it
+ * @param {Function} [options.onBudget] - Called with the budget report before the request is sent
+ * @param {Object} [options.params] - Extra request parameters, e.g. { model, temperature }
+ * @returns {Promise<{content: string, usage: Object|null}>} The reply and token usage
+ */
+export async function sendMessage(provider, messages, input, { memory, budget, onBudget, params = {} } = {}) {
+  messages.push({ role: "user", content: input });
+  try {
+    // Send the conversation history (as much of it as fits) to maintain context
+    const prompt = await selectPrompt(messages, { memory, budget, onBudget });
+    const response = await provider.chat({ ...params, messages: prompt });
+    const reply = response.choices[0].message.content;
+    messages.push({ role: "assistant", content: reply });
+    return { content: reply, usage: response.usage };
+  } catch (error) {
+    messages.pop();
+    throw error;
+  }
+}
+
+/**
+ * Send one user message and stream the reply into the conversation
+ *
+ * Works like sendMessage(), but hands the reply to onText piece by piece. When the signal
+ * cancels the request midway, keepPartial decides whether the exchange stays in the
+ * history with the text received so far, or is removed as if it never happened.
+ *
+ * @param {Object} provider - A provider from createProvider()
+ * @param {Array<Object>} messages - The conversation; updated in place
+ * @param {string} input - The user's message
+ * @param {Object} [options] - memory, budget, onBudget and params as for sendMessage(), and:
+ * @param {Function} [options.onText] - Called with each piece of text as it arrives
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @param {Function} [options.keepPartial] - Async (partialText) => whether to keep a cancelled reply; discards by default
+ * @returns {Promise<{content: string, usage: Object|null, aborted: boolean}>} The reply (partial when aborted) and token usage
+ */
+export async function streamMessage(provider, messages, input, {
+  memory,
+  budget,
+  onBudget,
+  params = {},
+  onText = () => {},
+  signal,
+  keepPartial = async () => false
+} = {}) {
+  messages.push({ role: "user", content: input });
+  let content = "";
+  let usage = null;
+  try {
+    const prompt = await selectPrompt(messages, { memory, budget, onBudget });
+    const stream = await provider.stream({
+      ...params,
+      messages: prompt,
+      stream_options: { include_usage: true } // Usage arrives in the last chunk
+    }, { signal });
+    for await (const part of stream) {
+      // Stop reading as soon as the request is cancelled, even if chunks are still buffered
+      if (signal?.aborted) break;
+      const delta = part.choices[0]?.delta?.content || "";
+      if (delta) {
+        content += delta;
+        onText(delta);
+      }
+      if (part.usage) {
+        usage = part.usage;
+      }
+    }
+  } catch (error) {
+    if (!signal?.aborted) {
+      messages.pop();
+      throw error;
+    }
+  }
+
+  if (signal?.aborted && !(content && await keepPartial(content))) {
+    messages.pop();
+    return { content, usage, aborted: true };
+  }
+  messages.push({ role: "assistant", content });
+  return { content, usage, aborted: Boolean(signal?.aborted) };
+}
+
+// Index of the last user message, where the latest exchange starts
+function lastExchangeStart(messages) {
+  return messages.findLastIndex((message) => message.role === "user");
+}
+
+/**
+ * Create the slash commands of the interactive chat
+ *
+ * Commands receive the chat state from the runner as their context:
+ * - session:  the current session ({ id, title, model, messages... }, see lib/sessions.js)
+ * - store:    the session store
+ * - settings: request parameters set by commands, e.g. { model, temperature }
+ * - budget:   the token budget for the current model
+ * - commands: this registry, for /help
+ * - log:      prints a status line
+ * - send(input), setModel(name), save() and autosave(): actions implemented by the runner
+ *
+ * @returns {Object} A command registry (see lib/commands.js)
+ */
+export function createChatCommands() {
+  return createCommandRegistry()
+    .register("help", {
+      description: "Show the available commands",
+      aliases: ["?"],
+      run: async (args, chat) => chat.log(`Commands:\n${chat.commands.help()}\nType "exit" or /exit to quit.`)
+    })
+    .register("system", {
+      description: "Show or replace the system prompt (the assistant's persona)",
+      usage: "[prompt]",
+      run: async (args, chat) => {
+        const system = chat.session.messages.find((message) => message.role === "system");
+        if (!args) {
+          chat.log(`System prompt: ${system?.content ?? "(none)"}`);
+          return;
+        }
+        if (system) {
+          system.content = args;
+        } else {
+          chat.session.messages.unshift({ role: "system", content: args });
+        }
+        chat.autosave();
+        chat.log("System prompt updated.");
+      }
+    })
+    .register("model", {
+      description: "Show or switch the model used for the next replies",
+      usage: "[name]",
+      run: async (args, chat) => {
+        if (args) chat.setModel(args);
+        chat.log(`Model: ${chat.settings.model ?? chat.session.model}`);
+      }
+    })
+    .register("temp", {
+      description: "Show or set the sampling temperature (0-2)",
+      usage: "[n]",
+      aliases: ["temperature"],
+      run: async (args, chat) => {
+        if (args) {
+          const temperature = Number(args);
+          if (Number.isNaN(temperature) || temperature < 0 || temperature > 2) {
+            chat.log("Temperature must be a number from 0 to 2.");
+            return;
+          }
+          chat.settings.temperature = temperature;
+        }
+        chat.log(`Temperature: ${chat.settings.temperature ?? "model default"}`);
+      }
+    })
+    .register("retry", {
+      description: "Ask for a new answer to your last message",
+      run: async (args, chat) => {
+        const messages = chat.session.messages;
+        const start = lastExchangeStart(messages);
+        if (start === -1) {
+          chat.log("Nothing to retry yet.");
+          return;
+        }
+        const removed = messages.splice(start);
+        try {
+          await chat.send(removed[0].content);
+        } finally {
+          // A failed or cancelled retry adds nothing; put the exchange it was replacing back
+          if (messages.length === start) {
+            messages.push(...removed);
+            chat.autosave();
+            chat.log("The previous answer was kept.");
+          }
+        }
+      }
+    })
+    .register("undo", {
+      description: "Remove your last message and the answer to it",
+      run: async (args, chat) => {
+        const messages = chat.session.messages;
+        const start = lastExchangeStart(messages);
+        if (start === -1) {
+          chat.log("Nothing to undo.");
+          return;
+        }
+        messages.splice(start);
+        chat.autosave();
+        chat.log("Removed the last exchange.");
+      }
+    })
+    .register("clear", {
+      description: "Forget the conversation, keeping the system prompt",
+      run: async (args, chat) => {
+        const messages = chat.session.messages;
+        messages.splice(0, messages.length, ...messages.filter((message) => message.role === "system"));
+        chat.autosave();
+        chat.log("Conversation cleared.");
+      }
+    })
+    .register("save", {
+      description: "Save the session now, optionally with a new title",
+      usage: "[title]",
+      run: async (args, chat) => {
+        if (args) chat.session.title = args;
+        chat.save();
+        chat.log(`💾 Saved "${chat.session.title}" as ${chat.session.id}.`);
+      }
+    })
+    .register("load", {
+      description: "Continue a saved session, or list them when no ID is given",
+      usage: "[id]",
+      run: async (args, chat) => {
+        if (!args) {
+          const sessions = chat.store.list().slice(0, 10);
+          chat.log(sessions.length === 0
+            ? "No saved sessions."
+            : sessions.map((session) => `  ${session.id}  ${session.error ? `⚠️  ${session.error}` : session.title}`).join("\n"));
+          return;
+        }
+        // Replace the session's contents in place, so everything holding it sees the loaded one
+        const loaded = chat.store.load(args);
+        for (const key of Object.keys(chat.session)) delete chat.session[key];
+        Object.assign(chat.session, loaded);
+        chat.setModel(loaded.model);
+        chat.log(`📂 Loaded "${loaded.title}" (${loaded.id}, ${loaded.messages.filter((message) => message.role !== "system").length} messages)`);
+      }
+    })
+    .register("tokens", {
+      description: "Show how much of the context window the conversation uses",
+      run: async (args, chat) => {
+        const report = chat.budget.fit(chat.session.messages);
+        chat.log(`📏 ${formatBudget(report)}`);
+        chat.log(`   Context window ${chat.budget.contextWindow.toLocaleString("en-US")} tokens, ` +
+          `${chat.budget.reserve.toLocaleString("en-US")} reserved for the reply (${chat.budget.model})`);
+      }
+    })
+    .register("exit", {
+      description: "End the chat",
+      aliases: ["quit"],
+      run: async () => EXIT_COMMAND
+    });
+}
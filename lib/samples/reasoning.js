@@ -0,0 +1,90 @@
+/**
+ * REASONING SCENARIOS
+ *
+ * Library half of sample-reasoning.js: the scenario catalogue, the markdown clean-up
+ * used to print answers in a terminal, and the call that sends a scenario to a
+ * reasoning model.
+ */
+
+// Using o1-preview model specifically designed for complex reasoning tasks
+export const reasoningDefaults = { model: "openai/o1-preview" };
+
+// Array of predefined reasoning scenarios to test different cognitive abilities
+export const scenarios = [
+    {
+        name: "Mathematical Reasoning",
+        // Tests calculation skills and understanding of averages with multi-step problems
+        prompt: "A train travels 60 miles per hour for 2 hours, then 80 miles per hour for 1.5 hours. What is the average speed for the entire trip?"
+    },
+    {
+        name: "Logic Puzzle",
+        // Tests deductive reasoning and logical thinking under constraints
+        prompt: "Three people are wearing hats that are either red or blue. Each person can see the other two hats but not their own. They are told that at least one of them is wearing a red hat. If they are asked in turn if they know the color of their own hat, what logical reasoning can they use to figure it out?"
+    },
+    {
+        name: "Complex Problem Solving",
+        // Tests resource allocation and constraint satisfaction
+        prompt: "You are organizing a conference with three sessions and four speakers. Each speaker can only attend two sessions, and no session can have more than two speakers. How would you assign the speakers to sessions?"
+    },
+    {
+        name: "Ethical Reasoning",
+        // Tests moral reasoning and ethical decision-making frameworks
+        prompt: "You see a runaway trolley heading towards five people tied up on the tracks. You can pull a lever to divert the trolley onto another track, where it will hit one person. What should you do, and why?"
+    }
+];
+
+/**
+ * Utility function to clean markdown formatting from AI responses
+ * This improves readability by removing markdown syntax and formatting
+ * 
+ * @param {string} text - The text containing markdown formatting
+ * @returns {string} - Clean text without markdown syntax
+ */
+export function cleanMarkdownFormatting(text) {
+    if (!text) return text;
+    
+    return text
+        // Remove bold markdown (**text** or __text__)
+        .replace(/\*\*(.*?)\*\*/g, '$1')
+        .replace(/__(.*?)__/g, '$1')
+        // Remove italic markdown (*text* or _text_)
+        .replace(/\*(.*?)\*/g, '$1')
+        .replace(/_(.*?)_/g, '$1')
+        // Remove code blocks (```text```)
+        .replace(/```[\s\S]*?```/g, (match) => {
+            return match.replace(/```\w*\n?/g, '').replace(/```/g, '');
+        })
+        // Remove inline code (`text`)
+        .replace(/`([^`]+)`/g, '$1')
+        // Remove headers (# ## ### etc.)
+        .replace(/^#+\s*/gm, '')
+        // Remove bullet points and list markers
+        .replace(/^\s*[-*+]\s+/gm, '• ')
+        .replace(/^\s*\d+\.\s+/gm, (match, offset, string) => {
+            const num = match.match(/\d+/)[0];
+            return `${num}. `;
+        })
+        // Clean up extra whitespace
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Send one scenario to the reasoning model
+ *
+ * @param {Object} provider - A provider from createProvider()
+ * @param {number} idx - Index of the scenario in the scenarios array
+ * @returns {Promise<{scenario: string, content: string, usage: Object|null}>} The model's answer
+ */
+export async function solveScenario(provider, idx) {
+    const response = await provider.chat({
+        messages: [
+            { role: "user", content: scenarios[idx].prompt }
+        ]
+    });
+    return {
+        scenario: scenarios[idx].name,
+        content: response.choices[0].message.content,
+        usage: response.usage
+    };
+}
@@ -0,0 +1,47 @@
+/**
+ * STREAMING RESPONSES
+ *
+ * Library half of sample-stream.js. The reply is handed to a callback piece by piece as
+ * it arrives, so the caller decides where the text goes (a terminal, a socket, nowhere).
+ */
+
+/**
+ * Stream the model's answer to a prompt
+ *
+ * @param {Object} provider - A provider from createProvider()
+ * @param {Object} options
+ * @param {string} options.prompt - The prompt to send
+ * @param {string} [options.system] - System prompt defining the assistant's role
+ * @param {Function} [options.onText] - Called with each piece of text as it arrives
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<{content: string, usage: Object|null}>} The full reply and token usage
+ */
+export async function streamReply(provider, {
+  prompt,
+  system = "You are a helpful assistant.",
+  onText = () => {},
+  signal
+}) {
+  const stream = await provider.stream({
+    messages: [
+      { role: "system", content: system },
+      { role: "user", content: prompt }
+    ],
+    stream_options: { include_usage: true } // Include token usage information
+  }, { signal });
+
+  let content = "";
+  let usage = null;
+  for await (const part of stream) {
+    const delta = part.choices[0]?.delta?.content || "";
+    if (delta) {
+      content += delta;
+      onText(delta);
+    }
+    // Usage arrives in the last chunk, which has no choices
+    if (part.usage) {
+      usage = part.usage;
+    }
+  }
+  return { content, usage };
+}
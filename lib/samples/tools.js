@@ -0,0 +1,138 @@
+/**
+ * FUNCTION CALLING
+ *
+ * Library half of sample-tools.js: the tool registry that offers the flight desk
+ * (./flights.js) to the model. The request/tool-call/answer round trips are run by the agent
+ * loop in lib/agent.js. Progress is reported through a log callback rather than printed,
+ * so the functions can be used from other tooling.
+ *
+ * Tools marked requiresConfirmation (holdBooking, releaseHold, most MCP tools) only run
+ * once the user approves them; confirmWithPrompt() asks on the terminal.
+ */
+
+import { createToolRegistry } from "../tools.js";
+import { runAgent } from "../agent.js";
+import { createFlightDesk, loadFlightData, registerFlightTools } from "./flights.js";
+
+/**
+ * Create the tools the flight assistant may call
+ *
+ * Each tool pairs the arguments the model must send with the function that runs when the
+ * model calls it, so adding a tool is one more register() call. The tools work on a flight
+ * desk backed by fixtures/flights.json (see ./flights.js); holds the model makes change
+ * the desk's seat counts, so pass your own desk to inspect them afterwards.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.desk] - A desk from createFlightDesk(); defaults to one over the bundled dataset
+ * @returns {Object} A tool registry (see lib/tools.js)
+ */
+export function createFlightTools({ desk = createFlightDesk(loadFlightData()) } = {}) {
+  return registerFlightTools(createToolRegistry(), desk);
+}
+
+// One line about a confirmation decision, next to the "Calling function" lines
+function describeDecision({ name, decision, editedArguments, reason }) {
+  switch (decision) {
+    case "approved":
+      return `✅ Approved \`${name}\``;
+    case "edited":
+      return `✏️  Approved \`${name}\` with edited arguments ${JSON.stringify(editedArguments)}`;
+    default:
+      return `🚫 Denied \`${name}\`${reason ? `: ${reason}` : ""}`;
+  }
+}
+
+/**
+ * Create a confirm callback that asks the user on a line prompt
+ *
+ * It shows the tool name and its arguments, pretty-printed, and asks to approve, deny or
+ * edit the call. Parallel calls are asked about one at a time.
+ *
+ * @param {Object} prompt - A prompt from createPrompt() (lib/prompt.js)
+ * @param {Object} [options]
+ * @param {Function} [options.write] - Prints the call being confirmed (default: console.log)
+ * @returns {Function} Async ({ name, arguments }) => { action, arguments, reason }, for runAgent()'s confirm option
+ */
+export function confirmWithPrompt(prompt, { write = (text) => console.log(text) } = {}) {
+  let queue = Promise.resolve();
+
+  // Ask a question; null when the input ends first (answers piped in ahead of time still count)
+  const ended = new Promise((resolve) => prompt.rl.once("close", () => resolve(null)));
+  const answer = (question) => Promise.race([prompt.ask(question).catch(() => null), ended]);
+
+  async function ask({ name, arguments: args }) {
+    write(`\n⚠️  The assistant wants to call \`${name}\` with:\n${JSON.stringify(args, null, 2)}`);
+    for (;;) {
+      const choice = (await answer("Approve, deny or edit? [a/d/e] "))?.toLowerCase();
+      // Nobody left to ask: the safe answer is no
+      if (choice === undefined) return { action: "deny", reason: "The user did not answer." };
+      if (choice === "a" || choice === "approve" || choice === "y" || choice === "yes") {
+        return { action: "approve" };
+      }
+      if (choice === "d" || choice === "deny" || choice === "n" || choice === "no") {
+        const reason = await answer("Reason for the assistant (optional): ");
+        return { action: "deny", reason: reason || undefined };
+      }
+      if (choice === "e" || choice === "edit") {
+        const text = await answer("New arguments as JSON (empty keeps them): ");
+        if (text === null) return { action: "deny", reason: "The user did not answer." };
+        if (!text) return { action: "approve" };
+        try {
+          return { action: "edit", arguments: JSON.parse(text) };
+        } catch (error) {
+          write(`That is not valid JSON (${error.message}).`);
+        }
+      }
+    }
+  }
+
+  // Chain the questions so two calls never share the prompt
+  return (request) => (queue = queue.then(() => ask(request)));
+}
+
+/**
+ * Answer a question, letting the model call the flight tools as often as it needs
+ *
+ * @param {Object} provider - A provider from createProvider()
+ * @param {Object} options
+ * @param {string} options.prompt - The user's question
+ * @param {string} [options.system] - System prompt defining the assistant's role
+ * @param {Object} [options.tools] - Tool registry; defaults to createFlightTools()
+ * @param {number} [options.maxIterations] - Most requests to send before giving up (see lib/agent.js)
+ * @param {Function} [options.confirm] - Asked before tools that need confirmation run, e.g. confirmWithPrompt();
+ *   without it those calls are denied
+ * @param {Object} [options.audit] - Audit log from createAuditLog() (lib/audit.js) that records every decision
+ * @param {Function} [options.log] - Called with a line describing each function call, decision and result
+ * @returns {Promise<{content: string, messages: Array<Object>, iterations: number, usage: Object|null}>} The final
+ *   answer, the conversation, the number of requests and their token usage
+ */
+export async function askWithTools(provider, {
+  prompt,
+  system = "You an assistant that helps users find flight information.",
+  tools = createFlightTools(),
+  maxIterations,
+  confirm,
+  audit,
+  log = () => {}
+}) {
+  // Initialize conversation with system message and user query
+  const messages = [
+    { role: "system", content: system },
+    { role: "user", content: prompt }
+  ];
+
+  // Keep sending the conversation until the model answers instead of calling tools;
+  // calls the model makes together run in parallel, and failures go back to it as results
+  return runAgent(provider, {
+    messages,
+    tools,
+    maxIterations,
+    onToolCall: (toolCall) => log(`Calling function \`${toolCall.function.name}\` with arguments ${toolCall.function.arguments}`),
+    onToolResult: (toolCall, result) => log(`Function returned = ${result.content}`),
+    confirm,
+    onDecision: (entry) => {
+      audit?.record(entry);
+      if (entry.decision !== "auto") log(describeDecision(entry));
+    }
+  });
+}
@@ -0,0 +1,276 @@
+/**
+ * JSON SCHEMA VALIDATION
+ *
+ * Models produce tool arguments (and structured answers) as JSON that usually, but not
+ * always, matches the schema they were given: a number arrives as "2", a required field
+ * is missing, an enum value has the wrong case. validate() checks a value against the
+ * subset of JSON Schema that tool definitions use in practice:
+ *
+ *   type (including unions), enum, const, anyOf, properties, required,
+ *   additionalProperties, items, minItems/maxItems, minLength/maxLength, pattern,
+ *   format (date, date-time), minimum/maximum, exclusiveMinimum/exclusiveMaximum, default
+ *
+ * With coercion on (the default) it also repairs the harmless mistakes instead of
+ * rejecting them: numeric and boolean strings become numbers and booleans, numbers and
+ * booleans become strings, enum values match regardless of case, null optional
+ * properties are dropped and missing ones take their default. Everything else is
+ * reported as an issue with a JSON Pointer path, so the model can be told exactly
+ * what to fix.
+ *
+ * The `types` helpers build schemas from code, so a tool's parameters can be declared
+ * next to its handler instead of written out by hand:
+ *
+ *   const parameters = types.object({
+ *     city: types.string("City name"),
+ *     days: types.optional(types.integer("Days of forecast", { minimum: 1, maximum: 7 }))
+ *   });
+ */
+
+// Marks a property built with types.optional(); symbols are left out of JSON.stringify
+const OPTIONAL = Symbol("optional");
+
+// Checks for the supported "format" values
+const FORMATS = {
+  "date": (text) => /^\d{4}-\d{2}-\d{2}$/.test(text) && !Number.isNaN(Date.parse(text)),
+  "date-time": (text) => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(text) && !Number.isNaN(Date.parse(text))
+};
+
+// Whether a value is of one JSON Schema type
+function isType(type, value) {
+  switch (type) {
+    case "string": return typeof value === "string";
+    case "number": return typeof value === "number" && Number.isFinite(value);
+    case "integer": return Number.isInteger(value);
+    case "boolean": return typeof value === "boolean";
+    case "null": return value === null;
+    case "array": return Array.isArray(value);
+    case "object": return typeof value === "object" && value !== null && !Array.isArray(value);
+    default: return true;
+  }
+}
+
+// Convert a value to a type when the conversion loses nothing; undefined when it cannot
+function coerceTo(type, value) {
+  if ((type === "number" || type === "integer") && typeof value === "string" && value.trim() !== "") {
+    const number = Number(value);
+    return isType(type, number) ? number : undefined;
+  }
+  if (type === "boolean" && typeof value === "string" && /^(true|false)$/i.test(value.trim())) {
+    return value.trim().toLowerCase() === "true";
+  }
+  if (type === "string" && (typeof value === "number" || typeof value === "boolean")) {
+    return String(value);
+  }
+  return undefined;
+}
+
+// Type name for error messages, e.g. "an integer"
+function withArticle(type) {
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+// Short description of a value for error messages
+function describe(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "an array";
+  if (typeof value === "object") return "an object";
+  return JSON.stringify(value);
+}
+
+// Check a value against a schema, recording issues; returns the (possibly coerced) value
+function check(schema, value, path, issues, coerce) {
+  if (!schema || schema === true) return value;
+  const fail = (message) => {
+    issues.push({ path, message });
+    return value;
+  };
+
+  if (schema.anyOf) {
+    for (const option of schema.anyOf) {
+      const optionIssues = [];
+      const result = check(option, value, path, optionIssues, coerce);
+      if (optionIssues.length === 0) return result;
+    }
+    return fail("does not match any of the allowed forms");
+  }
+
+  const types = [].concat(schema.type ?? []);
+  if (types.length > 0 && !types.some((type) => isType(type, value))) {
+    const coerced = coerce
+      ? types.map((type) => coerceTo(type, value)).find((result) => result !== undefined)
+      : undefined;
+    if (coerced === undefined) {
+      return fail(`must be ${types.map(withArticle).join(" or ")}, got ${describe(value)}`);
+    }
+    value = coerced;
+  }
+
+  if (schema.enum) {
+    const match = schema.enum.find((option) => option === value) ??
+      (coerce && typeof value === "string"
+        ? schema.enum.find((option) => typeof option === "string" && option.toLowerCase() === value.toLowerCase())
+        : undefined);
+    if (match === undefined) {
+      return fail(`must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(", ")}, got ${describe(value)}`);
+    }
+    value = match;
+  }
+  if ("const" in schema && schema.const !== value) {
+    return fail(`must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) fail(`must be at least ${schema.minLength} characters long`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters long`);
+    if (schema.pattern && !new RegExp(schema.pattern, "u").test(value)) fail(`must match the pattern ${schema.pattern}`);
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      fail(`must be a ${schema.format} in ISO 8601 format, e.g. ${schema.format === "date" ? "2025-07-16" : "2025-07-16T10:00:00Z"}`);
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be at most ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail(`must be greater than ${schema.exclusiveMinimum}`);
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) fail(`must be less than ${schema.exclusiveMaximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value = value.map((item, index) => check(schema.items, item, `${path}/${index}`, issues, coerce));
+    }
+  }
+
+  if (isType("object", value) && (schema.properties || schema.required || schema.additionalProperties !== undefined)) {
+    const properties = schema.properties || {};
+    const required = schema.required || [];
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      const propertySchema = properties[key];
+      if (propertySchema) {
+        // Models often send null for an optional property they have no value for
+        if (coerce && item === null && !required.includes(key) && ![].concat(propertySchema.type ?? []).includes("null")) {
+          continue;
+        }
+        result[key] = check(propertySchema, item, `${path}/${key}`, issues, coerce);
+      } else if (schema.additionalProperties === false) {
+        issues.push({ path: `${path}/${key}`, message: "is not an allowed property" });
+      } else {
+        result[key] = typeof schema.additionalProperties === "object"
+          ? check(schema.additionalProperties, item, `${path}/${key}`, issues, coerce)
+          : item;
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(properties)) {
+      if (key in result) continue;
+      if (coerce && propertySchema.default !== undefined) {
+        result[key] = structuredClone(propertySchema.default);
+      } else if (required.includes(key)) {
+        issues.push({ path: `${path}/${key}`, message: "is required" });
+      }
+    }
+    value = result;
+  }
+
+  return value;
+}
+
+/**
+ * Validate a value against a JSON schema
+ *
+ * @param {Object} schema - The JSON schema, e.g. a tool's parameters
+ * @param {*} value - The value to check; it is not changed
+ * @param {Object} [options]
+ * @param {boolean} [options.coerce] - Repair harmless mismatches such as "2" for 2 (default true)
+ * @returns {{valid: boolean, value: *, issues: Array<{path: string, message: string}>}} The result; value is
+ *   the coerced copy, and each issue has a JSON Pointer path ("" for the value itself)
+ */
+export function validate(schema, value, { coerce = true } = {}) {
+  const issues = [];
+  const result = check(schema, value, "", issues, coerce);
+  return { valid: issues.length === 0, value: result, issues };
+}
+
+/**
+ * Describe validation issues in one line each
+ *
+ * @param {Array<{path: string, message: string}>} issues - From validate()
+ * @param {string} [root] - Name for the value itself, e.g. "arguments"
+ * @returns {string} e.g. "- destinationCity is required"
+ */
+export function formatIssues(issues, root = "value") {
+  return issues
+    .map(({ path, message }) => `- ${path ? path.slice(1).replaceAll("/", ".") : root} ${message}`)
+    .join("\n");
+}
+
+// Build a schema for a primitive type from a description and extra keywords
+const primitive = (type) => (description, keywords = {}) => ({
+  type,
+  ...(description ? { description } : {}),
+  ...keywords
+});
+
+/**
+ * Helpers that build JSON schemas in code, e.g. for tool parameters
+ *
+ * Each takes an optional description and extra JSON Schema keywords; object() marks every
+ * property as required unless it is wrapped in optional().
+ */
+export const types = {
+  string: primitive("string"),
+  number: primitive("number"),
+  integer: primitive("integer"),
+  boolean: primitive("boolean"),
+
+  /**
+   * @param {Array} values - The allowed values
+   * @param {string} [description] - What the value means
+   * @returns {Object} A string schema limited to the values
+   */
+  enum: (values, description, keywords = {}) => ({
+    type: typeof values[0] === "number" ? "number" : "string",
+    enum: values,
+    ...(description ? { description } : {}),
+    ...keywords
+  }),
+
+  /**
+   * @param {Object} items - Schema of each item
+   * @param {string} [description] - What the list holds
+   * @returns {Object} An array schema
+   */
+  array: (items, description, keywords = {}) => ({
+    type: "array",
+    items,
+    ...(description ? { description } : {}),
+    ...keywords
+  }),
+
+  /**
+   * @param {Object} shape - Property schemas by name
+   * @param {string} [description] - What the object describes
+   * @returns {Object} An object schema whose required list holds every non-optional property
+   */
+  object: (shape, description, keywords = {}) => ({
+    type: "object",
+    ...(description ? { description } : {}),
+    properties: Object.fromEntries(Object.entries(shape).map(([key, schema]) => [key, withoutOptional(schema)])),
+    required: Object.keys(shape).filter((key) => !shape[key][OPTIONAL]),
+    ...keywords
+  }),
+
+  /**
+   * @param {Object} schema - A property schema
+   * @returns {Object} The same schema, marked as not required when used in object()
+   */
+  optional: (schema) => ({ ...schema, [OPTIONAL]: true })
+};
+
+// Copy of a schema without the optional marker
+function withoutOptional(schema) {
+  const { [OPTIONAL]: ignored, ...rest } = schema;
+  return rest;
+}
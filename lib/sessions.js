@@ -0,0 +1,219 @@
+/**
+ * SAVED CHAT SESSIONS
+ *
+ * Chat sessions are kept as one JSON file each under <data dir>/sessions (see
+ * dataDirectory() in lib/client.js, .ghm by default):
+ *
+ *   {
+ *     "id": "20261019-4f2a9c",
+ *     "title": "Planning a trip to Lisbon",
+ *     "model": "openai/gpt-4o",
+ *     "createdAt": "2026-10-19T09:12:03.512Z",
+ *     "updatedAt": "2026-10-19T09:20:41.007Z",
+ *     "messages": [{ "role": "system", "content": "..." }, ...]
+ *   }
+ *
+ * Files are written to a temporary name and renamed into place, so a crash while saving
+ * leaves the previous version intact. Sessions are looked up by ID or by any unique
+ * prefix of it, like git commits.
+ */
+
+import { existsSync, mkdirSync, readdirSync, readFileSync, renameSync, rmSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { randomBytes } from "node:crypto";
+import { LocalError } from "./errors.js";
+
+// Longest title taken from the first user message
+const TITLE_LENGTH = 60;
+
+// Export formats and the file extension that goes with each
+export const EXPORT_FORMATS = { markdown: "md", json: "json", jsonl: "jsonl" };
+
+/**
+ * Error thrown when a session does not exist or cannot be read
+ */
+export class SessionError extends LocalError {
+  constructor(message) {
+    super(message);
+    this.name = "SessionError";
+  }
+}
+
+// New session IDs: the creation date plus random hex, so they sort by age and rarely collide
+function newSessionId(date = new Date()) {
+  return `${date.toISOString().slice(0, 10).replaceAll("-", "")}-${randomBytes(3).toString("hex")}`;
+}
+
+// Derive a title from the first thing the user said
+function titleFromMessages(messages) {
+  const first = messages.find((message) => message.role === "user" && typeof message.content === "string");
+  if (!first) return "Untitled session";
+  const text = first.content.replace(/\s+/g, " ").trim();
+  return text.length > TITLE_LENGTH ? `${text.slice(0, TITLE_LENGTH - 3)}...` : text;
+}
+
+/**
+ * Render a session as Markdown
+ *
+ * @param {Object} session - A saved session
+ * @returns {string} The transcript with a heading per message
+ */
+function toMarkdown(session) {
+  const lines = [`# ${session.title}`, "", `Model: ${session.model} · Started: ${session.createdAt}`, ""];
+  for (const message of session.messages) {
+    const content = typeof message.content === "string" ? message.content : JSON.stringify(message.content);
+    lines.push(`## ${message.role[0].toUpperCase()}${message.role.slice(1)}`, "", content, "");
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Create a store for the sessions in a data directory
+ *
+ * @param {string} dataDir - Data directory, e.g. config.dataDir from loadConfig()
+ * @returns {Object} The store with create, save, load, list, rename, remove and export
+ */
+export function createSessionStore(dataDir) {
+  const directory = join(dataDir, "sessions");
+  const pathOf = (id) => join(directory, `${id}.json`);
+
+  // Read a session file
+  function read(id) {
+    let session;
+    try {
+      session = JSON.parse(readFileSync(pathOf(id), "utf-8"));
+    } catch (error) {
+      throw new SessionError(`Session '${id}' could not be read: ${error.message}`);
+    }
+    if (typeof session?.updatedAt !== "string" || !Array.isArray(session.messages)) {
+      throw new SessionError(`Session '${id}' could not be read: it is not a saved session.`);
+    }
+    return session;
+  }
+
+  // Find the one session whose ID starts with the given text
+  function resolveId(idOrPrefix) {
+    const ids = existsSync(directory)
+      ? readdirSync(directory).filter((name) => name.endsWith(".json")).map((name) => name.slice(0, -5))
+      : [];
+    if (ids.includes(idOrPrefix)) return idOrPrefix;
+    const matches = ids.filter((id) => id.startsWith(idOrPrefix));
+    if (matches.length === 1) return matches[0];
+    if (matches.length > 1) {
+      throw new SessionError(`'${idOrPrefix}' matches several sessions: ${matches.join(", ")}. Use more of the ID.`);
+    }
+    throw new SessionError(`No saved session matches '${idOrPrefix}'. List sessions with 'ghm sessions list'.`);
+  }
+
+  return {
+    directory,
+
+    /**
+     * Start a new session; nothing is written until save()
+     *
+     * @param {Object} [details]
+     * @param {string} [details.title] - Title; derived from the first user message when omitted
+     * @param {string} [details.model] - Model the session talks to
+     * @param {Array<Object>} [details.messages] - Initial messages, usually the system prompt
+     * @returns {Object} The session
+     */
+    create({ title, model, messages = [] } = {}) {
+      const now = new Date();
+      return { id: newSessionId(now), title, model, createdAt: now.toISOString(), updatedAt: now.toISOString(), messages };
+    },
+
+    /**
+     * Write a session to disk, replacing the previous version
+     *
+     * @param {Object} session - The session; its updatedAt (and missing title) are filled in
+     * @returns {Object} The same session
+     */
+    save(session) {
+      session.updatedAt = new Date().toISOString();
+      session.title ||= titleFromMessages(session.messages);
+      mkdirSync(directory, { recursive: true });
+      const temporary = `${pathOf(session.id)}.tmp`;
+      writeFileSync(temporary, JSON.stringify(session, null, 2) + "\n");
+      renameSync(temporary, pathOf(session.id));
+      return session;
+    },
+
+    /**
+     * Load a session
+     *
+     * @param {string} idOrPrefix - Session ID or a unique prefix of it
+     * @returns {Object} The session
+     * @throws {SessionError} When no single session matches
+     */
+    load(idOrPrefix) {
+      return read(resolveId(idOrPrefix));
+    },
+
+    /**
+     * List saved sessions, most recently updated first
+     *
+     * A file that cannot be read (cut short, edited by hand) does not hide the others: it is
+     * listed last, with only its ID and the reason.
+     *
+     * @returns {Array<{id: string, title: string, model: string, createdAt: string, updatedAt: string, messageCount: number}|{id: string, error: string}>} Session summaries
+     */
+    list() {
+      if (!existsSync(directory)) return [];
+      const sessions = [];
+      const unreadable = [];
+      for (const name of readdirSync(directory).filter((name) => name.endsWith(".json"))) {
+        const id = name.slice(0, -5);
+        try {
+          const { title, model, createdAt, updatedAt, messages } = read(id);
+          sessions.push({
+            id, title, model, createdAt, updatedAt,
+            messageCount: messages.filter((message) => message.role !== "system").length
+          });
+        } catch (error) {
+          unreadable.push({ id, error: error.message });
+        }
+      }
+      return [...sessions.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt)), ...unreadable];
+    },
+
+    /**
+     * Give a session a new title
+     *
+     * @param {string} idOrPrefix - Session ID or a unique prefix of it
+     * @param {string} title - The new title
+     * @returns {Object} The updated session
+     */
+    rename(idOrPrefix, title) {
+      const session = read(resolveId(idOrPrefix));
+      session.title = title;
+      return this.save(session);
+    },
+
+    /**
+     * Delete a session
+     *
+     * @param {string} idOrPrefix - Session ID or a unique prefix of it
+     * @returns {string} The ID of the deleted session
+     */
+    remove(idOrPrefix) {
+      const id = resolveId(idOrPrefix);
+      rmSync(pathOf(id));
+      return id;
+    },
+
+    /**
+     * Render a session for sharing
+     *
+     * @param {string} idOrPrefix - Session ID or a unique prefix of it
+     * @param {string} [format] - "markdown" (default), "json" or "jsonl" (one message per line)
+     * @returns {string} The exported text
+     */
+    export(idOrPrefix, format = "markdown") {
+      const session = read(resolveId(idOrPrefix));
+      if (format === "markdown") return toMarkdown(session);
+      if (format === "json") return JSON.stringify(session, null, 2) + "\n";
+      if (format === "jsonl") return session.messages.map((message) => JSON.stringify(message)).join("\n") + "\n";
+      throw new SessionError(`Unknown export format '${format}'. Use one of: ${Object.keys(EXPORT_FORMATS).join(", ")}.`);
+    }
+  };
+}
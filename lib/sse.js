@@ -0,0 +1,53 @@
+/**
+ * SERVER-SENT EVENTS PARSER
+ *
+ * OpenAI-compatible endpoints stream chat completions as server-sent events:
+ * each event is a "data: {json}" line followed by a blank line, and the stream ends
+ * with "data: [DONE]". The OpenAI SDK parses this itself, but the Azure REST and
+ * plain-fetch backends receive raw bytes, so they share this small parser.
+ */
+
+/**
+ * Parse a byte stream of server-sent events into JSON payloads
+ *
+ * @param {AsyncIterable<Uint8Array|string>} body - Response body (Node stream or web ReadableStream)
+ * @returns {AsyncGenerator<Object>} The parsed data payload of each event
+ */
+export async function* parseSSE(body) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let dataLines = [];
+
+  for await (const chunk of body) {
+    buffer += typeof chunk === "string" ? chunk : decoder.decode(chunk, { stream: true });
+
+    // Process every complete line; keep the trailing partial line in the buffer
+    let newlineIndex;
+    while ((newlineIndex = buffer.indexOf("\n")) !== -1) {
+      const line = buffer.slice(0, newlineIndex).replace(/\r$/, "");
+      buffer = buffer.slice(newlineIndex + 1);
+
+      if (line === "") {
+        // A blank line terminates the current event
+        if (dataLines.length > 0) {
+          const data = dataLines.join("\n");
+          dataLines = [];
+          if (data === "[DONE]") return;
+          yield JSON.parse(data);
+        }
+      } else if (line.startsWith("data:")) {
+        dataLines.push(line.slice(5).trimStart());
+      }
+      // Comments (":") and other fields (event:, id:, retry:) are not used by chat completions
+    }
+  }
+
+  // Flush an event that was not followed by a blank line
+  if (buffer.startsWith("data:")) {
+    dataLines.push(buffer.slice(5).trimStart());
+  }
+  if (dataLines.length > 0) {
+    const data = dataLines.join("\n");
+    if (data !== "[DONE]") yield JSON.parse(data);
+  }
+}
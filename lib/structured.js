@@ -0,0 +1,259 @@
+/**
+ * STRUCTURED OUTPUT
+ *
+ * Asking a model for "Score: X/10" lines or a numbered list works until it writes the
+ * list slightly differently. generateObject() asks for JSON that matches a JSON Schema
+ * instead, and only returns once the reply validates:
+ *
+ *   const { value } = await generateObject(provider, {
+ *     name: "story_choices",
+ *     schema: types.object({ choices: types.array(types.string(), "Three options", { minItems: 3, maxItems: 3 }) }),
+ *     messages: [{ role: "user", content: "Suggest three ways the story could continue." }]
+ *   });
+ *
+ * Two modes reach the same result:
+ * - json_schema: the schema is sent as `response_format: { type: "json_schema" }`, so the
+ *   service constrains the reply to it. Used for models known to support it (OpenAI's
+ *   gpt-4o, gpt-4.1, gpt-5, o1, o3 and o4 families).
+ * - prompt: the schema is added to the system prompt and the reply is parsed leniently,
+ *   repairing code fences, surrounding prose, trailing commas and typographic quotes.
+ *   Used for every other model, and when a json_schema request is rejected.
+ *
+ * Either way the parsed value is checked with validate() from lib/schema.js (with its
+ * light coercion). A reply that is not JSON or does not match the schema is sent back
+ * with the problems listed, up to maxAttempts requests in total.
+ */
+
+import { validate, formatIssues } from "./schema.js";
+import { LocalError, ModelError } from "./errors.js";
+import { addUsage } from "./provider.js";
+
+// Requests one generateObject() call may send
+export const DEFAULT_MAX_ATTEMPTS = 3;
+
+// Models whose API accepts response_format json_schema
+const JSON_SCHEMA_MODEL_PATTERN = /(^|\/)(gpt-4o(?!-realtime|-audio)|gpt-4\.1|gpt-5|o1(?!-mini|-preview)|o3|o4)([\w.-]*)$/i;
+
+/**
+ * Error thrown when the model's replies still do not match the schema after every attempt
+ */
+export class StructuredOutputError extends LocalError {
+  /**
+   * @param {string} message - What went wrong
+   * @param {Object} [details]
+   * @param {Array<Object>} [details.issues] - Validation issues of the last reply (see validate())
+   * @param {string} [details.content] - The last reply
+   * @param {number} [details.attempts] - Requests sent
+   */
+  constructor(message, { issues = [], content, attempts } = {}) {
+    super(message);
+    this.name = "StructuredOutputError";
+    this.issues = issues;
+    this.content = content;
+    this.attempts = attempts;
+  }
+}
+
+/**
+ * Check whether a model accepts response_format json_schema
+ *
+ * @param {string} model - Model name, e.g. "openai/gpt-4o"
+ * @returns {boolean} True for models known to support it
+ */
+export function supportsJsonSchema(model) {
+  return JSON_SCHEMA_MODEL_PATTERN.test(model || "");
+}
+
+/**
+ * Turn a schema into the form strict json_schema mode expects: every object lists all
+ * of its properties as required and allows no others. Optional properties become
+ * nullable instead; validate() drops the nulls again.
+ *
+ * @param {Object} schema - A JSON schema
+ * @returns {Object} The strict schema
+ */
+export function toStrictSchema(schema) {
+  if (!schema || typeof schema !== "object") return schema;
+  const strict = { ...schema };
+  if (schema.properties) {
+    const required = new Set(schema.required ?? []);
+    strict.properties = Object.fromEntries(Object.entries(schema.properties).map(([key, property]) => {
+      const converted = toStrictSchema(property);
+      return [key, required.has(key) ? converted : nullable(converted)];
+    }));
+    strict.required = Object.keys(schema.properties);
+    strict.additionalProperties = false;
+  }
+  if (schema.items) strict.items = toStrictSchema(schema.items);
+  if (schema.anyOf) strict.anyOf = schema.anyOf.map(toStrictSchema);
+  // Defaults are filled in by validate(); strict mode does not accept them
+  delete strict.default;
+  return strict;
+}
+
+// Allow null as well as the schema's own type
+function nullable(schema) {
+  if (schema.anyOf) return { ...schema, anyOf: [...schema.anyOf, { type: "null" }] };
+  if (schema.enum) return { ...schema, type: [].concat(schema.type ?? "string", "null"), enum: [...schema.enum, null] };
+  if (schema.type) return { ...schema, type: [...new Set([].concat(schema.type, "null"))] };
+  return schema;
+}
+
+/**
+ * Parse JSON from a model reply, repairing the usual ways replies wrap or bend it
+ *
+ * @param {string} text - The reply
+ * @returns {*} The parsed value
+ * @throws {SyntaxError} When no JSON can be recovered
+ */
+export function parseJsonReply(text) {
+  const attempts = [];
+  const trimmed = String(text ?? "").trim();
+  attempts.push(trimmed);
+
+  // A fenced block, e.g. ```json ... ```
+  const fenced = /```(?:json|JSON)?\s*\n([\s\S]*?)\n?```/.exec(trimmed);
+  if (fenced) attempts.push(fenced[1].trim());
+
+  // The outermost object or array, dropping prose before and after it
+  const start = trimmed.search(/[{[]/);
+  const end = Math.max(trimmed.lastIndexOf("}"), trimmed.lastIndexOf("]"));
+  if (start !== -1 && end > start) attempts.push(trimmed.slice(start, end + 1));
+
+  let lastError;
+  for (const candidate of attempts) {
+    for (const repaired of [candidate, repairJson(candidate)]) {
+      try {
+        return JSON.parse(repaired);
+      } catch (error) {
+        lastError = error;
+      }
+    }
+  }
+  throw lastError ?? new SyntaxError("The reply is empty.");
+}
+
+// Fix typographic quotes and trailing commas
+function repairJson(text) {
+  return text
+    .replace(/[“”]/g, "\"")
+    .replace(/[‘’]/g, "'")
+    .replace(/,\s*([}\]])/g, "$1");
+}
+
+// The system prompt addition used in prompt mode
+function schemaInstructions(name, description, schema) {
+  return [
+    `Reply with a single JSON value named "${name}"${description ? ` (${description})` : ""} that matches this JSON Schema:`,
+    JSON.stringify(schema, null, 2),
+    "Output only the JSON: no explanations, no markdown code fences."
+  ].join("\n");
+}
+
+// Add the schema instructions to the system message, or start the conversation with them
+function withSchemaInstructions(messages, instructions) {
+  const index = messages.findIndex((message) => message.role === "system");
+  if (index === -1) return [{ role: "system", content: instructions }, ...messages];
+  return messages.map((message, position) =>
+    position === index ? { ...message, content: `${message.content}\n\n${instructions}` } : message);
+}
+
+// Whether a failed request was rejected because of response_format
+function rejectsResponseFormat(error) {
+  return error instanceof ModelError && error.status === 400 && /response_format|json_schema|structured/i.test(error.message);
+}
+
+/**
+ * Ask the model for a value that matches a JSON Schema
+ *
+ * @param {Object} provider - A provider from createProvider()
+ * @param {Object} options
+ * @param {Array<Object>} options.messages - The conversation; it is not modified
+ * @param {Object} options.schema - JSON schema of the value, e.g. built with `types` from lib/schema.js
+ * @param {string} [options.name] - Name of the value, sent to the model (letters, digits, _ and -)
+ * @param {string} [options.description] - What the value is
+ * @param {string} [options.mode] - "auto" (default), "json_schema" or "prompt"
+ * @param {boolean} [options.strict] - Ask for strict schema adherence in json_schema mode (default true)
+ * @param {number} [options.maxAttempts] - Most requests to send
+ * @param {Object} [options.params] - Extra request parameters, e.g. { temperature, max_tokens }
+ * @param {AbortSignal} [options.signal] - Cancels the requests
+ * @returns {Promise<{value: *, content: string, mode: string, attempts: number, usage: Object|null}>} The validated
+ *   (and coerced) value, the reply it came from, the mode that produced it, the requests sent and their token usage
+ * @throws {StructuredOutputError} When no reply matched the schema within maxAttempts requests
+ */
+export async function generateObject(provider, {
+  messages,
+  schema,
+  name = "result",
+  description,
+  mode = "auto",
+  strict = true,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  params = {},
+  signal
+}) {
+  const model = params.model ?? provider.config?.model;
+  let currentMode = mode === "auto" ? (supportsJsonSchema(model) ? "json_schema" : "prompt") : mode;
+  const conversation = [...messages];
+  let usage = null;
+  let content;
+  let issues = [];
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const request = currentMode === "json_schema"
+      ? {
+          ...params,
+          messages: conversation,
+          response_format: {
+            type: "json_schema",
+            json_schema: {
+              name,
+              ...(description ? { description } : {}),
+              schema: strict ? toStrictSchema(schema) : schema,
+              strict
+            }
+          }
+        }
+      : { ...params, messages: withSchemaInstructions(conversation, schemaInstructions(name, description, schema)) };
+
+    let response;
+    try {
+      response = await provider.chat(request, { signal });
+    } catch (error) {
+      // The model does not take response_format after all; ask through the prompt instead
+      if (currentMode === "json_schema" && mode === "auto" && rejectsResponseFormat(error)) {
+        currentMode = "prompt";
+        attempt--;
+        continue;
+      }
+      throw error;
+    }
+    usage = addUsage(usage, response.usage);
+    content = response.choices[0].message.content ?? "";
+
+    let parsed;
+    try {
+      parsed = parseJsonReply(content);
+    } catch (error) {
+      issues = [{ path: "", message: `is not valid JSON (${error.message})` }];
+    }
+    if (parsed !== undefined) {
+      const result = validate(schema, parsed);
+      if (result.valid) {
+        return { value: result.value, content, mode: currentMode, attempts: attempt, usage };
+      }
+      issues = result.issues;
+    }
+
+    // Show the model its reply and what is wrong with it, then ask again
+    conversation.push(
+      { role: "assistant", content },
+      { role: "user", content: `Your reply did not match the schema:\n${formatIssues(issues, name)}\nReply again with only the corrected JSON.` }
+    );
+  }
+
+  throw new StructuredOutputError(
+    `The model's reply still did not match the "${name}" schema after ${maxAttempts} attempt${maxAttempts === 1 ? "" : "s"}:\n${formatIssues(issues, name)}`,
+    { issues, content, attempts: maxAttempts }
+  );
+}
@@ -0,0 +1,262 @@
+/**
+ * TOKEN COUNTING AND CONTEXT BUDGETS
+ *
+ * Every model has a context window: the prompt and the reply together must fit in it.
+ * A chat that keeps appending turns eventually outgrows the window and every request
+ * fails. This module counts tokens locally, with the o200k_base encoding used by GPT-4o,
+ * the o-series and GPT-5, and trims what is sent so it fits:
+ * - system messages are always kept
+ * - the oldest turns (a user message and the replies/tool calls that follow it) go first
+ * - the latest turn is always kept; if it alone is too long, its longest message is
+ *   truncated from the start
+ *
+ * Window sizes come from the table below, or from GITHUB_MODELS_CONTEXT_WINDOW
+ * ("contextWindow" in the config file) when set. GitHub Models' free tier accepts far
+ * fewer input tokens per request than the models themselves, so set it to your tier's
+ * limit if requests are rejected as too large.
+ */
+
+import { encode, decode } from "gpt-tokenizer/encoding/o200k_base";
+
+// Context window sizes in tokens, keyed by model name without the publisher prefix
+export const MODEL_CONTEXT_WINDOWS = {
+  "gpt-4o": 128000,
+  "gpt-4o-mini": 128000,
+  "gpt-4.1": 1047576,
+  "o1-preview": 128000,
+  "o1-mini": 128000,
+  "o1": 200000,
+  "o3": 200000,
+  "o3-mini": 200000,
+  "o4-mini": 200000,
+  "gpt-5": 400000,
+  "gpt-5-chat": 128000
+};
+
+// Window assumed for models not in the table; small enough to be safe with any of them
+export const DEFAULT_CONTEXT_WINDOW = 8192;
+
+// Tokens kept free for the reply when the configuration sets no max_tokens
+export const DEFAULT_RESERVE = 4096;
+
+// Fixed costs of the chat format: each message is wrapped in a few special tokens,
+// a name field costs one more, and every reply is primed with the assistant header
+const TOKENS_PER_MESSAGE = 3;
+const TOKENS_PER_NAME = 1;
+const REPLY_PRIMING_TOKENS = 3;
+
+// A low-detail image costs a fixed number of tokens whatever its size
+const IMAGE_TOKENS = 85;
+
+// Marker put in front of text that was cut
+const TRUNCATION_MARKER = "[...] ";
+
+/**
+ * Count the tokens in a piece of text
+ *
+ * @param {string} text - Any text
+ * @returns {number} Number of tokens
+ */
+export function countTokens(text) {
+  return text ? encode(text).length : 0;
+}
+
+/**
+ * Count the tokens one message adds to a prompt
+ *
+ * @param {Object} message - Chat message; content may be a string or an array of parts
+ * @returns {number} Number of tokens, including the chat format overhead
+ */
+export function countMessageTokens(message) {
+  let tokens = TOKENS_PER_MESSAGE + countTokens(message.role);
+  if (typeof message.content === "string") {
+    tokens += countTokens(message.content);
+  } else if (Array.isArray(message.content)) {
+    for (const part of message.content) {
+      tokens += part.type === "text" ? countTokens(part.text) : IMAGE_TOKENS;
+    }
+  }
+  if (message.name) {
+    tokens += TOKENS_PER_NAME + countTokens(message.name);
+  }
+  for (const toolCall of message.tool_calls || []) {
+    tokens += countTokens(toolCall.function?.name) + countTokens(toolCall.function?.arguments);
+  }
+  return tokens;
+}
+
+/**
+ * Count the tokens a list of messages uses as a prompt
+ *
+ * @param {Array<Object>} messages - Chat messages
+ * @returns {number} Number of prompt tokens
+ */
+export function countPromptTokens(messages) {
+  return messages.reduce((total, message) => total + countMessageTokens(message), REPLY_PRIMING_TOKENS);
+}
+
+/**
+ * Look up the context window of a model
+ *
+ * @param {string} model - Model name, e.g. "openai/gpt-4o" or "gpt-5-mini"
+ * @returns {number} Context window in tokens
+ */
+export function contextWindowFor(model = "") {
+  const name = model.split("/").pop().toLowerCase();
+  if (MODEL_CONTEXT_WINDOWS[name]) return MODEL_CONTEXT_WINDOWS[name];
+  // Dated or sized variants (gpt-4o-2024-08-06, gpt-5-mini) share their family's window
+  const family = Object.keys(MODEL_CONTEXT_WINDOWS)
+    .filter((key) => name.startsWith(`${key}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return family ? MODEL_CONTEXT_WINDOWS[family] : DEFAULT_CONTEXT_WINDOW;
+}
+
+/**
+ * Shorten a text to at most the given number of tokens, keeping its end
+ *
+ * @param {string} text - Text to shorten
+ * @param {number} maxTokens - Largest number of tokens to keep
+ * @returns {string} The text itself when it fits, otherwise its last tokens after a marker
+ */
+export function truncateToTokens(text, maxTokens) {
+  const tokens = encode(text);
+  if (tokens.length <= maxTokens) return text;
+  const keep = maxTokens - countTokens(TRUNCATION_MARKER);
+  return keep > 0 ? TRUNCATION_MARKER + decode(tokens.slice(-keep)) : "";
+}
+
+/**
+ * Keep the newest texts that fit in a number of tokens, e.g. story chapters for a prompt
+ *
+ * @param {Array<string>} texts - Texts, oldest first
+ * @param {number} maxTokens - Tokens available for all of them together
+ * @returns {{texts: Array<string>, dropped: number, truncated: boolean}} The texts that fit, oldest first
+ */
+export function keepNewestTexts(texts, maxTokens) {
+  const kept = [];
+  let used = 0;
+  for (let index = texts.length - 1; index >= 0; index--) {
+    // The "\n\n" between texts costs about one token
+    const cost = countTokens(texts[index]) + (kept.length > 0 ? 1 : 0);
+    if (used + cost > maxTokens) break;
+    kept.unshift(texts[index]);
+    used += cost;
+  }
+  // Always send something: the newest text, cut down to what fits
+  if (kept.length === 0 && texts.length > 0) {
+    return { texts: [truncateToTokens(texts.at(-1), Math.max(0, maxTokens))], dropped: texts.length - 1, truncated: true };
+  }
+  return { texts: kept, dropped: texts.length - kept.length, truncated: false };
+}
+
+// Group non-system messages into turns that start at each user message
+function splitTurns(messages) {
+  const turns = [];
+  for (const message of messages) {
+    if (message.role === "user" || turns.length === 0) {
+      turns.push([message]);
+    } else {
+      turns.at(-1).push(message);
+    }
+  }
+  return turns;
+}
+
+/**
+ * Format a budget report for display
+ *
+ * @param {{tokens: number, limit: number, remaining: number, dropped?: number, summarized?: number, truncated?: boolean}} report - From
+ *   measure() or fit(), optionally with the number of items a memory summarized (see lib/memory.js)
+ * @param {Object} [options]
+ * @param {string} [options.unit] - What was dropped or truncated, e.g. "chapter"
+ * @returns {string} e.g. "1,204 of 123,904 prompt tokens used, 122,700 left"
+ */
+export function formatBudget({ tokens, limit, remaining, dropped = 0, summarized = 0, truncated = false }, { unit = "message" } = {}) {
+  const notes = [];
+  if (summarized > 0) notes.push(`${summarized} older ${unit}${summarized === 1 ? "" : "s"} summarized`);
+  if (dropped > 0) notes.push(`${dropped} older ${unit}${dropped === 1 ? "" : "s"} left out`);
+  if (truncated) notes.push(`latest ${unit} truncated`);
+  const summary = `${tokens.toLocaleString("en-US")} of ${limit.toLocaleString("en-US")} prompt tokens used, ` +
+    `${remaining.toLocaleString("en-US")} left`;
+  return notes.length > 0 ? `${summary} (${notes.join(", ")})` : summary;
+}
+
+/**
+ * Create a token budget for the configured model
+ *
+ * The prompt limit is the context window minus the tokens reserved for the reply,
+ * which default to the configured max_tokens.
+ *
+ * @param {Object} config - A configuration from loadConfig()
+ * @param {Object} [options]
+ * @param {number} [options.reserve] - Tokens to keep free for the reply
+ * @returns {{model: string, contextWindow: number, reserve: number, limit: number, measure: Function, fit: Function}} The budget
+ */
+export function createTokenBudget(config, { reserve } = {}) {
+  const contextWindow = config.contextWindow ?? contextWindowFor(config.model);
+  const replyTokens = reserve ?? config.forced?.max_tokens ?? config.sampling?.max_tokens ?? DEFAULT_RESERVE;
+  const limit = Math.max(0, contextWindow - replyTokens);
+
+  return {
+    model: config.model,
+    contextWindow,
+    reserve: replyTokens,
+    limit,
+
+    /**
+     * Measure how much of the budget a prompt uses
+     *
+     * @param {Array<Object>} messages - The prompt
+     * @returns {{tokens: number, limit: number, remaining: number}} The usage
+     */
+    measure(messages) {
+      const tokens = countPromptTokens(messages);
+      return { tokens, limit, remaining: limit - tokens };
+    },
+
+    /**
+     * Trim a conversation to fit the budget; the original array is not changed
+     *
+     * @param {Array<Object>} messages - The full conversation
+     * @returns {{messages: Array<Object>, tokens: number, limit: number, remaining: number, dropped: number, truncated: boolean}} What to send, and its usage
+     */
+    fit(messages) {
+      const system = messages.filter((message) => message.role === "system");
+      const turns = splitTurns(messages.filter((message) => message.role !== "system"));
+
+      let tokens = countPromptTokens(messages);
+      let dropped = 0;
+      // Drop the oldest turns until the rest fits, but never the latest one
+      while (tokens > limit && turns.length > 1) {
+        const turn = turns.shift();
+        dropped += turn.length;
+        tokens -= turn.reduce((total, message) => total + countMessageTokens(message), 0);
+      }
+
+      const kept = turns.flat();
+      let truncated = false;
+      if (tokens > limit) {
+        // The latest turn is too long by itself: cut the start of its longest text
+        const longest = kept
+          .filter((message) => typeof message.content === "string")
+          .sort((a, b) => b.content.length - a.content.length)[0];
+        if (longest) {
+          const excess = tokens - limit;
+          const shortened = { ...longest, content: truncateToTokens(longest.content, countTokens(longest.content) - excess) };
+          kept[kept.indexOf(longest)] = shortened;
+          tokens = countPromptTokens([...system, ...kept]);
+          truncated = true;
+        }
+      }
+
+      return {
+        messages: [...system, ...kept],
+        tokens,
+        limit,
+        remaining: limit - tokens,
+        dropped,
+        truncated
+      };
+    }
+  };
+}
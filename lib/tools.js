@@ -0,0 +1,270 @@
+/**
+ * TOOL REGISTRY
+ *
+ * Function calling needs two things for every tool: a definition the model reads (name,
+ * description, JSON schema of the arguments) and a handler that runs when the model asks
+ * for it. A registry keeps both together:
+ *
+ *   const tools = createToolRegistry().register("getWeather", {
+ *     description: "Current weather in a city",
+ *     args: { city: types.string("City name"), days: types.optional(types.integer("Days ahead")) },
+ *     handler: async ({ city, days = 1 }) => ({ city, forecast: "sunny" })
+ *   });
+ *
+ * `args` declares the arguments with the helpers from lib/schema.js and derives the JSON
+ * schema from them; a hand-written schema can be passed as `parameters` instead. Before a
+ * handler runs, its arguments are validated against the schema, with light coercion
+ * ("2" becomes 2), so handlers only ever see arguments of the declared shape.
+ *
+ * call() never throws: unknown tools, arguments that are not valid JSON or do not match
+ * the schema, and handler errors become a tool message describing the problem, so the
+ * model can correct itself instead of the conversation crashing. See runAgent() in
+ * lib/agent.js for the loop that uses it.
+ *
+ * Tools that change something can be marked `requiresConfirmation`: call() then asks a
+ * confirm callback before the handler runs, and the person behind it may approve the
+ * call, deny it (the model gets the denial as the tool's result) or edit its arguments.
+ * Tools marked `readOnly` never need approval. Every decision, including the calls that
+ * ran without asking, is reported to onDecision so it can be written to an audit log
+ * (see lib/audit.js).
+ *
+ * registerBuiltinTools() adds ready-made local tools from lib/tools/: read-only file
+ * access inside a root directory, a calculator, date/time and time zone conversion, and
+ * JSONPath queries over JSON files. Only the tools named in the allowlist are added.
+ */
+
+import { ConfigError } from "./client.js";
+import { validate, types } from "./schema.js";
+import { createSandbox } from "./tools/sandbox.js";
+import { registerFileTools } from "./tools/files.js";
+import { registerCalculatorTool } from "./tools/calculator.js";
+import { registerTimeTools } from "./tools/time.js";
+import { registerJsonQueryTool } from "./tools/json-query.js";
+
+// Turn a handler's return value into tool message content
+function toContent(value) {
+  if (typeof value === "string") return value;
+  return JSON.stringify(value ?? null);
+}
+
+// Tool message reporting a failed call; details (e.g. validation issues) are added to the error object
+function errorMessage(toolCall, error, details = {}) {
+  return {
+    role: "tool",
+    tool_call_id: toolCall.id,
+    name: toolCall.function?.name,
+    content: JSON.stringify({ error, ...details })
+  };
+}
+
+// Validation issues named by argument, e.g. "passengers" or "flightIds.0"
+function argumentIssues(issues) {
+  return issues.map(({ path, message }) => ({ argument: path.slice(1).replaceAll("/", ".") || "(arguments)", message }));
+}
+
+/**
+ * Create an empty tool registry
+ *
+ * @returns {{register: Function, get: Function, list: Function, definitions: Function, call: Function}} The registry
+ */
+export function createToolRegistry() {
+  // Tools by name; registering a name again replaces it
+  const tools = new Map();
+
+  return {
+    /**
+     * Add a tool, replacing any existing tool with the same name
+     *
+     * @param {string} name - Name the model calls the tool by, e.g. "getFlightInfo"
+     * @param {Object} tool
+     * @param {string} tool.description - Tells the model what the tool does and when to use it
+     * @param {Object} [tool.args] - Argument schemas by name, built with `types` from lib/schema.js
+     * @param {Object} [tool.parameters] - JSON schema of the arguments object, when not derived from args
+     * @param {Function} tool.handler - Async (args, toolCall) => result; strings are sent as is, anything else as JSON
+     * @param {boolean} [tool.readOnly] - The tool only looks things up, so it never needs approval
+     * @param {boolean} [tool.requiresConfirmation] - The tool changes something; call() asks before running it
+     * @returns {Object} The registry, for chaining
+     * @throws {ConfigError} When a tool is marked both readOnly and requiresConfirmation
+     */
+    register(name, { description, args, parameters = types.object(args ?? {}), handler, readOnly = false, requiresConfirmation = false }) {
+      if (readOnly && requiresConfirmation) {
+        throw new ConfigError(`The tool '${name}' cannot be both readOnly and requiresConfirmation.`);
+      }
+      tools.set(name, { name, description, parameters, handler, readOnly, requiresConfirmation });
+      return this;
+    },
+
+    /**
+     * Look up a tool by name
+     *
+     * @param {string} name - Tool name
+     * @returns {Object|undefined} The tool
+     */
+    get(name) {
+      return tools.get(name);
+    },
+
+    /**
+     * List the registered tools in registration order
+     *
+     * @returns {Array<Object>} Tools with name, description, parameters and handler
+     */
+    list() {
+      return [...tools.values()];
+    },
+
+    /**
+     * Describe the tools in the shape the chat completions API expects
+     *
+     * @returns {Array<Object>} Entries for the request's `tools` parameter
+     */
+    definitions() {
+      return this.list().map(({ name, description, parameters }) => ({
+        type: "function",
+        function: { name, description, parameters }
+      }));
+    },
+
+    /**
+     * Run one tool call from a model response
+     *
+     * The confirm callback receives { name, arguments, tool, toolCall } and resolves to
+     * { action: "approve" }, { action: "deny", reason } or { action: "edit", arguments }.
+     * Without one, calls that need confirmation are denied.
+     *
+     * @param {Object} toolCall - Entry of message.tool_calls: { id, type, function: { name, arguments } }
+     * @param {Object} [options]
+     * @param {Function} [options.confirm] - Async callback asked before a requiresConfirmation tool runs
+     * @param {Function} [options.onDecision] - Called with { name, toolCallId, decision, arguments, editedArguments, reason }
+     *   for every call that passed validation; decision is "auto", "approved", "edited" or "denied"
+     * @returns {Promise<Object>} The tool message to append to the conversation
+     */
+    async call(toolCall, { confirm, onDecision = () => {} } = {}) {
+      const name = toolCall.function?.name;
+      const tool = tools.get(name);
+      if (!tool) {
+        return errorMessage(toolCall, `Unknown tool '${name}'. Available tools: ${[...tools.keys()].join(", ")}.`);
+      }
+
+      let args;
+      try {
+        args = JSON.parse(toolCall.function.arguments || "{}");
+      } catch (error) {
+        return errorMessage(toolCall, `The arguments for ${name} are not valid JSON (${error.message}). Call it again with a JSON object.`);
+      }
+
+      // Check the arguments against the declared schema so the handler gets what it expects
+      const validation = validate(tool.parameters, args);
+      if (!validation.valid) {
+        return errorMessage(toolCall, `The arguments for ${name} do not match its parameters. Fix them and call it again.`, {
+          issues: argumentIssues(validation.issues)
+        });
+      }
+
+      // Ask before running tools that change something; a denial is the call's result
+      let approved = validation.value;
+      const decision = { name, toolCallId: toolCall.id, decision: "auto", arguments: validation.value };
+      if (tool.requiresConfirmation) {
+        const answer = confirm
+          ? await confirm({ name, arguments: validation.value, tool, toolCall })
+          : { action: "deny", reason: "No one is available to approve it." };
+        if (answer.action === "deny") {
+          onDecision({ ...decision, decision: "denied", reason: answer.reason });
+          return errorMessage(toolCall, `The user denied this call to ${name}. Do not call it again unless the user asks you to.`, {
+            denied: true,
+            ...(answer.reason ? { reason: answer.reason } : {})
+          });
+        }
+        if (answer.action === "edit") {
+          const edited = validate(tool.parameters, answer.arguments);
+          if (!edited.valid) {
+            onDecision({ ...decision, decision: "denied", editedArguments: answer.arguments, reason: "The edited arguments are not valid." });
+            return errorMessage(toolCall, `The user edited the arguments for ${name}, but the edit does not match its parameters, so it did not run.`, {
+              issues: argumentIssues(edited.issues)
+            });
+          }
+          approved = edited.value;
+          onDecision({ ...decision, decision: "edited", editedArguments: approved });
+        } else {
+          onDecision({ ...decision, decision: "approved" });
+        }
+      } else {
+        onDecision(decision);
+      }
+
+      try {
+        const result = await tool.handler(approved, toolCall);
+        return { role: "tool", tool_call_id: toolCall.id, name, content: toContent(result) };
+      } catch (error) {
+        return errorMessage(toolCall, `${name} failed: ${error.message}`);
+      }
+    }
+  };
+}
+
+// Built-in tool groups: the tools each adds, and how it registers them with the shared options
+const builtinGroups = {
+  files: {
+    tools: ["listDirectory", "readFile"],
+    register: (registry, options) => registerFileTools(registry, { sandbox: options.sandbox(), maxBytes: options.maxBytes })
+  },
+  calculator: {
+    tools: ["calculate"],
+    register: (registry, options) => registerCalculatorTool(registry, { functions: options.functions })
+  },
+  time: {
+    tools: ["getCurrentTime", "convertTime"],
+    register: (registry, options) => registerTimeTools(registry, { timeZones: options.timeZones, defaultTimeZone: options.defaultTimeZone })
+  },
+  json: {
+    tools: ["queryJson"],
+    register: (registry, options) => registerJsonQueryTool(registry, { sandbox: options.sandbox() })
+  }
+};
+
+// Names of the built-in tool groups, e.g. for command-line help
+export const BUILTIN_TOOLS = Object.keys(builtinGroups);
+
+/**
+ * Add built-in local tools to a registry
+ *
+ * The allowlist takes group names (files, calculator, time, json) or the names of single
+ * tools (listDirectory, readFile, calculate, getCurrentTime, convertTime, queryJson).
+ *
+ * @param {Object} registry - A registry from createToolRegistry()
+ * @param {Object} [options]
+ * @param {Array<string>} [options.allow] - Groups or tools to add (default: all of them)
+ * @param {string} [options.root] - Directory the file and JSON tools may read (default: the working directory)
+ * @param {Array<string>} [options.extensions] - File extensions the file tools may read (see lib/tools/sandbox.js)
+ * @param {number} [options.maxBytes] - Most bytes of a file readFile returns
+ * @param {Array<string>} [options.functions] - Calculator functions allowed
+ * @param {Array<string>} [options.timeZones] - Time zones the time tools may use
+ * @param {string} [options.defaultTimeZone] - Time zone used when the model names none
+ * @returns {Object} The registry
+ * @throws {ConfigError} When the allowlist names an unknown group or tool
+ */
+export function registerBuiltinTools(registry, { allow = BUILTIN_TOOLS, root = ".", extensions, ...options } = {}) {
+  // Expand group names into the tools they contain
+  const wanted = new Set();
+  for (const name of allow) {
+    const group = builtinGroups[name];
+    const single = Object.values(builtinGroups).some((candidate) => candidate.tools.includes(name));
+    if (!group && !single) {
+      const known = [...BUILTIN_TOOLS, ...Object.values(builtinGroups).flatMap((candidate) => candidate.tools)];
+      throw new ConfigError(`Unknown built-in tool '${name}'. Use one of: ${known.join(", ")}.`);
+    }
+    for (const tool of group ? group.tools : [name]) wanted.add(tool);
+  }
+
+  // Groups register all their tools at once, so register into a scratch registry and copy the wanted ones
+  let sandbox;
+  const shared = { ...options, sandbox: () => (sandbox ??= createSandbox(root, { extensions })) };
+  const available = createToolRegistry();
+  for (const group of Object.values(builtinGroups)) {
+    if (group.tools.some((tool) => wanted.has(tool))) group.register(available, shared);
+  }
+  for (const tool of available.list()) {
+    if (wanted.has(tool.name)) registry.register(tool.name, tool);
+  }
+  return registry;
+}
@@ -0,0 +1,197 @@
+/**
+ * CALCULATOR TOOL
+ *
+ * Models are unreliable at arithmetic, so they get a calculator. The expression is
+ * parsed by a small recursive-descent parser, never by eval() or new Function(), so
+ * nothing but arithmetic can run: numbers, + - * / % ^ (or **), parentheses, the
+ * constants pi and e, and the functions in the allowlist.
+ *
+ *   expression := term (("+" | "-") term)*
+ *   term       := unary (("*" | "/" | "%") unary)*
+ *   unary      := ("-" | "+") unary | power
+ *   power      := call (("^" | "**") unary)?
+ *   call       := number | constant | name "(" expression ("," expression)* ")" | "(" expression ")"
+ */
+
+import { ConfigError } from "../client.js";
+import { types } from "../schema.js";
+
+// Functions the calculator knows; pass a narrower list to the tool to allow fewer
+export const CALCULATOR_FUNCTIONS = {
+  abs: Math.abs,
+  sqrt: Math.sqrt,
+  cbrt: Math.cbrt,
+  round: (value, digits = 0) => Math.round(value * 10 ** digits) / 10 ** digits,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  min: Math.min,
+  max: Math.max,
+  pow: Math.pow,
+  exp: Math.exp,
+  ln: Math.log,
+  log: Math.log10,
+  log2: Math.log2,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan
+};
+
+const CONSTANTS = { pi: Math.PI, e: Math.E };
+
+// Longest expression accepted; keeps parsing cheap whatever the model sends
+const MAX_LENGTH = 500;
+
+// A number with thousands separators, e.g. 1,234,567.89
+const GROUPED_NUMBER = /\s*(\d{1,3}(?:,\d{3})+(?!\d)(?:\.\d*)?)/y;
+
+// Split an expression into numbers, names and operators
+function tokenize(expression) {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+(?:\.\d*)?(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([a-z_][a-z0-9_]*)|(\*\*|[-+*/%^(),]))/giy;
+  let depth = 0;
+  let match;
+  while (pattern.lastIndex < expression.length) {
+    const start = pattern.lastIndex;
+    // Thousands separators are a common way to write numbers, but inside parentheses a comma separates arguments
+    GROUPED_NUMBER.lastIndex = start;
+    if (depth === 0 && (match = GROUPED_NUMBER.exec(expression))) {
+      tokens.push({ type: "number", value: Number(match[1].replaceAll(",", "")) });
+      pattern.lastIndex = GROUPED_NUMBER.lastIndex;
+      continue;
+    }
+    if (!(match = pattern.exec(expression))) {
+      if (/^\s*$/.test(expression.slice(start))) break;
+      throw new Error(`Unexpected character '${expression.slice(start).trim()[0]}' at position ${start + 1}.`);
+    }
+    if (match[1] !== undefined) tokens.push({ type: "number", value: Number(match[1]) });
+    else if (match[2] !== undefined) tokens.push({ type: "name", value: match[2].toLowerCase() });
+    else tokens.push({ type: "operator", value: match[3] === "**" ? "^" : match[3] });
+    if (match[3] === "(") depth++;
+    else if (match[3] === ")") depth = Math.max(0, depth - 1);
+  }
+  return tokens;
+}
+
+/**
+ * Evaluate an arithmetic expression without eval()
+ *
+ * @param {string} expression - e.g. "2 * (3 + 4) ^ 2 / sqrt(16)"
+ * @param {Object} [options]
+ * @param {Object} [options.functions] - Functions that may be called, by name
+ * @returns {number} The result
+ * @throws {Error} For anything that is not a valid expression
+ */
+export function evaluateExpression(expression, { functions = CALCULATOR_FUNCTIONS } = {}) {
+  if (expression.length > MAX_LENGTH) {
+    throw new Error(`Expressions are limited to ${MAX_LENGTH} characters.`);
+  }
+  const tokens = tokenize(expression);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isOperator = (...values) => peek()?.type === "operator" && values.includes(peek().value);
+  const expect = (value) => {
+    if (!isOperator(value)) throw new Error(`Expected '${value}'${peek() ? ` before '${peek().value}'` : " at the end"}.`);
+    position++;
+  };
+
+  function parseExpression() {
+    let value = parseTerm();
+    while (isOperator("+", "-")) {
+      const operator = tokens[position++].value;
+      value = operator === "+" ? value + parseTerm() : value - parseTerm();
+    }
+    return value;
+  }
+
+  function parseTerm() {
+    let value = parseUnary();
+    while (isOperator("*", "/", "%")) {
+      const operator = tokens[position++].value;
+      const right = parseUnary();
+      if ((operator === "/" || operator === "%") && right === 0) throw new Error("Division by zero.");
+      value = operator === "*" ? value * right : operator === "/" ? value / right : value % right;
+    }
+    return value;
+  }
+
+  // -2^2 is -(2^2), as in mathematics; 2^-1 and 2^3^2 = 2^(3^2) work too
+  function parseUnary() {
+    if (isOperator("-", "+")) {
+      const operator = tokens[position++].value;
+      return operator === "-" ? -parseUnary() : parseUnary();
+    }
+    return parsePower();
+  }
+
+  function parsePower() {
+    const base = parseCall();
+    if (isOperator("^")) {
+      position++;
+      return base ** parseUnary();
+    }
+    return base;
+  }
+
+  function parseCall() {
+    const token = tokens[position++];
+    if (!token) throw new Error("The expression ends too early.");
+    if (token.type === "number") return token.value;
+    if (token.type === "operator" && token.value === "(") {
+      const value = parseExpression();
+      expect(")");
+      return value;
+    }
+    if (token.type === "name") {
+      if (token.value in CONSTANTS && !isOperator("(")) return CONSTANTS[token.value];
+      const fn = Object.hasOwn(functions, token.value) ? functions[token.value] : undefined;
+      if (!fn) {
+        throw new Error(`Unknown function or constant '${token.value}'. Available: ${[...Object.keys(CONSTANTS), ...Object.keys(functions)].join(", ")}.`);
+      }
+      expect("(");
+      const args = [parseExpression()];
+      while (isOperator(",")) {
+        position++;
+        args.push(parseExpression());
+      }
+      expect(")");
+      return fn(...args);
+    }
+    throw new Error(`Unexpected '${token.value}'.`);
+  }
+
+  const result = parseExpression();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected '${tokens[position].value}' after the end of the expression.`);
+  }
+  if (!Number.isFinite(result)) {
+    throw new Error("The result is not a finite number.");
+  }
+  // Hide binary floating point noise such as 0.30000000000000004; integers are already exact
+  return Number.isSafeInteger(result) ? result : Number(result.toPrecision(15));
+}
+
+/**
+ * Add the calculate tool to a tool registry
+ *
+ * @param {Object} registry - A registry from createToolRegistry()
+ * @param {Object} [options]
+ * @param {Array<string>} [options.functions] - Names of the functions allowed (default: all of CALCULATOR_FUNCTIONS)
+ * @returns {Object} The registry
+ */
+export function registerCalculatorTool(registry, { functions = Object.keys(CALCULATOR_FUNCTIONS) } = {}) {
+  const allowed = Object.fromEntries(functions.map((name) => {
+    if (!CALCULATOR_FUNCTIONS[name]) throw new ConfigError(`Unknown calculator function '${name}'.`);
+    return [name, CALCULATOR_FUNCTIONS[name]];
+  }));
+
+  return registry.register("calculate", {
+    description: "Evaluates an arithmetic expression exactly. Use it for any calculation instead of " +
+      `working it out yourself. Supports + - * / % ^, parentheses, pi, e and ${Object.keys(allowed).join(", ")}.`,
+    args: {
+      expression: types.string("The expression, e.g. \"(1200 * 0.15) + sqrt(81)\"")
+    },
+    readOnly: true,
+    handler: async ({ expression }) => ({ expression, result: evaluateExpression(expression, { functions: allowed }) })
+  });
+}
@@ -0,0 +1,103 @@
+/**
+ * FILE TOOLS
+ *
+ * Read-only access to a directory: listDirectory shows what is there, readFile returns
+ * a text file's contents. Both go through the sandbox in ./sandbox.js, so the model can
+ * only see the configured root, and only files with an allowed extension. Large files
+ * are cut off so a single read cannot fill the context window.
+ */
+
+import { closeSync, openSync, readdirSync, readSync, statSync } from "node:fs";
+import { types } from "../schema.js";
+
+// Most bytes of one file returned to the model
+export const DEFAULT_MAX_BYTES = 64 * 1024;
+
+// Most entries one listing returns
+const MAX_ENTRIES = 200;
+
+// The first bytes of a file, at most limit of them, without reading the rest
+function readStart(file, limit) {
+  const buffer = Buffer.alloc(limit);
+  const fd = openSync(file, "r");
+  try {
+    let length = 0;
+    // A read may return fewer bytes than asked for; stop at the limit or the end of the file
+    while (length < limit) {
+      const count = readSync(fd, buffer, length, limit - length, length);
+      if (count === 0) break;
+      length += count;
+    }
+    return buffer.subarray(0, length);
+  } finally {
+    closeSync(fd);
+  }
+}
+
+/**
+ * Add listDirectory and readFile to a tool registry
+ *
+ * @param {Object} registry - A registry from createToolRegistry()
+ * @param {Object} options
+ * @param {Object} options.sandbox - A sandbox from createSandbox()
+ * @param {number} [options.maxBytes] - Most bytes of a file to return
+ * @returns {Object} The registry
+ */
+export function registerFileTools(registry, { sandbox, maxBytes = DEFAULT_MAX_BYTES }) {
+  return registry
+    .register("listDirectory", {
+      description: "Lists the files and folders in a directory of the user's project (read-only). " +
+        "Paths are relative to the project root; use \".\" for the root itself.",
+      args: {
+        path: types.optional(types.string("Directory to list, relative to the project root", { default: "." }))
+      },
+      readOnly: true,
+      handler: async ({ path = "." }) => {
+        const directory = sandbox.resolve(path);
+        if (!statSync(directory).isDirectory()) {
+          throw new Error(`'${path}' is a file, not a directory. Use readFile to read it.`);
+        }
+        const entries = readdirSync(directory, { withFileTypes: true })
+          .filter((entry) => sandbox.shows(entry.name))
+          .sort((a, b) => a.name.localeCompare(b.name));
+        return {
+          path: sandbox.relative(directory),
+          entries: entries.slice(0, MAX_ENTRIES).map((entry) => {
+            if (entry.isDirectory()) return { name: `${entry.name}/`, type: "directory" };
+            // Links are followed only when they stay inside the root (see sandbox.resolve())
+            if (entry.isSymbolicLink()) return { name: entry.name, type: "link" };
+            return {
+              name: entry.name,
+              type: "file",
+              readable: sandbox.allowsFile(entry.name)
+            };
+          }),
+          ...(entries.length > MAX_ENTRIES ? { omitted: entries.length - MAX_ENTRIES } : {})
+        };
+      }
+    })
+    .register("readFile", {
+      description: "Reads a text file from the user's project (read-only). " +
+        "The path is relative to the project root; very long files are cut off.",
+      args: {
+        path: types.string("File to read, relative to the project root")
+      },
+      readOnly: true,
+      handler: async ({ path }) => {
+        const file = sandbox.resolve(path);
+        const stats = statSync(file);
+        if (stats.isDirectory()) {
+          throw new Error(`'${path}' is a directory. Use listDirectory to see its contents.`);
+        }
+        if (!sandbox.allowsFile(file)) {
+          throw new Error(`Files like '${path}' may not be read; only text files with an allowed extension can be.`);
+        }
+        return {
+          path: sandbox.relative(file),
+          bytes: stats.size,
+          truncated: stats.size > maxBytes,
+          content: readStart(file, maxBytes).toString("utf-8")
+        };
+      }
+    });
+}
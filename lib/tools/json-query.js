@@ -0,0 +1,200 @@
+/**
+ * JSON QUERY TOOL
+ *
+ * Lets the model pull just the part of a local JSON file it needs instead of reading
+ * the whole file into the conversation. Queries use a JSONPath subset:
+ *
+ *   $.store.books[0].title         child members and array indexes (negative counts from the end)
+ *   $.store.books[*].author        every element or member
+ *   $..price                       recursive descent: every "price" at any depth
+ *   $.store.books[1:3]             slices
+ *   $.store.books[?(@.price < 10)] filters comparing a member with a number, string, boolean or null
+ *   $['odd key']                   quoted member names
+ */
+
+import { readFileSync } from "node:fs";
+import { types } from "../schema.js";
+
+// Most matches returned to the model
+const MAX_MATCHES = 100;
+
+// Comparisons allowed in filters
+const COMPARISONS = {
+  "==": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b
+};
+
+// Parse a filter literal: number, quoted string, true, false or null
+function parseLiteral(text) {
+  const trimmed = text.trim();
+  if (/^(['"]).*\1$/s.test(trimmed)) return trimmed.slice(1, -1);
+  if (trimmed === "true" || trimmed === "false") return trimmed === "true";
+  if (trimmed === "null") return null;
+  if (trimmed !== "" && !Number.isNaN(Number(trimmed))) return Number(trimmed);
+  throw new Error(`'${text.trim()}' is not a number, quoted string, true, false or null.`);
+}
+
+// Read a dotted member path such as "@.author.name" from a value
+function memberOf(value, path) {
+  return path.split(".").filter(Boolean).reduce((current, key) => current?.[key], value);
+}
+
+/**
+ * Parse a JSONPath expression into segments
+ *
+ * @param {string} path - e.g. "$.books[?(@.price < 10)].title"
+ * @returns {Array<Object>} Segments: { type: "member" | "index" | "wildcard" | "slice" | "filter", recursive, ... }
+ * @throws {Error} For syntax outside the supported subset
+ */
+export function parseJsonPath(path) {
+  const text = path.trim();
+  let position = text.startsWith("$") ? 1 : 0;
+  const segments = [];
+
+  while (position < text.length) {
+    let recursive = false;
+    if (text.startsWith("..", position)) {
+      recursive = true;
+      position += 2;
+    } else if (text[position] === ".") {
+      position += 1;
+    }
+
+    if (text[position] === "[") {
+      const end = text[position + 1] === "?" ? text.indexOf(")]", position) + 1 : text.indexOf("]", position);
+      if (end <= position) throw new Error(`Unclosed '[' at position ${position + 1}.`);
+      const inside = text.slice(position + 1, end).trim();
+      position = end + 1;
+
+      let match;
+      if (inside === "*") {
+        segments.push({ type: "wildcard", recursive });
+      } else if ((match = /^(['"])(.*)\1$/s.exec(inside))) {
+        segments.push({ type: "member", name: match[2], recursive });
+      } else if (/^-?\d+$/.test(inside)) {
+        segments.push({ type: "index", index: Number(inside), recursive });
+      } else if ((match = /^(-?\d*):(-?\d*)$/.exec(inside))) {
+        segments.push({
+          type: "slice",
+          start: match[1] === "" ? undefined : Number(match[1]),
+          end: match[2] === "" ? undefined : Number(match[2]),
+          recursive
+        });
+      } else if ((match = /^\?\(\s*@((?:\.[\w$-]+)*)\s*(?:(==|!=|<=|>=|<|>)\s*(.+?))?\s*\)$/s.exec(inside))) {
+        segments.push({
+          type: "filter",
+          member: match[1],
+          compare: match[2] ? COMPARISONS[match[2]] : undefined,
+          literal: match[2] ? parseLiteral(match[3]) : undefined,
+          recursive
+        });
+      } else {
+        throw new Error(`Unsupported selector '[${inside}]'. Use [n], [*], ['name'], [start:end] or [?(@.member < value)].`);
+      }
+    } else {
+      const match = /^(\*|[\w$-]+)/.exec(text.slice(position));
+      if (!match) throw new Error(`Unexpected '${text[position]}' at position ${position + 1}.`);
+      position += match[0].length;
+      segments.push(match[0] === "*" ? { type: "wildcard", recursive } : { type: "member", name: match[0], recursive });
+    }
+  }
+  return segments;
+}
+
+// Children of a value: array elements or object member values
+function childrenOf(value) {
+  if (Array.isArray(value)) return value;
+  if (value && typeof value === "object") return Object.values(value);
+  return [];
+}
+
+// A value and everything below it, depth first
+function descendantsOf(value) {
+  return [value, ...childrenOf(value).flatMap(descendantsOf)];
+}
+
+// Apply one segment to one value
+function select(segment, value) {
+  switch (segment.type) {
+    case "member":
+      return value && typeof value === "object" && !Array.isArray(value) && Object.hasOwn(value, segment.name)
+        ? [value[segment.name]]
+        : [];
+    case "index": {
+      if (!Array.isArray(value)) return [];
+      const index = segment.index < 0 ? value.length + segment.index : segment.index;
+      return index >= 0 && index < value.length ? [value[index]] : [];
+    }
+    case "wildcard":
+      return childrenOf(value);
+    case "slice":
+      return Array.isArray(value) ? value.slice(segment.start, segment.end) : [];
+    case "filter":
+      return childrenOf(value).filter((child) => {
+        const member = memberOf(child, segment.member);
+        return segment.compare ? segment.compare(member, segment.literal) : member !== undefined;
+      });
+    default:
+      return [];
+  }
+}
+
+/**
+ * Run a JSONPath query
+ *
+ * @param {*} data - Parsed JSON
+ * @param {string} path - A JSONPath expression (see the top of this file)
+ * @returns {Array} Every matching value, in document order
+ */
+export function queryJsonPath(data, path) {
+  return parseJsonPath(path).reduce(
+    (values, segment) => values.flatMap((value) =>
+      (segment.recursive ? descendantsOf(value) : [value]).flatMap((candidate) => select(segment, candidate))
+    ),
+    [data]
+  );
+}
+
+/**
+ * Add the queryJson tool to a tool registry
+ *
+ * @param {Object} registry - A registry from createToolRegistry()
+ * @param {Object} options
+ * @param {Object} options.sandbox - A sandbox from createSandbox(); only .json files inside it can be queried
+ * @returns {Object} The registry
+ */
+export function registerJsonQueryTool(registry, { sandbox }) {
+  return registry.register("queryJson", {
+    description: "Runs a JSONPath query against a JSON file in the user's project and returns the matching values. " +
+      "Supports $.a.b, [n], [*], ..name (any depth), [start:end] and filters like [?(@.price < 10)].",
+    args: {
+      file: types.string("JSON file, relative to the project root"),
+      path: types.string("JSONPath expression, e.g. \"$.books[?(@.year >= 2000)].title\"")
+    },
+    readOnly: true,
+    handler: async ({ file, path }) => {
+      const resolved = sandbox.resolve(file);
+      if (!resolved.toLowerCase().endsWith(".json") || !sandbox.allowsFile(resolved)) {
+        throw new Error(`'${file}' is not a JSON file that may be read.`);
+      }
+      let data;
+      try {
+        data = JSON.parse(readFileSync(resolved, "utf-8"));
+      } catch (error) {
+        throw new Error(`'${file}' does not contain valid JSON: ${error.message}`);
+      }
+      const matches = queryJsonPath(data, path);
+      return {
+        file: sandbox.relative(resolved),
+        path,
+        count: matches.length,
+        matches: matches.slice(0, MAX_MATCHES),
+        ...(matches.length > MAX_MATCHES ? { omitted: matches.length - MAX_MATCHES } : {})
+      };
+    }
+  });
+}
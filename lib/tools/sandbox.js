@@ -0,0 +1,98 @@
+/**
+ * FILE SANDBOX
+ *
+ * The file tools let the model name paths, so every path is checked before it is
+ * touched: it must resolve, after following symbolic links, to a location inside the
+ * configured root, and files must have one of the allowed extensions. Hidden files and
+ * directories (.env, .git, .ghm with saved chats) are off limits unless enabled. Anything
+ * else (../../etc/passwd, an absolute path elsewhere, a link pointing out of the root) is
+ * refused.
+ */
+
+import { realpathSync } from "node:fs";
+import { extname, relative, resolve, sep } from "node:path";
+
+// Extensions readable by default: text formats that are safe to show the model
+export const DEFAULT_EXTENSIONS = [
+  ".txt", ".md", ".json", ".csv", ".yml", ".yaml", ".xml", ".html", ".css",
+  ".js", ".mjs", ".cjs", ".ts", ".tsx", ".jsx", ".py", ".java", ".go", ".rs", ".rb", ".sh"
+];
+
+/**
+ * Create a sandbox around a directory
+ *
+ * @param {string} root - Directory the tools may read; relative paths resolve against the working directory
+ * @param {Object} [options]
+ * @param {Array<string>} [options.extensions] - File extensions that may be read, e.g. [".md", ".json"]
+ * @param {boolean} [options.hidden] - Allow names starting with a dot (default false)
+ * @returns {{root: string, resolve: Function, relative: Function, shows: Function, allowsFile: Function}} The sandbox
+ */
+export function createSandbox(root, { extensions = DEFAULT_EXTENSIONS, hidden = false } = {}) {
+  const realRoot = realpathSync(resolve(root));
+  const allowed = new Set(extensions.map((extension) => extension.toLowerCase()));
+
+  // Whether an absolute, link-free path lies inside the root
+  const inside = (path) => path === realRoot || path.startsWith(realRoot.endsWith(sep) ? realRoot : realRoot + sep);
+
+  return {
+    root: realRoot,
+
+    /**
+     * Resolve a path given by the model to an absolute path inside the root
+     *
+     * @param {string} [path] - Path relative to the root ("" or "." for the root itself)
+     * @returns {string} The real absolute path
+     * @throws {Error} When the path does not exist or leads outside the root
+     */
+    resolve(path = ".") {
+      const requested = resolve(realRoot, path);
+      if (!inside(requested)) {
+        throw new Error(`'${path}' is outside the readable directory. Use a path relative to it.`);
+      }
+      let real;
+      try {
+        real = realpathSync(requested);
+      } catch {
+        throw new Error(`'${path}' does not exist.`);
+      }
+      // A symbolic link inside the root may still point elsewhere
+      if (!inside(real)) {
+        throw new Error(`'${path}' is outside the readable directory. Use a path relative to it.`);
+      }
+      if (!hidden && relative(realRoot, real).split(sep).some((part) => part.startsWith("."))) {
+        throw new Error(`'${path}' is hidden and cannot be read.`);
+      }
+      return real;
+    },
+
+    /**
+     * Express an absolute path relative to the root, for showing to the model
+     *
+     * @param {string} path - Absolute path inside the root
+     * @returns {string} e.g. "docs/intro.md", or "." for the root
+     */
+    relative(path) {
+      return relative(realRoot, path).split(sep).join("/") || ".";
+    },
+
+    /**
+     * Check whether a directory entry may be shown to the model
+     *
+     * @param {string} name - File or directory name
+     * @returns {boolean} False for hidden names unless they are enabled
+     */
+    shows(name) {
+      return hidden || !name.startsWith(".");
+    },
+
+    /**
+     * Check whether a file may be read, by its extension
+     *
+     * @param {string} path - File path
+     * @returns {boolean} True when the extension is allowed
+     */
+    allowsFile(path) {
+      return allowed.has(extname(path).toLowerCase());
+    }
+  };
+}
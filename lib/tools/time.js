@@ -0,0 +1,132 @@
+/**
+ * DATE AND TIME TOOLS
+ *
+ * Models do not know what time it is, and get time zone arithmetic (daylight saving
+ * time in particular) wrong. getCurrentTime reads the clock; convertTime turns a wall
+ * clock time in one zone into the same moment in another. Both use the IANA time zone
+ * database built into Node.js through Intl, so no extra data is needed.
+ */
+
+import { ConfigError } from "../client.js";
+import { types } from "../schema.js";
+
+// Every zone the runtime knows, plus UTC (which supportedValuesOf leaves out)
+const ALL_TIME_ZONES = [...Intl.supportedValuesOf("timeZone"), "UTC"];
+
+// Wall clock fields of an instant in a time zone, as numbers (weekday as its English name)
+function wallClock(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric", month: "2-digit", day: "2-digit",
+    hour: "2-digit", minute: "2-digit", second: "2-digit",
+    weekday: "long"
+  }).formatToParts(date);
+  const field = (type) => parts.find((part) => part.type === type).value;
+  return {
+    year: Number(field("year")), month: Number(field("month")), day: Number(field("day")),
+    hour: Number(field("hour")), minute: Number(field("minute")), second: Number(field("second")),
+    weekday: field("weekday")
+  };
+}
+
+// Minutes a time zone is ahead of UTC at an instant
+function offsetMinutes(date, timeZone) {
+  const clock = wallClock(date, timeZone);
+  const asUtc = Date.UTC(clock.year, clock.month - 1, clock.day, clock.hour, clock.minute, clock.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+// ISO 8601 text for an instant as seen in a time zone, e.g. 2025-07-16T10:00:00-07:00
+function describeInstant(date, timeZone) {
+  const clock = wallClock(date, timeZone);
+  const offset = offsetMinutes(date, timeZone);
+  const pad = (value) => String(value).padStart(2, "0");
+  const sign = offset < 0 ? "-" : "+";
+  return {
+    timeZone,
+    dateTime: `${clock.year}-${pad(clock.month)}-${pad(clock.day)}T${pad(clock.hour)}:${pad(clock.minute)}:${pad(clock.second)}` +
+      `${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`,
+    weekday: clock.weekday
+  };
+}
+
+// The instant a wall clock time in a time zone stands for
+function instantOf(text, timeZone) {
+  // Text with its own offset (or Z) already names an instant
+  if (/(?:Z|[+-]\d{2}:?\d{2})$/i.test(text)) {
+    const date = new Date(text);
+    if (Number.isNaN(date.getTime())) throw new Error(`'${text}' is not a date and time in ISO 8601 format.`);
+    return date;
+  }
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(text.trim());
+  if (!match) {
+    throw new Error(`'${text}' is not a date and time like 2025-07-16T10:00.`);
+  }
+  const [year, month, day, hour = 0, minute = 0, second = 0] = match.slice(1).map((value) => Number(value ?? 0));
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  // The offset depends on the instant itself; check again in case the guess crossed a DST change
+  let instant = guess - offsetMinutes(new Date(guess), timeZone) * 60000;
+  instant = guess - offsetMinutes(new Date(instant), timeZone) * 60000;
+  return new Date(instant);
+}
+
+/**
+ * Add getCurrentTime and convertTime to a tool registry
+ *
+ * @param {Object} registry - A registry from createToolRegistry()
+ * @param {Object} [options]
+ * @param {Array<string>} [options.timeZones] - IANA zones the tools may use (default: all)
+ * @param {string} [options.defaultTimeZone] - Zone used when the model names none (default: this machine's)
+ * @param {Function} [options.now] - Returns the current date; replace it for reproducible runs
+ * @returns {Object} The registry
+ * @throws {ConfigError} When the allowlist names a zone the runtime does not know
+ */
+export function registerTimeTools(registry, {
+  timeZones = ALL_TIME_ZONES,
+  defaultTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone,
+  now = () => new Date()
+} = {}) {
+  // Canonical zone names by lower-case name, so "europe/lisbon" works too
+  const allowed = new Map();
+  for (const zone of timeZones) {
+    const canonical = ALL_TIME_ZONES.find((known) => known.toLowerCase() === zone.toLowerCase());
+    if (!canonical) throw new ConfigError(`Unknown time zone '${zone}'. Use IANA names such as Europe/Lisbon.`);
+    allowed.set(canonical.toLowerCase(), canonical);
+  }
+
+  // Check a zone the model asked for against the allowlist
+  const zoneOf = (name = defaultTimeZone) => {
+    const zone = allowed.get(name.toLowerCase());
+    if (!zone) {
+      throw new Error(`The time zone '${name}' is not available. Use an IANA name such as ` +
+        `${[...allowed.values()].slice(0, 3).join(", ")}.`);
+    }
+    return zone;
+  };
+
+  return registry
+    .register("getCurrentTime", {
+      description: "Returns the current date, time and weekday in a time zone. " +
+        "Use it whenever the answer depends on today's date or the time of day.",
+      args: {
+        timeZone: types.optional(types.string(`IANA time zone, e.g. "America/New_York" (default ${defaultTimeZone})`))
+      },
+      readOnly: true,
+      handler: async ({ timeZone }) => describeInstant(now(), zoneOf(timeZone))
+    })
+    .register("convertTime", {
+      description: "Converts a date and time in one time zone to another, taking daylight saving time into account.",
+      args: {
+        dateTime: types.string("Wall clock date and time in the source zone, e.g. \"2025-07-16T10:00\""),
+        fromTimeZone: types.string("IANA time zone of dateTime, e.g. \"America/Los_Angeles\""),
+        toTimeZone: types.string("IANA time zone to convert to, e.g. \"Asia/Tokyo\"")
+      },
+      readOnly: true,
+      handler: async ({ dateTime, fromTimeZone, toTimeZone }) => {
+        const from = zoneOf(fromTimeZone);
+        const instant = instantOf(dateTime, from);
+        return { from: describeInstant(instant, from), to: describeInstant(instant, zoneOf(toTimeZone)) };
+      }
+    });
+}
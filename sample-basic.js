@@ -8,50 +8,54 @@
  * 3. The AI responds with the answer
  * 
  * Key concepts demonstrated:
- * - Environment variable loading for secure API token management
- * - OpenAI client initialization with custom endpoint (GitHub's AI service)
+ * - Shared client configuration (endpoint, model and token) loaded from lib/client.js
+ * - Model provider initialization with custom endpoint (GitHub's AI service)
  * - Basic chat completion request with temperature and token limits
  * - Error handling for API calls
  * 
  * This serves as the foundation for more complex AI interactions shown in other sample files.
  */
 
-// Import the OpenAI SDK and dotenv for environment variable management
-import OpenAI from "openai";
-import dotenv from "dotenv";
+// Import the shared client configuration (it also loads the .env file) and the model provider
+import { loadConfig } from "./lib/client.js";
+import { createProvider } from "./lib/provider.js";
+import { describeError } from "./lib/errors.js";
+import { basicDefaults, askQuestion } from "./lib/samples/basic.js";
+import { isMainModule } from "./lib/main.js";
 
-// Load environment variables from a .env file into process.env
-dotenv.config();
-
-// Get the GitHub token from environment variables
-const token = process.env["GITHUB_TOKEN"];
-
-// Set the API endpoint and model name
-const endpoint = "https://models.github.ai/inference";
-const modelName = "openai/gpt-4o";
-
-// Define the main async function
-export async function main() {
-  // Create an OpenAI client with the custom endpoint and API key
-  const client = new OpenAI({ baseURL: endpoint, apiKey: token });
+/**
+ * Ask the model a single question and print the answer
+ *
+ * @param {Object} [options]
+ * @param {string} [options.prompt] - The question to ask
+ * @param {string} [options.system] - System prompt defining the assistant's role
+ * @param {boolean} [options.json] - Print the reply and token usage as JSON
+ */
+export async function main({
+  prompt = "What is the capital of France?",
+  system = "You are a helpful assistant.",
+  json = false
+} = {}) {
+  // Resolve endpoint, model and token; these sampling values can be overridden from .env
+  const config = loadConfig(basicDefaults);
+  // Create a provider for the configured backend, endpoint and API key
+  const provider = createProvider(config);
 
   // Send a chat completion request to the model
-  const response = await client.chat.completions.create({
-    messages: [
-      { role: "system", content: "You are a helpful assistant." }, // System prompt
-      { role: "user", content: "What is the capital of France?" }   // User question
-    ],
-    temperature: 1.0, // Controls randomness of output
-    top_p: 1.0,       // Controls diversity via nucleus sampling
-    max_tokens: 1000, // Maximum tokens in the response
-    model: modelName  // Model to use
-  });
+  const answer = await askQuestion(provider, { prompt, system });
 
   // Print the assistant's reply to the console
-  console.log(response.choices[0].message.content);
+  if (json) {
+    console.log(JSON.stringify(answer, null, 2));
+  } else {
+    console.log(answer.content);
+  }
 }
 
-// Run the main function and handle any errors
-main().catch((err) => {
-  console.error("The sample encountered an error:", err);
-});
\ No newline at end of file
+// Execute the main function if this file is run directly
+if (isMainModule(import.meta.url)) {
+  main().catch((err) => {
+    console.error("The sample encountered an error:", describeError(err));
+    process.exit(1);
+  });
+}
\ No newline at end of file
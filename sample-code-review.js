@@ -6,7 +6,7 @@
  * 1. Analyzes code files for potential issues and improvements
  * 2. Provides security vulnerability assessments
  * 3. Suggests performance optimizations and best practices
- * 4. Generates refactored code examples
+ * 4. Generates refactorings as patches you can apply hunk by hunk
  * 5. Offers architectural recommendations and design patterns
  * 6. Creates detailed documentation and code explanations
  * 
@@ -23,256 +23,325 @@
  * across multiple programming languages and paradigms.
  */
 
-import ModelClient, { isUnexpected } from "@azure-rest/ai-inference";
-import { AzureKeyCredential } from "@azure/core-auth";
-import { readFileSync, writeFileSync } from "node:fs";
-import { join, extname, basename } from "node:path";
-import readline from "readline";
-
-// Configure API credentials and model
-const token = process.env["GITHUB_TOKEN"];
-const endpoint = "https://models.github.ai/inference";
-const model = "openai/gpt-5";
-
-// Create readline interface for user interaction
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
-
-// Supported file extensions for code analysis
-const supportedExtensions = {
-  '.js': 'JavaScript',
-  '.ts': 'TypeScript', 
-  '.py': 'Python',
-  '.java': 'Java',
-  '.cpp': 'C++',
-  '.c': 'C',
-  '.cs': 'C#',
-  '.go': 'Go',
-  '.rs': 'Rust',
-  '.php': 'PHP',
-  '.rb': 'Ruby',
-  '.swift': 'Swift',
-  '.kt': 'Kotlin'
-};
-
-// Code review categories and scoring
-const reviewCategories = {
-  security: 'Security & Vulnerability Assessment',
-  performance: 'Performance & Optimization',
-  maintainability: 'Code Maintainability & Readability',
-  bestPractices: 'Best Practices & Conventions',
-  architecture: 'Architecture & Design Patterns',
-  testing: 'Testing & Error Handling'
-};
-
-// Utility function for user input
-function askQuestion(question) {
-  return new Promise((resolve) => {
-    rl.question(question, (answer) => {
-      resolve(answer.trim());
-    });
+import { existsSync, readFileSync, statSync, writeFileSync } from "node:fs";
+import { extname, basename } from "node:path";
+import { loadConfig } from "./lib/client.js";
+import { createProvider } from "./lib/provider.js";
+import { describeError } from "./lib/errors.js";
+import { createPrompt } from "./lib/prompt.js";
+import {
+  reviewDefaults,
+  supportedExtensions,
+  detectLanguage,
+  analyzeCode,
+  reviewCode,
+  summarizeReviews,
+  generateRefactorPatch,
+  generateDocumentation
+} from "./lib/samples/code-review.js";
+import { createReport, formatReport, countBySeverity, REPORT_FORMATS } from "./lib/review/report.js";
+import { collectFiles } from "./lib/review/files.js";
+import { reviewFiles, reviewDiff } from "./lib/review/project.js";
+import { parseUnifiedDiff, readGitDiff } from "./lib/review/diff.js";
+import { applyPatch, colorizeDiff, formatHunk, formatPatch, writePatchedFile } from "./lib/review/patch.js";
+import { loadRuleset } from "./lib/review/ruleset.js";
+import { isMainModule } from "./lib/main.js";
+
+// Display supported file types
+function displaySupportedTypes() {
+  console.log("\n🔍 Supported File Types for Code Analysis:");
+  console.log("=".repeat(50));
+  Object.entries(supportedExtensions).forEach(([ext, lang]) => {
+    console.log(`${ext.padEnd(6)} - ${lang}`);
   });
+  console.log("=".repeat(50));
 }
 
-// Initialize AI client
-function createClient() {
-  return ModelClient(
-    endpoint,
-    new AzureKeyCredential(token)
-  );
+// Whether a review target names more than one file
+function isDirectoryOrGlob(target) {
+  return /[*?[{]/.test(target) || (existsSync(target) && statSync(target).isDirectory());
 }
 
-// Comprehensive code analysis
-async function analyzeCode(code, language, filename) {
-  const client = createClient();
-  
-  const analysisPrompt = `Perform a comprehensive code review and analysis of this ${language} code:
-
-FILENAME: ${filename}
-CODE:
-\`\`\`${language.toLowerCase()}
-${code}
-\`\`\`
-
-Provide a detailed analysis covering:
-
-1. **SECURITY ANALYSIS** (Score: /10)
-   - Identify potential security vulnerabilities
-   - Check for input validation issues
-   - Look for injection attack vectors
-   - Assess authentication/authorization concerns
-
-2. **PERFORMANCE ANALYSIS** (Score: /10)
-   - Identify performance bottlenecks
-   - Suggest optimization opportunities
-   - Check for inefficient algorithms or data structures
-   - Memory usage considerations
-
-3. **CODE QUALITY** (Score: /10)
-   - Readability and maintainability assessment
-   - Code organization and structure
-   - Naming conventions and clarity
-   - Code complexity analysis
-
-4. **BEST PRACTICES** (Score: /10)
-   - Language-specific best practices
-   - Design patterns usage
-   - Error handling implementation
-   - Code documentation quality
-
-5. **IMPROVEMENT SUGGESTIONS**
-   - Prioritized list of specific improvements
-   - Code refactoring recommendations
-   - Architecture suggestions if applicable
-
-6. **OVERALL SCORE**: X/40 with summary
-
-Format your response clearly with markdown headers and provide specific line numbers when referencing issues.`;
-
-  const response = await client.path("/chat/completions").post({
-    body: {
-      messages: [
-        { 
-          role: "system", 
-          content: `You are a senior software engineer and code review expert with expertise in ${language} and software best practices. Provide thorough, constructive, and actionable code reviews. Be specific about issues and provide concrete improvement suggestions.`
-        },
-        { role: "user", content: analysisPrompt }
-      ],
-      model: model,
-      temperature: 0.3,
-      max_tokens: 1500
-    }
-  });
+// Singular or plural, e.g. "1 file" or "3 files"
+const count = (number, noun) => `${number} ${noun}${number === 1 ? "" : "s"}`;
 
-  if (isUnexpected(response)) {
-    throw response.body.error;
-  }
+// Diffs are colored on a terminal unless NO_COLOR is set
+const showDiff = (text) => (process.stdout.isTTY && !process.env.NO_COLOR ? colorizeDiff(text) : text);
 
-  return response.body.choices[0].message.content;
+/**
+ * Show a patch hunk by hunk and ask which hunks to apply, as git add --patch does
+ *
+ * @param {Object} prompt - A prompt from createPrompt()
+ * @param {Object} patch - A patch from generateRefactorPatch()
+ * @returns {Promise<Array<Object>>} The accepted hunks
+ */
+async function chooseHunks(prompt, patch) {
+  console.log("y = apply this change, n = skip it, a = apply this and all later ones, d = skip this and all later ones");
+  const accepted = [];
+  for (const [index, hunk] of patch.hunks.entries()) {
+    console.log(`\n${showDiff(formatHunk(hunk))}`);
+    let choice;
+    while (!["y", "n", "a", "d"].includes(choice)) {
+      choice = (await prompt.ask(`Apply change ${index + 1}/${patch.hunks.length} to ${patch.path}? [y/n/a/d] `)).toLowerCase();
+    }
+    if (choice === "a") return [...accepted, ...patch.hunks.slice(index)];
+    if (choice === "d") break;
+    if (choice === "y") accepted.push(hunk);
+  }
+  return accepted;
 }
 
-// Generate refactored code based on analysis
-async function generateRefactoredCode(originalCode, language, analysisResults) {
-  const client = createClient();
-  
-  const refactorPrompt = `Based on the following code analysis, provide a refactored version of the code that addresses the identified issues:
-
-ORIGINAL CODE:
-\`\`\`${language.toLowerCase()}
-${originalCode}
-\`\`\`
-
-ANALYSIS RESULTS:
-${analysisResults}
-
-Please provide:
-1. **REFACTORED CODE** - Complete improved version
-2. **KEY CHANGES MADE** - Bulleted list of specific improvements
-3. **RATIONALE** - Explanation of why each change improves the code
-
-Focus on the most impactful improvements that address security, performance, and maintainability concerns.`;
-
-  const response = await client.path("/chat/completions").post({
-    body: {
-      messages: [
-        { 
-          role: "system", 
-          content: `You are an expert software engineer specializing in code refactoring and optimization. Provide clean, efficient, and well-documented refactored code that follows ${language} best practices.`
-        },
-        { role: "user", content: refactorPrompt }
-      ],
-      model: model,
-      temperature: 0.2,
-      max_tokens: 1200
-    }
-  });
+/**
+ * Offer a refactoring as a patch, write the accepted hunks and verify them
+ *
+ * @param {Object} prompt - A prompt from createPrompt()
+ * @param {Object} refactoring - The result of generateRefactorPatch()
+ * @param {Object} options
+ * @param {string} options.code - The file as it was reviewed
+ * @param {boolean} options.onDisk - Whether the code came from the file, so the patch can be written to it
+ * @param {string} [options.verify] - Command run after writing; the file is restored when it fails
+ */
+async function offerPatch(prompt, { patch, changes, rationale }, { code, onDisk, verify }) {
+  console.log("\n" + "=".repeat(80));
+  console.log("🚀 REFACTORING PATCH");
+  console.log("=".repeat(80));
+  if (patch.hunks.length === 0) {
+    console.log("The refactoring leaves the code as it is.");
+    return;
+  }
+  console.log("Key changes:");
+  for (const change of changes) console.log(`- ${change}`);
+  console.log(`\n${rationale}`);
+
+  if (!onDisk) {
+    // A pasted snippet has no file to write to: show the whole patch
+    console.log(`\n${showDiff(formatPatch(patch))}`);
+    return;
+  }
 
-  if (isUnexpected(response)) {
-    throw response.body.error;
+  console.log(`\n${count(patch.hunks.length, "change")} to ${patch.path}.`);
+  const accepted = await chooseHunks(prompt, patch);
+  if (accepted.length === 0) {
+    console.log(`No changes applied; ${patch.path} is unchanged.`);
+    return;
   }
 
-  return response.body.choices[0].message.content;
+  const patched = applyPatch(code, patch, accepted);
+  if (verify) console.log(`\n🧪 Verifying with: ${verify}`);
+  const { rolledBack, verification } = writePatchedFile(patch.path, { original: code, patched, verify });
+  if (rolledBack) {
+    console.log(verification.output.trimEnd());
+    const reason = verification.timedOut ? "timed out" : `failed (exit code ${verification.exitCode ?? "none"})`;
+    console.log(`❌ Verification ${reason}; ${patch.path} was restored.`);
+    return;
+  }
+  console.log(`✅ Applied ${count(accepted.length, "change")} of ${patch.hunks.length} to ${patch.path}` +
+    `${verification ? " and verification passed" : ""}.`);
 }
 
-// Generate comprehensive documentation
-async function generateDocumentation(code, language, filename) {
-  const client = createClient();
-  
-  const docPrompt = `Generate comprehensive technical documentation for this ${language} code:
-
-FILENAME: ${filename}
-CODE:
-\`\`\`${language.toLowerCase()}
-${code}
-\`\`\`
-
-Provide:
-1. **OVERVIEW** - Purpose and functionality summary
-2. **API DOCUMENTATION** - Functions, classes, and methods with parameters
-3. **USAGE EXAMPLES** - Code examples showing how to use the module
-4. **DEPENDENCIES** - Required libraries and imports
-5. **CONFIGURATION** - Setup and configuration requirements
-6. **TROUBLESHOOTING** - Common issues and solutions
-
-Format as professional technical documentation with clear sections and examples.`;
-
-  const response = await client.path("/chat/completions").post({
-    body: {
-      messages: [
-        { 
-          role: "system", 
-          content: `You are a technical writer and software documentation expert. Create clear, comprehensive, and user-friendly documentation that helps developers understand and use the code effectively.`
-        },
-        { role: "user", content: docPrompt }
-      ],
-      model: model,
-      temperature: 0.4,
-      max_tokens: 1000
-    }
-  });
+/**
+ * Review files or changes without asking anything and write the findings as one report
+ *
+ * @param {Object} options
+ * @param {Array<string>} options.targets - Files, directories and globs to review
+ * @param {string} [options.diff] - Review the changes in this git revision range instead
+ * @param {string} [options.diffFile] - Review the changes in this unified diff file instead
+ * @param {number} [options.context] - Lines of unchanged code around each change
+ * @param {string} options.format - One of REPORT_FORMATS
+ * @param {string} [options.out] - File to write the report to; stdout when not given
+ * @param {number} [options.concurrency] - Files reviewed at the same time
+ * @param {number} [options.chunkTokens] - Largest chunk of a file per request, in tokens
+ * @param {Object} options.ruleset - Ruleset from loadRuleset()
+ * @returns {Promise<number>} Exit code: 1 when a file could not be reviewed or the ruleset's gate failed
+ */
+async function writeReport({ targets, diff, diffFile, context, format, out, concurrency, chunkTokens, ruleset }) {
+  // Progress goes to stderr unless the report is written to a file
+  const log = out ? console.log : console.error;
+  if (!REPORT_FORMATS[format]) {
+    console.error(`❌ Unknown report format '${format}'. Use one of: ${Object.keys(REPORT_FORMATS).join(", ")}.`);
+    return 1;
+  }
+  if (!diff && !diffFile && targets.length === 0) {
+    console.error("❌ Give the files to review, e.g. review --format sarif --out report.sarif file.js");
+    return 1;
+  }
 
-  if (isUnexpected(response)) {
-    throw response.body.error;
+  const provider = createProvider(loadConfig(reviewDefaults));
+  if (ruleset.source) log(`📐 Review rules from ${ruleset.source}`);
+  // Findings a review leaves out point outside what the model was shown
+  const outside = diff || diffFile ? "outside the changed lines" : "outside the file";
+  const onFile = ({ file, status, chunks, review, error }) => {
+    if (status === "started" && chunks > 1) log(`   ${file}: ${chunks} chunks`);
+    if (status === "reviewed") {
+      log(`   ✅ ${file}: ${review.overall}/${review.maxScore}, ${count(review.findings.length, "finding")}` +
+        (review.discarded ? ` (${review.discarded} ${outside} left out)` : ""));
+    }
+    if (status === "failed") log(`   ❌ ${file}: ${describeError(error)}`);
+  };
+
+  let result;
+  if (diff || diffFile) {
+    const changes = diff ?? diffFile;
+    const diffFiles = parseUnifiedDiff(diff ? readGitDiff(diff, { context }) : readFileSync(diffFile, "utf-8"));
+    log(`📊 Reviewing the changes in ${changes} (${count(diffFiles.length, "file")})...`);
+    result = { ...await reviewDiff(provider, diffFiles, { concurrency, ruleset, onFile }), changes };
+    for (const { file, reason } of result.skipped) log(`   ⏭️  ${file}: skipped (${reason})`);
+    if (result.reviews.length === 0 && result.failures.length === 0) {
+      log("   Nothing to review.");
+    }
+  } else {
+    const files = collectFiles(targets);
+    if (files.length === 0) {
+      console.error(`❌ No files to review in ${targets.join(", ")} (looking for ${Object.keys(supportedExtensions).join(" ")}).`);
+      return 1;
+    }
+    log(`📊 Reviewing ${count(files.length, "file")}...`);
+    result = await reviewFiles(provider, files, { concurrency, chunkTokens, ruleset, onFile });
   }
 
-  return response.body.choices[0].message.content;
+  const { reviews, failures, changes } = result;
+  // A repository-level summary only adds something over the file summaries for several files
+  const summary = reviews.length > 1 ? await summarizeReviews(provider, reviews) : undefined;
+  const report = createReport(reviews, { model: provider.config.model, summary, failures, changes, ruleset });
+  const text = formatReport(report, format);
+
+  if (out) {
+    writeFileSync(out, text);
+    const counts = Object.entries(countBySeverity(report))
+      .filter(([, number]) => number > 0)
+      .map(([severity, number]) => `${number} ${severity}`);
+    log(`✅ Score ${report.overall ?? "–"}/${report.maxScore}, ${count(report.findings.length, "finding")}` +
+      `${counts.length ? ` (${counts.join(", ")})` : ""}. Report written to ${out}.`);
+  } else {
+    process.stdout.write(text);
+  }
+  if (failures.length > 0) {
+    console.error(`⚠️  ${failures.length} file${failures.length === 1 ? " was" : "s were"} not reviewed.`);
+  }
+  if (report.gate && !report.gate.passed) {
+    console.error(`❌ Quality gate failed: ${report.gate.reasons.join("; ")}.`);
+  }
+  return failures.length > 0 || report.gate?.passed === false ? 1 : 0;
 }
 
-// Display supported file types
-function displaySupportedTypes() {
-  console.log("\n🔍 Supported File Types for Code Analysis:");
-  console.log("=".repeat(50));
-  Object.entries(supportedExtensions).forEach(([ext, lang]) => {
-    console.log(`${ext.padEnd(6)} - ${lang}`);
-  });
-  console.log("=".repeat(50));
+/**
+ * Hold code against the ruleset's quality gate
+ *
+ * The markdown analysis has no score or findings to check, so the code gets a
+ * structured review too (see reviewCode()).
+ *
+ * @param {Object} provider - A provider from createProvider()
+ * @param {string} code - The code that was analyzed
+ * @param {string} language - Its language
+ * @param {string} filename - Its file name
+ * @param {Object} ruleset - Ruleset with a gate, from loadRuleset()
+ * @returns {Promise<Object>} The gate from createReport() ({ minScore, failOn, passed, reasons }) with the
+ *   overall score and maxScore it was checked against
+ */
+async function checkQualityGate(provider, code, language, filename, ruleset) {
+  const review = await reviewCode(provider, code, language, filename, { ruleset });
+  const report = createReport([review], { model: provider.config.model, ruleset });
+  return { ...report.gate, overall: report.overall, maxScore: report.maxScore };
 }
 
-// Main code review function
-export async function main() {
-  console.log("🔍 Advanced Code Review & Analysis Tool powered by GPT-5");
-  console.log("Comprehensive code analysis with security, performance, and quality insights\n");
+/**
+ * Main code review function
+ *
+ * @param {Object} [options]
+ * @param {string} [options.file] - File to analyze; skips the mode prompt
+ * @param {Array<string>} [options.targets] - Files, directories or globs; more than one file, a directory
+ *   or a glob is reviewed as a whole with one aggregated report (markdown unless format says otherwise)
+ * @param {boolean} [options.json] - Print the analysis as JSON and skip the follow-up prompts
+ * @param {string} [options.diff] - Review the changes in a git revision range, e.g. "main..feature"
+ * @param {string} [options.diffFile] - Review the changes in a unified diff file
+ * @param {number} [options.context] - With diff, lines of unchanged code sent around each change
+ * @param {string} [options.format] - Write a structured report instead ("json", "sarif", "markdown" or
+ *   "comments"); nothing is asked, so it needs a file
+ * @param {string} [options.out] - With format, the file the report is written to
+ * @param {number} [options.concurrency] - When reviewing several files, how many are reviewed at the same time
+ * @param {number} [options.chunkTokens] - Largest chunk of a file per request, in tokens
+ * @param {string} [options.verify] - Command run after a refactoring patch is written, e.g. "npm test";
+ *   the file is restored when it fails (default: the ruleset's verify command)
+ * @param {string} [options.ruleset] - Ruleset file with the team's categories, rules and gate; by default
+ *   the nearest .reviewrc
+ * @returns {Promise<number|undefined>} Exit code: set when writing a report, and 1 when the ruleset's gate fails
+ */
+export async function main({
+  file,
+  targets = file ? [file] : [],
+  diff,
+  diffFile,
+  context,
+  json = false,
+  format,
+  out,
+  concurrency,
+  chunkTokens,
+  verify,
+  ruleset: rulesetFile
+} = {}) {
+  file ??= targets[0];
+  let ruleset;
+  try {
+    ruleset = loadRuleset(rulesetFile);
+  } catch (error) {
+    console.error("❌ Code review error:", describeError(error));
+    return 1;
+  }
+  verify ??= ruleset.verify ?? undefined;
+
+  const several = targets.length > 1 || targets.some((target) => isDirectoryOrGlob(target)) || Boolean(diff || diffFile);
+  if (format || out || several) {
+    try {
+      return await writeReport({
+        targets,
+        diff,
+        diffFile,
+        context,
+        format: format ?? (several && !json ? "markdown" : "json"),
+        out,
+        concurrency,
+        chunkTokens,
+        ruleset
+      });
+    } catch (error) {
+      console.error("❌ Code review error:", describeError(error));
+      return 1;
+    }
+  }
+
+  // In JSON mode progress messages go to stderr so stdout stays machine-readable
+  const log = json ? console.error : console.log;
+  const prompt = createPrompt();
+  let exitCode;
+
+  log("🔍 Advanced Code Review & Analysis Tool powered by GPT-5");
+  log("Comprehensive code analysis with security, performance, and quality insights\n");
 
   try {
-    displaySupportedTypes();
+    // Fail fast on a missing token before asking the user anything
+    const provider = createProvider(loadConfig(reviewDefaults));
+
+    if (!json) {
+      displaySupportedTypes();
+    }
     
-    const mode = await askQuestion("\nChoose mode:\n1. Analyze file from current directory\n2. Analyze code snippet\nEnter choice (1 or 2): ");
+    const mode = file
+      ? "1"
+      : await prompt.ask("\nChoose mode:\n1. Analyze file from current directory\n2. Analyze code snippet\nEnter choice (1 or 2): ");
 
     let code, language, filename;
 
     if (mode === "1") {
       // File analysis mode
-      filename = await askQuestion("Enter filename to analyze: ");
+      filename = file || await prompt.ask("Enter filename to analyze: ");
       
       try {
         code = readFileSync(filename, 'utf-8');
-        const ext = extname(filename).toLowerCase();
-        language = supportedExtensions[ext];
+        language = detectLanguage(filename);
         
         if (!language) {
-          console.log(`⚠️  Warning: ${ext} files are not explicitly supported, but I'll analyze as generic code.`);
+          log(`⚠️  Warning: ${extname(filename).toLowerCase()} files are not explicitly supported, but I'll analyze as generic code.`);
           language = "Generic";
         }
       } catch (error) {
@@ -284,11 +353,11 @@ export async function main() {
       console.log("\nPaste your code snippet (end with 'END' on a new line):");
       let codeLines = [];
       let line;
-      while ((line = await askQuestion("")) !== "END") {
+      while ((line = await prompt.ask("")) !== "END") {
         codeLines.push(line);
       }
       code = codeLines.join('\n');
-      filename = await askQuestion("Enter language (e.g., JavaScript, Python, Java): ");
+      filename = await prompt.ask("Enter language (e.g., JavaScript, Python, Java): ");
       language = filename;
       filename = `snippet.${filename.toLowerCase()}`;
     }
@@ -298,34 +367,45 @@ export async function main() {
       return;
     }
 
-    console.log(`\n🔄 Analyzing ${language} code (${code.length} characters)...\n`);
+    log(`\n🔄 Analyzing ${language} code (${code.length} characters)...\n`);
 
     // Perform comprehensive analysis
-    console.log("📊 Running comprehensive code analysis...");
-    const analysis = await analyzeCode(code, language, filename);
+    log("📊 Running comprehensive code analysis...");
+    if (ruleset.source) log(`📐 Review rules from ${ruleset.source}`);
+    const analysis = await analyzeCode(provider, code, language, filename, { ruleset });
+    if (ruleset.gate) log("🚦 Checking the quality gate...");
+    const gate = ruleset.gate ? await checkQualityGate(provider, code, language, filename, ruleset) : null;
+    if (gate && !gate.passed) exitCode = 1;
+
+    if (json) {
+      console.log(JSON.stringify({ filename, language, analysis, ...(gate ? { gate } : {}) }, null, 2));
+      if (gate && !gate.passed) console.error(`❌ Quality gate failed: ${gate.reasons.join("; ")}.`);
+      return exitCode;
+    }
     
     console.log("\n" + "=".repeat(80));
     console.log("📋 CODE ANALYSIS RESULTS");
     console.log("=".repeat(80));
     console.log(analysis);
+    if (gate) {
+      console.log(gate.passed
+        ? `\n✅ Quality gate passed (score ${gate.overall}/${gate.maxScore}).`
+        : `\n❌ Quality gate failed: ${gate.reasons.join("; ")}.`);
+    }
 
     // Ask if user wants refactored code
-    const wantRefactor = await askQuestion("\n🛠️  Would you like to see refactored code? (y/n): ");
+    const wantRefactor = await prompt.ask("\n🛠️  Would you like a refactoring patch? (y/n): ");
     if (wantRefactor.toLowerCase() === 'y') {
       console.log("\n🔄 Generating refactored code...");
-      const refactoredCode = await generateRefactoredCode(code, language, analysis);
-      
-      console.log("\n" + "=".repeat(80));
-      console.log("🚀 REFACTORED CODE & IMPROVEMENTS");
-      console.log("=".repeat(80));
-      console.log(refactoredCode);
+      const refactoring = await generateRefactorPatch(provider, code, language, filename, analysis, { ruleset });
+      await offerPatch(prompt, refactoring, { code, onDisk: mode === "1", verify });
     }
 
     // Ask if user wants documentation
-    const wantDocs = await askQuestion("\n📚 Would you like to generate documentation? (y/n): ");
+    const wantDocs = await prompt.ask("\n📚 Would you like to generate documentation? (y/n): ");
     if (wantDocs.toLowerCase() === 'y') {
       console.log("\n🔄 Generating documentation...");
-      const documentation = await generateDocumentation(code, language, filename);
+      const documentation = await generateDocumentation(provider, code, language, filename);
       
       console.log("\n" + "=".repeat(80));
       console.log("📖 GENERATED DOCUMENTATION");
@@ -333,7 +413,7 @@ export async function main() {
       console.log(documentation);
       
       // Offer to save documentation
-      const saveDocs = await askQuestion("\n💾 Save documentation to file? (y/n): ");
+      const saveDocs = await prompt.ask("\n💾 Save documentation to file? (y/n): ");
       if (saveDocs.toLowerCase() === 'y') {
         const docFilename = `${basename(filename, extname(filename))}_documentation.md`;
         writeFileSync(docFilename, documentation);
@@ -344,16 +424,22 @@ export async function main() {
     console.log("\n🎉 Code review complete! GPT-5 has analyzed your code for security, performance, and quality improvements.");
 
   } catch (error) {
-    console.error("❌ Code analysis error:", error);
+    console.error("❌ Code analysis error:", describeError(error));
   } finally {
-    rl.close();
+    prompt.close();
   }
+  return exitCode;
 }
 
 // Execute the main function if this file is run directly
-if (import.meta.url === `file://${process.argv[1]}`) {
-  main().catch((err) => {
-    console.error("The code review sample encountered an error:", err);
-    process.exit(1);
-  });
+if (isMainModule(import.meta.url)) {
+  main()
+    .then((code) => {
+      // A failed quality gate returns 1
+      process.exitCode = code ?? 0;
+    })
+    .catch((err) => {
+      console.error("The code review sample encountered an error:", describeError(err));
+      process.exit(1);
+    });
 }
@@ -21,175 +21,21 @@
  * coherent narratives while adapting to user preferences and choices.
  */
 
-import ModelClient, { isUnexpected } from "@azure-rest/ai-inference";
-import { AzureKeyCredential } from "@azure/core-auth";
-import readline from "readline";
-
-// Load environment variables and configure API
-const token = process.env["GITHUB_TOKEN"];
-const endpoint = "https://models.github.ai/inference";
-const model = "openai/gpt-5";
-
-// Create readline interface for user interaction
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
-
-// Story state management
-let storyHistory = [];
-let currentGenre = "";
-let mainCharacter = "";
-
-// Available genres for story generation
-const genres = {
-  1: "Science Fiction",
-  2: "Fantasy Adventure", 
-  3: "Mystery Thriller",
-  4: "Historical Fiction",
-  5: "Romantic Comedy",
-  6: "Horror",
-  7: "Cyberpunk",
-  8: "Magical Realism"
-};
-
-// Utility function to prompt user input
-function askQuestion(question) {
-  return new Promise((resolve) => {
-    rl.question(question, (answer) => {
-      resolve(answer.trim());
-    });
-  });
-}
-
-// Initialize the AI client
-function createClient() {
-  return ModelClient(
-    endpoint,
-    new AzureKeyCredential(token)
-  );
-}
-
-// Generate story beginning based on user preferences
-async function generateStoryBeginning(genre, character, setting, theme) {
-  const client = createClient();
-  
-  const prompt = `Create the opening chapter of a ${genre} story featuring a character named ${character}. 
-  Setting: ${setting}
-  Theme: ${theme}
-  
-  Requirements:
-  - Write approximately 300 words
-  - Establish compelling characters and atmosphere
-  - End with a dramatic moment or choice point
-  - Use vivid, immersive descriptions
-  - Match the tone and style typical of ${genre}
-  - Leave the story open for continuation based on reader choices`;
-
-  const response = await client.path("/chat/completions").post({
-    body: {
-      messages: [
-        { 
-          role: "system", 
-          content: `You are a master storyteller and creative writer specializing in ${genre}. Create engaging, well-paced narratives with rich character development and immersive world-building. Always end story segments with clear choice points for the reader.`
-        },
-        { role: "user", content: prompt }
-      ],
-      model: model,
-      temperature: 0.9,
-      max_tokens: 500
-    }
-  });
-
-  if (isUnexpected(response)) {
-    throw response.body.error;
-  }
-
-  return response.body.choices[0].message.content;
-}
-
-// Continue story based on user choice
-async function continueStory(userChoice, previousStory) {
-  const client = createClient();
-  
-  const storyContext = storyHistory.join("\n\n");
-  
-  const prompt = `Continue the ${currentGenre} story based on the reader's choice: "${userChoice}"
-  
-  Previous story context:
-  ${storyContext}
-  
-  Requirements:
-  - Continue naturally from the previous segment
-  - Incorporate the reader's choice meaningfully
-  - Maintain character consistency and story tone
-  - Write approximately 250 words
-  - End with another choice point or dramatic moment
-  - Advance the plot significantly`;
-
-  const response = await client.path("/chat/completions").post({
-    body: {
-      messages: [
-        { 
-          role: "system", 
-          content: `You are continuing a ${currentGenre} story. Maintain narrative consistency, character development, and genre conventions. Always provide engaging choices for the reader to influence the story direction.`
-        },
-        { role: "user", content: prompt }
-      ],
-      model: model,
-      temperature: 0.8,
-      max_tokens: 400
-    }
-  });
-
-  if (isUnexpected(response)) {
-    throw response.body.error;
-  }
-
-  return response.body.choices[0].message.content;
-}
-
-// Generate multiple choice options for story continuation
-async function generateChoices(currentStorySegment) {
-  const client = createClient();
-  
-  const prompt = `Based on this story segment, generate 3 distinct and interesting choice options for the reader:
-
-  Story segment:
-  ${currentStorySegment}
-  
-  Provide exactly 3 choices that:
-  - Lead to different story directions
-  - Are all plausible within the story context
-  - Offer varying levels of risk/adventure
-  - Maintain the ${currentGenre} genre conventions
-  
-  Format as:
-  1. [Choice option]
-  2. [Choice option] 
-  3. [Choice option]`;
-
-  const response = await client.path("/chat/completions").post({
-    body: {
-      messages: [
-        { 
-          role: "system", 
-          content: "You are a story consultant creating meaningful choice points for interactive narratives. Focus on choices that create compelling branching paths."
-        },
-        { role: "user", content: prompt }
-      ],
-      model: model,
-      temperature: 0.7,
-      max_tokens: 200
-    }
-  });
-
-  if (isUnexpected(response)) {
-    throw response.body.error;
-  }
-
-  return response.body.choices[0].message.content;
-}
+import { loadConfig } from "./lib/client.js";
+import { createProvider } from "./lib/provider.js";
+import { describeError } from "./lib/errors.js";
+import { createPrompt } from "./lib/prompt.js";
+import { createTokenBudget, formatBudget } from "./lib/tokens.js";
+import {
+  storyDefaults,
+  genres,
+  generateStoryBeginning,
+  continueStory,
+  generateChoices,
+  createStoryMemory,
+  CONTINUATION_MAX_TOKENS
+} from "./lib/samples/creative-writing.js";
+import { isMainModule } from "./lib/main.js";
 
 // Display genre selection menu
 function displayGenreMenu() {
@@ -201,26 +47,46 @@ function displayGenreMenu() {
   console.log("=".repeat(50));
 }
 
-// Main interactive storytelling function
-export async function main() {
+/**
+ * Main interactive storytelling function
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.json] - Print the finished story as JSON at the end of the session
+ * @param {string} [options.memory] - How earlier chapters are remembered: "summary" (default), "window" or "full"
+ */
+export async function main({ json = false, memory = "summary" } = {}) {
+  const prompt = createPrompt();
+
   console.log("🌟 Welcome to the Interactive Story Generator powered by GPT-5!");
   console.log("Create unique stories that adapt to your choices and preferences.\n");
 
   try {
+    // Fail fast on a missing token before asking the user anything
+    const config = loadConfig(storyDefaults);
+    const provider = createProvider(config);
+    // Earlier chapters are summarized so the plot stays consistent without resending them
+    const storyMemory = createStoryMemory(provider, memory);
+    // Long stories are sent newest chapters first, as many as fit the context window
+    const budget = createTokenBudget(config, { reserve: CONTINUATION_MAX_TOKENS });
+
     // Genre selection
     displayGenreMenu();
-    const genreChoice = await askQuestion("Select a genre (1-8): ");
-    currentGenre = genres[genreChoice] || "Science Fiction";
+    const genreChoice = await prompt.ask("Select a genre (1-8): ");
+    const genre = genres[genreChoice] || "Science Fiction";
     
     // Character creation
-    mainCharacter = await askQuestion("Enter your main character's name: ");
-    const setting = await askQuestion("Describe the setting/world: ");
-    const theme = await askQuestion("What theme should the story explore? ");
+    const character = await prompt.ask("Enter your main character's name: ");
+    const setting = await prompt.ask("Describe the setting/world: ");
+    const theme = await prompt.ask("What theme should the story explore? ");
+
+    // Story state for this session
+    const story = { genre, character, setting, theme, storyHistory: [] };
+    const { storyHistory } = story;
 
-    console.log(`\n📖 Generating your ${currentGenre} story featuring ${mainCharacter}...\n`);
+    console.log(`\n📖 Generating your ${genre} story featuring ${character}...\n`);
 
     // Generate initial story
-    const storyBeginning = await generateStoryBeginning(currentGenre, mainCharacter, setting, theme);
+    const storyBeginning = await generateStoryBeginning(provider, story);
     console.log("=".repeat(60));
     console.log(storyBeginning);
     console.log("=".repeat(60));
@@ -232,20 +98,25 @@ export async function main() {
       console.log(`\n📚 Chapter ${chapter} Choices:`);
       
       // Generate choices
-      const choices = await generateChoices(storyHistory[storyHistory.length - 1]);
-      console.log(choices);
+      const choices = await generateChoices(provider, genre, storyHistory[storyHistory.length - 1]);
+      choices.forEach((choice, index) => console.log(`${index + 1}. ${choice}`));
       
-      const userChoice = await askQuestion("\nEnter your choice (1, 2, or 3) or 'quit' to end: ");
+      const answer = await prompt.ask("\nEnter your choice (1, 2, or 3) or 'quit' to end: ");
       
-      if (userChoice.toLowerCase() === 'quit') {
+      if (answer.toLowerCase() === 'quit') {
         console.log("\n📝 Thanks for the creative writing session! Your story will continue in your imagination...");
         break;
       }
 
       console.log("\n✍️  Continuing your story...\n");
       
-      // Continue story based on choice
-      const nextSegment = await continueStory(userChoice, storyHistory[storyHistory.length - 1]);
+      // Continue story based on choice; a number picks one of the offered choices, anything else is the reader's own
+      const userChoice = choices[Number(answer) - 1] ?? answer;
+      const nextSegment = await continueStory(provider, story, userChoice, {
+        memory: storyMemory,
+        budget,
+        onBudget: (report) => console.log(`📏 ${formatBudget(report, { unit: "chapter" })}\n`)
+      });
       console.log("=".repeat(60));
       console.log(nextSegment);
       console.log("=".repeat(60));
@@ -254,18 +125,22 @@ export async function main() {
     }
 
     console.log("\n🎉 Story generation complete! Your creative collaboration with GPT-5 has created a unique narrative.");
+
+    if (json) {
+      console.log(JSON.stringify({ genre, character, chapters: storyHistory }, null, 2));
+    }
     
   } catch (error) {
-    console.error("❌ Story generation error:", error);
+    console.error("❌ Story generation error:", describeError(error));
   } finally {
-    rl.close();
+    prompt.close();
   }
 }
 
 // Execute the main function if this file is run directly
-if (import.meta.url === `file://${process.argv[1]}`) {
+if (isMainModule(import.meta.url)) {
   main().catch((err) => {
-    console.error("The creative writing sample encountered an error:", err);
+    console.error("The creative writing sample encountered an error:", describeError(err));
     process.exit(1);
   });
 }
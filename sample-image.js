@@ -19,70 +19,59 @@
  * and describe visual content alongside text prompts.
  */
 
-import OpenAI from "openai";
-import { readFileSync } from "node:fs";
-import dotenv from "dotenv";
-
-// Load environment variables from .env file
-dotenv.config();
-// Get GitHub token for API authentication
-const token = process.env["GITHUB_TOKEN"];
-// GitHub's AI inference endpoint URL
-const endpoint = "https://models.github.ai/inference";
-// Specify the GPT-4o model for vision capabilities
-const modelName = "openai/gpt-4o";
-
-export async function main() {
-  // Initialize OpenAI client with GitHub's endpoint and token
-  const client = new OpenAI({ baseURL: endpoint, apiKey: token });
-
-  // Create a chat completion request with both text and image content
-  const response = await client.chat.completions.create({
-    messages: [
-        // System message defines the AI's role for image description
-        { role: "system", content: "You are a helpful assistant that describes images in details." },
-        // User message contains both text query and image data
-        { role: "user", content: [
-            { type: "text", text: "What's in this image?"},
-            { type: "image_url", image_url: {
-                url: getImageDataUrl("sample.jpg", "jpg"), details: "low"}}
-          ]
-        }
-      ],
-      model: modelName
-    });
-
-  // Output the AI's description of the image
-  console.log(response.choices[0].message.content);
-}
+import { loadConfig } from "./lib/client.js";
+import { createProvider } from "./lib/provider.js";
+import { describeError } from "./lib/errors.js";
+import { imageFormatOf, getImageDataUrl, describeImage } from "./lib/samples/image.js";
+import { isMainModule } from "./lib/main.js";
 
 /**
- * Utility function to convert an image file to a base64 data URL
- * This is required for sending image data to the AI model via API
- * 
- * @param {string} imageFile - The path to the image file.
- * @param {string} imageFormat - The format of the image file. For example: "jpeg", "png".
- * @returns {string} The data URL of the image.
+ * Ask the model to describe an image
+ *
+ * @param {Object} [options]
+ * @param {string} [options.image] - Image file; a bare name is looked up in the Images folder
+ * @param {string} [options.prompt] - Question to ask about the image
+ * @param {string} [options.system] - System prompt defining the assistant's role
+ * @param {boolean} [options.json] - Print the description and token usage as JSON
  */
-function getImageDataUrl(imageFile, imageFormat) {
+export async function main({
+  image = "sample.jpg",
+  prompt = "What's in this image?",
+  system = "You are a helpful assistant that describes images in details.",
+  json = false
+} = {}) {
+  // Read the image before contacting the model
+  let imageUrl;
   try {
-      // Construct the full path to the image in the Images folder
-      const imagePath = `Images/${imageFile}`;
-      // Read the image file as a buffer
-      const imageBuffer = readFileSync(imagePath);
-      // Convert the buffer to base64 string
-      const imageBase64 = imageBuffer.toString('base64');
-      // Return the complete data URL format required by the API
-      return `data:image/${imageFormat};base64,${imageBase64}`;
+    imageUrl = getImageDataUrl(image, imageFormatOf(image));
   } catch (error) {
-      // Handle file reading errors gracefully
-      console.error(`Could not read 'Images/${imageFile}'.`);
-      console.error('Set the correct path to the image file before running this sample.');
-      process.exit(1);
+    // Handle file reading errors gracefully
+    console.error(error.message);
+    console.error('Set the correct path to the image file before running this sample.');
+    process.exitCode = 1;
+    return 1;
+  }
+
+  // Specify the GPT-4o model for vision capabilities (overridable through the shared config)
+  const config = loadConfig({ model: "openai/gpt-4o" });
+  // Initialize the model provider with GitHub's endpoint and token
+  const provider = createProvider(config);
+
+  // Send both the text prompt and the image data to the model
+  const description = await describeImage(provider, { imageUrl, prompt, system });
+
+  // Output the AI's description of the image
+  if (json) {
+    console.log(JSON.stringify(description, null, 2));
+  } else {
+    console.log(description.content);
   }
 }
 
-// Execute the main function and handle any errors that occur
-main().catch((err) => {
-  console.error("The sample encountered an error:", err);
-});
\ No newline at end of file
+// Execute the main function if this file is run directly
+if (isMainModule(import.meta.url)) {
+  main().catch((err) => {
+    console.error("The sample encountered an error:", describeError(err));
+    process.exit(1);
+  });
+}
\ No newline at end of file
@@ -7,6 +7,9 @@
  * 2. Maintains a conversation history array to preserve context
  * 3. Continuously loops to accept user input and provide AI responses
  * 4. Allows users to exit the conversation by typing "exit"
+ * 5. Saves the session to disk after every exchange so it can be resumed later
+ * 6. Understands slash commands (/help, /retry, /undo, /model...) to steer the session
+ * 7. Streams each reply as it is generated; Ctrl+C stops a reply without ending the chat
  * 
  * Key concepts demonstrated:
  * - Persistent conversation memory using message arrays
@@ -14,73 +17,212 @@
  * - Asynchronous conversation loops
  * - Context preservation across multiple API calls
  * - Graceful exit handling
+ * - Session persistence and resuming (see lib/sessions.js)
+ * - Cancelling a streamed request with an AbortController
  * 
  * This shows how to build chatbots that can maintain coherent, contextual conversations
  * rather than treating each interaction as isolated.
  */
 
-import OpenAI from "openai";
-import dotenv from "dotenv";
-import readline from "readline";
-
-// Load environment variables for secure token management
-dotenv.config();
-// Get GitHub token for API authentication
-const token = process.env["GITHUB_TOKEN"];
-// GitHub's AI inference endpoint
-const endpoint = "https://models.github.ai/inference";
-// GPT-4o model for conversational AI
-const modelName = "openai/gpt-4o";
-
-export async function main() {
-  // Initialize OpenAI client with GitHub's endpoint
-  const client = new OpenAI({ baseURL: endpoint, apiKey: token });
-
-  // Set up readline interface for command-line interaction
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout
-  });
+import { loadConfig } from "./lib/client.js";
+import { createProvider } from "./lib/provider.js";
+import { describeError } from "./lib/errors.js";
+import { createTokenBudget, formatBudget } from "./lib/tokens.js";
+import { createPrompt } from "./lib/prompt.js";
+import { createSessionStore } from "./lib/sessions.js";
+import { createConversation, createChatMemory, createChatCommands, streamMessage } from "./lib/samples/multiturn.js";
+import { isCommand, EXIT_COMMAND } from "./lib/commands.js";
+import { isMainModule } from "./lib/main.js";
+
+/**
+ * Run an interactive multi-turn chat session
+ *
+ * @param {Object} [options]
+ * @param {string} [options.system] - System prompt defining the assistant's role
+ * @param {boolean} [options.json] - Print each reply as a JSON line instead of streaming it as text
+ * @param {string} [options.memory] - Memory strategy: "summary" (default), "window" or "full"
+ * @param {string} [options.resume] - ID (or unique ID prefix) of a saved session to continue
+ * @param {string} [options.title] - Title for a new session; defaults to the start of the first message
+ * @param {boolean} [options.save] - Save the session after every exchange (default true)
+ */
+export async function main({
+  system = "You are a helpful assistant.",
+  json = false,
+  memory = "summary",
+  resume,
+  title,
+  save = true
+} = {}) {
+  // GPT-4o model for conversational AI (endpoint, model and token come from the shared config)
+  const config = loadConfig({ model: "openai/gpt-4o" });
+  // Initialize the model provider with GitHub's endpoint
+  const provider = createProvider(config);
+  // Summarize older turns instead of sending the whole history (or keep a window, or everything)
+  const chatMemory = createChatMemory(provider, memory);
+  // Status lines (token budget, sessions) go to stderr in JSON mode so stdout stays machine-readable
+  const log = json ? console.error : console.log;
+
+  // Saved sessions live under the data directory; a resumed session keeps its own system prompt
+  const store = createSessionStore(config.dataDir);
+  const session = resume
+    ? store.load(resume)
+    : { ...store.create({ title, model: config.model }), messages: createConversation(system) };
+  if (resume) {
+    log(`📂 Resumed "${session.title}" (${session.id}, ${session.messages.filter((message) => message.role !== "system").length} messages)`);
+  }
+  // Whether this run has written the session to disk
+  let saved = false;
+  // Whether the end of the chat has been announced
+  let announced = false;
+
+  // Set up a prompt for command-line interaction
+  const prompt = createPrompt();
+
+  // Chat state shared with the slash commands (see createChatCommands())
+  const chat = {
+    session,
+    store,
+    log,
+    commands: createChatCommands(),
+    // Request parameters changed with /model and /temp
+    settings: {},
+    // Keep each request within the model's context window, however long the chat gets
+    budget: createTokenBudget(config),
+
+    // Cancels the reply being generated; set only while a request is in flight
+    controller: null,
+
+    // Send a message with as much history as fits, stream the reply, then save it
+    async send(input) {
+      chat.controller = new AbortController();
+      // Whether any of the reply has been printed, and whether a cancelled reply was kept
+      let started = false;
+      let kept = false;
+      try {
+        const reply = await streamMessage(provider, session.messages, input, {
+          memory: chatMemory,
+          budget: chat.budget,
+          onBudget: (report) => log(`📏 ${formatBudget(report)}`),
+          params: chat.settings,
+          // Output each piece of the reply as it arrives (real-time display)
+          onText: json ? undefined : (delta) => {
+            if (!started) process.stdout.write("Assistant: ");
+            started = true;
+            process.stdout.write(delta);
+          },
+          signal: chat.controller.signal,
+          // Ctrl+C while this question is open ends the chat, like at the "You:" prompt
+          keepPartial: async () => {
+            chat.controller = null;
+            const answer = await prompt.ask(`${started ? "\n" : ""}Keep the partial reply? (y/N) `);
+            kept = /^y(es)?$/i.test(answer);
+            return kept;
+          }
+        });
+
+        // Display AI response
+        if (json) {
+          console.log(JSON.stringify({ role: "assistant", ...reply }));
+        } else if (reply.aborted) {
+          log(`⏹  Reply cancelled${kept ? "; the partial reply was kept" : ""}.`);
+        } else {
+          process.stdout.write("\n");
+          // Display token usage for this turn if available
+          if (reply.usage) {
+            log(`📊 Prompt tokens: ${reply.usage.prompt_tokens}, completion tokens: ${reply.usage.completion_tokens}`);
+          }
+        }
+
+        // Autosave after every exchange so a crash or a failed request never loses the conversation
+        chat.autosave();
+      } catch (error) {
+        // Keep the session alive (e.g. after a rate limit); the unanswered message was dropped
+        if (started) process.stdout.write("\n");
+        console.error(describeError(error));
+      } finally {
+        chat.controller = null;
+      }
+    },
+
+    // Ctrl+C: stop the reply being generated, or end the chat when there is none
+    interrupt() {
+      if (chat.controller) {
+        chat.controller.abort();
+      } else {
+        prompt.close();
+      }
+    },
+
+    // Use another model from the next message on
+    setModel(model) {
+      chat.settings.model = model;
+      session.model = model;
+      chat.budget = createTokenBudget({ ...config, model });
+    },
+
+    save() {
+      store.save(session);
+      saved = true;
+    },
+
+    autosave() {
+      if (save) chat.save();
+    }
+  };
 
-  // Initialize conversation with system message to define AI behavior
-  let messages = [
-    { role: "system", content: "You are a helpful assistant." }
-  ];
+  const { rl } = prompt;
+  // Ctrl+C reaches readline on a terminal and the process otherwise (e.g. kill -INT)
+  rl.on("SIGINT", chat.interrupt);
+  process.on("SIGINT", chat.interrupt);
 
-  // Recursive function to handle continuous conversation
+  // Tell the user how to come back to this session once the chat ends (exit, Ctrl+D or Ctrl+C)
+  function announceEnd() {
+    if (announced) return;
+    announced = true;
+    process.off("SIGINT", chat.interrupt);
+    if (saved) {
+      log(`💾 Session saved as ${session.id}. Resume it with: node cli.js chat --resume ${session.id}`);
+    }
+  }
+
+  // Read turns until exit or the end of input; lines typed or piped ahead while a reply
+  // is streaming are kept by the prompt and answered in order
   async function chatLoop() {
-    rl.question('You: ', async (input) => {
+    while (!prompt.finished) {
+      const input = await prompt.ask("You: ");
       // Check for exit command to end conversation
-      if (input.trim().toLowerCase() === "exit") {
-        rl.close();
-        return;
+      if (input.toLowerCase() === "exit") break;
+
+      if (isCommand(input)) {
+        // Slash commands control the session instead of going to the model
+        try {
+          if (await chat.commands.execute(input, chat) === EXIT_COMMAND) break;
+        } catch (error) {
+          console.error(describeError(error));
+        }
+      } else if (input) {
+        await chat.send(input);
       }
-      // Add user message to conversation history
-      messages.push({ role: "user", content: input });
-
-      // Send entire conversation history to maintain context
-      const response = await client.chat.completions.create({
-        messages,
-        model: modelName
-      });
-
-      // Extract and display AI response
-      const reply = response.choices[0].message.content;
-      console.log("Assistant:", reply);
-      // Add AI response to conversation history for future context
-      messages.push({ role: "assistant", content: reply });
-
-      // Continue the conversation loop
-      chatLoop();
-    });
+    }
+    prompt.close();
+    announceEnd();
   }
 
+  // Input can end (Ctrl+D, end of a piped file) while a reply is still streaming; the loop
+  // then finishes the lines read before that, and announces the end itself
+  rl.on("close", () => {
+    if (prompt.finished) announceEnd();
+  });
+
   // Provide user instructions and start the conversation
-  console.log('Type "exit" to quit the chat at any time.');
-  chatLoop();
+  console.log('Type "exit" to quit the chat at any time, or /help for commands.');
+  await chatLoop();
 }
 
-// Execute main function with error handling
-main().catch((err) => {
-  console.error("The sample encountered an error:", err);
-});
\ No newline at end of file
+// Execute the main function if this file is run directly
+if (isMainModule(import.meta.url)) {
+  main().catch((err) => {
+    console.error("The sample encountered an error:", describeError(err));
+    process.exit(1);
+  });
+}
\ No newline at end of file
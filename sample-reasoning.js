@@ -22,76 +22,12 @@
  * multi-step thinking, logical deduction, and complex analysis.
  */
 
-import OpenAI from "openai";
-import dotenv from "dotenv";
-import readline from "readline";
-
-// Load environment variables for secure API access
-dotenv.config();
-const token = process.env["GITHUB_TOKEN"];
-const endpoint = "https://models.github.ai/inference";
-// Using o1-preview model specifically designed for complex reasoning tasks
-const modelName = "openai/o1-preview";
-
-// Array of predefined reasoning scenarios to test different cognitive abilities
-const scenarios = [
-    {
-        name: "Mathematical Reasoning",
-        // Tests calculation skills and understanding of averages with multi-step problems
-        prompt: "A train travels 60 miles per hour for 2 hours, then 80 miles per hour for 1.5 hours. What is the average speed for the entire trip?"
-    },
-    {
-        name: "Logic Puzzle",
-        // Tests deductive reasoning and logical thinking under constraints
-        prompt: "Three people are wearing hats that are either red or blue. Each person can see the other two hats but not their own. They are told that at least one of them is wearing a red hat. If they are asked in turn if they know the color of their own hat, what logical reasoning can they use to figure it out?"
-    },
-    {
-        name: "Complex Problem Solving",
-        // Tests resource allocation and constraint satisfaction
-        prompt: "You are organizing a conference with three sessions and four speakers. Each speaker can only attend two sessions, and no session can have more than two speakers. How would you assign the speakers to sessions?"
-    },
-    {
-        name: "Ethical Reasoning",
-        // Tests moral reasoning and ethical decision-making frameworks
-        prompt: "You see a runaway trolley heading towards five people tied up on the tracks. You can pull a lever to divert the trolley onto another track, where it will hit one person. What should you do, and why?"
-    }
-];
-
-/**
- * Utility function to clean markdown formatting from AI responses
- * This improves readability by removing markdown syntax and formatting
- * 
- * @param {string} text - The text containing markdown formatting
- * @returns {string} - Clean text without markdown syntax
- */
-function cleanMarkdownFormatting(text) {
-    if (!text) return text;
-    
-    return text
-        // Remove bold markdown (**text** or __text__)
-        .replace(/\*\*(.*?)\*\*/g, '$1')
-        .replace(/__(.*?)__/g, '$1')
-        // Remove italic markdown (*text* or _text_)
-        .replace(/\*(.*?)\*/g, '$1')
-        .replace(/_(.*?)_/g, '$1')
-        // Remove code blocks (```text```)
-        .replace(/```[\s\S]*?```/g, (match) => {
-            return match.replace(/```\w*\n?/g, '').replace(/```/g, '');
-        })
-        // Remove inline code (`text`)
-        .replace(/`([^`]+)`/g, '$1')
-        // Remove headers (# ## ### etc.)
-        .replace(/^#+\s*/gm, '')
-        // Remove bullet points and list markers
-        .replace(/^\s*[-*+]\s+/gm, '• ')
-        .replace(/^\s*\d+\.\s+/gm, (match, offset, string) => {
-            const num = match.match(/\d+/)[0];
-            return `${num}. `;
-        })
-        // Clean up extra whitespace
-        .replace(/\n{3,}/g, '\n\n')
-        .trim();
-}
+import { loadConfig } from "./lib/client.js";
+import { createProvider } from "./lib/provider.js";
+import { describeError } from "./lib/errors.js";
+import { createPrompt } from "./lib/prompt.js";
+import { scenarios, reasoningDefaults, cleanMarkdownFormatting, solveScenario } from "./lib/samples/reasoning.js";
+import { isMainModule } from "./lib/main.js";
 
 /**
  * Display the menu of available reasoning scenarios to the user
@@ -109,44 +45,73 @@ function showMenu() {
     console.log("Enter the number of your choice:");
 }
 
-export async function main() {
-    // Set up readline interface for user input
-    const rl = readline.createInterface({
-        input: process.stdin,
-        output: process.stdout
-    });
+/**
+ * Send one scenario to the reasoning model and print its answer
+ *
+ * @param {Object} config - A configuration from loadConfig()
+ * @param {number} idx - Index of the scenario in the scenarios array
+ * @param {boolean} json - Print the answer as JSON instead of cleaned-up text
+ */
+async function runScenario(config, idx, json) {
+    // Initialize the model provider with reasoning model
+    const provider = createProvider(config);
+    // Send the selected scenario to the reasoning model
+    const answer = await solveScenario(provider, idx);
+
+    if (json) {
+        console.log(JSON.stringify(answer, null, 2));
+        return;
+    }
+
+    // Display the AI's reasoning and solution
+    console.log("\nAI Response:");
+    console.log(cleanMarkdownFormatting(answer.content));
+}
+
+/**
+ * Run a reasoning scenario, asking the user to pick one unless it is given
+ *
+ * @param {Object} [options]
+ * @param {number|string} [options.scenario] - Scenario number (1-based); skips the menu
+ * @param {boolean} [options.json] - Print the answer as JSON
+ */
+export async function main({ scenario, json = false } = {}) {
+    // Resolve the configuration up front so a missing token fails before the menu is shown
+    const config = loadConfig(reasoningDefaults);
+
+    if (scenario !== undefined) {
+        const idx = parseInt(scenario, 10) - 1;
+        if (!(idx >= 0 && idx < scenarios.length)) {
+            console.log(`Invalid choice. Pick a scenario from 1 to ${scenarios.length}.`);
+            return;
+        }
+        return runScenario(config, idx, json);
+    }
+
+    // Set up a prompt for user input; it is only needed for the menu
+    const prompt = createPrompt();
 
     // Display available reasoning scenarios
     showMenu();
 
     // Handle user selection and process the chosen scenario
-    rl.question("> ", async (answer) => {
-        const idx = parseInt(answer.trim(), 10) - 1;
+    try {
+        const idx = parseInt(await prompt.ask("> "), 10) - 1;
         // Validate user input
-        if (idx < 0 || idx >= scenarios.length) {
+        if (!(idx >= 0 && idx < scenarios.length)) {
             console.log("Invalid choice.");
-            rl.close();
             return;
         }
+        await runScenario(config, idx, json);
+    } finally {
+        prompt.close();
+    }
+}
 
-        // Initialize OpenAI client with reasoning model
-        const client = new OpenAI({ baseURL: endpoint, apiKey: token });
-        // Send the selected scenario to the reasoning model
-        const response = await client.chat.completions.create({
-            messages: [
-                { role: "user", content: scenarios[idx].prompt }
-            ],
-            model: modelName
-        });
-
-        // Display the AI's reasoning and solution
-        console.log("\nAI Response:");
-        console.log(cleanMarkdownFormatting(response.choices[0].message.content));
-        rl.close();
+// Execute the main function if this file is run directly
+if (isMainModule(import.meta.url)) {
+    main().catch((err) => {
+        console.error("The sample encountered an error:", describeError(err));
+        process.exit(1);
     });
 }
-
-// Execute the main function with error handling
-main().catch((err) => {
-    console.error("The sample encountered an error:", err);
-});
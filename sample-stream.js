@@ -20,43 +20,43 @@
  * immediately rather than waiting for the entire response to be completed.
  */
 
-import OpenAI from "openai";
-import dotenv from "dotenv";
+import { loadConfig } from "./lib/client.js";
+import { createProvider } from "./lib/provider.js";
+import { describeError } from "./lib/errors.js";
+import { streamReply } from "./lib/samples/stream.js";
+import { isMainModule } from "./lib/main.js";
 
-// Load environment variables for secure API token management
-dotenv.config();
-const token = process.env["GITHUB_TOKEN"];
-const endpoint = "https://models.github.ai/inference";
-const modelName = "openai/gpt-4o";
-
-export async function main() {
-  // Initialize OpenAI client with GitHub's AI endpoint
-  const client = new OpenAI({ baseURL: endpoint, apiKey: token });
+/**
+ * Stream the model's answer to a prompt and report token usage
+ *
+ * @param {Object} [options]
+ * @param {string} [options.prompt] - The prompt to send
+ * @param {string} [options.system] - System prompt defining the assistant's role
+ * @param {boolean} [options.json] - Print the full reply and usage as JSON once the stream ends
+ */
+export async function main({
+  prompt = "Give me 5 good reasons why I should exercise every day.",
+  system = "You are a helpful assistant.",
+  json = false
+} = {}) {
+  // Load the shared endpoint/model/token configuration
+  const config = loadConfig({ model: "openai/gpt-4o" });
+  // Initialize the model provider with GitHub's AI endpoint
+  const provider = createProvider(config);
 
-  // Create a streaming chat completion request
-  const stream = await client.chat.completions.create({
-    messages: [
-        // System message defines AI behavior
-        { role: "system", content: "You are a helpful assistant." },
-        // User prompt requesting a comprehensive response (good for demonstrating streaming)
-        { role: "user", content: "Give me 5 good reasons why I should exercise every day." },
-      ],
-      model: modelName,
-      stream: true, // Enable streaming mode
-      stream_options: {include_usage: true} // Include token usage information
-    });
+  // Stream the reply; the prompt asks for a long answer, good for demonstrating streaming
+  const { content, usage } = await streamReply(provider, {
+    prompt,
+    system,
+    // Output each piece of content as it arrives (real-time display)
+    onText: json ? undefined : (delta) => process.stdout.write(delta)
+  });
 
-    // Variable to store final usage statistics
-    var usage = null;
-    // Iterate through the stream of response chunks
-    for await (const part of stream) {
-      // Output each piece of content as it arrives (real-time display)
-      process.stdout.write(part.choices[0]?.delta?.content || '');
-      // Capture usage statistics when available
-	  if (part.usage){
-		usage = part.usage;
-      }
+    if (json) {
+      console.log(JSON.stringify({ content, usage }, null, 2));
+      return;
     }
+
     // Add final newline after streaming is complete
     process.stdout.write('\n');
     
@@ -68,7 +68,10 @@ export async function main() {
     }
 }
 
-// Execute main function with error handling
-main().catch((err) => {
-  console.error("The sample encountered an error:", err);
-});
\ No newline at end of file
+// Execute the main function if this file is run directly
+if (isMainModule(import.meta.url)) {
+  main().catch((err) => {
+    console.error("The sample encountered an error:", describeError(err));
+    process.exit(1);
+  });
+}
\ No newline at end of file
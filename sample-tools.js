@@ -4,16 +4,23 @@
  * This file demonstrates the advanced function calling capabilities of GPT-4o, allowing the AI
  * to interact with external functions and tools to provide more accurate and dynamic responses.
  * The application:
- * 1. Defines a mock flight information function that returns flight details
- * 2. Registers this function as a "tool" that the AI can call
+ * 1. Loads a local flight dataset (fixtures/flights.json: several airlines, a week of
+ *    dates, direct flights and connections) into a flight desk
+ * 2. Registers the desk's functions as "tools" the AI can call - flight lookup, date range
+ *    search, cheapest fare, layover routing and booking holds - optionally next to built-in
+ *    local tools (read-only files, calculator, date/time, JSON queries) and the tools of
+ *    MCP servers started over stdio (see lib/mcp.js)
  * 3. Sends a user query that requires flight information
- * 4. Handles the AI's request to call the function
- * 5. Provides the function result back to the AI for final response formatting
+ * 4. Runs every function the AI asks for (several at once when it asks for several)
+ * 5. Provides the function results back to the AI, repeating until it gives a final answer
  * 
  * Key concepts demonstrated:
  * - Function/tool definition with JSON schema
  * - Tool registration and parameter specification
- * - Multi-step conversation flow with function calls
+ * - Multi-step conversation flow with function calls (an agent loop, see lib/agent.js)
+ * - Reporting bad arguments and function errors back to the AI instead of crashing
+ * - Tools that change state (a booking hold takes seats until it is released), which only
+ *   run after the user approves, denies or edits the call; every decision is audited
  * - Dynamic function execution based on AI requests
  * - Result integration and response formatting
  * 
@@ -22,138 +29,108 @@
  * or specific computations.
  */
 
-import OpenAI from "openai";
-import dotenv from "dotenv";
-
-// Load environment variables for API authentication
-dotenv.config();
-const token = process.env["GITHUB_TOKEN"];
-const endpoint = "https://models.github.ai/inference";
-const modelName = "openai/gpt-4o";
+import { loadConfig } from "./lib/client.js";
+import { createProvider } from "./lib/provider.js";
+import { describeError } from "./lib/errors.js";
+import { createPrompt } from "./lib/prompt.js";
+import { createAuditLog } from "./lib/audit.js";
+import { registerBuiltinTools } from "./lib/tools.js";
+import { connectMcpServers, loadMcpConfig, registerMcpTools } from "./lib/mcp.js";
+import { askWithTools, confirmWithPrompt, createFlightTools } from "./lib/samples/tools.js";
+import { createFlightDesk, loadFlightData } from "./lib/samples/flights.js";
+import { isMainModule } from "./lib/main.js";
 
 /**
- * Mock function to simulate flight information lookup
- * In a real application, this would connect to actual flight APIs
- * 
- * @param {Object} params - Flight search parameters
- * @param {string} params.originCity - Departure city
- * @param {string} params.destinationCity - Arrival city
- * @returns {string} JSON string with flight information or error
+ * Answer a travel question, letting the model call the flight desk tools
+ *
+ * @param {Object} [options]
+ * @param {string} [options.prompt] - The user's question
+ * @param {string} [options.system] - System prompt defining the assistant's role
+ * @param {Array<string>} [options.allow] - Built-in local tools to offer as well, e.g. ["files", "calculator"]
+ * @param {string} [options.root] - Directory the built-in file tools may read (default: the working directory)
+ * @param {string} [options.mcp] - MCP config file whose servers' tools are offered too, e.g. "fixtures/mcp.json"
+ * @param {number} [options.maxIterations] - Most requests to send before giving up
+ * @param {boolean} [options.json] - Print the final answer and the conversation as JSON
  */
-function getFlightInfo({originCity, destinationCity}){
-  // Mock data for demonstration - would be real API call in production
-  if (originCity === "Seattle" && destinationCity === "Miami"){
-    return JSON.stringify({
-      airline: "Delta",
-      flight_number: "DL123",
-      flight_date: "July 16th, 2025",
-      flight_time: "10:00AM"
-    });
-  }
-  return JSON.stringify({error: "No flights found between the cities"});
-}
+export async function main({
+  prompt = "I'm interested in going to Miami. What is the next flight there from Seattle?",
+  allow = [],
+  system,
+  root,
+  mcp,
+  maxIterations,
+  json = false
+} = {}) {
 
-/**
- * Function registry mapping function names to their implementations
- * This allows dynamic function calling based on AI requests
- */
-const namesToFunctions = {
-  getFlightInfo: (data) =>
-  getFlightInfo(data),
-};
+  // The flight desk works on an in-memory copy of the dataset, so holds last for this run only
+  const desk = createFlightDesk(loadFlightData());
+  system ??= (allow.length > 0 || mcp
+    ? "You are an assistant that helps users with flights and anything else the tools cover. Use the tools for anything you cannot know or compute reliably yourself."
+    : "You are a travel assistant that helps users find, compare and hold flights. Use the tools for schedules, fares and seats; never make them up.") +
+    ` Today is ${desk.today}.`;
 
-export async function main() {
+  // Initialize the model provider from the shared endpoint/model/token configuration
+  const config = loadConfig({ model: "openai/gpt-4o" });
+  const provider = createProvider(config);
   
-  // Define the tool/function schema that the AI can use
-  const tool = {
-    "type": "function",
-    "function": {
-      name: "getFlightInfo",
-      // Description helps the AI understand when and how to use this function
-      description: "Returns information about the next flight between two cities." +
-               "This includes the name of the airline, flight number and the date and time" +
-               "of the next flight",
-      // JSON schema defining the required parameters
-      parameters: {
-        "type": "object",
-        "properties": {
-          "originCity": {
-            "type": "string",
-            "description": "The name of the city where the flight originates",
-          },
-          "destinationCity": {
-            "type": "string", 
-            "description": "The flight destination city",
-          },
-        },
-        "required": [
-          "originCity",
-          "destinationCity"
-        ],
-      }
-    }
+  // The flight desk tools, plus any built-in local tools that were allowed (see lib/tools/)
+  const tools = registerBuiltinTools(createFlightTools({ desk }), { allow, root });
+
+  // Calls that change something are shown to the user first; the prompt opens on the first such call.
+  // Decisions are appended to <data dir>/audit.jsonl
+  const out = json ? console.error : console.log;
+  let linePrompt;
+  let confirm;
+  const confirmLazily = (request) => {
+    linePrompt ??= createPrompt({ output: json ? process.stderr : process.stdout });
+    confirm ??= confirmWithPrompt(linePrompt, { write: out });
+    return confirm(request);
   };
-  
-  // Initialize OpenAI client
-  const client = new OpenAI({ baseURL: endpoint, apiKey: token });
-  
-  // Initialize conversation with system message and user query
-  let messages=[
-      {role: "system", content: "You an assistant that helps users find flight information."},
-      {role: "user", content: "I'm interested in going to Miami. What is the next flight there from Seattle?"},
-  ];
-  
-  // Send initial request with tool availability
-  let response = await client.chat.completions.create({
-    messages: messages,
-    tools: [tool], // Make the flight info function available to the AI
-    model: modelName
-  });
-  
-  // Check if the AI wants to call our function
-  if (response.choices[0].finish_reason === "tool_calls"){
-  
-    // Add the AI's response (including tool call request) to conversation history
-    messages.push(response.choices[0].message);
+  const audit = createAuditLog(config.dataDir);
 
-    // Process the tool call (expecting one function call)
-    if (response.choices[0].message && response.choices[0].message.tool_calls.length === 1){
+  // Start the MCP servers, if any, and add their tools; calls are routed back to the server that offers each tool
+  const servers = mcp ? await connectMcpServers(loadMcpConfig(mcp)) : null;
+  let result;
+  try {
+    if (servers) {
+      await registerMcpTools(tools, servers.clients);
+      for (const client of servers.clients) {
+        out(`🔌 Connected to MCP server '${client.name}'${client.serverInfo ? ` (${client.serverInfo.name} ${client.serverInfo.version})` : ""}`);
+      }
+    }
 
-      const toolCall = response.choices[0].message.tool_calls[0];
-      // Verify it's a function call as expected
-      if (toolCall.type === "function"){
-        const toolCall = response.choices[0].message.tool_calls[0];
-        // Extract function arguments and execute the function
-        const functionArgs = JSON.parse(toolCall.function.arguments);
-        console.log(`Calling function \`${toolCall.function.name}\` with arguments ${toolCall.function.arguments}`);
-        const callableFunc = namesToFunctions[toolCall.function.name];
-        const functionReturn = callableFunc(functionArgs);
-        console.log(`Function returned = ${functionReturn}`);
-      
-        // Add the function result to the conversation
-        messages.push(
-          {
-             "tool_call_id": toolCall.id,
-             "role": "tool",
-             "name": toolCall.function.name,
-             "content": functionReturn,
-          }
-        )
+    // Ask the question; the model may call the tools (as often as it needs) before answering
+    result = await askWithTools(provider, {
+      prompt,
+      system,
+      tools,
+      maxIterations,
+      confirm: confirmLazily,
+      audit,
+      log: json ? undefined : (line) => console.log(line)
+    });
+  } finally {
+    linePrompt?.close();
+    await servers?.close();
+  }
+  const { content, messages, iterations, usage } = result;
 
-        // Send the complete conversation (with function result) back to AI for final response
-        response = await client.chat.completions.create({
-          messages: messages,
-          tools: [tool],
-          model: modelName
-        });
-      // Display the AI's final response that incorporates the function result
-      console.log(`Model response = ${response.choices[0].message.content}`);
-      }
+  // Display the AI's final response (incorporating the function result when one was called)
+  if (json) {
+    console.log(JSON.stringify({ content, messages, iterations, usage, holds: desk.holds() }, null, 2));
+  } else {
+    console.log(`Model response = ${content}`);
+    for (const hold of desk.holds()) {
+      console.log(`🎫 Hold ${hold.holdId} (${hold.status}): ${hold.flightIds.join(" → ")} for ${hold.passengerName}, ` +
+        `${hold.passengers} ${hold.cabin}, $${hold.totalFare}, until ${hold.expiresAt}`);
     }
   }
 }
 
-// Execute main function with error handling
-main().catch((err) => {
-  console.error("The sample encountered an error:", err);
-});
\ No newline at end of file
+// Execute the main function if this file is run directly
+if (isMainModule(import.meta.url)) {
+  main().catch((err) => {
+    console.error("The sample encountered an error:", describeError(err));
+    process.exit(1);
+  });
+}
\ No newline at end of file
@@ -0,0 +1,18 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { describeError, LocalError, ModelError, toModelError } from "../lib/errors.js";
+import { ConfigError } from "../lib/client.js";
+import { ReviewError } from "../lib/review/errors.js";
+
+test("local errors pass through toModelError() and are described by their message", () => {
+  for (const error of [new ConfigError("GITHUB_TOKEN is not set."), new ReviewError("No such file."), new LocalError("Broken.")]) {
+    assert.equal(toModelError(error, "openai"), error);
+    assert.equal(describeError(error), error.message);
+  }
+});
+
+test("other errors become ModelErrors", () => {
+  const error = toModelError(Object.assign(new Error("Too many requests"), { status: 429 }), "openai");
+  assert.ok(error instanceof ModelError);
+  assert.equal(error.status, 429);
+});
@@ -0,0 +1,17 @@
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after } from "node:test";
+
+// Call a registered tool the way a model response would and parse its JSON result
+export async function callTool(registry, name, args) {
+  const message = await registry.call({ id: "call_1", type: "function", function: { name, arguments: JSON.stringify(args) } });
+  return JSON.parse(message.content);
+}
+
+// A temporary directory, removed when the test file finishes
+export function temporaryDirectory() {
+  const directory = mkdtempSync(join(tmpdir(), "ghm-test-"));
+  after(() => rmSync(directory, { recursive: true, force: true }));
+  return directory;
+}
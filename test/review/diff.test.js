@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { addedLines, parseUnifiedDiff, placeInHunks } from "../../lib/review/diff.js";
+
+const ORDERS_DIFF = readFileSync(new URL("../../fixtures/review/orders.diff", import.meta.url), "utf-8");
+
+test("parses a git diff into files, hunks and numbered lines", () => {
+  const [file, ...rest] = parseUnifiedDiff(ORDERS_DIFF);
+  assert.equal(rest.length, 0);
+  assert.equal(file.path, "fixtures/review/orders.js");
+  assert.equal(file.status, "modified");
+  assert.deepEqual(file.hunks.map(({ oldStart, oldLines, newStart, newLines, heading }) => [oldStart, oldLines, newStart, newLines, heading]), [
+    [5, 8, 5, 7, "const db = require(\"./db\");"],
+    [32, 4, 31, 14, "function formatOrder(order) {"]
+  ]);
+  assert.deepEqual(file.hunks[0].lines[3], { type: "-", text: "  const query = \"SELECT * FROM orders WHERE customer_id = '\" + customerId + \"' AND status = '\" + status + \"'\";", oldLine: 8, newLine: null });
+  assert.deepEqual(file.hunks[0].lines[5], { type: "+", text: "  return db.query(\"SELECT * FROM orders WHERE customer_id = $1 AND status = $2\", [customerId, status]);", oldLine: null, newLine: 8 });
+  assert.deepEqual([...addedLines(file)], [8, ...Array.from({ length: 11 }, (_, index) => 34 + index)]);
+});
+
+test("numbers the lines of hunks with an empty side from 1", () => {
+  const [added, shortened] = parseUnifiedDiff([
+    "--- /dev/null",
+    "+++ b/new.js",
+    "@@ -0,0 +1,2 @@",
+    "+one",
+    "+two",
+    "--- a/old.js",
+    "+++ b/old.js",
+    "@@ -3,2 +2,0 @@",
+    "-three",
+    "-four",
+    ""
+  ].join("\n"));
+  assert.equal(added.status, "added");
+  assert.deepEqual(added.hunks[0].lines.map((line) => [line.oldLine, line.newLine]), [[null, 1], [null, 2]]);
+  assert.equal(added.hunks[0].oldStart, 1);
+  assert.equal(shortened.path, "old.js");
+  assert.deepEqual(shortened.hunks[0].lines.map((line) => [line.oldLine, line.newLine]), [[3, null], [4, null]]);
+  assert.equal(shortened.hunks[0].newStart, 3);
+  assert.equal(addedLines(shortened).size, 0);
+});
+
+test("reads renames and quoted paths", () => {
+  const files = parseUnifiedDiff([
+    "diff --git a/src/old name.js b/src/new name.js",
+    "similarity index 100%",
+    "rename from src/old name.js",
+    "rename to src/new name.js",
+    "diff --git \"a/caf\\303\\251.js\" \"b/cr\\303\\250me.js\"",
+    "similarity index 50%",
+    "rename from \"caf\\303\\251.js\"",
+    "rename to \"cr\\303\\250me.js\"",
+    "--- \"a/caf\\303\\251.js\"",
+    "+++ \"b/cr\\303\\250me.js\"",
+    "@@ -1 +1 @@",
+    "-a",
+    "+b",
+    "diff --git \"a/tab\\tname.js\" \"b/tab\\tname.js\"",
+    "Binary files \"a/tab\\tname.js\" and \"b/tab\\tname.js\" differ",
+    ""
+  ].join("\n"));
+  assert.deepEqual(files.map(({ path, oldPath, status, binary }) => ({ path, oldPath, status, binary })), [
+    { path: "src/new name.js", oldPath: "src/old name.js", status: "renamed", binary: false },
+    { path: "crème.js", oldPath: "café.js", status: "renamed", binary: false },
+    { path: "tab\tname.js", oldPath: "tab\tname.js", status: "modified", binary: true }
+  ]);
+});
+
+test("a hunk cut short is an error", () => {
+  const truncated = ORDERS_DIFF.split("\n").slice(0, 12).join("\n");
+  assert.throws(() => parseUnifiedDiff(truncated), { name: "ReviewError", message: /ends in the middle of a hunk/ });
+  assert.throws(() => parseUnifiedDiff("--- a/x.js\n+++ b/x.js\n@@ -1,2 +1,2 @@\n-a\nnot a diff line\n"), { name: "ReviewError" });
+});
+
+test("places a range on the hunk it overlaps most", () => {
+  const [file] = parseUnifiedDiff(ORDERS_DIFF);
+  assert.deepEqual(placeInHunks(file, 1, 6), { startLine: 5, endLine: 6 });
+  assert.deepEqual(placeInHunks(file, 40, 60), { startLine: 40, endLine: 44 });
+  assert.deepEqual(placeInHunks(file, 9, 35), { startLine: 31, endLine: 35 });
+  assert.equal(placeInHunks(file, 20, 25), null);
+});
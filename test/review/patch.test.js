@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import { readFileSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { parseUnifiedDiff } from "../../lib/review/diff.js";
+import { applyPatch, createPatch, formatPatch, writePatchedFile } from "../../lib/review/patch.js";
+import { temporaryDirectory } from "../helpers.js";
+
+const lines = Array.from({ length: 20 }, (_, index) => `line ${index + 1}`);
+const original = `${lines.join("\n")}\n`;
+const revised = `${lines.map((line) => (line === "line 2" ? "second line" : line)).filter((line) => line !== "line 18").join("\n")}\nline 21\n`;
+
+test("a patch turns the original into the revision, also after a trip through its text", () => {
+  const patch = createPatch(original, revised, { file: "src/lines.txt" });
+  assert.equal(patch.hunks.length, 2);
+  assert.equal(applyPatch(original, patch), revised);
+
+  const text = formatPatch(patch);
+  assert.match(text, /^--- a\/src\/lines.txt\n\+\+\+ b\/src\/lines.txt\n@@ -1,5 \+1,5 @@\n/);
+  const [parsed] = parseUnifiedDiff(text);
+  assert.equal(applyPatch(original, parsed), revised);
+});
+
+test("identical versions give an empty patch", () => {
+  const patch = createPatch(original, original);
+  assert.deepEqual(patch.hunks, []);
+  assert.equal(formatPatch(patch), "");
+});
+
+test("adding or removing the final newline is a change git can apply", () => {
+  const directory = temporaryDirectory();
+  execFileSync("git", ["init", "-q"], { cwd: directory });
+  for (const [before, after] of [[original, original.slice(0, -1)], [original.slice(0, -1), original], ["a\nb", "a\nc"]]) {
+    const patch = createPatch(before, after, { file: "lines.txt" });
+    assert.equal(patch.hunks.length, 1);
+    const text = formatPatch(patch);
+    assert.match(text, /^\\ No newline at end of file$/m);
+    assert.equal(applyPatch(before, patch), after);
+    assert.equal(applyPatch(before, parseUnifiedDiff(text)[0]), after);
+
+    writeFileSync(join(directory, "lines.txt"), before);
+    writeFileSync(join(directory, "change.diff"), text);
+    execFileSync("git", ["apply", "change.diff"], { cwd: directory });
+    assert.equal(readFileSync(join(directory, "lines.txt"), "utf-8"), after);
+  }
+});
+
+test("applies a subset of the hunks", () => {
+  const patch = createPatch(original, revised);
+  const first = applyPatch(original, patch, [patch.hunks[0]]);
+  assert.equal(first, original.replace("line 2\n", "second line\n"));
+  const second = applyPatch(original, patch, [patch.hunks[1]]);
+  assert.equal(second, original.replace("line 18\n", "").replace("line 20\n", "line 20\nline 21\n"));
+});
+
+test("refuses a hunk that does not match the original", () => {
+  const patch = createPatch(original, revised);
+  assert.throws(() => applyPatch(original.replace("line 3", "line three"), patch), {
+    name: "ReviewError",
+    message: /does not apply .*line 3 differs/
+  });
+});
+
+test("writes a patched file and rolls it back when the verification fails", () => {
+  const directory = temporaryDirectory();
+  const file = join(directory, "lines.txt");
+  writeFileSync(file, original);
+
+  const failed = writePatchedFile(file, { original, patched: revised, verify: "node -e \"console.log('2 failing'); process.exit(3)\"", cwd: directory });
+  assert.equal(failed.rolledBack, true);
+  assert.deepEqual({ ...failed.verification, output: failed.verification.output.trim() }, {
+    command: "node -e \"console.log('2 failing'); process.exit(3)\"",
+    passed: false,
+    exitCode: 3,
+    timedOut: false,
+    output: "2 failing"
+  });
+  assert.equal(readFileSync(file, "utf-8"), original);
+
+  const passed = writePatchedFile(file, { original, patched: revised, verify: "node -e \"\"", cwd: directory });
+  assert.equal(passed.rolledBack, false);
+  assert.equal(readFileSync(file, "utf-8"), revised);
+
+  assert.throws(() => writePatchedFile(file, { original, patched: revised }), { name: "ReviewError", message: /changed since it was reviewed/ });
+});
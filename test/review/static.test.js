@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { analyzeSource } from "../../lib/review/static.js";
+
+// The issues of some code as [kind, severity, line]
+const issuesOf = (code, language = "JavaScript") =>
+  analyzeSource(code, language).issues.map(({ kind, severity, startLine }) => [kind, severity, startLine]);
+
+test("finds code run from strings, unless the name is a local one", () => {
+  assert.deepEqual(issuesOf([
+    "export function run(code) {",
+    "  eval(code);",
+    "  setTimeout(\"tick()\", 10);",
+    "  return new Function(\"return 1\");",
+    "}",
+    "export function safe(Function) {",
+    "  return Function(\"a\");",
+    "}"
+  ].join("\n")), [
+    ["eval", "critical", 2],
+    ["eval", "high", 3],
+    ["eval", "critical", 4]
+  ]);
+});
+
+test("flags child_process shell commands built from variables", () => {
+  assert.deepEqual(issuesOf([
+    "import { exec, execFile } from \"node:child_process\";",
+    "const cp = require(\"child_process\");",
+    "export function list(dir) {",
+    "  exec(\"ls \" + dir);",
+    "  exec(\"ls\");",
+    "  cp.execSync(`du ${dir}`);",
+    "  return execFile(dir);",
+    "}"
+  ].join("\n")), [
+    ["process", "high", 4],
+    ["process", "low", 5],
+    ["process", "high", 6],
+    ["process", "low", 7]
+  ]);
+});
+
+test("finds hard-coded secrets by format and by name", () => {
+  const { issues } = analyzeSource([
+    `export const githubToken = "ghp_${"a1B2".repeat(9)}";`,
+    "export const apiKey = \"q8Zr2kLm4Np7Xw1V\";",
+    "export const password = \"PASSWORD_FROM_ENV\";",
+    "export const greeting = \"hello there, world\";"
+  ].join("\n"), "JavaScript");
+  assert.deepEqual(issues.map(({ kind, startLine }) => [kind, startLine]), [["secret", 1], ["secret", 2]]);
+  assert.equal(issues[0].message, "Hard-coded GitHub token (\"ghp_…\") in the code as githubToken.");
+  assert.match(issues[1].message, /^apiKey holds a hard-coded value/);
+});
+
+test("counts TypeScript imports used only in types as used", () => {
+  assert.deepEqual(analyzeSource([
+    "import type { Order } from \"./types\";",
+    "import { Rule, unusedThing } from \"./rules\";",
+    "export function total(order: Order, rule: Rule): number {",
+    "  return order.total;",
+    "}"
+  ].join("\n"), "TypeScript").issues.map((issue) => issue.message), ["'unusedThing' is imported but never used."]);
+});
+
+test("does not report the names of function and class expressions", () => {
+  assert.deepEqual(issuesOf([
+    "const f = function g() {};",
+    "const C = class D {};",
+    "const unused = 1;",
+    "export { f, C };"
+  ].join("\n")), [["unused", "low", 3]]);
+});
+
+test("analyzes only JavaScript and TypeScript", () => {
+  assert.equal(analyzeSource("print('hi')", "Python"), null);
+});
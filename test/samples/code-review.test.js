@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { reviewCode } from "../../lib/samples/code-review.js";
+
+// A provider that answers every request with the same review and keeps the prompts it was sent
+function fakeProvider(review) {
+  const prompts = [];
+  return {
+    prompts,
+    config: { model: "openai/gpt-4o-mini" },
+    async chat(request) {
+      prompts.push(request.messages.at(-1).content);
+      return { choices: [{ message: { content: JSON.stringify(review) } }] };
+    }
+  };
+}
+
+const finding = (startLine) => ({
+  category: "maintainability",
+  severity: "low",
+  startLine,
+  endLine: startLine,
+  message: `Something on line ${startLine}`,
+  fix: "Change it"
+});
+
+test("a final newline does not add a line to the reviewed code", async () => {
+  const provider = fakeProvider({
+    summary: "Fine.",
+    scores: { security: 8, performance: 8, maintainability: 8, bestPractices: 8 },
+    findings: [finding(2), finding(3)]
+  });
+  const review = await reviewCode(provider, "const a = 1;\nexport default a;\n", "JavaScript", "a.js", { facts: null });
+
+  assert.match(provider.prompts[0], /2 \| export default a;\n```/);
+  assert.doesNotMatch(provider.prompts[0], /3 \|/);
+  assert.deepEqual(review.findings.map((placed) => placed.startLine), [2]);
+  assert.equal(review.discarded, 1);
+});
@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createFlightDesk, loadFlightData } from "../../lib/samples/flights.js";
+
+const FLIGHT = "B623-2025-07-15";
+
+// A desk whose clock can be moved forward
+function deskWithClock() {
+  let time = Date.UTC(2025, 6, 15, 12, 0, 0);
+  const desk = createFlightDesk(loadFlightData(), { holdMinutes: 30, now: () => new Date(time) });
+  return { desk, advance: (minutes) => { time += minutes * 60000; } };
+}
+
+const seatsLeft = (desk) =>
+  desk.searchFlights({ originCity: "JFK", destinationCity: "LAX", cabin: "business" }).flights
+    .find((flight) => flight.id === FLIGHT).seatsLeft;
+
+test("a hold takes seats until it is released", () => {
+  const { desk } = deskWithClock();
+  const before = seatsLeft(desk);
+  const hold = desk.holdBooking({ flightIds: [FLIGHT], passengerName: "Jane Doe", cabin: "business", passengers: 2 });
+  assert.equal(seatsLeft(desk), before - 2);
+  desk.releaseHold({ holdId: hold.holdId });
+  assert.equal(seatsLeft(desk), before);
+});
+
+test("an expired hold gives its seats back and can no longer be released", () => {
+  const { desk, advance } = deskWithClock();
+  const before = seatsLeft(desk);
+  const hold = desk.holdBooking({ flightIds: [FLIGHT], passengerName: "Jane Doe", cabin: "business", passengers: before });
+  assert.throws(() => desk.holdBooking({ flightIds: [FLIGHT], passengerName: "John Roe", cabin: "business" }), /0 business seats left/);
+
+  advance(30);
+  assert.equal(seatsLeft(desk), before);
+  assert.equal(desk.holds()[0].status, "expired");
+  assert.throws(() => desk.releaseHold({ holdId: hold.holdId }), /expired/);
+  assert.equal(desk.holdBooking({ flightIds: [FLIGHT], passengerName: "John Roe", cabin: "business" }).status, "held");
+});
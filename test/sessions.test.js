@@ -0,0 +1,26 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { createSessionStore } from "../lib/sessions.js";
+import { temporaryDirectory } from "./helpers.js";
+
+test("lists readable sessions first and marks the files it cannot read", () => {
+  const store = createSessionStore(temporaryDirectory());
+  const session = store.save(store.create({ model: "openai/gpt-4o", messages: [{ role: "user", content: "Plan a trip" }] }));
+  writeFileSync(join(store.directory, "20261019-broken.json"), "{\"id\": \"20261019-bro");
+  writeFileSync(join(store.directory, "20261019-empty.json"), "null");
+
+  const [first, ...unreadable] = store.list();
+  assert.deepEqual(first, {
+    id: session.id,
+    title: "Plan a trip",
+    model: "openai/gpt-4o",
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt,
+    messageCount: 1
+  });
+  assert.deepEqual(unreadable.map((entry) => entry.id).sort(), ["20261019-broken", "20261019-empty"]);
+  assert.match(unreadable.find((entry) => entry.id === "20261019-empty").error, /could not be read: it is not a saved session/);
+  assert.throws(() => store.load("20261019-bro"), { name: "SessionError", message: /could not be read/ });
+});
@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createToolRegistry } from "../../lib/tools.js";
+import { evaluateExpression, registerCalculatorTool } from "../../lib/tools/calculator.js";
+
+test("evaluates arithmetic with the usual precedence", () => {
+  assert.equal(evaluateExpression("2 + 3 * 4"), 14);
+  assert.equal(evaluateExpression("(2 + 3) * 4"), 20);
+  assert.equal(evaluateExpression("2 * (3 + 4) ^ 2 / sqrt(16)"), 24.5);
+  assert.equal(evaluateExpression("10 % 4"), 2);
+});
+
+test("reads -2^2 as -(2^2) and powers from the right", () => {
+  assert.equal(evaluateExpression("-2^2"), -4);
+  assert.equal(evaluateExpression("2^3^2"), 512);
+  assert.equal(evaluateExpression("2 ** -1"), 0.5);
+});
+
+test("knows pi, e and hides floating point noise", () => {
+  assert.equal(evaluateExpression("0.1 + 0.2"), 0.3);
+  assert.equal(evaluateExpression("round(pi, 2)"), 3.14);
+  assert.equal(evaluateExpression("ln(e)"), 1);
+});
+
+test("keeps large integers exact", () => {
+  assert.equal(evaluateExpression("123456789012345 + 1"), 123456789012346);
+  assert.equal(evaluateExpression("2^50"), 1125899906842624);
+  assert.equal(evaluateExpression("1,000,000,000 * 1,000,000"), 1e15);
+});
+
+test("reads thousands separators outside parentheses", () => {
+  assert.equal(evaluateExpression("1,234,567 * 2"), 2469134);
+  assert.equal(evaluateExpression("1,234.5 + 1"), 1235.5);
+});
+
+test("keeps commas between function arguments", () => {
+  assert.equal(evaluateExpression("max(1,234)"), 234);
+  assert.equal(evaluateExpression("min(3,500)"), 3);
+  assert.equal(evaluateExpression("pow(2,10)"), 1024);
+  assert.equal(evaluateExpression("pow(2,100)"), Number((2 ** 100).toPrecision(15)));
+  assert.equal(evaluateExpression("max(1, 2,345)"), 345);
+  assert.equal(evaluateExpression("1,000 + max(2,500)"), 1500);
+});
+
+test("rejects anything but arithmetic", () => {
+  assert.throws(() => evaluateExpression("require(1)"), /Unknown function or constant 'require'/);
+  assert.throws(() => evaluateExpression("process.exit(1)"), /Unexpected character '.'/);
+  assert.throws(() => evaluateExpression("2 + ;"), /Unexpected character ';'/);
+  assert.throws(() => evaluateExpression("1 / 0"), /Division by zero/);
+  assert.throws(() => evaluateExpression("(1 + 2"), /Expected '\)'/);
+  assert.throws(() => evaluateExpression("9".repeat(501)), /limited to 500 characters/);
+});
+
+test("the tool allows only the functions it was given", async () => {
+  const registry = registerCalculatorTool(createToolRegistry(), { functions: ["sqrt"] });
+  const call = (expression) => registry.call({
+    id: "call_1",
+    type: "function",
+    function: { name: "calculate", arguments: JSON.stringify({ expression }) }
+  });
+  assert.deepEqual(JSON.parse((await call("sqrt(81) + 1")).content), { expression: "sqrt(81) + 1", result: 10 });
+  assert.match((await call("max(1, 2)")).content, /Unknown function or constant 'max'/);
+  assert.throws(() => registerCalculatorTool(createToolRegistry(), { functions: ["eval"] }), { name: "ConfigError" });
+});
@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdirSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { createToolRegistry } from "../../lib/tools.js";
+import { registerFileTools } from "../../lib/tools/files.js";
+import { createSandbox } from "../../lib/tools/sandbox.js";
+import { callTool, temporaryDirectory } from "../helpers.js";
+
+const root = temporaryDirectory();
+mkdirSync(join(root, "docs"));
+writeFileSync(join(root, "docs", "intro.md"), "# Intro\n");
+writeFileSync(join(root, "notes.txt"), "0123456789".repeat(10));
+writeFileSync(join(root, "logo.png"), "not text");
+writeFileSync(join(root, ".env"), "TOKEN=secret\n");
+
+const tools = (options) => registerFileTools(createToolRegistry(), { sandbox: createSandbox(root), ...options });
+
+test("readFile returns a text file's contents", async () => {
+  assert.deepEqual(await callTool(tools(), "readFile", { path: "docs/intro.md" }), {
+    path: "docs/intro.md",
+    bytes: 8,
+    truncated: false,
+    content: "# Intro\n"
+  });
+});
+
+test("readFile cuts a long file off at maxBytes", async () => {
+  const result = await callTool(tools({ maxBytes: 25 }), "readFile", { path: "notes.txt" });
+  assert.equal(result.bytes, 100);
+  assert.equal(result.truncated, true);
+  assert.equal(result.content, "0123456789012345678901234");
+  assert.equal((await callTool(tools({ maxBytes: 100 }), "readFile", { path: "notes.txt" })).truncated, false);
+});
+
+test("readFile refuses directories, other extensions and paths outside the sandbox", async () => {
+  const registry = tools();
+  assert.match((await callTool(registry, "readFile", { path: "docs" })).error, /is a directory/);
+  assert.match((await callTool(registry, "readFile", { path: "logo.png" })).error, /may not be read/);
+  assert.match((await callTool(registry, "readFile", { path: ".env" })).error, /hidden/);
+  assert.match((await callTool(registry, "readFile", { path: "../etc/passwd" })).error, /outside the readable directory/);
+});
+
+test("listDirectory shows what may be read and hides dot files", async () => {
+  assert.deepEqual(await callTool(tools(), "listDirectory", {}), {
+    path: ".",
+    entries: [
+      { name: "docs/", type: "directory" },
+      { name: "logo.png", type: "file", readable: false },
+      { name: "notes.txt", type: "file", readable: true }
+    ]
+  });
+  assert.match((await callTool(tools(), "listDirectory", { path: "notes.txt" })).error, /is a file/);
+});
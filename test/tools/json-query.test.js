@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { createToolRegistry } from "../../lib/tools.js";
+import { parseJsonPath, queryJsonPath, registerJsonQueryTool } from "../../lib/tools/json-query.js";
+import { createSandbox } from "../../lib/tools/sandbox.js";
+import { callTool, temporaryDirectory } from "../helpers.js";
+
+const store = {
+  store: {
+    books: [
+      { title: "Sayings", author: "Rees", price: 8.95 },
+      { title: "Sword", author: "Waugh", price: 12.99 },
+      { title: "Moby Dick", author: "Melville", price: 8.99, isbn: "0-553" },
+      { title: "Rings", author: "Tolkien", price: 22.99 }
+    ],
+    bicycle: { color: "red", price: 19.95 },
+    "odd key": true
+  }
+};
+
+test("selects members, indexes and slices", () => {
+  assert.deepEqual(queryJsonPath(store, "$.store.books[0].title"), ["Sayings"]);
+  assert.deepEqual(queryJsonPath(store, "$.store.books[-1].author"), ["Tolkien"]);
+  assert.deepEqual(queryJsonPath(store, "$.store.books[1:3].title"), ["Sword", "Moby Dick"]);
+  assert.deepEqual(queryJsonPath(store, "$.store['odd key']"), [true]);
+  assert.deepEqual(queryJsonPath(store, "$.store.missing"), []);
+});
+
+test("selects every element and every match at any depth", () => {
+  assert.deepEqual(queryJsonPath(store, "$.store.books[*].author"), ["Rees", "Waugh", "Melville", "Tolkien"]);
+  assert.deepEqual(queryJsonPath(store, "$..price"), [8.95, 12.99, 8.99, 22.99, 19.95]);
+});
+
+test("filters by comparing a member with a value", () => {
+  assert.deepEqual(queryJsonPath(store, "$.store.books[?(@.price < 10)].title"), ["Sayings", "Moby Dick"]);
+  assert.deepEqual(queryJsonPath(store, "$.store.books[?(@.author == 'Waugh')].price"), [12.99]);
+});
+
+test("rejects syntax outside the subset", () => {
+  assert.throws(() => parseJsonPath("$.store.books[?(@.price < 10 && @.price > 5)]"));
+  assert.throws(() => parseJsonPath("$.store.books[0"), /Unclosed '\['/);
+});
+
+test("queryJson reads only JSON files inside the sandbox", async () => {
+  const root = temporaryDirectory();
+  writeFileSync(join(root, "store.json"), JSON.stringify(store));
+  writeFileSync(join(root, "broken.json"), "{ not json");
+  writeFileSync(join(root, "notes.md"), "# Notes\n");
+  const registry = registerJsonQueryTool(createToolRegistry(), { sandbox: createSandbox(root) });
+
+  assert.deepEqual(await callTool(registry, "queryJson", { file: "store.json", path: "$.store.bicycle.color" }), {
+    file: "store.json",
+    path: "$.store.bicycle.color",
+    count: 1,
+    matches: ["red"]
+  });
+  assert.match((await callTool(registry, "queryJson", { file: "broken.json", path: "$" })).error, /does not contain valid JSON/);
+  assert.match((await callTool(registry, "queryJson", { file: "notes.md", path: "$" })).error, /not a JSON file/);
+  assert.match((await callTool(registry, "queryJson", { file: "../store.json", path: "$" })).error, /outside the readable directory/);
+});
@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdirSync, symlinkSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { createSandbox } from "../../lib/tools/sandbox.js";
+import { temporaryDirectory } from "../helpers.js";
+
+const base = temporaryDirectory();
+const root = join(base, "project");
+mkdirSync(join(root, "docs"), { recursive: true });
+mkdirSync(join(root, ".git"));
+writeFileSync(join(root, "docs", "intro.md"), "# Intro\n");
+writeFileSync(join(root, ".env"), "TOKEN=secret\n");
+writeFileSync(join(base, "outside.txt"), "outside\n");
+symlinkSync(join(base, "outside.txt"), join(root, "escape.txt"));
+symlinkSync(join(root, "docs", "intro.md"), join(root, "alias.md"));
+
+test("resolves paths inside the root", () => {
+  const sandbox = createSandbox(root);
+  assert.equal(sandbox.resolve("docs/intro.md"), join(sandbox.root, "docs", "intro.md"));
+  assert.equal(sandbox.relative(sandbox.resolve("docs/../docs/intro.md")), "docs/intro.md");
+  assert.equal(sandbox.relative(sandbox.resolve(".")), ".");
+  assert.equal(sandbox.relative(sandbox.resolve("alias.md")), "docs/intro.md");
+});
+
+test("refuses paths that lead outside the root", () => {
+  const sandbox = createSandbox(root);
+  assert.throws(() => sandbox.resolve("../outside.txt"), /outside the readable directory/);
+  assert.throws(() => sandbox.resolve(join(base, "outside.txt")), /outside the readable directory/);
+  assert.throws(() => sandbox.resolve("escape.txt"), /outside the readable directory/);
+  assert.throws(() => sandbox.resolve("missing.md"), /does not exist/);
+});
+
+test("hides dot files unless they are enabled", () => {
+  assert.throws(() => createSandbox(root).resolve(".env"), /hidden/);
+  assert.throws(() => createSandbox(root).resolve(".git"), /hidden/);
+  assert.equal(createSandbox(root).shows(".env"), false);
+  assert.equal(createSandbox(root, { hidden: true }).relative(createSandbox(root, { hidden: true }).resolve(".env")), ".env");
+});
+
+test("allows only the configured extensions", () => {
+  const sandbox = createSandbox(root, { extensions: [".md"] });
+  assert.equal(sandbox.allowsFile("docs/intro.md"), true);
+  assert.equal(sandbox.allowsFile("docs/INTRO.MD"), true);
+  assert.equal(sandbox.allowsFile("image.png"), false);
+});
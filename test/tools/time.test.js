@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createToolRegistry } from "../../lib/tools.js";
+import { registerTimeTools } from "../../lib/tools/time.js";
+import { callTool } from "../helpers.js";
+
+// 2025-07-16T17:00:00Z, a Wednesday
+const now = () => new Date(Date.UTC(2025, 6, 16, 17, 0, 0));
+
+test("getCurrentTime reads the clock in the zone asked for", async () => {
+  const registry = registerTimeTools(createToolRegistry(), { now, defaultTimeZone: "UTC" });
+  assert.deepEqual(await callTool(registry, "getCurrentTime", { timeZone: "Asia/Tokyo" }), {
+    timeZone: "Asia/Tokyo",
+    dateTime: "2025-07-17T02:00:00+09:00",
+    weekday: "Thursday"
+  });
+  assert.equal((await callTool(registry, "getCurrentTime", {})).dateTime, "2025-07-16T17:00:00+00:00");
+});
+
+test("convertTime takes daylight saving time into account", async () => {
+  const registry = registerTimeTools(createToolRegistry(), { now });
+  const summer = await callTool(registry, "convertTime", { dateTime: "2025-07-16T10:00", fromTimeZone: "America/Los_Angeles", toTimeZone: "Europe/Lisbon" });
+  assert.equal(summer.from.dateTime, "2025-07-16T10:00:00-07:00");
+  assert.equal(summer.to.dateTime, "2025-07-16T18:00:00+01:00");
+  const winter = await callTool(registry, "convertTime", { dateTime: "2025-01-16 10:00", fromTimeZone: "america/los_angeles", toTimeZone: "Europe/Lisbon" });
+  assert.equal(winter.to.dateTime, "2025-01-16T18:00:00+00:00");
+});
+
+test("convertTime accepts times with their own offset", async () => {
+  const registry = registerTimeTools(createToolRegistry(), { now });
+  const result = await callTool(registry, "convertTime", { dateTime: "2025-07-16T10:00:00Z", fromTimeZone: "UTC", toTimeZone: "Asia/Tokyo" });
+  assert.equal(result.to.dateTime, "2025-07-16T19:00:00+09:00");
+});
+
+test("only zones on the allowlist can be used", async () => {
+  const registry = registerTimeTools(createToolRegistry(), { now, timeZones: ["Europe/Lisbon"], defaultTimeZone: "Europe/Lisbon" });
+  assert.match((await callTool(registry, "getCurrentTime", { timeZone: "Asia/Tokyo" })).error, /'Asia\/Tokyo' is not available/);
+  assert.match((await callTool(registry, "convertTime", { dateTime: "yesterday", fromTimeZone: "Europe/Lisbon", toTimeZone: "Europe/Lisbon" })).error,
+    /'yesterday' is not a date and time/);
+  assert.throws(() => registerTimeTools(createToolRegistry(), { timeZones: ["Mars/Olympus"] }), { name: "ConfigError" });
+});